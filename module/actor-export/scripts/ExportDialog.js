@@ -39,6 +39,7 @@ class ExportDialog extends Application {
     getData() {
         return {
             actor: this.actor,
+            armorTypeLabel: this.getArmorTypeName(this.actor.system.totals?.armorType || "tissu"),
             options: this.exportOptions,
             providers: Array.from(this.providers.values()).map(provider => ({
                 name: provider.name,
@@ -132,19 +133,16 @@ class ExportDialog extends Application {
         html.find('.preview-actor-type').text(actor.type === 'heros' ? 'Héros' : 'PNJ');
         
         // Statistiques
-        const stats = actor.system.stats || {};
-        html.find('.preview-agility').text(stats.agility || 0);
-        html.find('.preview-constitution').text(stats.constitution || 0);
-        html.find('.preview-intelligence').text(stats.intelligence || 0);
-        html.find('.preview-perception').text(stats.perception || 0);
-        html.find('.preview-strength').text(stats.strength || 0);
-        html.find('.preview-willpower').text(stats.willpower || 0);
+        const utils = new ExportUtils();
+        const stats = utils.getActorStats(actor);
+        for (const key of ['martialite', 'agilite', 'acuite', 'pimpance', 'arcane', 'constitution']) {
+            html.find(`.preview-${key}`).text(stats[key]);
+        }
         
         // Santé et armure
-        const health = actor.system.health || {};
-        const armor = actor.system.armor || {};
-        html.find('.preview-health').text(`${health.current || 0} / ${health.max || 0}`);
-        html.find('.preview-armor').text(`${armor.value || 0} (${this.getArmorTypeName(armor.type || 'tissu')})`);
+        const { health, armor } = utils.getActorHealthAndArmor(actor);
+        html.find('.preview-health').text(`${health.current} / ${health.max}`);
+        html.find('.preview-armor').text(`${armor.value} (${armor.typeName})`);
         
         // Mouvement
         const movement = this.calculateMovement(actor);
@@ -204,7 +202,7 @@ class ExportDialog extends Application {
             this.showNotification(`Export réussi ! Fichier : ${result.fileName}`, 'success');
             
             // Log du résultat
-            console.log('✅ Export terminé avec succès:', result);
+            VHLogger.info("export", '✅ Export terminé avec succès:', result);
             
             // Fermer la boîte de dialogue après un délai
             setTimeout(() => {
@@ -212,7 +210,7 @@ class ExportDialog extends Application {
             }, 2000);
             
         } catch (error) {
-            console.error('❌ Erreur lors de l\'export:', error);
+            VHLogger.error("export", '❌ Erreur lors de l\'export:', error);
             this.showNotification(`Erreur lors de l'export : ${error.message}`, 'error');
         } finally {
             this.isExporting = false;
@@ -286,7 +284,7 @@ class ExportDialog extends Application {
             }
         } else {
             // Fallback si ui.notifications n'est pas disponible
-            console.log(`[${type.toUpperCase()}] ${message}`);
+            VHLogger.info("export", `[${type.toUpperCase()}] ${message}`);
         }
     }
 
@@ -294,42 +292,15 @@ class ExportDialog extends Application {
      * Calcule le mouvement disponible
      */
     calculateMovement(actor) {
-        const agility = actor.system.stats?.agility || 0;
-        const armorType = actor.system.armor?.type || 'tissu';
-        
-        // Formule de base : Agilité * 1.5 + 1.5
-        let baseMovement = (agility * 1.5) + 1.5;
-        
-        // Malus d'armure selon le type
-        let armorPenalty = 0;
-        switch (armorType) {
-            case 'tissu': armorPenalty = 0; break;
-            case 'legere': armorPenalty = 1.5; break;
-            case 'lourde': armorPenalty = 3.0; break;
-            case 'blindee': armorPenalty = 4.5; break;
-        }
-        
-        const finalMovement = Math.max(0, baseMovement - armorPenalty);
-        
-        return {
-            base: baseMovement,
-            armorPenalty: armorPenalty,
-            final: finalMovement,
-            formula: `(${agility} × 1.5) + 1.5 - ${armorPenalty} = ${finalMovement}m`
-        };
+        // Valeurs dérivées de l'acteur, communes à la fiche et à tous les formats d'export
+        return new ExportUtils().calculateMovement(actor);
     }
 
     /**
      * Obtient le nom français du type d'armure
      */
     getArmorTypeName(armorType) {
-        const names = {
-            'tissu': 'Tissu',
-            'legere': 'Légère',
-            'lourde': 'Lourde',
-            'blindee': 'Blindée'
-        };
-        return names[armorType] || armorType;
+        return CONFIG.voidHorizon.armorTypes[armorType]?.label || armorType;
     }
 
     /**
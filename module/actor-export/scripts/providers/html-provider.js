@@ -17,7 +17,7 @@ class HTMLProvider {
      * @returns {Promise<Object>} - Résultat de l'export
      */
     async export(actor, options = {}) {
-        console.log('🌐 Export HTML pour', actor.name, 'avec options:', options);
+        VHLogger.debug("export", '🌐 Export HTML pour', actor.name, 'avec options:', options);
         
         try {
             // Valider l'acteur
@@ -43,7 +43,7 @@ class HTMLProvider {
             };
             
         } catch (error) {
-            console.error('❌ Erreur lors de l\'export HTML:', error);
+            VHLogger.error("export", '❌ Erreur lors de l\'export HTML:', error);
             throw error;
         }
     }
@@ -140,9 +140,9 @@ class HTMLProvider {
      * @returns {Promise<string>} - HTML des statistiques
      */
     async generateStats(actor, options) {
-        const stats = actor.system.stats || {};
-        const health = actor.system.health || {};
-        const armor = actor.system.armor || {};
+        const utils = new ExportUtils();
+        const stats = utils.getActorStats(actor);
+        const { health, armor } = utils.getActorHealthAndArmor(actor);
         
         // Calculer le mouvement
         const movement = this.calculateMovement(actor);
@@ -151,12 +151,12 @@ class HTMLProvider {
         <section class="main-content">
             <div class="stats-health-row">
                 <div class="main-stats">
-                    ${this.generateStatCard('Agilité', stats.agility || 0, 'agility')}
-                    ${this.generateStatCard('Constitution', stats.constitution || 0, 'constitution')}
-                    ${this.generateStatCard('Intelligence', stats.intelligence || 0, 'intelligence')}
-                    ${this.generateStatCard('Perception', stats.perception || 0, 'perception')}
-                    ${this.generateStatCard('Force', stats.strength || 0, 'strength')}
-                    ${this.generateStatCard('Volonté', stats.willpower || 0, 'willpower')}
+                    ${this.generateStatCard('Martialité', stats.martialite, 'martialite')}
+                    ${this.generateStatCard('Agilité', stats.agilite, 'agilite')}
+                    ${this.generateStatCard('Acuité', stats.acuite, 'acuite')}
+                    ${this.generateStatCard('Pimpance', stats.pimpance, 'pimpance')}
+                    ${this.generateStatCard('Arcane', stats.arcane, 'arcane')}
+                    ${this.generateStatCard('Constitution', stats.constitution, 'constitution')}
                 </div>
                 <div class="health-column">
                     <div class="health-status">
@@ -170,6 +170,7 @@ class HTMLProvider {
                                 <span>${armor.value || 0}</span>
                                 <small>(${this.getArmorTypeName(armor.type || 'tissu')})</small>
                             </div>
+                            ${armor.condition ? `<div class="armor-condition">État : ${armor.condition}${armor.brokenShields ? `, ${armor.brokenShields} bouclier(s) brisé(s)` : ''}</div>` : ''}
                         </div>
                     </div>
                     <div class="movement-display">
@@ -221,7 +222,7 @@ class HTMLProvider {
                     <h3>${item.name}</h3>
                     <span class="item-type">${item.type}</span>
                 </div>
-                ${item.system.description ? `<p class="item-description">${item.system.description}</p>` : ''}
+                ${item.system.description ? `<div class="item-description">${item.system.description}</div>` : ''}
             </div>`).join('');
 
         return `
@@ -249,9 +250,9 @@ class HTMLProvider {
             <div class="trait">
                 <div class="trait-header">
                     <h4>${trait.name}</h4>
-                    <span class="trait-bonus">+${trait.system.bonus || 0}</span>
+                    <span class="trait-bonus">${trait.system.bonusSummary}</span>
                 </div>
-                ${trait.system.description ? `<p class="trait-description">${trait.system.description}</p>` : ''}
+                ${trait.system.description ? `<div class="trait-description">${trait.system.description}</div>` : ''}
             </div>`).join('');
 
         return `
@@ -297,27 +298,8 @@ class HTMLProvider {
      * @returns {Object} - Données de mouvement
      */
     calculateMovement(actor) {
-        const agility = actor.system.stats.agility || 0;
-        const armorType = actor.system.armor.type || 'tissu';
-        
-        let baseMovement = (agility * 1.5) + 1.5;
-        let armorPenalty = 0;
-        
-        switch (armorType) {
-            case 'tissu': armorPenalty = 0; break;
-            case 'legere': armorPenalty = 1.5; break;
-            case 'lourde': armorPenalty = 3.0; break;
-            case 'blindee': armorPenalty = 4.5; break;
-        }
-        
-        const finalMovement = Math.max(0, baseMovement - armorPenalty);
-        
-        return {
-            base: baseMovement,
-            armorPenalty: armorPenalty,
-            final: finalMovement,
-            formula: `(${agility} × 1.5) + 1.5 - ${armorPenalty} = ${finalMovement}m`
-        };
+        // Valeurs dérivées de l'acteur, communes à la fiche et à tous les formats d'export
+        return new ExportUtils().calculateMovement(actor);
     }
 
     /**
@@ -326,13 +308,7 @@ class HTMLProvider {
      * @returns {string} - Nom français
      */
     getArmorTypeName(armorType) {
-        const names = {
-            'tissu': 'Tissu',
-            'legere': 'Légère',
-            'lourde': 'Lourde',
-            'blindee': 'Blindée'
-        };
-        return names[armorType] || armorType;
+        return CONFIG.voidHorizon.armorTypes[armorType]?.label || armorType;
     }
 
     /**
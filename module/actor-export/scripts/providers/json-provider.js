@@ -17,7 +17,7 @@ class JSONProvider {
      * @returns {Promise<Object>} - Résultat de l'export
      */
     async export(actor, options = {}) {
-        console.log('📊 Export JSON pour', actor.name, 'avec options:', options);
+        VHLogger.debug("export", '📊 Export JSON pour', actor.name, 'avec options:', options);
         
         try {
             // Valider l'acteur
@@ -46,7 +46,7 @@ class JSONProvider {
             };
             
         } catch (error) {
-            console.error('❌ Erreur lors de l\'export JSON:', error);
+            VHLogger.error("export", '❌ Erreur lors de l\'export JSON:', error);
             throw error;
         }
     }
@@ -136,7 +136,13 @@ class JSONProvider {
             id: trait.id,
             name: trait.name,
             description: trait.system.description || '',
-            bonus: trait.system.bonus || 0
+            active: trait.system.active,
+            bonuses: trait.system.bonuses.map(bonus => ({
+                target: bonus.target,
+                label: bonus.label,
+                value: bonus.value,
+                disabled: bonus.disabled
+            }))
         }));
     }
 
@@ -146,26 +152,21 @@ class JSONProvider {
      * @returns {Promise<Object>} - Données du héros
      */
     async getHeroData(actor) {
+        const utils = new ExportUtils();
+        const { health, armor } = utils.getActorHealthAndArmor(actor);
         return {
-            class: actor.system.class || '',
-            faction: actor.system.faction || '',
-            rank: actor.system.rank || '',
-            affinity: actor.system.affinity || '',
-            stats: {
-                agility: actor.system.stats.agility || 0,
-                constitution: actor.system.stats.constitution || 0,
-                intelligence: actor.system.stats.intelligence || 0,
-                perception: actor.system.stats.perception || 0,
-                strength: actor.system.stats.strength || 0,
-                willpower: actor.system.stats.willpower || 0
-            },
-            health: {
-                current: actor.system.health.current || 0,
-                max: actor.system.health.max || 0
-            },
+            class: actor.system.class?.value || '',
+            faction: actor.system.faction?.value || '',
+            rank: actor.system.rank?.value || '',
+            affinity: actor.system.affinity?.value || '',
+            stats: utils.getActorStats(actor),
+            health: health,
             armor: {
-                type: actor.system.armor.type || 'tissu',
-                value: actor.system.armor.value || 0
+                type: armor.type,
+                value: armor.value,
+                condition: armor.condition,
+                brokenShields: armor.brokenShields,
+                broken: armor.broken
             },
             movement: this.calculateMovement(actor)
         };
@@ -177,21 +178,12 @@ class JSONProvider {
      * @returns {Promise<Object>} - Données du NPC
      */
     async getNpcData(actor) {
+        const utils = new ExportUtils();
         return {
-            role: actor.system.role || '',
-            difficulty: actor.system.difficulty || 'normal',
-            stats: {
-                agility: actor.system.stats.agility || 0,
-                constitution: actor.system.stats.constitution || 0,
-                intelligence: actor.system.stats.intelligence || 0,
-                perception: actor.system.stats.perception || 0,
-                strength: actor.system.stats.strength || 0,
-                willpower: actor.system.stats.willpower || 0
-            },
-            health: {
-                current: actor.system.health.current || 0,
-                max: actor.system.health.max || 0
-            }
+            role: actor.system.type || '',
+            level: actor.system.level || 1,
+            stats: utils.getActorStats(actor),
+            health: utils.getActorHealthAndArmor(actor).health
         };
     }
 
@@ -201,37 +193,8 @@ class JSONProvider {
      * @returns {Object} - Données de mouvement
      */
     calculateMovement(actor) {
-        const agility = actor.system.stats.agility || 0;
-        const armorType = actor.system.armor.type || 'tissu';
-        
-        // Formule de base : Agilité * 1.5 + 1.5
-        let baseMovement = (agility * 1.5) + 1.5;
-        
-        // Malus d'armure
-        let armorPenalty = 0;
-        switch (armorType) {
-            case 'tissu':
-                armorPenalty = 0;
-                break;
-            case 'legere':
-                armorPenalty = 1.5;
-                break;
-            case 'lourde':
-                armorPenalty = 3.0;
-                break;
-            case 'blindee':
-                armorPenalty = 4.5;
-                break;
-        }
-        
-        const finalMovement = Math.max(0, baseMovement - armorPenalty);
-        
-        return {
-            base: baseMovement,
-            armorPenalty: armorPenalty,
-            final: finalMovement,
-            formula: `(${agility} × 1.5) + 1.5 - ${armorPenalty} = ${finalMovement}m`
-        };
+        // Valeurs dérivées de l'acteur, communes à la fiche et à tous les formats d'export
+        return new ExportUtils().calculateMovement(actor);
     }
 
     /**
@@ -19,7 +19,7 @@ class PDFProvider {
      * @returns {Promise<Object>} - Résultat de l'export
      */
     async export(actor, options = {}) {
-        console.log('📄 Export PDF pour', actor.name, 'avec options:', options);
+        VHLogger.debug("export", '📄 Export PDF pour', actor.name, 'avec options:', options);
         
         try {
             // Valider l'acteur
@@ -52,7 +52,7 @@ class PDFProvider {
             };
             
         } catch (error) {
-            console.error('❌ Erreur lors de l\'export PDF:', error);
+            VHLogger.error("export", '❌ Erreur lors de l\'export PDF:', error);
             throw error;
         }
     }
@@ -218,14 +218,14 @@ class PDFProvider {
         pdf.setTextColor(0, 0, 0);
         pdf.setFont('helvetica', 'normal');
         
-        const stats = actor.system.stats || {};
+        const stats = new ExportUtils().getActorStats(actor);
         const statNames = {
-            agility: 'Agilité',
-            constitution: 'Constitution',
-            intelligence: 'Intelligence',
-            perception: 'Perception',
-            strength: 'Force',
-            willpower: 'Volonté'
+            martialite: 'Martialité',
+            agilite: 'Agilité',
+            acuite: 'Acuité',
+            pimpance: 'Pimpance',
+            arcane: 'Arcane',
+            constitution: 'Constitution'
         };
         
         const statWidth = width / 3;
@@ -258,8 +258,7 @@ class PDFProvider {
      * @returns {number} - Nouvelle position Y
      */
     addHealthAndArmor(pdf, actor, y, margin, width) {
-        const health = actor.system.health || {};
-        const armor = actor.system.armor || {};
+        const { health, armor } = new ExportUtils().getActorHealthAndArmor(actor);
         
         pdf.setFontSize(14);
         pdf.setTextColor(128, 0, 0);
@@ -280,6 +279,13 @@ class PDFProvider {
         const armorType = this.getArmorTypeName(armor.type || 'tissu');
         pdf.text(`Armure: ${armor.value || 0} (${armorType})`, margin + infoWidth, y);
         
+        // État de l'armure
+        if (armor.condition) {
+            y += 7;
+            pdf.setFontSize(10);
+            pdf.text(`État: ${armor.condition}`, margin + infoWidth, y);
+        }
+        
         return y + 20;
     }
 
@@ -383,8 +389,8 @@ class PDFProvider {
         pdf.setFont('helvetica', 'normal');
         
         for (const trait of traits) {
-            const bonus = trait.system.bonus || 0;
-            pdf.text(`• ${trait.name} (+${bonus})`, margin, y);
+            const bonus = trait.system.bonusSummary;
+            pdf.text(`• ${trait.name}${bonus ? ` (${bonus})` : ''}`, margin, y);
             y += 8;
             
             if (trait.system.description) {
@@ -450,27 +456,8 @@ class PDFProvider {
      * @returns {Object} - Données de mouvement
      */
     calculateMovement(actor) {
-        const agility = actor.system.stats.agility || 0;
-        const armorType = actor.system.armor.type || 'tissu';
-        
-        let baseMovement = (agility * 1.5) + 1.5;
-        let armorPenalty = 0;
-        
-        switch (armorType) {
-            case 'tissu': armorPenalty = 0; break;
-            case 'legere': armorPenalty = 1.5; break;
-            case 'lourde': armorPenalty = 3.0; break;
-            case 'blindee': armorPenalty = 4.5; break;
-        }
-        
-        const finalMovement = Math.max(0, baseMovement - armorPenalty);
-        
-        return {
-            base: baseMovement,
-            armorPenalty: armorPenalty,
-            final: finalMovement,
-            formula: `(${agility} × 1.5) + 1.5 - ${armorPenalty} = ${finalMovement}m`
-        };
+        // Valeurs dérivées de l'acteur, communes à la fiche et à tous les formats d'export
+        return new ExportUtils().calculateMovement(actor);
     }
 
     /**
@@ -479,22 +466,18 @@ class PDFProvider {
      * @returns {string} - Nom français
      */
     getArmorTypeName(armorType) {
-        const names = {
-            'tissu': 'Tissu',
-            'legere': 'Légère',
-            'lourde': 'Lourde',
-            'blindee': 'Blindée'
-        };
-        return names[armorType] || armorType;
+        return CONFIG.voidHorizon.armorTypes[armorType]?.label || armorType;
     }
 
     /**
      * Tronque un texte à une largeur donnée
+     * Les descriptions d'objets sont en HTML : seul leur texte est conservé.
      * @param {string} text - Texte à tronquer
      * @param {number} maxWidth - Largeur maximale
      * @returns {string} - Texte tronqué
      */
     truncateText(text, maxWidth) {
+        text = new DOMParser().parseFromString(text, 'text/html').body.textContent.trim();
         if (text.length <= maxWidth / 3) return text;
         return text.substring(0, Math.floor(maxWidth / 3)) + '...';
     }
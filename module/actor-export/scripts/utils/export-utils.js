@@ -61,43 +61,25 @@ class ExportUtils {
 
     /**
      * Calcule le mouvement disponible selon la formule voidHorizon
+     * Les valeurs proviennent des données dérivées de l'acteur (actor.system.totals)
      * @param {Actor} actor - L'acteur
      * @returns {Object} - Données de mouvement calculées
      */
     calculateMovement(actor) {
-        const agility = actor.system.stats?.agility || 0;
-        const armorType = actor.system.armor?.type || 'tissu';
-        
-        // Formule de base : Agilité * 1.5 + 1.5
-        let baseMovement = (agility * 1.5) + 1.5;
-        
-        // Malus d'armure selon le type
-        let armorPenalty = 0;
-        switch (armorType) {
-            case 'tissu':
-                armorPenalty = 0;
-                break;
-            case 'legere':
-                armorPenalty = 1.5;
-                break;
-            case 'lourde':
-                armorPenalty = 3.0;
-                break;
-            case 'blindee':
-                armorPenalty = 4.5;
-                break;
-        }
-        
-        const finalMovement = Math.max(0, baseMovement - armorPenalty);
+        const totals = actor.system.totals || {};
+        const armorType = totals.armorType || 'tissu';
+        const baseMovement = totals.movementBase ?? 0;
+        const finalMovement = totals.movement ?? 0;
+        const armorPenalty = Math.max(0, baseMovement - finalMovement);
         
         return {
             base: baseMovement,
             armorPenalty: armorPenalty,
             final: finalMovement,
-            formula: `(${agility} × 1.5) + 1.5 - ${armorPenalty} = ${finalMovement}m`,
+            formula: `${baseMovement} - ${armorPenalty} = ${finalMovement}m`,
             details: {
-                agility: agility,
-                baseFormula: `(${agility} × 1.5) + 1.5`,
+                agility: actor.system.agilite?.value || '',
+                baseFormula: `${totals.movementFormula ?? "Mouvement de base"} = ${baseMovement}`,
                 armorType: armorType,
                 armorPenalty: armorPenalty
             }
@@ -110,13 +92,7 @@ class ExportUtils {
      * @returns {string} - Nom français
      */
     getArmorTypeName(armorType) {
-        const names = {
-            'tissu': 'Tissu',
-            'legere': 'Légère',
-            'lourde': 'Lourde',
-            'blindee': 'Blindée'
-        };
-        return names[armorType] || armorType;
+        return CONFIG.voidHorizon.armorTypes[armorType]?.label || armorType;
     }
 
     /**
@@ -130,10 +106,10 @@ class ExportUtils {
             name: actor.name,
             type: actor.type,
             img: actor.img,
-            class: actor.system.class || '',
-            faction: actor.system.faction || '',
-            rank: actor.system.rank || '',
-            affinity: actor.system.affinity || '',
+            class: actor.system.class?.value || '',
+            faction: actor.system.faction?.value || '',
+            rank: actor.system.rank?.value || '',
+            affinity: actor.system.affinity?.value || '',
             role: actor.system.role || '',
             difficulty: actor.system.difficulty || 'normal'
         };
@@ -142,17 +118,20 @@ class ExportUtils {
     /**
      * Obtient les statistiques d'un acteur
      * @param {Actor} actor - L'acteur
-     * @returns {Object} - Statistiques
+     * @returns {Object} - Statistiques (caractéristiques et totaux dérivés)
      */
     getActorStats(actor) {
-        const stats = actor.system.stats || {};
+        const system = actor.system;
+        const totals = system.totals || {};
         return {
-            agility: stats.agility || 0,
-            constitution: stats.constitution || 0,
-            intelligence: stats.intelligence || 0,
-            perception: stats.perception || 0,
-            strength: stats.strength || 0,
-            willpower: stats.willpower || 0
+            martialite: system.martialite?.value || '',
+            agilite: system.agilite?.value || '',
+            acuite: system.acuite?.value || '',
+            pimpance: system.pimpance?.value || '',
+            arcane: system.arcane?.value || '',
+            constitution: totals.constitution || 0,
+            resistance: totals.resistance || 0,
+            mana: totals.mana || 0
         };
     }
 
@@ -162,22 +141,51 @@ class ExportUtils {
      * @returns {Object} - Santé et armure
      */
     getActorHealthAndArmor(actor) {
-        const health = actor.system.health || {};
-        const armor = actor.system.armor || {};
+        const system = actor.system;
+        const totals = system.totals || {};
+        const armorType = totals.armorType || 'tissu';
+        
+        // Héros : cœurs (constitution) moins blessures ; PNJ : points de vie
+        const current = actor.type === 'npc'
+            ? system.resources?.health?.value || 0
+            : Math.max(0, (totals.constitution || 0) - (system.resources?.blessure?.value || 0));
         
         return {
             health: {
-                current: health.current || 0,
-                max: health.max || 0
+                current: current,
+                max: totals.constitution || 0
             },
             armor: {
-                type: armor.type || 'tissu',
-                value: armor.value || 0,
-                typeName: this.getArmorTypeName(armor.type || 'tissu')
+                type: armorType,
+                value: totals.armor || 0,
+                typeName: this.getArmorTypeName(armorType),
+                ...this.getArmorCondition(actor)
             }
         };
     }
 
+    /**
+     * Obtient l'état de l'armure portée (boucliers brisés, armure brisée)
+     * @param {Actor} actor - L'acteur
+     * @returns {Object} - { condition, brokenShields, resistanceLoss, broken }
+     */
+    getArmorCondition(actor) {
+        const degradation = actor.system.totals?.armorDegradation;
+        const brokenShields = actor.system.resources?.armorDamage?.value || 0;
+        if (!degradation) return {condition: '', brokenShields, resistanceLoss: 0, broken: false};
+        
+        let condition = 'Intacte';
+        if (degradation.broken) condition = `Brisée (palier ${degradation.tierLabel})`;
+        else if (degradation.damagedShields) condition = `Endommagée (-${degradation.resistanceLoss} résistance)`;
+        
+        return {
+            condition,
+            brokenShields,
+            resistanceLoss: degradation.resistanceLoss,
+            broken: degradation.broken
+        };
+    }
+
     /**
      * Obtient les objets d'un acteur
      * @param {Actor} actor - L'acteur
@@ -287,7 +295,7 @@ class ExportUtils {
             }
         } else {
             // Fallback si ui.notifications n'est pas disponible
-            console.log(`[${type.toUpperCase()}] ${message}`);
+            VHLogger.info("export", `[${type.toUpperCase()}] ${message}`);
         }
     }
 
@@ -323,7 +331,7 @@ class ExportUtils {
      * @param {Object} result - Résultat de l'export
      */
     logExport(provider, actor, options, result) {
-        console.log(`📤 Export ${provider} terminé:`, {
+        VHLogger.debug("export", `📤 Export ${provider} terminé:`, {
             actor: actor.name,
             type: actor.type,
             format: options.format,
@@ -0,0 +1,320 @@
+import {voidHorizon} from "../config.js";
+import {getNatureModifier} from "../data/common.js";
+import {queueMessageUpdate} from "../message-queue.js";
+
+const SOCKET = "system.voidHorizon";
+
+/**
+ * Application des dégâts depuis le chat
+ * Les cartes d'attaque proposent d'appliquer leur total aux jetons ciblés : la résistance de la cible
+ * est déduite et la nature des dégâts est confrontée à son armure, puis les boucliers d'armure sont
+ * consommés avant les blessures. Une carte de résumé
+ * détaille ce qui a changé et permet au MJ d'annuler l'application.
+ * Une carte d'attaque ne s'applique qu'une fois à chaque jeton, tant que l'application n'est pas annulée.
+ */
+export default class DamageApplication {
+
+    /**
+     * Enregistre les hooks (carte de chat, socket)
+     */
+    static registerHooks() {
+        Hooks.on("renderChatMessageHTML", this._onRenderChatMessage.bind(this));
+        Hooks.once("ready", () => game.socket.on(SOCKET, this._onSocketMessage.bind(this)));
+    }
+
+    /**
+     * Flags à ajouter au message d'une attaque pour proposer l'application des dégâts
+     * @param {number} total - Le total de l'attaque
+     * @param {Object} [options] - Options de l'attaque
+     * @param {string|null} [options.nature] - Nature des dégâts
+     * @returns {Object} - Les flags du message
+     */
+    static getMessageFlags(total, {nature = null} = {}) {
+        return {voidHorizon: {damage: {total, nature}}};
+    }
+
+    /**
+     * Interaction d'une nature de dégâts avec l'armure d'un acteur
+     * @param {string|null} nature - Nature des dégâts
+     * @param {Actor} actor - L'acteur visé
+     * @returns {{armor: string, modifier: number}} - Le type d'armure opposé et le modificateur de dégâts
+     */
+    static getNatureInteraction(nature, actor) {
+        const tier = actor?.system.totals?.armorTier ?? "tissu";
+        return {
+            armor: voidHorizon.armorTypes[tier]?.label ?? tier,
+            modifier: getNatureModifier(nature, tier)
+        };
+    }
+
+    /**
+     * Nature des dégâts et interaction avec l'armure des jetons ciblés, à insérer dans une carte d'attaque
+     * @param {string|null} nature - Nature des dégâts
+     * @returns {string} - Le HTML de l'interaction
+     */
+    static getNatureHTML(nature) {
+        if (!nature) return "";
+        const targets = [...game.user.targets].filter(token => token.actor).map(token => {
+            const {armor, modifier} = this.getNatureInteraction(nature, token.actor);
+            const label = modifier ? `${modifier > 0 ? "+" : ""}${modifier} dégât(s)` : "sans effet";
+            return `<li>${token.name} (${armor}) : ${label}</li>`;
+        });
+        return `
+            <div class="damage-nature">
+                <p><strong>Nature:</strong> ${voidHorizon.damageNatures[nature] ?? nature}</p>
+                ${targets.length ? `<ul class="nature-interactions">${targets.join("")}</ul>` : ""}
+            </div>
+        `;
+    }
+
+    /**
+     * Bouton d'application des dégâts à insérer dans une carte d'attaque
+     * @returns {string} - Le HTML du bouton
+     */
+    static getButtonHTML() {
+        return `
+            <div class="damage-actions">
+                <button type="button" class="apply-damage"><i class="fas fa-crosshairs"></i> Appliquer à la cible</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Applique le total d'une carte d'attaque aux jetons ciblés par l'utilisateur
+     * @param {ChatMessage} message - La carte d'attaque
+     * @returns {Promise<void>}
+     */
+    static async applyToTargets(message) {
+        if (!this._getAttack(message)) return;
+
+        const targets = [...game.user.targets].map(token => token.document.uuid);
+        if (!targets.length) {
+            ui.notifications.warn("Aucune cible sélectionnée");
+            return;
+        }
+
+        const applied = message.getFlag("voidHorizon", "appliedTargets") ?? [];
+        if (targets.every(uuid => applied.includes(uuid))) {
+            ui.notifications.warn("Les dégâts de cette attaque ont déjà été appliqués à ces cibles");
+            return;
+        }
+
+        await this.request(message.id, targets);
+    }
+
+    /**
+     * Demande l'application d'une carte d'attaque à des jetons
+     * Seul le MJ peut modifier toutes les cibles : les joueurs lui transmettent la carte et les cibles par le
+     * socket, le MJ relit le total et la nature dans la carte.
+     * @param {string} messageId - La carte d'attaque (ou de défense)
+     * @param {string[]} tokenUuids - Les jetons ciblés
+     * @returns {Promise<void>}
+     */
+    static async request(messageId, tokenUuids) {
+        if (!game.user.isGM) {
+            if (!game.users.activeGM) {
+                ui.notifications.warn("Aucun MJ connecté : les dégâts ne peuvent pas être appliqués");
+                return;
+            }
+            game.socket.emit(SOCKET, {action: "applyDamage", messageId, targets: tokenUuids});
+            return;
+        }
+
+        await this._applyMessage(messageId, tokenUuids, game.user.id);
+    }
+
+    /**
+     * Applique une attaque à des jetons et publie le résumé (MJ uniquement)
+     * @param {number} total - Le total de l'attaque
+     * @param {string[]} tokenUuids - Les jetons ciblés
+     * @param {Object} [options] - Options de l'attaque
+     * @param {string|null} [options.nature] - Nature des dégâts
+     * @param {string|null} [options.sourceId] - La carte d'attaque appliquée
+     * @returns {Promise<ChatMessage|undefined>}
+     */
+    static async apply(total, tokenUuids, {nature = null, sourceId = null} = {}) {
+        const targets = [];
+        for (const uuid of tokenUuids) {
+            const token = await fromUuid(uuid);
+            // Acteur synthétique pour les jetons non liés
+            const actor = token?.actor;
+            const result = actor?.system.computeDamage?.(total, {nature});
+            if (!result) continue;
+
+            // État de l'armure portée, que les dégâts peuvent briser
+            const armor = actor.system.equipped?.armor;
+            await actor.update(result.update);
+            targets.push({
+                uuid: actor.uuid,
+                tokenUuid: uuid,
+                name: token.name,
+                isHeros: actor.type === "heros",
+                resistance: result.resistance,
+                natureModifier: result.natureModifier ?? 0,
+                damage: result.damage,
+                armor: result.armor,
+                wounds: result.wounds,
+                // Écarts appliqués, annulés sans écraser ce qui a changé depuis
+                changes: Object.fromEntries(Object.entries(result.update).map(([path, value]) => [path, value - result.previous[path]])),
+                armorItem: armor ? {id: armor.id, broken: armor.system.broken} : null
+            });
+        }
+        if (!targets.length) return;
+
+        const summary = {total, nature, sourceId, targets, undone: false};
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({alias: "MJ"}),
+            content: await this._renderSummary(summary),
+            flags: {voidHorizon: {damageApplied: summary}}
+        });
+    }
+
+    /**
+     * Annule l'application des dégâts (MJ uniquement)
+     * Les écarts appliqués sont retirés des valeurs actuelles, bornées entre 0 et leur maximum : les soins,
+     * repos ou autres dégâts survenus depuis sont conservés. L'armure brisée par les dégâts retrouve
+     * l'état enregistré avant l'application, et la carte d'attaque peut de nouveau s'appliquer à ces jetons.
+     * @param {ChatMessage} message - La carte de résumé
+     * @returns {Promise<void>}
+     */
+    static async undo(message) {
+        if (!game.user.isGM) return;
+        const summary = foundry.utils.deepClone(message.getFlag("voidHorizon", "damageApplied"));
+        if (!summary || summary.undone) return;
+
+        for (const target of summary.targets) {
+            const actor = await fromUuid(target.uuid);
+            if (!actor || !target.changes) continue;
+            const update = {};
+            for (const [path, change] of Object.entries(target.changes)) {
+                const max = foundry.utils.getProperty(actor, path.replace(/\.value$/, ".max")) ?? Infinity;
+                const current = foundry.utils.getProperty(actor, path) ?? 0;
+                update[path] = Math.clamp(current - change, 0, max);
+            }
+            await actor.update(update);
+
+            const armor = target.armorItem ? actor.items.get(target.armorItem.id) : null;
+            if (armor && (armor.system.broken !== target.armorItem.broken)) {
+                await armor.update({"system.broken": target.armorItem.broken});
+            }
+        }
+
+        summary.undone = true;
+        await message.update({
+            content: await this._renderSummary(summary),
+            "flags.voidHorizon.damageApplied": summary
+        });
+
+        // Les jetons rendus peuvent de nouveau recevoir les dégâts de la carte d'attaque
+        const source = game.messages.get(summary.sourceId);
+        if (source) {
+            const undone = summary.targets.map(target => target.tokenUuid);
+            await queueMessageUpdate(source.id, () => source.setFlag("voidHorizon", "appliedTargets",
+                (source.getFlag("voidHorizon", "appliedTargets") ?? []).filter(uuid => !undone.includes(uuid))));
+        }
+    }
+
+    /**
+     * Total, nature et cibles permises d'une carte d'attaque ou de défense
+     * @param {ChatMessage} message - La carte
+     * @returns {Object|null} - { total, nature, tokenUuids }, tokenUuids à null si toute cible est permise
+     * @private
+     */
+    static _getAttack(message) {
+        const damage = message?.getFlag("voidHorizon", "damage");
+        if (damage?.total !== undefined) return {total: damage.total, nature: damage.nature ?? null, tokenUuids: null};
+
+        // Carte de défense : seuls les défenseurs touchés peuvent recevoir les dégâts
+        const attack = message?.getFlag("voidHorizon", "opposedAttack");
+        if (!attack) return null;
+        return {
+            total: attack.total,
+            nature: attack.nature ?? null,
+            tokenUuids: attack.defenders.filter(defender => defender.result?.hit).map(defender => defender.tokenUuid)
+        };
+    }
+
+    /**
+     * Applique une carte d'attaque à des jetons après vérification (MJ uniquement)
+     * Seuls le MJ et l'auteur de la carte peuvent en appliquer les dégâts, une seule fois par jeton : les
+     * jetons déjà touchés sont enregistrés sur la carte.
+     * @param {string} messageId - La carte d'attaque (ou de défense)
+     * @param {string[]} tokenUuids - Les jetons ciblés
+     * @param {string} userId - L'utilisateur à l'origine de la demande
+     * @returns {Promise<ChatMessage|undefined>}
+     * @private
+     */
+    static async _applyMessage(messageId, tokenUuids, userId) {
+        // Deux demandes simultanées sur la même carte ne s'appliquent pas deux fois
+        return queueMessageUpdate(messageId, async () => {
+            const message = game.messages.get(messageId);
+            const attack = this._getAttack(message);
+            const user = game.users.get(userId);
+            if (!attack || !user || (!user.isGM && (message.author?.id !== userId))) return;
+
+            const applied = message.getFlag("voidHorizon", "appliedTargets") ?? [];
+            const targets = tokenUuids.filter(uuid => (!attack.tokenUuids || attack.tokenUuids.includes(uuid)) && !applied.includes(uuid));
+            if (!targets.length) {
+                if (userId === game.user.id) ui.notifications.warn("Les dégâts de cette attaque ont déjà été appliqués à ces cibles");
+                return;
+            }
+
+            const summary = await this.apply(attack.total, targets, {nature: attack.nature, sourceId: messageId});
+            if (summary) {
+                const done = summary.getFlag("voidHorizon", "damageApplied").targets.map(target => target.tokenUuid);
+                await message.setFlag("voidHorizon", "appliedTargets", [...applied, ...done]);
+            }
+            return summary;
+        });
+    }
+
+    /**
+     * Rend le HTML de la carte de résumé
+     * @param {Object} summary - Le résumé
+     * @returns {Promise<string>} - Le HTML
+     * @private
+     */
+    static _renderSummary(summary) {
+        return foundry.applications.handlebars.renderTemplate("systems/voidHorizon/templates/chat/damage-applied.html", {
+            ...summary,
+            natureLabel: voidHorizon.damageNatures[summary.nature] ?? ""
+        });
+    }
+
+    /**
+     * Active les boutons des cartes d'attaque et de résumé
+     * @param {ChatMessage} message - Le message rendu
+     * @param {HTMLElement} html - Le HTML du message
+     * @private
+     */
+    static _onRenderChatMessage(message, html) {
+        if (message.getFlag("voidHorizon", "damage")) {
+            html.querySelectorAll(".apply-damage").forEach(button => button.addEventListener("click", event => {
+                event.preventDefault();
+                this.applyToTargets(message);
+            }));
+        }
+
+        if (message.getFlag("voidHorizon", "damageApplied")) {
+            html.querySelectorAll(".undo-damage").forEach(button => {
+                if (!game.user.isGM) button.remove();
+                else button.addEventListener("click", event => {
+                    event.preventDefault();
+                    this.undo(message);
+                });
+            });
+        }
+    }
+
+    /**
+     * Reçoit les demandes d'application transmises par les joueurs (MJ actif uniquement)
+     * @param {Object} data - Les données du socket
+     * @param {string} userId - L'utilisateur émetteur
+     * @private
+     */
+    static _onSocketMessage(data, userId) {
+        if (data?.action !== "applyDamage" || !game.users.activeGM?.isSelf) return;
+        if (!Array.isArray(data.targets)) return;
+        this._applyMessage(data.messageId, data.targets, userId);
+    }
+}
@@ -0,0 +1,58 @@
+import VHLogger from "../logger.js";
+
+/**
+ * Diagnostic du système (menu des paramètres)
+ * Démarre ou arrête la capture de tous les messages du journal, et télécharge le diagnostic du monde
+ * (versions, modules actifs, paramètres et messages conservés) à joindre à un signalement.
+ */
+export default class DiagnosticsConfig extends foundry.appv1.api.FormApplication {
+
+    /** @override */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "voidHorizon-diagnostics",
+            classes: ["voidHorizon", "voidhorizon-diagnostics"],
+            title: "Diagnostic voidHorizon",
+            template: "systems/voidHorizon/templates/apps/diagnostics.html",
+            width: 480,
+            height: "auto"
+        });
+    }
+
+    /** @override */
+    getData(options) {
+        const entries = VHLogger.entries;
+        const level = Object.keys(VHLogger.LEVELS).find(key => VHLogger.LEVELS[key] === VHLogger.level);
+        return {
+            capturing: VHLogger.capturing,
+            level: game.i18n.localize(`voidHorizon.settings.logLevel.choices.${level}`),
+            count: entries.length,
+            recent: entries.slice(-10).reverse()
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find(".diagnostics-capture").click(event => {
+            event.preventDefault();
+            VHLogger.setCapture(!VHLogger.capturing);
+            this.render();
+        });
+        html.find(".diagnostics-download").click(event => {
+            event.preventDefault();
+            VHLogger.downloadDiagnostics();
+        });
+        html.find(".diagnostics-clear").click(event => {
+            event.preventDefault();
+            VHLogger.clear();
+            this.render();
+        });
+    }
+
+    /**
+     * Le formulaire n'enregistre rien : tout passe par ses boutons
+     * @override
+     */
+    async _updateObject(event, formData) {}
+}
@@ -0,0 +1,274 @@
+import {voidHorizon} from "../config.js";
+import {formatAmount, getPurseUpdate, toBase} from "../currency.js";
+import VHLogger from "../logger.js";
+
+const SOCKET = "system.voidHorizon";
+
+/**
+ * Commerce entre les héros et les marchands
+ * Un héros achète le stock d'une boutique ou lui vend ses objets aux prix du marchand, ajustés par son
+ * marchandage (test de Pimpance) ; un butin se pille et se remplit librement. Seul le MJ peut modifier
+ * les deux acteurs : les joueurs lui transmettent leurs transactions par le socket, et chaque transaction
+ * est consignée dans le chat.
+ */
+export default class MerchantTrade {
+
+    /**
+     * Enregistre les hooks (socket)
+     */
+    static registerHooks() {
+        Hooks.once("ready", () => game.socket.on(SOCKET, this._onSocketMessage.bind(this)));
+    }
+
+    /**
+     * Héros qui commerce pour l'utilisateur : son personnage, sinon le héros du jeton contrôlé
+     * @returns {Actor|null}
+     */
+    static getTrader() {
+        const controlled = canvas.tokens?.controlled.map(token => token.actor).find(actor => (actor?.type === "heros") && actor.isOwner);
+        if (controlled) return controlled;
+        const character = game.user.character;
+        return character?.type === "heros" ? character : null;
+    }
+
+    /**
+     * Pourcentage de marchandage obtenu par un test de Pimpance
+     * Chaque degré de réussite est à l'avantage du héros, chaque degré d'échec à celui du marchand ;
+     * un critique donne le maximum dans un sens ou dans l'autre.
+     * @param {VoidRoll} roll - Le test évalué, avec difficulté
+     * @returns {number} - Le pourcentage, positif à l'avantage du héros
+     */
+    static getHaggleModifier(roll) {
+        const {stepPercent, maxPercent} = voidHorizon.trade.haggle;
+        const outcome = roll.outcome;
+        if (!outcome) return 0;
+
+        const sign = outcome.success ? 1 : -1;
+        if (outcome.critical) return sign * maxPercent;
+        return sign * Math.min(maxPercent, outcome.steps * stepPercent);
+    }
+
+    /**
+     * Fait marchander un héros avec un marchand (test de Pimpance)
+     * Le résultat reste acquis auprès de ce marchand : le héros ne peut pas relancer le test tant que le MJ
+     * n'a pas réinitialisé les marchandages du marchand.
+     * @param {Event} event - L'événement de clic (Maj+clic pour passer la fenêtre de jet)
+     * @param {Actor} merchant - Le marchand
+     * @param {Actor} hero - Le héros
+     * @returns {Promise<number|null>} - Le pourcentage obtenu, null si le test n'a pas été lancé
+     */
+    static async haggle(event, merchant, hero) {
+        if (typeof hero.sheet?.rollRequestedTest !== "function") {
+            ui.notifications.warn(`${hero.name} ne peut pas marchander`);
+            return null;
+        }
+        if (merchant.system.hasHaggled(hero)) {
+            ui.notifications.warn(`${hero.name} a déjà marchandé avec ${merchant.name}`);
+            return null;
+        }
+
+        const {stat, difficulty} = voidHorizon.trade.haggle;
+        const roll = await hero.sheet.rollRequestedTest(event, stat, {difficulty});
+        if (!roll) return null;
+
+        const haggle = this.getHaggleModifier(roll);
+        await hero.setFlag("voidHorizon", `haggle.${merchant.id}`, haggle);
+        ui.notifications.info(haggle
+            ? `${hero.name} obtient ${haggle > 0 ? "-" : "+"}${Math.abs(haggle)}% à l'achat et ${haggle > 0 ? "+" : "-"}${Math.abs(haggle)}% à la vente chez ${merchant.name}`
+            : `${merchant.name} ne cède rien à ${hero.name}`);
+        return haggle;
+    }
+
+    /**
+     * Réinitialise les marchandages des héros avec un marchand (MJ uniquement)
+     * @param {Actor} merchant - Le marchand
+     * @returns {Promise<void>}
+     */
+    static async resetHaggles(merchant) {
+        if (!game.user.isGM) return;
+        const heroes = game.actors.filter(actor => merchant.system.hasHaggled(actor));
+        for (const hero of heroes) await hero.unsetFlag("voidHorizon", `haggle.${merchant.id}`);
+        ui.notifications.info(`Marchandages avec ${merchant.name} réinitialisés (${heroes.length} héros)`);
+    }
+
+    /**
+     * Vérifie qu'une transaction est possible
+     * @param {Object} trade - La transaction résolue (voir _resolve)
+     * @returns {string|null} - La raison du refus, null si la transaction est possible
+     */
+    static validate({merchant, hero, item, quantity, price, action}) {
+        if (!merchant?.system.getSellPrice || !hero || !item) return "Transaction impossible : objet ou acteur introuvable";
+        if ((quantity < 1) || (quantity > (item.system.quantity ?? 1))) return `Quantité invalide pour ${item.name}`;
+        if (merchant.system.isLoot) return null;
+
+        const payer = action === "buy" ? hero : merchant;
+        if (toBase(payer.system.currency) < price) return `${payer.name} n'a pas de quoi payer ${formatAmount(price)}`;
+        return null;
+    }
+
+    /**
+     * Demande une transaction
+     * Seul le MJ peut modifier le marchand et le héros : les joueurs lui transmettent la demande par le socket.
+     * @param {Object} request - La demande
+     * @param {string} request.action - "buy" (le héros reçoit l'objet du marchand) ou "sell" (le marchand reçoit l'objet du héros)
+     * @param {string} request.merchantUuid - Le marchand
+     * @param {string} request.heroUuid - Le héros
+     * @param {string} request.itemId - L'objet, dans l'inventaire de celui qui le cède
+     * @param {number} [request.quantity=1] - Le nombre d'unités échangées
+     * @returns {Promise<void>}
+     */
+    static async request({action, merchantUuid, heroUuid, itemId, quantity = 1}) {
+        const request = {action, merchantUuid, heroUuid, itemId, quantity};
+        const error = this.validate(this._resolve(request, fromUuidSync(merchantUuid), fromUuidSync(heroUuid)));
+        if (error) {
+            ui.notifications.warn(error);
+            return;
+        }
+
+        if (!game.user.isGM) {
+            if (!game.users.activeGM) {
+                ui.notifications.warn("Aucun MJ connecté : la transaction ne peut pas avoir lieu");
+                return;
+            }
+            game.socket.emit(SOCKET, {action: "merchantTrade", request});
+            return;
+        }
+
+        await this.execute(request);
+    }
+
+    /**
+     * Effectue une transaction et la consigne dans le chat (MJ uniquement)
+     * @param {Object} request - La demande (voir request)
+     * @param {string} [userId] - L'utilisateur à l'origine de la demande, l'utilisateur courant par défaut
+     * @returns {Promise<ChatMessage|undefined>}
+     */
+    static async execute(request, userId = game.user.id) {
+        const trade = this._resolve(request, await fromUuid(request.merchantUuid), await fromUuid(request.heroUuid));
+
+        // Seul un propriétaire du héros commerce pour lui
+        const user = game.users.get(userId);
+        if (!user || !trade.hero?.testUserPermission(user, "OWNER")) {
+            VHLogger.warn("system", `Transaction refusée : ${user?.name ?? userId} ne possède pas ${trade.hero?.name ?? request.heroUuid}`);
+            return;
+        }
+
+        const error = this.validate(trade);
+        if (error) {
+            VHLogger.warn("system", `${error}`);
+            return;
+        }
+
+        const {merchant, hero, item, quantity, price, action} = trade;
+        const [source, target] = action === "buy" ? [merchant, hero] : [hero, merchant];
+        await this._transferItem(item, source, target, quantity);
+
+        if (price) {
+            const [payer, payee] = action === "buy" ? [hero, merchant] : [merchant, hero];
+            await payer.update(getPurseUpdate(payer, toBase(payer.system.currency) - price));
+            await payee.update(getPurseUpdate(payee, toBase(payee.system.currency) + price));
+        }
+
+        const log = {
+            action,
+            loot: merchant.system.isLoot,
+            merchant: merchant.name,
+            hero: hero.name,
+            item: item.name,
+            quantity,
+            price
+        };
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({actor: merchant}),
+            content: await this._renderLog(log),
+            flags: {voidHorizon: {merchantTrade: log}}
+        });
+    }
+
+    /**
+     * Retrouve l'objet d'une demande et calcule son prix
+     * @param {Object} request - La demande (voir request)
+     * @param {Actor|null} merchant - Le marchand
+     * @param {Actor|null} hero - Le héros
+     * @returns {Object} - { action, merchant, hero, item, quantity, price }
+     * @private
+     */
+    static _resolve(request, merchant, hero) {
+        const trade = {action: request.action, merchant, hero, quantity: Math.floor(Number(request.quantity) || 0), price: 0};
+        const owner = request.action === "buy" ? merchant : hero;
+        trade.item = owner?.items.get(request.itemId) ?? null;
+        if (!trade.item || !merchant?.system.getSellPrice) return trade;
+
+        const unitPrice = request.action === "buy"
+            ? merchant.system.getSellPrice(trade.item, hero)
+            : merchant.system.getBuyPrice(trade.item, hero);
+        trade.price = unitPrice * trade.quantity;
+        return trade;
+    }
+
+    /**
+     * Transfère des unités d'un objet d'un acteur à un autre
+     * L'objet reçu n'est ni équipé ni rangé, et s'empile sur un objet identique déjà présent.
+     * @param {Item} item - L'objet cédé
+     * @param {Actor} source - L'acteur qui cède l'objet
+     * @param {Actor} target - L'acteur qui le reçoit
+     * @param {number} quantity - Le nombre d'unités
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _transferItem(item, source, target, quantity) {
+        const stackable = item.system.quantity !== undefined;
+        const stack = stackable ? target.items.find(other => (other.type === item.type) && (other.name === item.name)
+            && (other.system.price === item.system.price) && !other.system.container && !other.system.slot && !other.system.equipped) : null;
+
+        if (stack) {
+            await stack.update({"system.quantity": stack.system.quantity + quantity});
+        } else {
+            const itemData = item.toObject();
+            delete itemData._id;
+            if (stackable) itemData.system.quantity = quantity;
+            for (const [key, value] of [["container", ""], ["slot", ""], ["equipped", false]]) {
+                if (key in itemData.system) itemData.system[key] = value;
+            }
+            await target.createEmbeddedDocuments("Item", [itemData]);
+        }
+
+        if (stackable && (quantity < item.system.quantity)) {
+            await item.update({"system.quantity": item.system.quantity - quantity});
+            return;
+        }
+        // Le contenu d'un contenant cédé revient sur son ancien propriétaire
+        if (item.type === "container") {
+            const updates = item.system.contents.map(content => ({_id: content.id, "system.container": ""}));
+            if (updates.length) await source.updateEmbeddedDocuments("Item", updates);
+        }
+        await item.delete();
+    }
+
+    /**
+     * Rend le HTML de la ligne de chat d'une transaction
+     * @param {Object} log - La transaction
+     * @returns {Promise<string>} - Le HTML
+     * @private
+     */
+    static _renderLog(log) {
+        const verbs = log.loot ? {buy: "prend", sell: "dépose"} : {buy: "achète", sell: "vend"};
+        return foundry.applications.handlebars.renderTemplate("systems/voidHorizon/templates/chat/merchant-trade.html", {
+            ...log,
+            verb: verbs[log.action],
+            preposition: log.loot ? "dans" : "à",
+            priceLabel: log.price ? formatAmount(log.price) : ""
+        });
+    }
+
+    /**
+     * Reçoit les transactions transmises par les joueurs (MJ actif uniquement)
+     * @param {Object} data - Les données du socket
+     * @param {string} userId - L'utilisateur émetteur
+     * @private
+     */
+    static _onSocketMessage(data, userId) {
+        if (data?.action !== "merchantTrade" || !game.users.activeGM?.isSelf) return;
+        this.execute(data.request, userId);
+    }
+}
@@ -0,0 +1,274 @@
+import {voidHorizon} from "../config.js";
+import DamageApplication from "./damage-application.js";
+import VoidCombatant from "../combat/combatant.js";
+import {queueMessageUpdate} from "../message-queue.js";
+
+const SOCKET = "system.voidHorizon";
+
+/**
+ * Attaque opposée
+ * Une attaque lancée contre des jetons ciblés publie une carte de défense : chaque défenseur choisit
+ * Esquive, Blocage ou Parade (les jets de protection de sa fiche), puis la carte compare les totaux,
+ * tient compte des critiques et annonce les dégâts qui passent la résistance et l'armure du défenseur.
+ */
+export default class OpposedAttack {
+
+    /**
+     * Enregistre les hooks (carte de chat, socket)
+     */
+    static registerHooks() {
+        Hooks.on("renderChatMessageHTML", this._onRenderChatMessage.bind(this));
+        Hooks.once("ready", () => game.socket.on(SOCKET, this._onSocketMessage.bind(this)));
+    }
+
+    /**
+     * Critique d'un jet évalué
+     * @param {Roll} roll - Le jet
+     * @returns {string} - "success", "failure" ou ""
+     */
+    static getCritical(roll) {
+        if (roll.isCriticalSuccess) return "success";
+        if (roll.isCriticalFailure) return "failure";
+        return "";
+    }
+
+    /**
+     * Publie la carte de défense d'une attaque contre les jetons ciblés par l'utilisateur
+     * Sans cible, l'attaque reste un simple jet.
+     * @param {Actor} attacker - L'attaquant
+     * @param {Roll} roll - Le jet d'attaque évalué
+     * @param {string} attackName - Le nom de l'arme ou de l'attaque
+     * @param {Object} [options] - Options de l'attaque
+     * @param {string|null} [options.nature] - Nature des dégâts
+     * @returns {Promise<ChatMessage|undefined>}
+     */
+    static async create(attacker, roll, attackName, {nature = null} = {}) {
+        const targets = [...game.user.targets].filter(token => token.actor);
+        if (!targets.length) return;
+
+        const attack = {
+            attacker: attacker.name,
+            name: attackName,
+            nature,
+            total: roll.total,
+            critical: this.getCritical(roll),
+            defenders: targets.map(token => ({
+                tokenUuid: token.document.uuid,
+                actorUuid: token.actor.uuid,
+                name: token.name,
+                defense: null,
+                result: null
+            }))
+        };
+
+        // Un échec critique de l'attaque n'appelle aucune défense
+        if (attack.critical === "failure") {
+            for (const defender of attack.defenders) defender.result = this.resolve(attack, null);
+        }
+
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({actor: attacker}),
+            content: await this._renderCard(attack),
+            flags: {voidHorizon: {opposedAttack: attack}}
+        });
+    }
+
+    /**
+     * Compare l'attaque et la défense
+     * Un échec critique de l'attaque ou une réussite critique de la défense l'emportent toujours,
+     * puis une réussite critique de l'attaque ou un échec critique de la défense ; sinon le plus
+     * haut total gagne et l'égalité profite au défenseur.
+     * @param {Object} attack - { total, critical }
+     * @param {Object|null} defense - { total, critical }
+     * @returns {{hit: boolean, label: string}} - Le résultat de l'opposition
+     */
+    static resolve(attack, defense) {
+        if (attack.critical === "failure") return {hit: false, label: "Échec critique de l'attaque"};
+        if (defense.critical === "success" && attack.critical !== "success") return {hit: false, label: "Défense critique"};
+        if (attack.critical === "success" && defense.critical !== "success") return {hit: true, label: "Attaque critique"};
+        if (defense.critical === "failure") return {hit: true, label: "Échec critique de la défense"};
+        return attack.total > defense.total
+            ? {hit: true, label: "Touché"}
+            : {hit: false, label: "Défendu"};
+    }
+
+    /**
+     * Enregistre la défense d'un défenseur et résout l'opposition
+     * Seul le MJ peut modifier la carte : les joueurs lui transmettent leur défense par le socket.
+     * @param {string} messageId - La carte de défense
+     * @param {number} index - L'index du défenseur
+     * @param {Object} defense - { action, label, total, critical, rollMode }
+     * @param {string} [userId] - L'utilisateur qui s'est défendu, l'utilisateur courant par défaut
+     * @returns {Promise<void>}
+     */
+    static async recordDefense(messageId, index, defense, userId = game.user.id) {
+        if (!game.user.isGM) {
+            if (!game.users.activeGM) ui.notifications.warn("Aucun MJ connecté : la défense n'apparaîtra pas dans la carte d'attaque");
+            game.socket.emit(SOCKET, {action: "opposedDefense", messageId, index, defense});
+            return;
+        }
+
+        // Les défenses d'une même carte s'enregistrent l'une après l'autre
+        return queueMessageUpdate(messageId, async () => {
+            const message = game.messages.get(messageId);
+            const attack = foundry.utils.deepClone(message?.getFlag("voidHorizon", "opposedAttack"));
+            const defender = attack?.defenders[index];
+            // Une défense enregistrée ne se rejoue pas
+            if (!defender || defender.defense || defender.result) return;
+
+            // Seul un propriétaire du défenseur peut se défendre
+            const actor = await fromUuid(defender.actorUuid);
+            const user = game.users.get(userId);
+            if (!actor || !user || !actor.testUserPermission(user, "OWNER")) return;
+
+            defender.defense = defense;
+            defender.result = this.resolve(attack, defense);
+
+            // Dégâts qui passent la résistance du défenseur, ajustés par la nature face à son armure
+            if (defender.result.hit) {
+                const damage = actor?.system.computeDamage?.(attack.total, {nature: attack.nature});
+                defender.result.damage = damage?.damage ?? null;
+                defender.result.natureModifier = damage?.natureModifier ?? 0;
+            }
+
+            await message.update({
+                content: await this._renderCard(attack),
+                "flags.voidHorizon.opposedAttack": attack
+            });
+        });
+    }
+
+    /**
+     * Le total d'une défense est-il caché sur la carte publique ?
+     * Un jet privé, aveugle ou personnel ne montre son total qu'à ceux qui verraient son message.
+     * @param {Object|null} defense - La défense
+     * @returns {boolean}
+     */
+    static isDefenseHidden(defense) {
+        const mode = defense?.rollMode;
+        return !!mode && (mode !== CONST.DICE_ROLL_MODES.PUBLIC);
+    }
+
+    /**
+     * L'utilisateur courant peut-il voir le total d'une défense ?
+     * @param {Object} defender - Le défenseur
+     * @returns {boolean}
+     * @private
+     */
+    static _canSeeDefense(defender) {
+        if (!this.isDefenseHidden(defender.defense) || game.user.isGM) return true;
+        // Un jet aveugle n'est visible que du MJ
+        if (defender.defense.rollMode === CONST.DICE_ROLL_MODES.BLIND) return false;
+        return !!fromUuidSync(defender.actorUuid)?.isOwner;
+    }
+
+    /**
+     * Rend le HTML de la carte de défense
+     * @param {Object} attack - L'attaque
+     * @returns {Promise<string>} - Le HTML
+     * @private
+     */
+    static _renderCard(attack) {
+        return foundry.applications.handlebars.renderTemplate("systems/voidHorizon/templates/chat/opposed-attack.html", {
+            ...attack,
+            defenders: attack.defenders.map(defender => ({...defender, hidden: this.isDefenseHidden(defender.defense)})),
+            criticalLabel: {success: "Réussite critique", failure: "Échec critique"}[attack.critical] ?? "",
+            natureLabel: voidHorizon.damageNatures[attack.nature] ?? "",
+            actions: Object.fromEntries(Object.entries(voidHorizon.protectionActions).map(([key, action]) => [key, action.label]))
+        });
+    }
+
+    /**
+     * Lance la défense choisie depuis la fiche du défenseur
+     * @param {Event} event - L'événement de clic
+     * @param {ChatMessage} message - La carte de défense
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _onDefendClick(event, message) {
+        event.preventDefault();
+        const {index, action} = event.currentTarget.dataset;
+        const attack = message.getFlag("voidHorizon", "opposedAttack");
+        const defender = attack?.defenders[index];
+        const actor = defender ? fromUuidSync(defender.actorUuid) : null;
+        if (!actor?.isOwner) return;
+
+        if (typeof actor.sheet?.rollRequestedTest !== "function") {
+            ui.notifications.warn(`${actor.name} ne peut pas se défendre`);
+            return;
+        }
+
+        // En combat, la défense consomme une réaction du tour
+        const combatant = VoidCombatant.forActor(actor);
+        if (combatant && !combatant.canUse(action)) return;
+
+        // La difficulté du jet de défense est le total de l'attaque
+        const roll = await actor.sheet.rollRequestedTest(event, action, {difficulty: attack.total});
+        if (!roll) return;
+        await combatant?.consume(action);
+
+        await this.recordDefense(message.id, Number(index), {
+            action,
+            label: voidHorizon.protectionActions[action]?.label ?? action,
+            total: roll.total,
+            critical: this.getCritical(roll),
+            rollMode: roll.options.rollMode ?? null
+        });
+    }
+
+    /**
+     * Active les boutons de défense pour les propriétaires des défenseurs,
+     * et l'application des dégâts pour le MJ et l'attaquant
+     * @param {ChatMessage} message - Le message rendu
+     * @param {HTMLElement} html - Le HTML du message
+     * @private
+     */
+    static _onRenderChatMessage(message, html) {
+        const attack = message.getFlag("voidHorizon", "opposedAttack");
+        if (!attack) return;
+
+        html.querySelectorAll(".defense-actions").forEach(element => {
+            const defender = attack.defenders[element.dataset.index];
+            const actor = defender ? fromUuidSync(defender.actorUuid) : null;
+            if (!actor?.isOwner) {
+                element.replaceWith(Object.assign(document.createElement("span"), {
+                    className: "defense-pending",
+                    textContent: "En attente de la défense"
+                }));
+                return;
+            }
+            element.querySelectorAll(".defend").forEach(button => {
+                button.addEventListener("click", event => this._onDefendClick(event, message));
+            });
+        });
+
+        // Les totaux des défenses cachées ne sont révélés qu'à ceux qui peuvent voir leur jet
+        html.querySelectorAll(".defense-total.masked").forEach(element => {
+            const defender = attack.defenders[element.dataset.index];
+            if (defender && this._canSeeDefense(defender)) element.textContent = defender.defense.total;
+        });
+
+        html.querySelectorAll(".opposed-apply-damage").forEach(button => {
+            if (!game.user.isGM && !message.isAuthor) {
+                button.remove();
+                return;
+            }
+            button.addEventListener("click", event => {
+                event.preventDefault();
+                const defender = attack.defenders[button.dataset.index];
+                if (defender) DamageApplication.request(message.id, [defender.tokenUuid]);
+            });
+        });
+    }
+
+    /**
+     * Reçoit les défenses transmises par les joueurs (MJ actif uniquement)
+     * @param {Object} data - Les données du socket
+     * @param {string} userId - L'utilisateur émetteur
+     * @private
+     */
+    static _onSocketMessage(data, userId) {
+        if (data?.action !== "opposedDefense" || !game.users.activeGM?.isSelf) return;
+        this.recordDefense(data.messageId, data.index, data.defense, userId);
+    }
+}
@@ -0,0 +1,262 @@
+import {voidHorizon} from "../config.js";
+import {getDefaultRules} from "../rules-tables.js";
+
+/**
+ * Édition des tables de règles du monde (MJ)
+ * Échelle des dés (degré, mana, libellé de chaque caractéristique), types d'armure, dés de qualité et
+ * actions et réactions de combat par classe.
+ * Les tables enregistrées dans le paramètre rulesTables remplacent celles de config.js.
+ */
+export default class RulesTablesConfig extends foundry.appv1.api.FormApplication {
+
+    /**
+     * Tables en cours d'édition, au format du formulaire (voir toForm)
+     * @type {Object|null}
+     * @private
+     */
+    _rules = null;
+
+    /** @override */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: "voidHorizon-rules-tables",
+            classes: ["voidHorizon", "voidhorizon-rules-tables"],
+            title: "Tables de règles",
+            template: "systems/voidHorizon/templates/apps/rules-tables.html",
+            width: 820,
+            height: "auto",
+            closeOnSubmit: false,
+            tabs: [{navSelector: ".tabs", contentSelector: ".rules-body", initial: "ladder"}]
+        });
+    }
+
+    /**
+     * Met des tables de règles au format du formulaire
+     * @param {Object} tables - Les tables, par clé de CONFIG.voidHorizon
+     * @returns {Object} - { ladder, armorTypes, quality, economy }
+     */
+    static toForm(tables) {
+        const stats = Object.keys(voidHorizon.characteristics);
+        const economy = tables.actionEconomy;
+        return {
+            ladder: Object.entries(tables.degrees).sort((a, b) => a[1] - b[1]).map(([dice, degree]) => ({
+                dice,
+                degree,
+                mana: tables.manaPerArcane[dice] ?? 0,
+                labels: Object.fromEntries(stats.map(stat => [stat, tables.degreeLabels[stat]?.[dice] ?? ""]))
+            })),
+            armorTypes: Object.entries(tables.armorTypes).map(([key, type]) => ({key, ...type})),
+            quality: Object.keys(tables.qualityRanks).map(rank => ({
+                rank,
+                label: tables.qualityRanks[rank],
+                dice: tables.qualityDice[rank] ?? ""
+            })),
+            // Une classe sans valeur propre reprend celle de la première ligne
+            economy: [
+                {key: "", label: "Toutes les classes", actions: economy.actions, reactions: {...economy.reactions}},
+                ...Object.entries(voidHorizon.heroClasses).map(([key, label]) => ({
+                    key,
+                    label,
+                    actions: economy.classes[key]?.actions ?? null,
+                    reactions: {...economy.classes[key]?.reactions}
+                }))
+            ]
+        };
+    }
+
+    /**
+     * Convertit le formulaire en tables de règles, après vérification
+     * @param {Object} form - { ladder, armorTypes, quality, economy }
+     * @returns {Object} - Les tables, par clé de CONFIG.voidHorizon
+     * @throws {Error} - Si une table est invalide
+     */
+    static fromForm({ladder, armorTypes, quality, economy}) {
+        const stats = Object.keys(voidHorizon.characteristics);
+        const rules = {
+            degrees: {},
+            degreeLabels: Object.fromEntries(stats.map(stat => [stat, {}])),
+            manaPerArcane: {},
+            armorTypes: {},
+            qualityRanks: {},
+            qualityDice: {},
+            actionEconomy: {classes: {}}
+        };
+
+        if (!ladder.length) throw new Error("L'échelle des dés doit compter au moins un degré");
+        for (const tier of [...ladder].sort((a, b) => a.degree - b.degree)) {
+            const dice = String(tier.dice ?? "").trim();
+            if (!/^\d+d\d+$/.test(dice)) throw new Error(`« ${dice} » n'est pas un dé de caractéristique valide (ex: 8d4)`);
+            if (dice in rules.degrees) throw new Error(`Le dé ${dice} apparaît deux fois dans l'échelle`);
+            if (!Number.isInteger(tier.degree) || (tier.degree < 1)) throw new Error(`Le degré de ${dice} doit être un entier positif`);
+
+            rules.degrees[dice] = tier.degree;
+            rules.manaPerArcane[dice] = tier.mana || 0;
+            for (const stat of stats) rules.degreeLabels[stat][dice] = tier.labels?.[stat]?.trim() || dice;
+        }
+
+        for (const {key, ...type} of armorTypes) rules.armorTypes[key] = type;
+
+        for (const {rank, label, dice} of quality) {
+            if (!Roll.validate(dice)) throw new Error(`« ${dice} » n'est pas un dé de qualité valide`);
+            rules.qualityRanks[rank] = label;
+            rules.qualityDice[rank] = dice;
+        }
+
+        const [base, ...classes] = economy;
+        const count = (value, label, required) => {
+            if ((value === null) || (value === undefined) || (value === "")) {
+                if (required) throw new Error(`${label} : un nombre est requis`);
+                return undefined;
+            }
+            if (!Number.isInteger(value) || (value < 0)) throw new Error(`${label} : le nombre doit être un entier positif ou nul`);
+            return value;
+        };
+        const actions = Object.keys(voidHorizon.protectionActions);
+        rules.actionEconomy.actions = count(base.actions, "Actions", true);
+        rules.actionEconomy.reactions = Object.fromEntries(actions.map(action => [
+            action, count(base.reactions?.[action], voidHorizon.protectionActions[action].label, true)
+        ]));
+        for (const {key, label, actions: classActions, reactions} of classes) {
+            const limits = {};
+            const value = count(classActions, `${label}, actions`, false);
+            if (value !== undefined) limits.actions = value;
+            for (const action of actions) {
+                const reaction = count(reactions?.[action], `${label}, ${voidHorizon.protectionActions[action].label}`, false);
+                if (reaction !== undefined) (limits.reactions ??= {})[action] = reaction;
+            }
+            if (!foundry.utils.isEmpty(limits)) rules.actionEconomy.classes[key] = limits;
+        }
+        return rules;
+    }
+
+    /**
+     * Acteurs, jetons non liés et sorts qui utilisent encore l'un de ces dés de l'échelle
+     * @param {string[]} dice - Les dés (ex: ["7d4"])
+     * @returns {string[]} - Leurs noms
+     */
+    static getDiceUsers(dice) {
+        if (!dice.length) return [];
+        const stats = Object.keys(voidHorizon.characteristics);
+        const usesDice = actor => stats.some(stat => dice.includes(actor.system[stat]?.value));
+        const usesSpell = item => (item.type === "spell") && dice.includes(item.system.arcane);
+
+        const users = new Set();
+        const actors = [
+            ...game.actors,
+            ...game.scenes.contents.flatMap(scene => scene.tokens.filter(token => !token.actorLink && token.actor).map(token => token.actor))
+        ];
+        for (const actor of actors) {
+            if (usesDice(actor) || actor.items.some(usesSpell)) users.add(actor.name);
+        }
+        for (const item of game.items) {
+            if (usesSpell(item)) users.add(item.name);
+        }
+        return [...users];
+    }
+
+    /** @override */
+    getData(options) {
+        this._rules ??= this.constructor.toForm(voidHorizon);
+        return {
+            ...this._rules,
+            stats: voidHorizon.characteristics,
+            reactions: Object.fromEntries(Object.entries(voidHorizon.protectionActions).map(([key, action]) => [key, action.label]))
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+        html.find(".rules-tier-add").click(this._onAddTier.bind(this));
+        html.find(".rules-tier-delete").click(this._onDeleteTier.bind(this));
+        html.find(".rules-reset").click(this._onReset.bind(this));
+    }
+
+    /**
+     * Lit les tables saisies dans le formulaire
+     * @param {Object} [formData] - Les données aplaties du formulaire, lues depuis le DOM par défaut
+     * @returns {Object} - { ladder, armorTypes, quality, economy }
+     * @private
+     */
+    _readForm(formData = this._getSubmitData()) {
+        const data = foundry.utils.expandObject(formData);
+        return {
+            ladder: Object.values(data.ladder ?? {}),
+            armorTypes: Object.values(data.armorTypes ?? {}),
+            quality: Object.values(data.quality ?? {}),
+            economy: Object.values(data.economy ?? {})
+        };
+    }
+
+    /**
+     * Ajoute un degré en haut de l'échelle (ex: 8d4 après 7d4)
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    _onAddTier(event) {
+        event.preventDefault();
+        this._rules = this._readForm();
+        const last = this._rules.ladder.at(-1);
+        const degree = (last?.degree ?? 0) + 1;
+        this._rules.ladder.push({
+            dice: `${degree + 1}d4`,
+            degree,
+            mana: (last?.mana ?? 0) + 2,
+            labels: Object.fromEntries(Object.keys(voidHorizon.characteristics).map(stat => [stat, ""]))
+        });
+        this.render();
+    }
+
+    /**
+     * Retire un degré de l'échelle
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    _onDeleteTier(event) {
+        event.preventDefault();
+        this._rules = this._readForm();
+        const index = Number(event.currentTarget.dataset.index);
+        const dice = this._rules.ladder[index]?.dice;
+        const users = this.constructor.getDiceUsers([dice]);
+        if (users.length) {
+            ui.notifications.warn(`Le dé ${dice} est encore utilisé par : ${users.join(", ")}`);
+            return;
+        }
+        this._rules.ladder.splice(index, 1);
+        this.render();
+    }
+
+    /**
+     * Remet les tables de config.js dans le formulaire (enregistrées à la validation)
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onReset(event) {
+        event.preventDefault();
+        const confirmed = await Dialog.confirm({
+            title: "Tables de règles",
+            content: "<p>Revenir aux tables par défaut du système ?</p>"
+        });
+        if (!confirmed) return;
+        this._rules = this.constructor.toForm(getDefaultRules());
+        this.render();
+    }
+
+    /** @override */
+    async _updateObject(event, formData) {
+        let rules;
+        try {
+            rules = this.constructor.fromForm(this._readForm(formData));
+            // Un dé retiré ou renommé ramènerait ses utilisateurs à la valeur par défaut au prochain chargement
+            const removed = Object.keys(voidHorizon.degrees).filter(dice => !(dice in rules.degrees));
+            const users = this.constructor.getDiceUsers(removed);
+            if (users.length) throw new Error(`Les dés ${removed.join(", ")} sont encore utilisés par : ${users.join(", ")}`);
+        } catch (err) {
+            ui.notifications.error(err.message);
+            return;
+        }
+        await game.settings.set("voidHorizon", "rulesTables", rules);
+        ui.notifications.info("Tables de règles enregistrées");
+        return this.close();
+    }
+}
@@ -0,0 +1,312 @@
+import {voidHorizon} from "../config.js";
+import VoidRoll from "../dice/void-roll.js";
+import VHLogger from "../logger.js";
+import {queueMessageUpdate} from "../message-queue.js";
+
+const SOCKET = "system.voidHorizon";
+
+/**
+ * Demande de test du MJ
+ * Le MJ choisit des héros, un test (caractéristique ou protection), une contrainte Safe/Unsafe
+ * et une difficulté ; une carte de chat propose à chaque propriétaire de lancer son test
+ * depuis la logique de la fiche de héros, et rassemble les résultats au fil des jets.
+ */
+export default class TestRequest {
+
+    /**
+     * Enregistre les hooks (contrôles de jeton, commande /test, carte de chat, socket)
+     */
+    static registerHooks() {
+        Hooks.on("getSceneControlButtons", this._onGetSceneControlButtons.bind(this));
+        Hooks.on("chatMessage", this._onChatMessage.bind(this));
+        Hooks.on("renderChatMessageHTML", this._onRenderChatMessage.bind(this));
+        Hooks.once("ready", () => game.socket.on(SOCKET, this._onSocketMessage.bind(this)));
+    }
+
+    /**
+     * Libellé d'un test (caractéristique ou action de protection)
+     * @param {string} test - Le test
+     * @returns {string} - Le libellé
+     */
+    static getTestLabel(test) {
+        return voidHorizon.characteristics[test] ?? voidHorizon.protectionActions[test]?.label ?? test;
+    }
+
+    /**
+     * Ouvre la fenêtre de demande de test (MJ uniquement)
+     * @param {Object} [options]
+     * @param {string[]} [options.actorIds] - Acteurs cochés (ex: depuis l'en-tête d'une fiche), ajoutés à la liste des héros
+     * @returns {Promise<void>}
+     */
+    static async openDialog({actorIds = []} = {}) {
+        if (!game.user.isGM) return;
+
+        const actors = game.actors.filter(actor => (actor.type === "heros") || actorIds.includes(actor.id));
+        const controlled = new Set(canvas.tokens?.controlled.map(token => token.actor?.id) ?? []);
+        const content = await foundry.applications.handlebars.renderTemplate("systems/voidHorizon/templates/dialogs/test-request.html", {
+            actors: actors.map(actor => ({
+                id: actor.id,
+                name: actor.name,
+                // Acteurs demandés, sinon jetons sélectionnés, sinon tous les héros des joueurs
+                checked: actorIds.length ? actorIds.includes(actor.id)
+                    : (controlled.size ? controlled.has(actor.id) : actor.hasPlayerOwner)
+            })),
+            characteristics: voidHorizon.characteristics,
+            protections: Object.fromEntries(Object.entries(voidHorizon.protectionActions).map(([key, action]) => [key, action.label]))
+        });
+
+        new Dialog({
+            title: "Demander un test",
+            content,
+            buttons: {
+                request: {
+                    icon: '<i class="fas fa-paper-plane"></i>',
+                    label: "Demander",
+                    callback: html => {
+                        const form = html[0].querySelector("form");
+                        const difficulty = parseInt(form.difficulty.value);
+                        return this.create({
+                            actorIds: [...form.querySelectorAll('input[name="actors"]:checked')].map(input => input.value),
+                            test: form.test.value,
+                            mode: form.mode.value || null,
+                            difficulty: Number.isFinite(difficulty) ? difficulty : null
+                        });
+                    }
+                },
+                cancel: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: "Annuler"
+                }
+            },
+            default: "request"
+        }).render(true);
+    }
+
+    /**
+     * Publie la carte de demande de test dans le chat
+     * @param {Object} request - La demande
+     * @param {string[]} request.actorIds - Les héros concernés
+     * @param {string} request.test - Une caractéristique ou une action de protection
+     * @param {string|null} [request.mode] - Mode imposé ("safe" ou "unsafe"), libre si null
+     * @param {number|null} [request.difficulty] - Difficulté à atteindre
+     * @returns {Promise<ChatMessage|undefined>}
+     */
+    static async create({actorIds, test, mode = null, difficulty = null}) {
+        const actors = actorIds.map(id => game.actors.get(id)).filter(actor => actor);
+        if (!actors.length) {
+            ui.notifications.warn("Aucun héros sélectionné pour le test");
+            return;
+        }
+
+        // Les protections sont toujours lancées en Unsafe
+        if (test in voidHorizon.protectionActions) mode = "unsafe";
+
+        const request = {
+            test,
+            mode,
+            difficulty,
+            actors: actors.map(actor => ({id: actor.id, name: actor.name, result: null}))
+        };
+
+        return ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({alias: "MJ"}),
+            content: await this._renderCard(request),
+            flags: {voidHorizon: {testRequest: request}}
+        });
+    }
+
+    /**
+     * Enregistre le résultat d'un héros dans la carte de demande
+     * Seul le MJ peut modifier la carte : les joueurs lui transmettent leur jet par le socket, et le MJ
+     * en déduit lui-même le résultat face au mode et à la difficulté de la demande.
+     * @param {string} messageId - La carte de demande
+     * @param {string} actorId - Le héros
+     * @param {VoidRoll|Object} roll - Le jet évalué, ou ses données
+     * @param {string} [userId] - L'utilisateur qui a lancé le test, l'utilisateur courant par défaut
+     * @returns {Promise<void>}
+     */
+    static async recordResult(messageId, actorId, roll, userId = game.user.id) {
+        if (!game.user.isGM) {
+            if (!game.users.activeGM) ui.notifications.warn("Aucun MJ connecté : le résultat n'apparaîtra pas dans la demande de test");
+            game.socket.emit(SOCKET, {action: "testRequestResult", messageId, actorId, roll: roll.toJSON()});
+            return;
+        }
+
+        // Les réponses d'une même carte s'enregistrent l'une après l'autre
+        return queueMessageUpdate(messageId, async () => {
+            const message = game.messages.get(messageId);
+            const request = foundry.utils.deepClone(message?.getFlag("voidHorizon", "testRequest"));
+            const entry = request?.actors.find(actor => actor.id === actorId);
+            // Un résultat enregistré ne se relance pas
+            if (!entry || entry.result) return;
+
+            // Seul un propriétaire du héros peut enregistrer son résultat
+            const actor = game.actors.get(actorId);
+            const user = game.users.get(userId);
+            if (!actor || !user || !actor.testUserPermission(user, "OWNER")) return;
+
+            const result = this._getResult(request, roll);
+            if (!result) {
+                VHLogger.warn("rolls", `Résultat refusé pour ${actor.name} : le jet ne respecte pas la demande de test`);
+                return;
+            }
+
+            entry.result = result;
+            await message.update({
+                content: await this._renderCard(request),
+                "flags.voidHorizon.testRequest": request
+            });
+        });
+    }
+
+    /**
+     * Résultat d'un jet face à la demande
+     * Le mode imposé doit être respecté et la difficulté est celle de la demande, pas celle du jet.
+     * @param {Object} request - La demande
+     * @param {VoidRoll|Object} data - Le jet évalué, ou ses données
+     * @returns {{total: number, label: string, outcome: string}|null} - null si le jet n'est pas recevable
+     * @private
+     */
+    static _getResult(request, data) {
+        let roll;
+        try {
+            roll = (data instanceof Roll) ? data : Roll.fromData(data);
+        } catch (error) {
+            return null;
+        }
+        if (!(roll instanceof VoidRoll) || !roll._evaluated) return null;
+        if (request.mode && (roll.options.mode !== request.mode)) return null;
+
+        roll.options.difficulty = request.difficulty;
+        const outcome = roll.outcome;
+        let label = roll.outcomeLabel;
+        if (!label && roll.isCriticalSuccess) label = "Réussite critique";
+        if (!label && roll.isCriticalFailure) label = "Échec critique";
+
+        return {
+            total: roll.total,
+            label,
+            outcome: outcome ? (outcome.success ? "success" : "failure") : ""
+        };
+    }
+
+    /**
+     * Rend le HTML de la carte de demande
+     * @param {Object} request - La demande
+     * @returns {Promise<string>} - Le HTML
+     * @private
+     */
+    static _renderCard(request) {
+        return foundry.applications.handlebars.renderTemplate("systems/voidHorizon/templates/chat/test-request.html", {
+            ...request,
+            testLabel: this.getTestLabel(request.test),
+            modeLabel: {safe: "Safe", unsafe: "Unsafe"}[request.mode] ?? "",
+            hasDifficulty: request.difficulty !== null
+        });
+    }
+
+    /**
+     * Lance le test d'un héros depuis la carte de demande
+     * @param {Event} event - L'événement de clic
+     * @param {ChatMessage} message - La carte de demande
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _onRollClick(event, message) {
+        event.preventDefault();
+        const request = message.getFlag("voidHorizon", "testRequest");
+        const actor = game.actors.get(event.currentTarget.dataset.actorId);
+        if (!request || !actor?.isOwner) return;
+        if (request.actors.find(entry => entry.id === actor.id)?.result) {
+            ui.notifications.warn(`${actor.name} a déjà lancé ce test`);
+            return;
+        }
+
+        if (typeof actor.sheet?.rollRequestedTest !== "function") {
+            ui.notifications.warn(`${actor.name} ne peut pas lancer ce test`);
+            return;
+        }
+
+        const roll = await actor.sheet.rollRequestedTest(event, request.test, {
+            mode: request.mode,
+            difficulty: request.difficulty
+        });
+        if (!roll) return;
+
+        await this.recordResult(message.id, actor.id, roll);
+    }
+
+    /**
+     * Ajoute le bouton de demande de test aux contrôles des jetons (MJ uniquement)
+     * @param {Object[]|Object} controls - Les contrôles de la scène
+     * @private
+     */
+    static _onGetSceneControlButtons(controls) {
+        if (!game.user.isGM) return;
+
+        const tool = {
+            name: "voidHorizonTestRequest",
+            title: "Demander un test",
+            icon: "fas fa-dice-d20",
+            button: true
+        };
+
+        // Les contrôles sont un tableau jusqu'à la v12, un objet indexé depuis la v13
+        if (Array.isArray(controls)) {
+            controls.find(control => control.name === "token")?.tools.push({...tool, onClick: () => this.openDialog()});
+        } else if (controls.tokens) {
+            controls.tokens.tools[tool.name] = {
+                ...tool,
+                order: Object.keys(controls.tokens.tools).length,
+                onChange: () => this.openDialog()
+            };
+        }
+    }
+
+    /**
+     * Commande de chat /test pour ouvrir la demande de test
+     * @param {ChatLog} chatLog - Le journal de chat
+     * @param {string} content - Le message saisi
+     * @returns {boolean|void} - false pour ne pas publier le message
+     * @private
+     */
+    static _onChatMessage(chatLog, content) {
+        if (content.trim() !== "/test") return;
+        if (game.user.isGM) this.openDialog();
+        else ui.notifications.warn("Seul le MJ peut demander un test");
+        return false;
+    }
+
+    /**
+     * Active les boutons de la carte de demande pour les propriétaires des héros
+     * @param {ChatMessage} message - Le message rendu
+     * @param {HTMLElement} html - Le HTML du message
+     * @private
+     */
+    static _onRenderChatMessage(message, html) {
+        if (!message.getFlag("voidHorizon", "testRequest")) return;
+
+        html.querySelectorAll(".request-roll").forEach(button => {
+            const actor = game.actors.get(button.dataset.actorId);
+            if (!actor?.isOwner) {
+                button.replaceWith(Object.assign(document.createElement("span"), {
+                    className: "request-pending",
+                    textContent: "En attente"
+                }));
+                return;
+            }
+            button.addEventListener("click", event => this._onRollClick(event, message));
+        });
+    }
+
+    /**
+     * Reçoit les résultats transmis par les joueurs (MJ actif uniquement)
+     * @param {Object} data - Les données du socket
+     * @param {string} userId - L'utilisateur émetteur
+     * @private
+     */
+    static _onSocketMessage(data, userId) {
+        if (data?.action !== "testRequestResult" || !game.users.activeGM?.isSelf) return;
+        this.recordResult(data.messageId, data.actorId, data.roll, userId);
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Combat voidHorizon
+ * Trie les combattants par initiative puis par degré de la caractéristique d'initiative,
+ * et gère le début et la fin des tours : actions et réactions rendues, effets expirés retirés.
+ * Les hooks "voidHorizon.startTurn" et "voidHorizon.endTurn" permettent d'y ajouter d'autres règles.
+ */
+export default class VoidCombat extends Combat {
+
+    /**
+     * Enregistre les hooks (menu contextuel du suivi de combat)
+     */
+    static registerHooks() {
+        // Le hook du menu contextuel a été renommé en v13
+        Hooks.on("getCombatTrackerEntryContext", this._onGetEntryContext.bind(this));
+        Hooks.on("getCombatantContextOptions", this._onGetEntryContext.bind(this));
+
+        // Affichage des actions et réactions restantes
+        Hooks.on("renderTokenHUD", this._onRenderTokenHUD.bind(this));
+        Hooks.on("updateCombatant", combatant => this._refreshEconomy([combatant]));
+        Hooks.on("updateCombat", combat => this._refreshEconomy(combat.combatants));
+        Hooks.on("deleteCombat", combat => this._refreshEconomy(combat.combatants));
+    }
+
+    /**
+     * Lance l'initiative de combattants
+     * @param {string|string[]} ids - Les combattants
+     * @param {Object} [options] - Options du jet (voir Combat#rollInitiative)
+     * @param {string|null} [options.mode] - Mode du test ("safe" ou "unsafe"), paramètre du monde si null
+     * @returns {Promise<VoidCombat>}
+     * @override
+     */
+    async rollInitiative(ids, {mode = null, ...options} = {}) {
+        this._initiativeMode = mode;
+        try {
+            return await super.rollInitiative(ids, options);
+        } finally {
+            this._initiativeMode = null;
+        }
+    }
+
+    /**
+     * Les égalités d'initiative sont départagées par le degré de la caractéristique d'initiative
+     * @override
+     */
+    _sortCombatants(a, b) {
+        const ia = Number.isNumeric(a.initiative) ? a.initiative : -Infinity;
+        const ib = Number.isNumeric(b.initiative) ? b.initiative : -Infinity;
+        return (ib - ia)
+            || ((b.initiativeDegree ?? 0) - (a.initiativeDegree ?? 0))
+            || (a.id > b.id ? 1 : -1);
+    }
+
+    /** @override */
+    async _onStartTurn(combatant, ...args) {
+        await super._onStartTurn(combatant, ...args);
+        if (!combatant) return;
+
+        await combatant.resetEconomy?.();
+        await this._deleteExpiredEffects(combatant.actor);
+        Hooks.callAll("voidHorizon.startTurn", this, combatant);
+    }
+
+    /** @override */
+    async _onEndTurn(combatant, ...args) {
+        await super._onEndTurn(combatant, ...args);
+        if (combatant) Hooks.callAll("voidHorizon.endTurn", this, combatant);
+    }
+
+    /**
+     * Retire les effets temporaires arrivés au bout de leur durée
+     * @param {Actor} [actor] - L'acteur du combattant
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _deleteExpiredEffects(actor) {
+        if (!actor) return;
+        const expired = actor.effects.filter(effect => {
+            const remaining = effect.duration?.remaining;
+            return effect.isTemporary && (remaining !== null) && (remaining !== undefined) && (remaining <= 0);
+        });
+        if (expired.length) await actor.deleteEmbeddedDocuments("ActiveEffect", expired.map(effect => effect.id));
+    }
+
+    /**
+     * Ajoute au menu contextuel d'un combattant le jet d'initiative dans l'autre mode
+     * @param {jQuery|HTMLElement} html - Le suivi de combat
+     * @param {Object[]} options - Les entrées du menu
+     * @private
+     */
+    static _onGetEntryContext(html, options) {
+        const defaultMode = game.settings.get("voidHorizon", "initiativeMode");
+        const mode = defaultMode === "unsafe" ? "safe" : "unsafe";
+        const getCombatant = li => {
+            const element = li instanceof HTMLElement ? li : li[0];
+            return game.combat?.combatants.get(element?.dataset.combatantId);
+        };
+
+        options.push({
+            name: `Initiative ${mode === "unsafe" ? "Unsafe" : "Safe"}`,
+            icon: mode === "unsafe" ? '<i class="fas fa-skull-crossbones"></i>' : '<i class="fas fa-shield-alt"></i>',
+            condition: li => Boolean(getCombatant(li)?.isOwner),
+            callback: li => {
+                const combatant = getCombatant(li);
+                if (combatant) combatant.combat.rollInitiative([combatant.id], {mode});
+            }
+        });
+    }
+
+    /**
+     * Affiche les actions et réactions restantes dans le HUD du jeton
+     * @param {TokenHUD} hud - Le HUD
+     * @param {jQuery|HTMLElement} html - Le HTML du HUD
+     * @private
+     */
+    static _onRenderTokenHUD(hud, html) {
+        const combatant = CONFIG.Combatant.documentClass.forActor?.(hud.object?.actor);
+        if (!combatant) return;
+
+        const element = html instanceof HTMLElement ? html : html[0];
+        const economy = document.createElement("div");
+        economy.className = "voidhorizon-economy";
+        economy.innerHTML = combatant.economy
+            .map(entry => `<span class="economy-entry${entry.remaining ? "" : " exhausted"}">${entry.label} ${entry.remaining}/${entry.max}</span>`)
+            .join("");
+        element.querySelector(".col.right")?.append(economy);
+    }
+
+    /**
+     * Réaffiche les fiches et le HUD des combattants dont l'économie a pu changer
+     * @param {Iterable<Combatant>} combatants - Les combattants
+     * @private
+     */
+    static _refreshEconomy(combatants) {
+        for (const combatant of combatants) {
+            if (combatant.actor?.sheet?.rendered) combatant.actor.sheet.render(false);
+            if (combatant.token?.object?.hasActiveHUD) canvas.tokens.hud.render();
+        }
+    }
+}
@@ -0,0 +1,141 @@
+import {voidHorizon} from "../config.js";
+import VoidRoll from "../dice/void-roll.js";
+
+/**
+ * Combattant voidHorizon
+ * L'initiative est un test de la caractéristique choisie dans les paramètres (Agilité par défaut),
+ * lancé avec les bonus de la fiche : traits et malus d'armure des héros, bonus fixes des PNJ.
+ * Le combattant suit aussi les actions et réactions utilisées pendant son tour.
+ */
+export default class VoidCombatant extends Combatant {
+
+    /**
+     * Caractéristique testée pour l'initiative
+     * @returns {string}
+     */
+    static get initiativeStat() {
+        return game.settings.get("voidHorizon", "initiativeStat");
+    }
+
+    /**
+     * Formule d'initiative de Foundry : le dé de la caractéristique d'initiative, sans bonus
+     * Elle ne sert qu'aux jets que le système ne construit pas lui-même (formule imposée, acteur sans fiche de jet).
+     */
+    static applyInitiativeFormula() {
+        CONFIG.Combat.initiative.formula = `@${this.initiativeStat}.value`;
+    }
+
+    /**
+     * Degré de la caractéristique d'initiative, utilisé pour départager les égalités
+     * @returns {number}
+     */
+    get initiativeDegree() {
+        const dice = this.actor?.system[VoidCombatant.initiativeStat]?.value;
+        return voidHorizon.degrees[dice] ?? 0;
+    }
+
+    /**
+     * Jet d'initiative du combattant
+     * Le mode vient de la demande en cours (voir VoidCombat#rollInitiative), sinon du paramètre du monde.
+     * @param {string} [formula] - Formule imposée, lancée telle quelle
+     * @returns {Roll} - Le jet, non évalué
+     * @override
+     */
+    getInitiativeRoll(formula) {
+        if (formula || !this.actor?.system.getStatModifiers) return super.getInitiativeRoll(formula);
+        const mode = this.combat?._initiativeMode ?? game.settings.get("voidHorizon", "initiativeMode");
+        return VoidRoll.fromStat(this.actor, VoidCombatant.initiativeStat, mode);
+    }
+
+    /**
+     * Combattant d'un acteur dans le combat en cours
+     * @param {Actor} actor - L'acteur
+     * @returns {VoidCombatant|null} - null hors combat
+     */
+    static forActor(actor) {
+        const combat = game.combat;
+        if (!actor || !combat?.started) return null;
+        return combat.combatants.find(combatant => combatant.actor?.uuid === actor.uuid) ?? null;
+    }
+
+    /**
+     * Actions et réactions disponibles à chaque tour, selon la classe du héros
+     * @returns {Object} - Nombre d'utilisations indexé par clé ("action", "dodge", "block", "parade")
+     */
+    get economyLimits() {
+        const economy = voidHorizon.actionEconomy;
+        const classLimits = economy.classes[this.actor?.system.class?.value] ?? {};
+        return {
+            action: classLimits.actions ?? economy.actions,
+            ...economy.reactions,
+            ...classLimits.reactions
+        };
+    }
+
+    /**
+     * Actions et réactions utilisées depuis le début du tour (ex: { action: 1, parade: 1 })
+     * @returns {Object}
+     */
+    get economyUsed() {
+        return this.getFlag("voidHorizon", "economy") ?? {};
+    }
+
+    /**
+     * Utilisations restantes d'une action ou d'une réaction
+     * @param {string} key - "action" ou une action de protection
+     * @returns {number}
+     */
+    getRemaining(key) {
+        return Math.max(0, (this.economyLimits[key] ?? 0) - (this.economyUsed[key] ?? 0));
+    }
+
+    /**
+     * Économie du combattant pour l'affichage (HUD du jeton, fiche)
+     * @returns {Object[]} - { key, label, remaining, max }
+     */
+    get economy() {
+        return Object.entries(this.economyLimits).map(([key, max]) => ({
+            key,
+            label: key === "action" ? "Action" : voidHorizon.protectionActions[key]?.label ?? key,
+            remaining: this.getRemaining(key),
+            max
+        }));
+    }
+
+    /**
+     * Le combattant peut-il encore utiliser cette action ou réaction ce tour-ci
+     * @param {string} key - "action" ou une action de protection
+     * @param {Object} [options]
+     * @param {boolean} [options.notify=true] - Prévenir l'utilisateur si ce n'est plus possible
+     * @returns {boolean}
+     */
+    canUse(key, {notify = true} = {}) {
+        if (this.getRemaining(key) > 0) return true;
+        if (notify) {
+            const label = this.economy.find(entry => entry.key === key)?.label ?? key;
+            ui.notifications.warn(`${this.name} n'a plus de ${label} disponible ce tour-ci`);
+        }
+        return false;
+    }
+
+    /**
+     * Consomme une action ou une réaction
+     * @param {string} key - "action" ou une action de protection
+     * @returns {Promise<boolean>} - false s'il n'en reste plus
+     */
+    async consume(key) {
+        if (!this.canUse(key, {notify: false})) return false;
+        const used = this.economyUsed;
+        await this.setFlag("voidHorizon", "economy", {...used, [key]: (used[key] ?? 0) + 1});
+        return true;
+    }
+
+    /**
+     * Rend au combattant ses actions et réactions
+     * @returns {Promise<VoidCombatant|void>}
+     */
+    async resetEconomy() {
+        if (!Object.keys(this.economyUsed).length) return;
+        return this.unsetFlag("voidHorizon", "economy");
+    }
+}
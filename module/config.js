@@ -1,10 +1,365 @@
 export const voidHorizon = {};
 
-console.log("%c config.js init", "color : yellow")
-
 voidHorizon.moral = {
     1: "voidHorizon.moral.state1",
     2: "voidHorizon.moral.state2",
     3: "voidHorizon.moral.state3",
     4: "voidHorizon.moral.state4"
-}
\ No newline at end of file
+}
+
+/**
+ * Échelle des dés de caractéristique et degré correspondant
+ * Les tables de règles (échelle, libellés des degrés, mana, types d'armure, qualité) sont modifiables
+ * par monde depuis les paramètres du système (voir rules-tables.js).
+ */
+voidHorizon.degrees = {
+    "2d4": 1,
+    "3d4": 2,
+    "4d4": 3,
+    "5d4": 4,
+    "6d4": 5,
+    "7d4": 6
+};
+
+/**
+ * Libellé de chaque degré de l'échelle, par caractéristique
+ */
+voidHorizon.degreeLabels = {
+    martialite: {
+        "2d4": "Incompétent",
+        "3d4": "Combatif",
+        "4d4": "Soldat",
+        "5d4": "Expérimenté",
+        "6d4": "Vétéran",
+        "7d4": "Légende"
+    },
+    agilite: {
+        "2d4": "Gourd",
+        "3d4": "Raide",
+        "4d4": "Ordinaire",
+        "5d4": "Adroit",
+        "6d4": "Leste",
+        "7d4": "Félin"
+    },
+    acuite: {
+        "2d4": "Aveugle",
+        "3d4": "Distrait",
+        "4d4": "Alerte",
+        "5d4": "Vif",
+        "6d4": "Clairvoyant",
+        "7d4": "Fulgurant"
+    },
+    pimpance: {
+        "2d4": "Tâche",
+        "3d4": "Pas top",
+        "4d4": "Honnête",
+        "5d4": "Beau",
+        "6d4": "Splendide",
+        "7d4": "Ramirez"
+    },
+    // Rangs de l'échelle d'Arcane, aussi requis par les sorts
+    arcane: {
+        "2d4": "Insensible",
+        "3d4": "Éveillé",
+        "4d4": "Novice",
+        "5d4": "Initié",
+        "6d4": "Maître",
+        "7d4": "Archimage"
+    }
+};
+
+/**
+ * Types d'armure et leurs effets sur l'armure, la résistance, l'agilité et le mouvement
+ * Le malus de mouvement vaut movementSteps × le multiplicateur du malus d'armure (paramètre du monde) ;
+ * les malus ne s'appliquent que si le malus d'armure est activé (voir getArmorPenalties).
+ */
+voidHorizon.armorTypes = {
+    tissu: {
+        label: "Tissu",
+        armorBonus: 0,
+        resistanceBonus: 0,
+        agilityPenalty: 0,
+        martialitePenalty: 0,
+        movementSteps: 0
+    },
+    legere: {
+        label: "Légère",
+        armorBonus: 1,
+        resistanceBonus: 2,
+        agilityPenalty: 4,
+        martialitePenalty: 2,
+        movementSteps: 1
+    },
+    lourde: {
+        label: "Lourde",
+        armorBonus: 2,
+        resistanceBonus: 4,
+        agilityPenalty: 8,
+        martialitePenalty: 4,
+        movementSteps: 2
+    },
+    blindee: {
+        label: "Blindée",
+        armorBonus: 4,
+        resistanceBonus: 8,
+        agilityPenalty: 16,
+        martialitePenalty: 8,
+        movementSteps: 3
+    }
+};
+
+/**
+ * Tailles de bouclier
+ * qualityStep décale le dé de qualité lancé au Blocage, armorBonus ajoute des boucliers d'armure,
+ * les malus s'ajoutent à ceux de l'armure, et un bouclier à deux mains rend l'autre main inutilisable.
+ */
+voidHorizon.shieldSizes = {
+    petit: {label: "Petit", qualityStep: -1, armorBonus: 0, agilityPenalty: 0, movementPenalty: 0, twoHanded: false},
+    moyen: {label: "Moyen", qualityStep: 0, armorBonus: 0, agilityPenalty: 0, movementPenalty: 0, twoHanded: false},
+    grand: {label: "Grand", qualityStep: 1, armorBonus: 1, agilityPenalty: 2, movementPenalty: 0.5, twoHanded: false},
+    pavois: {label: "Pavois", qualityStep: 2, armorBonus: 2, agilityPenalty: 4, movementPenalty: 1.5, twoHanded: true}
+};
+
+/**
+ * Dégradation des armures
+ * Chaque bouclier d'armure brisé retire sa part de la résistance donnée par l'armure ; une armure
+ * dont tous les boucliers sont brisés ne donne plus que les bonus du palier inférieur (ses malus restent)
+ * jusqu'à sa réparation, un test de Martialité ou d'Acuité contre une difficulté, payé au forgeron.
+ */
+voidHorizon.armorDegradation = {
+    brokenTier: {
+        tissu: "tissu",
+        legere: "tissu",
+        lourde: "legere",
+        blindee: "lourde"
+    },
+    repair: {
+        stats: ["martialite", "acuite"],
+        difficulty: {tissu: 4, legere: 8, lourde: 12, blindee: 16},
+        cost: {tissu: 0, legere: 10, lourde: 25, blindee: 50}
+    }
+};
+
+/**
+ * Encombrement des héros
+ * Seuil de charge (kg) = base + degré de Martialité × perMartialite + Constitution × perConstitution.
+ * Le dernier palier dont le seuil × ratio est dépassé ajoute ses malus d'agilité et de mouvement
+ * à ceux de l'armure.
+ */
+voidHorizon.encumbrance = {
+    base: 5,
+    perMartialite: 5,
+    perConstitution: 2,
+    levels: [
+        {key: "leger", label: "Léger", ratio: 0, agilityPenalty: 0, movementPenalty: 0},
+        {key: "charge", label: "Chargé", ratio: 1, agilityPenalty: 2, movementPenalty: 1.5},
+        {key: "surcharge", label: "Surchargé", ratio: 1.5, agilityPenalty: 6, movementPenalty: 3}
+    ]
+};
+
+/**
+ * Contenants proposés à la création depuis l'inventaire (poids et capacité en kg)
+ */
+voidHorizon.containerPresets = {
+    sac: {label: "Sac à dos", weight: 1, capacity: 20},
+    bourse: {label: "Bourse de ceinture", weight: 0, capacity: 1}
+};
+
+/**
+ * Commerce avec les marchands
+ * Les taux sont des pourcentages du prix de base : le marchand vend à sellRate et rachète à buyRate.
+ * Le marchandage est un test de Pimpance : chaque degré de réussite fait gagner stepPercent au héros
+ * (et chaque degré d'échec le lui fait perdre), jusqu'à maxPercent ; un critique donne le maximum.
+ */
+voidHorizon.trade = {
+    sellRate: 100,
+    buyRate: 50,
+    haggle: {stat: "pimpance", difficulty: 10, stepPercent: 5, maxPercent: 25}
+};
+
+/**
+ * Modes d'un acteur marchand : boutique (achat et vente) ou butin (objets à prendre librement)
+ */
+voidHorizon.merchantModes = {
+    merchant: "Boutique",
+    loot: "Butin"
+};
+
+/**
+ * Natures de dégâts des armes et des attaques
+ */
+voidHorizon.damageNatures = {
+    contondant: "Contondant",
+    perforant: "Perforant",
+    tranchant: "Tranchant"
+};
+
+/**
+ * Interaction entre la nature des dégâts et le type d'armure de la cible
+ * La valeur s'ajoute aux dégâts qui passent la résistance : positive, la nature perce l'armure,
+ * négative, l'armure l'arrête mieux. Le type d'armure retenu est celui du palier effectif (armure brisée).
+ */
+voidHorizon.damageNatureMatrix = {
+    contondant: {tissu: 0, legere: 0, lourde: 2, blindee: 4},
+    perforant: {tissu: 0, legere: 2, lourde: 1, blindee: -2},
+    tranchant: {tissu: 2, legere: 0, lourde: -2, blindee: -4}
+};
+
+/**
+ * Points de mana par degré d'Arcane
+ */
+voidHorizon.manaPerArcane = {
+    "2d4": 2,   // Insensible
+    "3d4": 4,   // Eveillé
+    "4d4": 6,   // Novice
+    "5d4": 8,   // Initié
+    "6d4": 10,  // Maître
+    "7d4": 12   // Archimage
+};
+
+/**
+ * Affinités magiques ; un sort sans affinité est accessible à tous
+ */
+voidHorizon.affinities = {
+    aucune: "Aucune",
+    aeris: "Aeris",
+    aqua: "Aqua",
+    magicka: "Magicka",
+    ignis: "Ignis",
+    terra: "Terra",
+    exterieur: "Extérieur"
+};
+
+/**
+ * Caractéristiques lancées en dés et leur libellé
+ */
+voidHorizon.characteristics = {
+    martialite: "Martialité",
+    agilite: "Agilité",
+    acuite: "Acuité",
+    pimpance: "Pimpance",
+    arcane: "Arcane"
+};
+
+/**
+ * Niveaux de maîtrise des compétences, exprimés par les dés ajoutés au jet
+ */
+voidHorizon.skillMasteries = {
+    "2d4": "Novice",
+    "3d4": "Compagnon",
+    "4d4": "Maître"
+};
+
+/**
+ * Actions de protection : caractéristique lancée (toujours en Unsafe) et bonus de trait associé
+ */
+voidHorizon.protectionActions = {
+    dodge: {label: "Esquive", stat: "agilite", bonus: "bonusEsquive", bonusLabel: "Bonus d'esquive"},
+    block: {label: "Blocage", stat: "martialite", bonus: "bonusBlocage", bonusLabel: "Bonus de blocage"},
+    parade: {label: "Parade", stat: "martialite", bonus: "bonusParade", bonusLabel: "Bonus de parade"}
+};
+
+/**
+ * Classes des héros
+ */
+voidHorizon.heroClasses = {
+    panzer: "Panzer",
+    tirailleur: "Tirailleur",
+    soigneur: "Soigneur",
+    mage: "Mage"
+};
+
+/**
+ * Économie d'actions en combat : actions et réactions (protections) disponibles à chaque tour
+ * Les classes peuvent modifier ces valeurs, par exemple le Panzer bloque deux fois par round.
+ * Table de règles : le monde la remplace depuis le menu « Tables de règles ».
+ */
+voidHorizon.actionEconomy = {
+    actions: 1,
+    reactions: {dodge: 1, block: 1, parade: 1},
+    classes: {
+        panzer: {reactions: {block: 2}}
+    }
+};
+
+/**
+ * Types d'armes
+ */
+voidHorizon.weaponTypes = {
+    strength: "Force (Martialité)",
+    agility: "Agilité (Agilité)",
+    acuite: "Acuité (Acuité)",
+    focus: "Focus (Arcane)"
+};
+
+/**
+ * Emplacements où s'équipent les armes et les boucliers ; l'armure a son propre emplacement
+ */
+voidHorizon.equipSlots = {
+    primary: "Main principale",
+    secondary: "Main secondaire"
+};
+
+/**
+ * Rangs de qualité de l'équipement
+ */
+voidHorizon.qualityRanks = {
+    "0": "Équipement brisé",
+    "1": "Équipement commun",
+    "2": "Équipement de qualité",
+    "3": "Équipement rare",
+    "4": "Équipement exceptionnel",
+    "5": "Équipement légendaire"
+};
+
+/**
+ * Cibles possibles pour les bonus de traits et leur libellé
+ * Les effets actifs des traits ajoutent leur valeur à system.traitBonuses.<cible>.
+ */
+voidHorizon.traitBonusTargets = {
+    martialite: "Martialité",
+    pimpance: "Pimpance",
+    acuite: "Acuité",
+    arcane: "Arcane",
+    agilite: "Agilité",
+    armor: "Armure",
+    constitution: "Constitution",
+    bonusEsquive: "Esquive",
+    bonusBlocage: "Blocage",
+    bonusParade: "Parade",
+    movement: "Mouvement"
+};
+
+/**
+ * Dé de qualité de l'équipement par rang
+ */
+voidHorizon.qualityDice = {
+    "0": "1d4",
+    "1": "1d6",
+    "2": "1d8",
+    "3": "1d10",
+    "4": "1d12",
+    "5": "1d20"
+};
+
+/**
+ * Types de modificateurs d'un jet et leur libellé
+ */
+voidHorizon.rollModifierTypes = {
+    trait: "Bonus de trait",
+    armor: "Malus d'armure",
+    quality: "Qualité",
+    weapon: "Bonus d'arme",
+    mastery: "Maîtrise",
+    shield: "Bouclier",
+    spell: "Sort",
+    bonus: "Bonus",
+    situational: "Modificateur de situation"
+};
+
+/**
+ * Résultat minimum d'un jet par caractéristique (ex: l'Agilité ne descend jamais sous 1)
+ */
+voidHorizon.rollFloors = {
+    agilite: 1
+};
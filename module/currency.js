@@ -0,0 +1,124 @@
+/**
+ * Monnaie des héros et des marchands
+ * Les dénominations sont un paramètre du monde (« clé:Nom:valeur », séparées par des points-virgules) ;
+ * une bourse enregistre un nombre de pièces par clé et tous les prix sont exprimés dans l'unité de base (valeur 1).
+ */
+
+const DEFAULT_DENOMINATIONS = "po:Pièce d'or:100; pa:Pièce d'argent:10; pc:Pièce de cuivre:1";
+
+/**
+ * Lit les entrées bien formées d'une liste de dénominations
+ * @param {string} text - Les dénominations
+ * @returns {{key: string, label: string, value: number}[]} - Les dénominations, de la plus grande à la plus petite
+ * @private
+ */
+function readDenominations(text) {
+    return String(text ?? "").split(";")
+        .map(entry => entry.split(":").map(part => part.trim()))
+        .filter(([key, label, value]) => key && label && (Number(value) > 0))
+        .map(([key, label, value]) => ({key, label, value: Number(value)}))
+        .filter((denomination, index, all) => all.findIndex(other => other.key === denomination.key) === index)
+        .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Raison pour laquelle une liste de dénominations est refusée
+ * La plus petite dénomination est l'unité des prix : elle doit valoir 1 pour que toute somme se décompose
+ * en pièces sans reste.
+ * @param {string} text - Les dénominations
+ * @returns {string|null} - La raison du refus, null si la liste est valide
+ */
+export function getDenominationsError(text) {
+    const denominations = readDenominations(text);
+    if (!denominations.length) return "aucune pièce valide";
+    if (denominations.at(-1).value !== 1) return `la plus petite pièce (${denominations.at(-1).key}) doit valoir 1`;
+    if (denominations.some(denomination => !Number.isInteger(denomination.value))) return "les valeurs des pièces doivent être entières";
+    return null;
+}
+
+/**
+ * Lit une liste de dénominations
+ * Les entrées mal formées sont ignorées ; une liste refusée (voir getDenominationsError) est remplacée par les
+ * dénominations par défaut.
+ * @param {string} text - Les dénominations (ex: "po:Pièce d'or:100; pc:Pièce de cuivre:1")
+ * @returns {{key: string, label: string, value: number}[]} - Les dénominations, de la plus grande à la plus petite
+ */
+export function parseDenominations(text) {
+    if (getDenominationsError(text)) return readDenominations(DEFAULT_DENOMINATIONS);
+    return readDenominations(text);
+}
+
+/**
+ * Dénominations du monde (paramètre currencyDenominations)
+ * @returns {{key: string, label: string, value: number}[]} - De la plus grande à la plus petite
+ */
+export function getDenominations() {
+    const text = game.settings.settings.has("voidHorizon.currencyDenominations")
+        ? game.settings.get("voidHorizon", "currencyDenominations")
+        : DEFAULT_DENOMINATIONS;
+    return parseDenominations(text);
+}
+
+/**
+ * Valeur totale d'une bourse dans l'unité de base
+ * Les pièces d'une dénomination retirée du monde ne comptent plus.
+ * @param {Object} purse - Nombre de pièces par clé de dénomination
+ * @param {Object[]} [denominations] - Les dénominations
+ * @returns {number}
+ */
+export function toBase(purse = {}, denominations = getDenominations()) {
+    return denominations.reduce((total, denomination) => total + ((purse[denomination.key] || 0) * denomination.value), 0);
+}
+
+/**
+ * Décompose une somme en pièces, en commençant par les plus grandes
+ * La plus petite dénomination vaut 1 : toute somme entière se décompose sans reste.
+ * @param {number} amount - La somme dans l'unité de base
+ * @param {Object[]} [denominations] - Les dénominations
+ * @returns {Object} - Nombre de pièces par clé de dénomination
+ */
+export function fromBase(amount, denominations = getDenominations()) {
+    let rest = Math.max(0, Math.floor(amount));
+    const purse = {};
+    for (const denomination of denominations) {
+        purse[denomination.key] = Math.floor(rest / denomination.value);
+        rest -= purse[denomination.key] * denomination.value;
+    }
+    return purse;
+}
+
+/**
+ * Mise à jour remplaçant la bourse d'un acteur par une somme
+ * Les clés des dénominations retirées du monde sont vidées.
+ * @param {Actor} actor - Le héros ou le marchand
+ * @param {number} amount - La nouvelle somme dans l'unité de base
+ * @returns {Object} - La mise à jour de l'acteur
+ */
+export function getPurseUpdate(actor, amount) {
+    const purse = fromBase(amount);
+    for (const key of Object.keys(actor.system.currency ?? {})) {
+        if (!(key in purse)) purse[`-=${key}`] = null;
+    }
+    return {"system.currency": purse};
+}
+
+/**
+ * Libellé d'une somme (ex: "2 po 5 pc")
+ * @param {number} amount - La somme dans l'unité de base
+ * @param {Object[]} [denominations] - Les dénominations
+ * @returns {string}
+ */
+export function formatAmount(amount, denominations = getDenominations()) {
+    const purse = fromBase(amount, denominations);
+    const parts = denominations.filter(denomination => purse[denomination.key]).map(denomination => `${purse[denomination.key]} ${denomination.key}`);
+    return parts.length ? parts.join(" ") : `0 ${denominations.at(-1).key}`;
+}
+
+/**
+ * Pièces d'une bourse pour l'affichage, dans l'ordre des dénominations
+ * @param {Object} purse - Nombre de pièces par clé de dénomination
+ * @returns {{key: string, label: string, value: number, count: number}[]}
+ */
+export function describePurse(purse = {}) {
+    return getDenominations().map(denomination => ({...denomination, count: purse[denomination.key] || 0}));
+}
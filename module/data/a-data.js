@@ -0,0 +1,26 @@
+import {damageFormulaField, inventoryFields} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des objets de type A
+ * Un objet simple qui inflige des dégâts (formule lancée depuis sa fiche) et compte dans l'inventaire.
+ */
+export default class AData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            description: new fields.HTMLField({initial: ""}),
+            damage: damageFormulaField(),
+            ...inventoryFields()
+        };
+    }
+
+    /** @override */
+    static migrateData(source) {
+        // L'ancien template.json enregistrait des dégâts numériques
+        if (typeof source.damage === "number") source.damage = source.damage ? String(source.damage) : "";
+        return super.migrateData(source);
+    }
+}
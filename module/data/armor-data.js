@@ -0,0 +1,36 @@
+import {voidHorizon} from "../config.js";
+import {inventoryFields} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des armures
+ * L'armure portée donne les bonus et les malus de son type ; brisée, elle ne donne plus que les
+ * bonus du palier inférieur jusqu'à sa réparation.
+ */
+export default class ArmorData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            type: new fields.StringField({
+                required: true,
+                initial: "tissu",
+                choices: () => Object.keys(voidHorizon.armorTypes)
+            }),
+            description: new fields.HTMLField({initial: ""}),
+            // Tous les boucliers de l'armure ont été brisés : elle doit être réparée
+            broken: new fields.BooleanField({initial: false}),
+            equipped: new fields.BooleanField({initial: false}),
+            ...inventoryFields()
+        };
+    }
+
+    /**
+     * Règles du type d'armure
+     * @returns {Object} - Voir voidHorizon.armorTypes
+     */
+    get typeRules() {
+        return voidHorizon.armorTypes[this.type] || voidHorizon.armorTypes.tissu;
+    }
+}
@@ -0,0 +1,207 @@
+import {voidHorizon} from "../config.js";
+import {getSetting} from "../settings.js";
+import VHLogger from "../logger.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Crée le champ d'une caractéristique exprimée en dés (2d4 à 7d4)
+ * @param {string} initial - Formule de dés par défaut
+ * @param {string} label - Libellé de la caractéristique
+ * @param {Object} [options] - Options supplémentaires
+ * @param {boolean} [options.bonus=false] - Ajouter un champ de bonus fixe (PNJ)
+ * @returns {SchemaField} - Le champ de caractéristique
+ */
+export function diceStatField(initial, label, {bonus = false} = {}) {
+    const schema = {
+        value: new fields.StringField({
+            required: true,
+            initial,
+            choices: () => Object.keys(voidHorizon.degrees)
+        }),
+        label: new fields.StringField({initial: label})
+    };
+    if (bonus) {
+        schema.bonus = new fields.NumberField({required: true, integer: true, initial: 0});
+    }
+    return new fields.SchemaField(schema);
+}
+
+/**
+ * Crée un champ de ressource { value, max }
+ * @param {number} initial - Valeur initiale
+ * @param {string} label - Libellé de la ressource
+ * @returns {SchemaField} - Le champ de ressource
+ */
+export function resourceField(initial, label) {
+    return new fields.SchemaField({
+        value: new fields.NumberField({required: true, integer: true, min: 0, initial}),
+        max: new fields.NumberField({required: true, integer: true, min: 0, initial}),
+        label: new fields.StringField({initial: label})
+    });
+}
+
+/**
+ * Crée les champs de qualité d'une pièce d'équipement : rang (dé de qualité) et bonus fixe
+ * @returns {Object} - Les champs { rank, bonus }
+ */
+export function qualityFields() {
+    return {
+        rank: new fields.StringField({
+            required: true,
+            initial: "0",
+            choices: () => Object.keys(voidHorizon.qualityRanks)
+        }),
+        bonus: new fields.NumberField({required: true, integer: true, initial: 0})
+    };
+}
+
+/**
+ * Crée les champs d'inventaire d'un objet transporté : quantité, poids unitaire (kg), prix et contenant
+ * @returns {Object} - Les champs { quantity, weight, price, container }
+ */
+export function inventoryFields() {
+    return {
+        quantity: new fields.NumberField({required: true, integer: true, min: 0, initial: 1}),
+        weight: new fields.NumberField({required: true, min: 0, initial: 0}),
+        // Prix unitaire dans la plus petite unité de monnaie (voir currency.js)
+        price: priceField(),
+        // Identifiant de l'Item contenant, vide si l'objet est porté sur soi
+        container: new fields.StringField({required: true, blank: true, initial: ""})
+    };
+}
+
+/**
+ * Crée le champ du prix d'un objet, dans la plus petite unité de monnaie
+ * @returns {NumberField} - Le champ de prix
+ */
+export function priceField() {
+    return new fields.NumberField({required: true, integer: true, min: 0, initial: 0});
+}
+
+/**
+ * Crée le champ d'une formule de dégâts, vide ou acceptée par Roll (ex: "1d6+2")
+ * @returns {StringField} - Le champ de formule
+ */
+export function damageFormulaField() {
+    return new fields.StringField({
+        required: true,
+        blank: true,
+        initial: "",
+        validate: value => !value || Roll.validate(value),
+        validationError: "n'est pas une formule de dés valide"
+    });
+}
+
+/**
+ * Crée le champ d'une bourse : nombre de pièces par clé de dénomination (voir currency.js)
+ * @returns {TypedObjectField} - Le champ de bourse
+ */
+export function currencyField() {
+    return new fields.TypedObjectField(new fields.NumberField({required: true, integer: true, min: 0, initial: 0}));
+}
+
+/**
+ * Crée le champ de l'emplacement où une arme ou un bouclier est équipé, vide s'il est seulement transporté
+ * @returns {StringField} - Le champ d'emplacement
+ */
+export function equipSlotField() {
+    return new fields.StringField({
+        required: true,
+        blank: true,
+        initial: "",
+        choices: () => ["", ...Object.keys(voidHorizon.equipSlots)]
+    });
+}
+
+/**
+ * Retourne le degré (1 à 6) correspondant à une formule de dés
+ * @param {string} dice - Formule de dés (ex: "3d4")
+ * @returns {number} - Le degré, 1 par défaut
+ */
+export function getDegree(dice) {
+    return voidHorizon.degrees[dice] || 1;
+}
+
+/**
+ * Malus d'un type d'armure selon les paramètres du monde
+ * Sans malus d'armure, l'armure ne pénalise ni l'agilité, ni la martialité, ni le mouvement.
+ * @param {Object} armorType - Le type d'armure (voidHorizon.armorTypes)
+ * @returns {{agility: number, martialite: number, movement: number}} - Les malus (positifs)
+ */
+export function getArmorPenalties(armorType) {
+    if (!armorType || !getSetting("armorPenaltyEnabled")) return {agility: 0, martialite: 0, movement: 0};
+    return {
+        agility: armorType.agilityPenalty,
+        martialite: armorType.martialitePenalty,
+        movement: armorType.movementSteps * getSetting("armorPenaltyMultiplier")
+    };
+}
+
+/**
+ * Mouvement de base d'un acteur, avant les malus d'équipement, selon la formule choisie dans les paramètres
+ * Par défaut : degré d'agilité × multiplicateur d'agilité + mouvement de base. La formule personnalisée est
+ * évaluée avec les données de l'acteur, plus @degrees.<caractéristique>, @agilityMultiplier et @movementBase ;
+ * une formule invalide retombe sur la formule par défaut.
+ * @param {TypeDataModel} system - Les données de l'acteur
+ * @returns {{value: number, formula: string}} - Le mouvement et la formule affichée sur la fiche
+ */
+export function getMovementBase(system) {
+    const agilityMultiplier = getSetting("agilityMultiplier");
+    const movementBase = getSetting("movementBase");
+    const degrees = Object.fromEntries(Object.keys(voidHorizon.characteristics).map(stat => [stat, getDegree(system[stat]?.value)]));
+
+    if (getSetting("movementFormula") === "custom") {
+        const formula = getSetting("customMovementFormula");
+        try {
+            const data = {...system, degrees, agilityMultiplier, movementBase};
+            const value = Roll.safeEval(Roll.replaceFormulaData(formula, data, {missing: "0"}));
+            if (Number.isFinite(value)) return {value, formula};
+        } catch (err) {
+            // Formule invalide : formule par défaut
+        }
+        VHLogger.warn("system", `Formule de mouvement invalide « ${formula} », formule par défaut utilisée`);
+    }
+
+    return {
+        value: (degrees.agilite * agilityMultiplier) + movementBase,
+        formula: `Degré d'agilité × ${agilityMultiplier} + ${movementBase}`
+    };
+}
+
+/**
+ * Ramène une ancienne valeur de caractéristique (ex: "1d4" de l'ancien template) dans l'échelle des dés
+ * @param {Object} source - Données source de l'acteur
+ * @param {string[]} stats - Caractéristiques à vérifier
+ * @param {string} fallback - Formule utilisée si la valeur est hors échelle
+ */
+export function migrateDiceStats(source, stats, fallback) {
+    for (const stat of stats) {
+        const value = source[stat]?.value;
+        if (value !== undefined && !(value in voidHorizon.degrees)) {
+            source[stat].value = fallback;
+        }
+    }
+}
+
+/**
+ * Ramène un ancien rang de qualité (dé ou libellé, ex: "1d8" ou "Équipement de qualité") à sa clé
+ * @param {string|number} rank - Le rang enregistré
+ * @returns {string} - La clé du rang (ex: "2"), "0" s'il est inconnu
+ */
+export function getQualityRank(rank) {
+    const value = String(rank ?? "0");
+    if (value in voidHorizon.qualityRanks) return value;
+    return Object.keys(voidHorizon.qualityRanks).find(key => (voidHorizon.qualityDice[key] === value)
+        || (voidHorizon.qualityRanks[key] === value)) ?? "0";
+}
+
+/**
+ * Modificateur de dégâts d'une nature contre un type d'armure
+ * @param {string} nature - Nature des dégâts (contondant, perforant, tranchant)
+ * @param {string} armorType - Type d'armure de la cible
+ * @returns {number} - Le modificateur, 0 sans nature ou hors table
+ */
+export function getNatureModifier(nature, armorType) {
+    return voidHorizon.damageNatureMatrix[nature]?.[armorType] ?? 0;
+}
@@ -0,0 +1,38 @@
+import {priceField} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des contenants (sac à dos, bourse de ceinture)
+ * Les objets rangés dans un contenant gardent leur poids dans la charge du héros ;
+ * le contenant limite seulement le poids qu'il peut recevoir.
+ */
+export default class ContainerData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            description: new fields.HTMLField({initial: ""}),
+            weight: new fields.NumberField({required: true, min: 0, initial: 0}),
+            capacity: new fields.NumberField({required: true, min: 0, initial: 10}),
+            price: priceField()
+        };
+    }
+
+    /**
+     * Objets du même acteur rangés dans ce contenant
+     * @returns {Item[]}
+     */
+    get contents() {
+        const item = this.parent;
+        return item.actor?.items.filter(other => other.system.container === item.id) ?? [];
+    }
+
+    /**
+     * Poids des objets rangés dans ce contenant
+     * @returns {number}
+     */
+    get contentsWeight() {
+        return this.contents.reduce((total, item) => total + (item.system.quantity * item.system.weight), 0);
+    }
+}
@@ -0,0 +1,18 @@
+import {inventoryFields} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des objets d'inventaire
+ * Un objet n'a pas de règle propre : sa quantité et son poids comptent dans la charge du héros.
+ */
+export default class EquipmentData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            description: new fields.HTMLField({initial: ""}),
+            ...inventoryFields()
+        };
+    }
+}
@@ -0,0 +1,401 @@
+import {voidHorizon} from "../config.js";
+import {currencyField, diceStatField, getArmorPenalties, getDegree, getMovementBase, getNatureModifier, migrateDiceStats} from "./common.js";
+
+const fields = foundry.data.fields;
+
+const DICE_STATS = ["martialite", "agilite", "acuite", "pimpance", "arcane"];
+
+/**
+ * Modèle de données des héros
+ * Les valeurs totales (armure, constitution, résistance, mouvement, mana) sont calculées
+ * une seule fois dans prepareDerivedData() et lues par la fiche, les helpers et l'export.
+ * Les armes, boucliers et armures sont des Items ; ceux qui sont équipés sont exposés dans
+ * this.equipped.
+ */
+export default class HerosData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            biography: new fields.HTMLField({initial: ""}),
+
+            martialite: diceStatField("2d4", "Martialité"),
+            agilite: diceStatField("2d4", "Agilité"),
+            acuite: diceStatField("2d4", "Acuité"),
+            pimpance: diceStatField("2d4", "Pimpance"),
+            arcane: diceStatField("2d4", "Arcane"),
+            constitution: new fields.SchemaField({
+                value: new fields.NumberField({required: true, integer: true, min: 0, initial: 4}),
+                label: new fields.StringField({initial: "Constitution"})
+            }),
+
+            class: new fields.SchemaField({
+                value: new fields.StringField({initial: ""}),
+                label: new fields.StringField({initial: "Classe"})
+            }),
+            faction: new fields.SchemaField({
+                value: new fields.StringField({initial: "caradoc"}),
+                label: new fields.StringField({initial: "Faction"})
+            }),
+            rank: new fields.SchemaField({
+                value: new fields.StringField({initial: ""}),
+                label: new fields.StringField({initial: "Rang"})
+            }),
+            affinity: new fields.SchemaField({
+                value: new fields.StringField({initial: "aucune"}),
+                label: new fields.StringField({initial: "Affinité"})
+            }),
+
+            mana: new fields.SchemaField({
+                value: new fields.NumberField({required: true, integer: true, min: 0, initial: 2}),
+                max: new fields.NumberField({required: true, integer: true, min: 0, initial: 2}),
+                label: new fields.StringField({initial: "Points de mana"})
+            }),
+
+            resources: new fields.SchemaField({
+                blessure: new fields.SchemaField({
+                    value: new fields.NumberField({required: true, integer: true, min: 0, initial: 0})
+                }),
+                armor: new fields.SchemaField({
+                    value: new fields.NumberField({required: true, integer: true, min: 0, initial: 0})
+                }),
+                blessedHearts: new fields.SchemaField({
+                    value: new fields.ArrayField(new fields.NumberField({integer: true}))
+                }),
+                armorDamage: new fields.SchemaField({
+                    value: new fields.NumberField({required: true, integer: true, min: 0, initial: 0})
+                })
+            }),
+            currency: currencyField(),
+
+            // Les armes, l'armure, les traits et les compétences sont désormais des Items : ces anciens
+            // champs ne sont lus que par la migration (dictionnaires où une entrée supprimée vaut null)
+            weapons: new fields.ObjectField(),
+            armor: new fields.ObjectField(),
+            traits: new fields.ObjectField(),
+            skills: new fields.ObjectField()
+        };
+    }
+
+    /** @override */
+    static migrateData(source) {
+        migrateDiceStats(source, DICE_STATS, "2d4");
+
+        // L'ancien template.json enregistrait littéralement { type: "Object", default: {} }
+        for (const key of ["traits", "skills"]) {
+            const value = source[key];
+            if (value?.type === "Object" && "default" in value) {
+                delete value.type;
+                delete value.default;
+            }
+        }
+
+        // Mana jamais initialisé : partir du maximum donné par l'Arcane
+        if (source.mana?.value === 0 && source.mana?.max === 0) {
+            const maxMana = voidHorizon.manaPerArcane[source.arcane?.value] || 2;
+            source.mana.value = maxMana;
+            source.mana.max = maxMana;
+        }
+
+        return super.migrateData(source);
+    }
+
+    /** @override */
+    prepareBaseData() {
+        // Remis à zéro avant l'application des effets actifs des traits
+        this.traitBonuses = Object.fromEntries(Object.keys(voidHorizon.traitBonusTargets).map(target => [target, 0]));
+    }
+
+    /** @override */
+    prepareDerivedData() {
+        // Armes, boucliers et armure équipés ; sans armure, le héros est en tissu
+        this.equipped = this._getEquippedItems();
+        const armorType = this.equipped.armor?.system.typeRules ?? voidHorizon.armorTypes.tissu;
+        const degradation = this._computeArmorDegradation(armorType);
+        // Malus de l'armure selon les paramètres du monde (désactivables, malus de mouvement multiplié)
+        const armorPenalties = getArmorPenalties(armorType);
+
+        // Boucliers équipés : bonus et boucliers d'armure selon leur taille, malus ajoutés à ceux de l'armure
+        this.shields = this._getEquippedShields();
+        let shieldBonus = 0;
+        let shieldAgilityPenalty = 0;
+        let shieldMovementPenalty = 0;
+        for (const {item, size} of this.shields) {
+            shieldBonus += (item.system.bonus || 0) + size.armorBonus;
+            shieldAgilityPenalty += size.agilityPenalty;
+            shieldMovementPenalty += size.movementPenalty;
+        }
+
+        // Un bouclier à deux mains rend l'autre emplacement inutilisable
+        const twoHanded = this.shields.find(shield => shield.size.twoHanded);
+        this.blockedSlot = twoHanded ? (twoHanded.slot === "primary" ? "secondary" : "primary") : null;
+
+        const constitution = (this.constitution.value || 0) + this.traitBonuses.constitution;
+
+        // Charge portée : au-delà du seuil, l'encombrement s'ajoute aux malus de l'armure
+        const encumbrance = this._computeEncumbrance(constitution);
+
+        // Malus d'agilité dû à l'armure, au bouclier et à l'encombrement (négatif)
+        this.armorAgilityPenalty = {
+            value: -(armorPenalties.agility + shieldAgilityPenalty + encumbrance.agilityPenalty),
+            label: "Malus d'agilité dû à l'armure"
+        };
+        const armor = (this.resources.armor.value || 0) + degradation.armorBonus + this.traitBonuses.armor + shieldBonus;
+
+        // Résistance = Constitution × 2 + degré d'agilité - malus d'agilité + degré de martialité - malus de martialité + type d'armure (usé)
+        const resistance = (constitution * 2)
+            + getDegree(this.agilite.value) - armorPenalties.agility
+            + getDegree(this.martialite.value) - armorPenalties.martialite
+            + degradation.resistanceBonus;
+
+        // Mouvement = formule de mouvement (paramètres) - malus d'armure - malus du bouclier - malus d'encombrement + bonus des traits
+        const movementBase = getMovementBase(this);
+        const movement = movementBase.value - armorPenalties.movement - shieldMovementPenalty - encumbrance.movementPenalty
+            + this.traitBonuses.movement;
+
+        this.totals = {
+            armor,
+            constitution,
+            shieldBonus,
+            shieldAgilityPenalty,
+            shieldMovementPenalty,
+            encumbrance,
+            armorTypeBonus: degradation.armorBonus,
+            armorResistanceBonus: degradation.resistanceBonus,
+            armorDegradation: degradation,
+            armorType: this.equipped.armor?.system.type ?? "tissu",
+            // Palier d'armure opposé à la nature des dégâts (celui de l'armure brisée le cas échéant)
+            armorTier: degradation.tier,
+            armorPenalties,
+            resistance: Math.max(0, resistance),
+            movementBase: movementBase.value,
+            movementFormula: movementBase.formula,
+            movement: Math.max(0, movement),
+            mana: voidHorizon.manaPerArcane[this.arcane.value] || 2
+        };
+    }
+
+    /**
+     * État de l'armure portée : palier effectif si elle est brisée, résistance perdue par ses boucliers brisés
+     * Les boucliers de l'armure sont les premiers à céder.
+     * @param {Object} armorType - Le type d'armure porté
+     * @returns {Object} - { broken, tier, armorBonus, damagedShields, resistanceLoss, resistanceBonus }
+     * @private
+     */
+    _computeArmorDegradation(armorType) {
+        const armor = this.equipped.armor?.system;
+        const type = armor?.type ?? "tissu";
+        const broken = !!armor?.broken && (type !== "tissu");
+        const tier = broken ? voidHorizon.armorDegradation.brokenTier[type] : type;
+        const effectiveType = voidHorizon.armorTypes[tier] || armorType;
+
+        const armorBonus = effectiveType.armorBonus;
+        const damagedShields = Math.min(this.resources.armorDamage.value || 0, armorBonus);
+        const resistanceLoss = armorBonus ? Math.round(damagedShields * effectiveType.resistanceBonus / armorBonus) : 0;
+
+        return {
+            broken,
+            tier,
+            tierLabel: effectiveType.label,
+            armorBonus,
+            damagedShields,
+            resistanceLoss,
+            resistanceBonus: effectiveType.resistanceBonus - resistanceLoss
+        };
+    }
+
+    /**
+     * Charge portée et palier d'encombrement
+     * Chaque objet compte pour sa quantité × son poids unitaire, un contenant pour son propre poids.
+     * @param {number} constitution - La Constitution totale
+     * @returns {Object} - { load, threshold, key, label, agilityPenalty, movementPenalty }
+     * @private
+     */
+    _computeEncumbrance(constitution) {
+        const rules = voidHorizon.encumbrance;
+        const load = (this.parent?.items ?? []).reduce((total, item) => {
+            return total + ((item.system.quantity ?? 1) * (item.system.weight || 0));
+        }, 0);
+        const threshold = rules.base + (getDegree(this.martialite.value) * rules.perMartialite) + (constitution * rules.perConstitution);
+        const level = [...rules.levels].reverse().find(level => load > threshold * level.ratio) ?? rules.levels[0];
+        return {...level, load: Math.round(load * 100) / 100, threshold};
+    }
+
+    /**
+     * Items équipés dans les mains et sur le corps
+     * @returns {{primary: Item|null, secondary: Item|null, armor: Item|null}}
+     * @private
+     */
+    _getEquippedItems() {
+        const equipped = {primary: null, secondary: null, armor: null};
+        for (const item of this.parent?.items ?? []) {
+            if ((item.type === "armor") && item.system.equipped) equipped.armor ??= item;
+            else if (["weapon", "shield"].includes(item.type) && item.system.slot) equipped[item.system.slot] ??= item;
+        }
+        return equipped;
+    }
+
+    /**
+     * Boucliers équipés avec les règles de leur taille
+     * Un bouclier à deux mains (pavois) écarte celui de l'autre emplacement.
+     * @returns {Object[]} - { slot, item, size }
+     * @private
+     */
+    _getEquippedShields() {
+        const shields = Object.keys(voidHorizon.equipSlots)
+            .filter(slot => this.equipped[slot]?.type === "shield")
+            .map(slot => ({slot, item: this.equipped[slot], size: this.equipped[slot].system.sizeRules}));
+        const twoHanded = shields.find(shield => shield.size.twoHanded);
+        return twoHanded ? [twoHanded] : shields;
+    }
+
+    /**
+     * Dé de qualité lancé au Blocage : celui du plus grand bouclier, décalé selon sa taille
+     * @returns {string|null} - La formule (ex: "1d8"), null sans bouclier
+     */
+    getShieldBlockDice() {
+        if (!this.shields?.length) return null;
+        const shield = this.shields.reduce((best, current) => current.size.qualityStep > best.size.qualityStep ? current : best);
+        const ranks = Object.keys(voidHorizon.qualityDice);
+        const index = Math.clamp(ranks.indexOf(String(shield.item.system.rank)) + shield.size.qualityStep, 0, ranks.length - 1);
+        return voidHorizon.qualityDice[ranks[index]];
+    }
+
+    /**
+     * Modificateurs typés d'une caractéristique, utilisés par les jets (VoidRoll)
+     * @param {string} stat - Nom de la caractéristique
+     * @returns {Object[]} - Modificateurs { type, value }
+     */
+    getStatModifiers(stat) {
+        const modifiers = [{type: "trait", value: this.traitBonuses?.[stat] || 0}];
+        if (stat === "agilite") modifiers.push({type: "armor", value: this.armorAgilityPenalty?.value || 0});
+        return modifiers;
+    }
+
+    /**
+     * Bonus total (traits et malus d'armure) d'une caractéristique
+     * @param {string} stat - Nom de la caractéristique
+     * @returns {number} - Bonus total
+     */
+    getStatBonus(stat) {
+        return this.getStatModifiers(stat).reduce((total, modifier) => total + modifier.value, 0);
+    }
+
+    /**
+     * Tous les boucliers brisés : l'armure portée est brisée jusqu'à sa réparation
+     * Seul le client à l'origine de la mise à jour brise l'armure, une fois le héros enregistré.
+     * @override
+     */
+    _onUpdate(changed, options, userId) {
+        super._onUpdate?.(changed, options, userId);
+        if (game.user.id !== userId) return;
+
+        const armorDamage = foundry.utils.getProperty(changed, "system.resources.armorDamage.value");
+        const armor = this.equipped.armor;
+        if ((armorDamage !== undefined) && armor && !armor.system.broken && (armor.system.type !== "tissu")
+            && (this.totals.armor > 0) && (armorDamage >= this.totals.armor)) {
+            armor.update({"system.broken": true});
+        }
+    }
+
+    /**
+     * Mises à jour des Items pour équiper un objet dans un emplacement
+     * L'objet qui occupait l'emplacement retourne dans l'équipement transporté ; l'objet équipé quitte son contenant.
+     * @param {Item} item - L'arme, le bouclier ou l'armure du héros
+     * @param {string} slot - "primary", "secondary", "armor", ou "" pour le retirer
+     * @returns {Object[]|null} - Les mises à jour, null si l'objet ne va pas dans cet emplacement
+     */
+    getEquipUpdates(item, slot) {
+        if (!slot) {
+            if (item.type === "armor") return [{_id: item.id, "system.equipped": false}];
+            return ["weapon", "shield"].includes(item.type) ? [{_id: item.id, "system.slot": ""}] : null;
+        }
+
+        if (slot === "armor") {
+            if (item.type !== "armor") return null;
+            const worn = this.equipped.armor;
+            const updates = [{_id: item.id, "system.equipped": true, "system.container": ""}];
+            if (worn && (worn !== item)) updates.push({_id: worn.id, "system.equipped": false});
+            return updates;
+        }
+
+        if (!(slot in voidHorizon.equipSlots) || !["weapon", "shield"].includes(item.type)) return null;
+        const previous = this.equipped[slot];
+        const updates = [{_id: item.id, "system.slot": slot, "system.container": ""}];
+        if (previous && (previous !== item)) updates.push({_id: previous.id, "system.slot": ""});
+        return updates;
+    }
+
+    /**
+     * Coût d'une attaque au focus : une charge si le focus en a encore, sinon son coût en mana
+     * @param {string} slot - L'emplacement du focus ("primary" ou "secondary")
+     * @returns {Object|null} - { charge, mana, document, update }, null si ni charge ni mana ne suffisent
+     */
+    getFocusCost(slot) {
+        const focus = this.equipped[slot];
+        if (!focus?.system.isFocus) return null;
+
+        if (focus.system.charges.value > 0) {
+            return {
+                charge: true,
+                mana: 0,
+                document: focus,
+                update: {"system.charges.value": focus.system.charges.value - 1}
+            };
+        }
+
+        const manaCost = focus.system.manaCost;
+        if (this.mana.value < manaCost) return null;
+        return {
+            charge: false,
+            mana: manaCost,
+            document: this.parent,
+            update: {"system.mana.value": this.mana.value - manaCost}
+        };
+    }
+
+    /**
+     * Mises à jour d'un repos : les charges des focus du héros reviennent à leur maximum
+     * @returns {Object[]} - Les mises à jour des Items
+     */
+    getRestItemUpdates() {
+        return this.parent.items
+            .filter(item => item.system.isFocus && (item.system.charges.value < item.system.charges.max))
+            .map(item => ({_id: item.id, "system.charges.value": item.system.charges.max}));
+    }
+
+    /**
+     * Calcule l'effet d'une attaque : le total est d'abord réduit par la résistance et ajusté selon
+     * la nature des dégâts face à l'armure, puis chaque point restant brise un bouclier d'armure avant de blesser un cœur.
+     * @param {number} attackTotal - Le total de l'attaque
+     * @param {Object} [options] - Options de l'attaque
+     * @param {string} [options.nature] - Nature des dégâts
+     * @returns {Object} - { resistance, natureModifier, damage, armor, wounds, update, previous }
+     */
+    computeDamage(attackTotal, {nature} = {}) {
+        const resistance = this.totals.resistance;
+        const natureModifier = getNatureModifier(nature, this.totals.armorTier);
+        const damage = Math.max(0, attackTotal - resistance + natureModifier);
+        const armorDamage = this.resources.armorDamage.value;
+        const blessure = this.resources.blessure.value;
+
+        const armor = Math.min(damage, Math.max(0, this.totals.armor - armorDamage));
+        const wounds = Math.min(damage - armor, Math.max(0, this.totals.constitution - blessure));
+
+        return {
+            resistance,
+            natureModifier,
+            damage,
+            armor,
+            wounds,
+            update: {
+                "system.resources.armorDamage.value": armorDamage + armor,
+                "system.resources.blessure.value": blessure + wounds
+            },
+            previous: {
+                "system.resources.armorDamage.value": armorDamage,
+                "system.resources.blessure.value": blessure
+            }
+        };
+    }
+}
@@ -0,0 +1,77 @@
+import {voidHorizon} from "../config.js";
+import {currencyField} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des marchands et des butins
+ * Le stock est fait des Items de l'acteur. Une boutique vend à sellRate et rachète à buyRate
+ * (pourcentages du prix de base) avec sa propre bourse ; un butin laisse prendre ses objets sans payer.
+ */
+export default class MerchantData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            mode: new fields.StringField({
+                required: true,
+                initial: "merchant",
+                choices: () => Object.keys(voidHorizon.merchantModes)
+            }),
+            description: new fields.StringField({initial: ""}),
+            currency: currencyField(),
+            sellRate: new fields.NumberField({required: true, integer: true, min: 0, initial: voidHorizon.trade.sellRate}),
+            buyRate: new fields.NumberField({required: true, integer: true, min: 0, initial: voidHorizon.trade.buyRate})
+        };
+    }
+
+    /**
+     * Un butin ne fait pas payer ses objets
+     * @returns {boolean}
+     */
+    get isLoot() {
+        return this.mode === "loot";
+    }
+
+    /**
+     * Pourcentage de marchandage obtenu par un héros auprès de ce marchand, 0 s'il n'a pas marchandé
+     * Positif quand le héros a l'avantage.
+     * @param {Actor} hero - Le héros
+     * @returns {number}
+     */
+    getHaggle(hero) {
+        return hero?.getFlag("voidHorizon", `haggle.${this.parent.id}`) ?? 0;
+    }
+
+    /**
+     * Le héros a-t-il déjà marchandé avec ce marchand ?
+     * Un seul marchandage est permis, jusqu'à ce que le MJ le réinitialise.
+     * @param {Actor} hero - Le héros
+     * @returns {boolean}
+     */
+    hasHaggled(hero) {
+        return hero?.getFlag("voidHorizon", `haggle.${this.parent.id}`) !== undefined;
+    }
+
+    /**
+     * Prix auquel le marchand vend une unité de son stock à un héros
+     * @param {Item} item - L'objet du stock
+     * @param {Actor} [hero] - L'acheteur
+     * @returns {number} - Le prix dans la plus petite unité de monnaie
+     */
+    getSellPrice(item, hero) {
+        if (this.isLoot) return 0;
+        return Math.round((item.system.price ?? 0) * (this.sellRate / 100) * (1 - (this.getHaggle(hero) / 100)));
+    }
+
+    /**
+     * Prix auquel le marchand rachète une unité d'un objet à un héros
+     * @param {Item} item - L'objet du héros
+     * @param {Actor} [hero] - Le vendeur
+     * @returns {number} - Le prix dans la plus petite unité de monnaie
+     */
+    getBuyPrice(item, hero) {
+        if (this.isLoot) return 0;
+        return Math.round((item.system.price ?? 0) * (this.buyRate / 100) * (1 + (this.getHaggle(hero) / 100)));
+    }
+}
@@ -0,0 +1,155 @@
+import {voidHorizon} from "../config.js";
+import {diceStatField, resourceField, getDegree, getMovementBase, getNatureModifier, migrateDiceStats} from "./common.js";
+
+const fields = foundry.data.fields;
+
+const DICE_STATS = ["martialite", "agilite", "acuite", "pimpance", "arcane"];
+
+/**
+ * Modèle de données des PNJ
+ * Les PNJ n'ont pas de constitution : leurs totaux dérivent directement de leurs ressources
+ * (PV, bouclier, mana) et de leurs degrés de caractéristiques. Leur type d'armure ne sert
+ * qu'à l'interaction avec la nature des dégâts reçus.
+ */
+export default class NpcData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            biography: new fields.HTMLField({initial: ""}),
+            type: new fields.StringField({
+                required: true,
+                initial: "enemy",
+                choices: ["enemy", "neutral", "ally"]
+            }),
+            level: new fields.NumberField({required: true, integer: true, min: 1, initial: 1}),
+            description: new fields.StringField({initial: "Un nouveau NPC"}),
+
+            resources: new fields.SchemaField({
+                health: resourceField(10, "Points de vie"),
+                shield: resourceField(0, "Points de bouclier"),
+                mana: resourceField(0, "Points de mana")
+            }),
+
+            acuite: diceStatField("3d4", "Acuité", {bonus: true}),
+            pimpance: diceStatField("3d4", "Pimpance", {bonus: true}),
+            martialite: diceStatField("3d4", "Martialité", {bonus: true}),
+            agilite: diceStatField("3d4", "Agilité", {bonus: true}),
+            arcane: diceStatField("2d4", "Arcane", {bonus: true}),
+
+            armor: new fields.SchemaField({
+                type: new fields.StringField({
+                    required: true,
+                    initial: "tissu",
+                    choices: () => Object.keys(voidHorizon.armorTypes)
+                })
+            }),
+
+            attacks: new fields.ArrayField(new fields.SchemaField({
+                name: new fields.StringField({initial: ""}),
+                dice: new fields.StringField({initial: ""}),
+                damage: new fields.StringField({initial: ""}),
+                nature: new fields.StringField({
+                    required: true,
+                    initial: "contondant",
+                    choices: () => Object.keys(voidHorizon.damageNatures)
+                }),
+                description: new fields.StringField({initial: ""})
+            })),
+            // Les compétences sont désormais des Items : cet ancien tableau n'est lu que par la migration
+            skills: new fields.ArrayField(new fields.SchemaField({
+                name: new fields.StringField({initial: ""}),
+                description: new fields.StringField({initial: ""})
+            })),
+            notes: new fields.StringField({initial: ""})
+        };
+    }
+
+    /** @override */
+    static migrateData(source) {
+        migrateDiceStats(source, DICE_STATS, "3d4");
+
+        // L'ancien template.json enregistrait littéralement { type: "Array", default: [] }
+        for (const key of ["attacks", "skills"]) {
+            if (source[key]?.type === "Array") source[key] = source[key].default || [];
+        }
+
+        return super.migrateData(source);
+    }
+
+    /** @override */
+    prepareDerivedData() {
+        this.armorAgilityPenalty = {value: 0, label: "Malus d'agilité dû à l'armure"};
+
+        const agiliteDegree = getDegree(this.agilite.value);
+        const martialiteDegree = getDegree(this.martialite.value);
+        const movementBase = getMovementBase(this);
+
+        this.totals = {
+            armor: this.resources.shield.max,
+            constitution: this.resources.health.max,
+            shieldBonus: 0,
+            armorTypeBonus: 0,
+            armorType: this.armor.type,
+            armorTier: this.armor.type,
+            resistance: agiliteDegree + martialiteDegree,
+            movementBase: movementBase.value,
+            movementFormula: movementBase.formula,
+            movement: Math.max(0, movementBase.value),
+            mana: this.resources.mana.max
+        };
+    }
+
+    /**
+     * Modificateurs typés d'une caractéristique, utilisés par les jets (VoidRoll)
+     * @param {string} stat - Nom de la caractéristique
+     * @returns {Object[]} - Modificateurs { type, value }
+     */
+    getStatModifiers(stat) {
+        return [{type: "bonus", value: this[stat]?.bonus || 0}];
+    }
+
+    /**
+     * Bonus fixe d'une caractéristique
+     * @param {string} stat - Nom de la caractéristique
+     * @returns {number} - Bonus total
+     */
+    getStatBonus(stat) {
+        return this[stat]?.bonus || 0;
+    }
+
+    /**
+     * Calcule l'effet d'une attaque : le total est d'abord réduit par la résistance et ajusté selon
+     * la nature des dégâts face à l'armure, puis les points restants entament le bouclier avant les points de vie.
+     * @param {number} attackTotal - Le total de l'attaque
+     * @param {Object} [options] - Options de l'attaque
+     * @param {string} [options.nature] - Nature des dégâts
+     * @returns {Object} - { resistance, natureModifier, damage, armor, wounds, update, previous }
+     */
+    computeDamage(attackTotal, {nature} = {}) {
+        const resistance = this.totals.resistance;
+        const natureModifier = getNatureModifier(nature, this.totals.armorTier);
+        const damage = Math.max(0, attackTotal - resistance + natureModifier);
+        const shield = this.resources.shield.value;
+        const health = this.resources.health.value;
+
+        const armor = Math.min(damage, Math.max(0, shield));
+        const wounds = Math.min(damage - armor, Math.max(0, health));
+
+        return {
+            resistance,
+            natureModifier,
+            damage,
+            armor,
+            wounds,
+            update: {
+                "system.resources.shield.value": shield - armor,
+                "system.resources.health.value": health - wounds
+            },
+            previous: {
+                "system.resources.shield.value": shield,
+                "system.resources.health.value": health
+            }
+        };
+    }
+}
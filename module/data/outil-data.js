@@ -0,0 +1,43 @@
+import {voidHorizon} from "../config.js";
+import {damageFormulaField, inventoryFields} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des outils
+ * Un outil peut infliger des dégâts (formule lancée depuis sa fiche), porter à une distance donnée
+ * et influer sur le moral de celui qui le porte ; il compte dans l'inventaire comme tout objet.
+ */
+export default class OutilData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            description: new fields.HTMLField({initial: ""}),
+            damage: damageFormulaField(),
+            portee: new fields.NumberField({required: true, min: 0, initial: 0}),
+            // État de moral (voir CONFIG.voidHorizon.moral), aucun par défaut
+            moral: new fields.NumberField({
+                required: true,
+                nullable: true,
+                integer: true,
+                initial: null,
+                choices: () => Object.keys(voidHorizon.moral).map(Number)
+            }),
+            ...inventoryFields()
+        };
+    }
+
+    /** @override */
+    static migrateData(source) {
+        // L'ancien template.json : dégâts numériques, portée accentuée, moral à 0 et champ sword inutilisé
+        if (typeof source.damage === "number") source.damage = source.damage ? String(source.damage) : "";
+        if ("portée" in source) {
+            source.portee ??= Number(source["portée"]) || 0;
+            delete source["portée"];
+        }
+        if (source.moral === 0) source.moral = null;
+        delete source.sword;
+        return super.migrateData(source);
+    }
+}
@@ -0,0 +1,42 @@
+import {voidHorizon} from "../config.js";
+import {qualityFields, equipSlotField, inventoryFields, getQualityRank} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des boucliers
+ * Un bouclier équipé dans une main ajoute son bonus et celui de sa taille à l'armure, et son dé
+ * de qualité (décalé selon sa taille) au Blocage. Un pavois occupe les deux mains.
+ */
+export default class ShieldData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            ...qualityFields(),
+            size: new fields.StringField({
+                required: true,
+                initial: "moyen",
+                choices: () => Object.keys(voidHorizon.shieldSizes)
+            }),
+            description: new fields.HTMLField({initial: ""}),
+            slot: equipSlotField(),
+            ...inventoryFields()
+        };
+    }
+
+    /** @override */
+    static migrateData(source) {
+        // Les boucliers issus des anciennes armes pouvaient garder un dé ou un libellé de qualité
+        if ("rank" in source) source.rank = getQualityRank(source.rank);
+        return super.migrateData(source);
+    }
+
+    /**
+     * Règles de la taille du bouclier
+     * @returns {Object} - Voir voidHorizon.shieldSizes
+     */
+    get sizeRules() {
+        return voidHorizon.shieldSizes[this.size] || voidHorizon.shieldSizes.moyen;
+    }
+}
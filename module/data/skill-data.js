@@ -0,0 +1,52 @@
+import {voidHorizon} from "../config.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des compétences
+ * Une compétence est lancée sur sa caractéristique (Safe/Unsafe) avec les dés de sa maîtrise ;
+ * elle est partagée par les héros et les PNJ.
+ */
+export default class SkillData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            characteristic: new fields.StringField({
+                required: true,
+                initial: "martialite",
+                choices: () => Object.keys(voidHorizon.characteristics)
+            }),
+            // Dés ajoutés au jet de caractéristique
+            mastery: new fields.StringField({
+                required: true,
+                initial: "2d4",
+                choices: () => Object.keys(voidHorizon.skillMasteries)
+            }),
+            description: new fields.HTMLField({initial: ""})
+        };
+    }
+
+    /** @override */
+    static migrateData(source) {
+        // Les anciennes compétences de héros pouvaient être enregistrées sans caractéristique
+        if (source.characteristic === "") delete source.characteristic;
+        return super.migrateData(source);
+    }
+
+    /**
+     * Libellé de la maîtrise (ex: "Compagnon (3d4)")
+     * @returns {string}
+     */
+    get masteryLabel() {
+        return `${voidHorizon.skillMasteries[this.mastery] ?? this.mastery} (${this.mastery})`;
+    }
+
+    /**
+     * Libellé de la caractéristique associée
+     * @returns {string}
+     */
+    get characteristicLabel() {
+        return voidHorizon.characteristics[this.characteristic] ?? this.characteristic;
+    }
+}
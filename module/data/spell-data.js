@@ -0,0 +1,54 @@
+import {voidHorizon} from "../config.js";
+import {getDegree} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des sorts
+ * Un sort est lancé sur l'Arcane (Safe/Unsafe) par un héros qui atteint son degré d'Arcane minimum
+ * et partage son affinité ; son coût en mana est déduit au lancement.
+ */
+export default class SpellData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            affinity: new fields.StringField({
+                required: true,
+                initial: "aucune",
+                choices: () => Object.keys(voidHorizon.affinities)
+            }),
+            // Degré d'Arcane minimum, exprimé par sa formule de dés
+            arcane: new fields.StringField({
+                required: true,
+                initial: "2d4",
+                choices: () => Object.keys(voidHorizon.degrees)
+            }),
+            manaCost: new fields.NumberField({required: true, integer: true, min: 0, initial: 1}),
+            // Dés ajoutés au jet d'Arcane (ex: "1d6"), vide pour un jet d'Arcane seul
+            formula: new fields.StringField({initial: ""}),
+            // Un sort offensif propose l'application des dégâts et la défense des cibles
+            offensive: new fields.BooleanField({initial: false}),
+            effect: new fields.StringField({initial: ""}),
+            description: new fields.HTMLField({initial: ""})
+        };
+    }
+
+    /**
+     * Raison pour laquelle un acteur ne peut pas lancer le sort
+     * @param {Actor} actor - Le lanceur
+     * @returns {string} - La raison, vide si le sort est accessible
+     */
+    getCastRestriction(actor) {
+        const system = actor?.system;
+        if (!system?.arcane) return "Aucune maîtrise de l'Arcane";
+
+        if (getDegree(system.arcane.value) < getDegree(this.arcane)) {
+            return `Arcane insuffisant (${voidHorizon.degreeLabels.arcane[this.arcane] ?? this.arcane} requis)`;
+        }
+        if (this.affinity !== "aucune" && system.affinity?.value !== this.affinity) {
+            return `Affinité ${voidHorizon.affinities[this.affinity]} requise`;
+        }
+        return "";
+    }
+}
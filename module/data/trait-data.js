@@ -0,0 +1,79 @@
+import {voidHorizon} from "../config.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des traits
+ * Les bonus d'un trait sont portés par ses effets actifs, transférés à l'acteur qui le possède :
+ * chaque modification ajoute sa valeur à system.traitBonuses.<cible>. Désactiver les effets
+ * désactive le trait.
+ */
+export default class TraitData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            description: new fields.HTMLField({initial: ""})
+        };
+    }
+
+    /**
+     * Données d'un effet actif de bonus de trait
+     * @param {string} target - La cible du bonus (voir voidHorizon.traitBonusTargets)
+     * @param {number} value - La valeur du bonus
+     * @param {string} [name] - Le nom de l'effet, par défaut le libellé de la cible
+     * @returns {Object} - Les données de l'effet
+     */
+    static createEffectData(target, value, name = voidHorizon.traitBonusTargets[target]) {
+        return {
+            name,
+            img: "icons/svg/upgrade.svg",
+            transfer: true,
+            changes: [{
+                key: `system.traitBonuses.${target}`,
+                mode: CONST.ACTIVE_EFFECT_MODES.ADD,
+                value: String(value)
+            }]
+        };
+    }
+
+    /**
+     * Bonus portés par les effets du trait
+     * @returns {Object[]} - { effectId, target, label, value, disabled }
+     */
+    get bonuses() {
+        const bonuses = [];
+        for (const effect of this.parent?.effects ?? []) {
+            for (const change of effect.changes) {
+                const target = change.key.match(/^system\.traitBonuses\.(\w+)$/)?.[1];
+                bonuses.push({
+                    effectId: effect.id,
+                    target: target ?? change.key,
+                    label: voidHorizon.traitBonusTargets[target] ?? change.key,
+                    value: Number(change.value) || 0,
+                    disabled: effect.disabled
+                });
+            }
+        }
+        return bonuses;
+    }
+
+    /**
+     * Le trait est actif tant qu'un de ses effets l'est
+     * @returns {boolean}
+     */
+    get active() {
+        const effects = this.parent?.effects;
+        return !effects?.size || effects.some(effect => !effect.disabled);
+    }
+
+    /**
+     * Résumé des bonus du trait (ex: "Martialité +1, Armure +2")
+     * @returns {string}
+     */
+    get bonusSummary() {
+        return this.bonuses
+            .map(bonus => `${bonus.label} ${bonus.value < 0 ? bonus.value : `+${bonus.value}`}`)
+            .join(", ");
+    }
+}
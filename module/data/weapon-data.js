@@ -0,0 +1,55 @@
+import {voidHorizon} from "../config.js";
+import {qualityFields, equipSlotField, inventoryFields, getQualityRank} from "./common.js";
+
+const fields = foundry.data.fields;
+
+/**
+ * Modèle de données des armes
+ * Une arme équipée dans une main est lancée sur la caractéristique de son type, avec le dé
+ * de son rang de qualité et son bonus. Un focus se lance sur l'Arcane et dépense une charge,
+ * à défaut son coût en mana.
+ */
+export default class WeaponData extends foundry.abstract.TypeDataModel {
+
+    /** @override */
+    static defineSchema() {
+        return {
+            type: new fields.StringField({
+                required: true,
+                initial: "strength",
+                choices: () => Object.keys(voidHorizon.weaponTypes)
+            }),
+            ...qualityFields(),
+            // Focus : mana dépensé par attaque et charges utilisées avant le mana, rechargées au repos
+            manaCost: new fields.NumberField({required: true, integer: true, min: 0, initial: 1}),
+            charges: new fields.SchemaField({
+                value: new fields.NumberField({required: true, integer: true, min: 0, initial: 0}),
+                max: new fields.NumberField({required: true, integer: true, min: 0, initial: 0})
+            }),
+            // Nature des dégâts, ignorée pour les focus
+            nature: new fields.StringField({
+                required: true,
+                initial: "contondant",
+                choices: () => Object.keys(voidHorizon.damageNatures)
+            }),
+            description: new fields.HTMLField({initial: ""}),
+            slot: equipSlotField(),
+            ...inventoryFields()
+        };
+    }
+
+    /** @override */
+    static migrateData(source) {
+        // Les anciennes armes des héros enregistraient parfois leur dé ou leur libellé de qualité
+        if ("rank" in source) source.rank = getQualityRank(source.rank);
+        return super.migrateData(source);
+    }
+
+    /**
+     * L'arme est un focus arcanique
+     * @returns {boolean}
+     */
+    get isFocus() {
+        return this.type === "focus";
+    }
+}
@@ -0,0 +1,166 @@
+import VoidRoll from "./void-roll.js";
+
+/**
+ * Fenêtre de configuration affichée avant un test Safe/Unsafe
+ * Montre les plages Safe et Unsafe du jet, et permet d'ajouter un modificateur de situation,
+ * une difficulté et de choisir la visibilité du jet avant de lancer les dés.
+ */
+export default class VoidRollDialog extends Dialog {
+
+    /**
+     * @param {Object} rollConfig - Configuration du jet (voir VoidRollDialog.configure)
+     * @param {Object} dialogData - Données de la fenêtre
+     * @param {Object} [options] - Options de la fenêtre
+     */
+    constructor(rollConfig, dialogData, options) {
+        super(dialogData, options);
+        this.rollConfig = rollConfig;
+    }
+
+    /** @override */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ["voidHorizon", "dialog", "roll-dialog"],
+            width: 380
+        });
+    }
+
+    /**
+     * Le clic doit-il lancer les dés directement, sans fenêtre
+     * Maj+clic inverse le comportement choisi dans les paramètres du client.
+     * @param {Event} [event] - L'événement de clic
+     * @returns {boolean}
+     */
+    static shouldSkip(event) {
+        const dialogOnShift = game.settings.get("voidHorizon", "rollDialogOnShift");
+        return Boolean(event?.shiftKey) !== dialogOnShift;
+    }
+
+    /**
+     * Ouvre la fenêtre de configuration (sauf Maj+clic) et retourne la configuration finale du jet
+     * @param {Event} [event] - L'événement de clic
+     * @param {Object} config - Configuration du jet
+     * @param {string} config.title - Titre de la fenêtre
+     * @param {string} config.dice - Dé de la caractéristique ou formule libre
+     * @param {string} [config.mode="safe"] - Mode proposé par défaut
+     * @param {string[]} [config.modes] - Modes disponibles
+     * @param {Object[]} [config.modifiers] - Modificateurs typés du jet
+     * @param {number|null} [config.floor] - Résultat minimum du jet
+     * @param {number|null} [config.difficulty] - Difficulté imposée, non modifiable (ex: test demandé par le MJ)
+     * @returns {Promise<Object|null>} - La configuration pour VoidRoll.build, null si la fenêtre est fermée
+     */
+    static async configure(event, {title, modes = ["safe", "unsafe"], ...config}) {
+        config = {mode: modes[0], modifiers: [], floor: null, difficulty: null, ...config};
+        if (!modes.includes(config.mode)) config.mode = modes[0];
+
+        if (this.shouldSkip(event)) {
+            return {...config, rollMode: game.settings.get("core", "rollMode")};
+        }
+
+        const content = await foundry.applications.handlebars.renderTemplate("systems/voidHorizon/templates/dialogs/roll-dialog.html", {
+            ranges: this._getRanges(config, modes),
+            modifiers: config.modifiers
+                .filter(modifier => modifier.formula || modifier.value)
+                .map(modifier => ({
+                    label: modifier.label || CONFIG.voidHorizon.rollModifierTypes[modifier.type] || modifier.type,
+                    value: modifier.formula || (modifier.value > 0 ? `+${modifier.value}` : modifier.value)
+                })),
+            difficulty: config.difficulty,
+            difficultyLocked: config.difficulty !== null,
+            rollMode: game.settings.get("core", "rollMode"),
+            rollModes: Object.fromEntries(Object.entries(CONFIG.Dice.rollModes).map(([key, mode]) => [
+                key,
+                game.i18n.localize(mode.label ?? mode)
+            ]))
+        });
+
+        return new Promise(resolve => {
+            const buttons = {};
+            for (const mode of modes) {
+                buttons[mode] = {
+                    icon: mode === "unsafe" ? '<i class="fas fa-skull-crossbones"></i>' : '<i class="fas fa-shield-alt"></i>',
+                    label: modes.length > 1 ? (mode === "unsafe" ? "Unsafe" : "Safe") : "Lancer",
+                    callback: html => resolve(this._getRollConfig(html, config, mode))
+                };
+            }
+
+            new this(config, {
+                title,
+                content,
+                buttons,
+                default: config.mode,
+                close: () => resolve(null)
+            }).render(true);
+        });
+    }
+
+    /**
+     * Plages affichées pour chaque mode disponible
+     * @param {Object} config - Configuration du jet
+     * @param {string[]} modes - Modes disponibles
+     * @param {Object[]} [extraModifiers] - Modificateurs ajoutés dans la fenêtre
+     * @returns {Object[]} - { mode, label, range }
+     * @private
+     */
+    static _getRanges(config, modes, extraModifiers = []) {
+        return modes.map(mode => {
+            const range = VoidRoll.getRange(config.dice, mode, [...config.modifiers, ...extraModifiers], config.floor);
+            return {
+                mode,
+                label: mode === "unsafe" ? "Unsafe" : "Safe",
+                range: range ? `${range.min}-${range.max}` : VoidRoll.getBaseFormula(config.dice, mode)
+            };
+        });
+    }
+
+    /**
+     * Convertit le modificateur de situation saisi en modificateur typé
+     * @param {string} value - La saisie (ex: "+2", "-1", "1d4")
+     * @returns {Object|null} - Le modificateur, null si la saisie est vide ou invalide
+     * @private
+     */
+    static _parseSituational(value) {
+        value = String(value ?? "").trim();
+        if (!value) return null;
+        const number = Number(value);
+        if (Number.isFinite(number)) return {type: "situational", value: number};
+        const formula = value.replace(/^\+\s*/, "");
+        return Roll.validate(formula) ? {type: "situational", formula} : null;
+    }
+
+    /**
+     * Lit le formulaire et construit la configuration finale du jet
+     * @param {jQuery} html - Le contenu de la fenêtre
+     * @param {Object} config - Configuration initiale du jet
+     * @param {string} mode - Le mode choisi
+     * @returns {Object} - La configuration pour VoidRoll.build
+     * @private
+     */
+    static _getRollConfig(html, config, mode) {
+        const form = html[0].querySelector("form");
+        const situational = this._parseSituational(form.bonus.value);
+        // Une difficulté imposée (test demandé, total de l'attaque à défendre) ne se modifie pas
+        const difficulty = (config.difficulty !== null) ? config.difficulty : parseInt(form.difficulty.value);
+        return {
+            ...config,
+            mode,
+            modifiers: situational ? [...config.modifiers, situational] : config.modifiers,
+            difficulty: Number.isFinite(difficulty) ? difficulty : null,
+            rollMode: form.rollMode.value
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Recalculer les plages à la saisie du modificateur de situation
+        html.find('input[name="bonus"]').on("input", event => {
+            const situational = this.constructor._parseSituational(event.currentTarget.value);
+            const modes = Object.keys(this.data.buttons);
+            for (const {mode, range} of this.constructor._getRanges(this.rollConfig, modes, situational ? [situational] : [])) {
+                html.find(`.roll-range[data-mode="${mode}"] .range-value`).text(range);
+            }
+        });
+    }
+}
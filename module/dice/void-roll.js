@@ -0,0 +1,261 @@
+import {voidHorizon} from "../config.js";
+
+/**
+ * Jet de dés voidHorizon
+ * Un test part du dé d'une caractéristique (2d4 à 7d4) lancé en mode Safe (les dés tels quels)
+ * ou Unsafe (un seul dé de 4 × degré + 8 faces), auquel s'ajoutent des modificateurs typés
+ * (trait, malus d'armure, qualité d'arme, maîtrise, bouclier...).
+ * Seuls les jets Unsafe peuvent donner une réussite ou un échec critique.
+ */
+export default class VoidRoll extends Roll {
+
+    /**
+     * @param {string} formula - La formule complète du jet
+     * @param {Object} [data] - Données de l'acteur
+     * @param {Object} [options] - Options du jet
+     * @param {string} [options.dice] - Dé de la caractéristique (ex: "3d4")
+     * @param {string} [options.mode="safe"] - Mode du jet ("safe" ou "unsafe")
+     * @param {Object[]} [options.modifiers] - Modificateurs typés { type, label, value | formula }
+     * @param {number|null} [options.floor] - Résultat minimum du jet
+     * @param {number|null} [options.difficulty] - Difficulté à atteindre
+     * @param {string} [options.rollMode] - Visibilité du message de chat
+     */
+    constructor(formula, data = {}, options = {}) {
+        super(formula, data, options);
+        this.options.mode ??= "safe";
+        this.options.modifiers ??= [];
+        this.options.floor ??= null;
+        this.options.difficulty ??= null;
+    }
+
+    /**
+     * Construit un jet à partir d'un dé de caractéristique et de modificateurs
+     * @param {Object} config - Configuration du jet
+     * @param {string} config.dice - Dé de la caractéristique (ex: "3d4")
+     * @param {string} [config.mode="safe"] - Mode du jet ("safe" ou "unsafe")
+     * @param {Object[]} [config.modifiers] - Modificateurs typés { type, label, value | formula }
+     * @param {number|null} [config.floor] - Résultat minimum du jet
+     * @param {number|null} [config.difficulty] - Difficulté à atteindre
+     * @param {string} [config.rollMode] - Visibilité du message de chat
+     * @param {Object} [data] - Données de l'acteur
+     * @returns {VoidRoll} - Le jet, non évalué
+     */
+    static build({dice, mode = "safe", modifiers = [], floor = null, difficulty = null, rollMode}, data = {}) {
+        modifiers = modifiers
+            .filter(modifier => modifier.formula || modifier.value)
+            .map(modifier => ({
+                label: voidHorizon.rollModifierTypes[modifier.type] || modifier.type,
+                ...modifier
+            }));
+        const formula = [this.getBaseFormula(dice, mode), ...modifiers.map(this._modifierTerm)].join(" ");
+        return new this(formula, data, {dice, mode, modifiers, floor, difficulty, rollMode});
+    }
+
+    /**
+     * Configuration du jet d'une caractéristique d'un acteur avec ses propres modificateurs
+     * @param {Actor} actor - L'acteur qui lance les dés
+     * @param {string} stat - La caractéristique (ex: "agilite")
+     * @param {Object[]} [modifiers] - Modificateurs supplémentaires (arme, maîtrise...)
+     * @returns {{dice: string, modifiers: Object[], floor: number|null}} - La configuration du jet
+     */
+    static getStatConfig(actor, stat, modifiers = []) {
+        const system = actor.system;
+        return {
+            dice: system[stat]?.value || "2d4",
+            modifiers: [...(system.getStatModifiers?.(stat) ?? []), ...modifiers],
+            floor: voidHorizon.rollFloors[stat] ?? null
+        };
+    }
+
+    /**
+     * Construit le jet d'une caractéristique d'un acteur avec ses propres modificateurs
+     * @param {Actor} actor - L'acteur qui lance les dés
+     * @param {string} stat - La caractéristique (ex: "agilite")
+     * @param {string} [mode="safe"] - Mode du jet ("safe" ou "unsafe")
+     * @param {Object[]} [modifiers] - Modificateurs supplémentaires (arme, maîtrise...)
+     * @returns {VoidRoll} - Le jet, non évalué
+     */
+    static fromStat(actor, stat, mode = "safe", modifiers = []) {
+        return this.build({...this.getStatConfig(actor, stat, modifiers), mode}, actor.getRollData());
+    }
+
+    /**
+     * Formule du dé de base d'une caractéristique selon le mode
+     * @param {string} dice - Dé de la caractéristique (ex: "3d4")
+     * @param {string} [mode="safe"] - Mode du jet ("safe" ou "unsafe")
+     * @returns {string} - La formule (ex: "3d4" en Safe, "1d16" en Unsafe)
+     */
+    static getBaseFormula(dice, mode = "safe") {
+        const degree = voidHorizon.degrees[dice];
+        // Une formule libre (attaque de PNJ) est lancée telle quelle
+        if (mode !== "unsafe" || !degree) return dice;
+        return `1d${(degree * 4) + 8}`;
+    }
+
+    /**
+     * Plage des résultats possibles d'un jet, sans le lancer
+     * @param {string} dice - Dé de la caractéristique (ex: "3d4")
+     * @param {string} [mode="safe"] - Mode du jet ("safe" ou "unsafe")
+     * @param {Object[]|number} [modifiers] - Modificateurs typés, ou bonus fixe total
+     * @param {number|null} [floor] - Résultat minimum du jet
+     * @returns {{min: number, max: number}|null} - La plage, null si le dé est inconnu
+     */
+    static getRange(dice, mode = "safe", modifiers = [], floor = null) {
+        const base = this._formulaRange(this.getBaseFormula(dice, mode));
+        if (!base) return null;
+
+        if (typeof modifiers === "number") modifiers = [{value: modifiers}];
+        let {min, max} = base;
+        for (const modifier of modifiers) {
+            const range = modifier.formula
+                ? this._formulaRange(modifier.formula)
+                : {min: Number(modifier.value) || 0, max: Number(modifier.value) || 0};
+            if (!range) continue;
+            min += range.min;
+            max += range.max;
+        }
+
+        if (floor !== null) {
+            min = Math.max(floor, min);
+            max = Math.max(floor, max);
+        }
+        return {min, max};
+    }
+
+    /**
+     * Plage min/max d'une formule simple de la forme "XdY"
+     * @param {string} formula - La formule (ex: "1d12")
+     * @returns {{min: number, max: number}|null} - La plage, null si la formule n'est pas reconnue
+     * @private
+     */
+    static _formulaRange(formula) {
+        const match = String(formula).match(/^(\d+)d(\d+)$/);
+        if (!match) return null;
+        const number = parseInt(match[1]);
+        return {min: number, max: number * parseInt(match[2])};
+    }
+
+    /**
+     * Terme de formule d'un modificateur (ex: "+ 2", "- 4", "+ 1d6")
+     * @param {Object} modifier - Le modificateur
+     * @returns {string} - Le terme de formule
+     * @private
+     */
+    static _modifierTerm(modifier) {
+        if (modifier.formula) return `+ ${modifier.formula}`;
+        const value = Number(modifier.value);
+        return `${value < 0 ? "-" : "+"} ${Math.abs(value)}`;
+    }
+
+    /**
+     * Le jet est-il en mode Unsafe
+     * @returns {boolean}
+     */
+    get isUnsafe() {
+        return this.options.mode === "unsafe";
+    }
+
+    /**
+     * Le dé de la caractéristique (premier dé de la formule)
+     * @returns {Die|undefined}
+     */
+    get baseDie() {
+        return this.dice[0];
+    }
+
+    /**
+     * Résultat du dé de caractéristique, avant modificateurs
+     * @returns {number}
+     */
+    get baseResult() {
+        return this.baseDie?.total ?? 0;
+    }
+
+    /**
+     * Somme des modificateurs fixes du jet
+     * @returns {number}
+     */
+    get modifiersTotal() {
+        return this.options.modifiers.reduce((total, modifier) => total + (modifier.formula ? 0 : Number(modifier.value) || 0), 0);
+    }
+
+    /**
+     * Le total a-t-il été ramené au minimum du jet
+     * @returns {boolean}
+     */
+    get isFloored() {
+        if (!this._evaluated || this.options.floor === null) return false;
+        return super._evaluateTotal() < this.options.floor;
+    }
+
+    /**
+     * Réussite critique : le dé Unsafe donne son maximum
+     * @returns {boolean}
+     */
+    get isCriticalSuccess() {
+        const die = this.baseDie;
+        if (!this.isUnsafe || !this._evaluated || !die) return false;
+        return die.total === die.number * die.faces;
+    }
+
+    /**
+     * Échec critique : le dé Unsafe donne son minimum
+     * @returns {boolean}
+     */
+    get isCriticalFailure() {
+        const die = this.baseDie;
+        if (!this.isUnsafe || !this._evaluated || !die) return false;
+        return die.total === die.number;
+    }
+
+    /**
+     * Nombre de points d'écart par degré de réussite ou d'échec (paramètre du monde)
+     * @returns {number}
+     */
+    static get successStep() {
+        return game.settings.settings.has("voidHorizon.successStep")
+            ? game.settings.get("voidHorizon", "successStep")
+            : 4;
+    }
+
+    /**
+     * Résultat du jet face à sa difficulté
+     * Chaque tranche complète d'écart donne un degré de réussite ou d'échec ;
+     * un critique Unsafe impose la réussite ou l'échec quel que soit le total.
+     * @returns {{success: boolean, margin: number, steps: number, critical: boolean}|null} - null sans difficulté
+     */
+    get outcome() {
+        const difficulty = this.options.difficulty;
+        if (!this._evaluated || difficulty === null) return null;
+
+        const margin = this.total - difficulty;
+        let success = margin >= 0;
+        if (this.isCriticalSuccess) success = true;
+        if (this.isCriticalFailure) success = false;
+
+        // Les degrés ne comptent que si le critique n'a pas renversé le résultat
+        const steps = success === (margin >= 0) ? Math.floor(Math.abs(margin) / VoidRoll.successStep) : 0;
+        return {success, margin, steps, critical: this.isCriticalSuccess || this.isCriticalFailure};
+    }
+
+    /**
+     * Libellé du résultat face à la difficulté (ex: "Réussite (+2 degrés)")
+     * @returns {string} - Vide sans difficulté
+     */
+    get outcomeLabel() {
+        const outcome = this.outcome;
+        if (!outcome) return "";
+        if (outcome.critical) return outcome.success ? "Réussite critique" : "Échec critique";
+
+        const label = outcome.success ? "Réussite" : "Échec";
+        if (!outcome.steps) return label;
+        return `${label} (${outcome.success ? "+" : "-"}${outcome.steps} degré${outcome.steps > 1 ? "s" : ""})`;
+    }
+
+    /** @override */
+    _evaluateTotal() {
+        const total = super._evaluateTotal();
+        if (this.options.floor === null) return total;
+        return Math.max(this.options.floor, total);
+    }
+}
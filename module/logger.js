@@ -0,0 +1,195 @@
+import {getSetting} from "./settings.js";
+
+/**
+ * Journal du système voidHorizon
+ * Chaque message a un niveau (error, warn, info, debug) et une catégorie (system, sheet, rolls, export, migration).
+ * Seuls les messages du niveau choisi dans le paramètre logLevel, ou plus graves, sont écrits dans la console ;
+ * le mode débogage les écrit tous. Les messages écrits sont conservés pour le diagnostic téléchargeable, et une
+ * capture enregistre tous les niveaux sans rien écrire de plus dans la console.
+ */
+export default class VHLogger {
+
+    /**
+     * Niveaux du journal, du plus grave au plus bavard
+     * @type {Object<string, number>}
+     */
+    static LEVELS = {none: 0, error: 1, warn: 2, info: 3, debug: 4};
+
+    /**
+     * Catégories des messages et leur libellé
+     * @type {Object<string, string>}
+     */
+    static CATEGORIES = {
+        system: "Système",
+        sheet: "Fiches",
+        rolls: "Jets",
+        export: "Export",
+        migration: "Migration"
+    };
+
+    /**
+     * Nombre de messages conservés pour le diagnostic
+     * @type {number}
+     */
+    static MAX_ENTRIES = 1000;
+
+    /**
+     * Capture en cours : tous les niveaux sont conservés
+     * @type {boolean}
+     */
+    static capturing = false;
+
+    /**
+     * Messages conservés pour le diagnostic
+     * @type {Object[]}
+     * @private
+     */
+    static _entries = [];
+
+    /**
+     * @param {string} category - La catégorie (voir CATEGORIES)
+     * @param {...*} args - Le message et ses données
+     */
+    static error(category, ...args) {
+        this._log("error", category, args);
+    }
+
+    /**
+     * @param {string} category - La catégorie (voir CATEGORIES)
+     * @param {...*} args - Le message et ses données
+     */
+    static warn(category, ...args) {
+        this._log("warn", category, args);
+    }
+
+    /**
+     * @param {string} category - La catégorie (voir CATEGORIES)
+     * @param {...*} args - Le message et ses données
+     */
+    static info(category, ...args) {
+        this._log("info", category, args);
+    }
+
+    /**
+     * @param {string} category - La catégorie (voir CATEGORIES)
+     * @param {...*} args - Le message et ses données
+     */
+    static debug(category, ...args) {
+        this._log("debug", category, args);
+    }
+
+    /**
+     * Niveau le plus bavard écrit dans la console : celui du paramètre logLevel, tout en mode débogage
+     * @returns {number}
+     */
+    static get level() {
+        if (getSetting("debugMode")) return this.LEVELS.debug;
+        return this.LEVELS[getSetting("logLevel")] ?? this.LEVELS.error;
+    }
+
+    /**
+     * Un message de ce niveau est-il écrit dans la console ?
+     * Permet d'éviter de préparer des données de débogage coûteuses pour rien.
+     * @param {string} level - Le niveau
+     * @returns {boolean}
+     */
+    static isEnabled(level) {
+        return this.LEVELS[level] <= this.level;
+    }
+
+    /**
+     * Messages conservés, du plus ancien au plus récent
+     * @returns {Object[]} - { time, level, category, message }
+     */
+    static get entries() {
+        return [...this._entries];
+    }
+
+    /**
+     * Démarre ou arrête la capture de tous les niveaux
+     * @param {boolean} capturing - Capturer ou non
+     */
+    static setCapture(capturing) {
+        this.capturing = capturing;
+        this.info("system", capturing ? "Capture du diagnostic démarrée" : "Capture du diagnostic arrêtée");
+    }
+
+    /**
+     * Vide les messages conservés
+     */
+    static clear() {
+        this._entries = [];
+    }
+
+    /**
+     * Diagnostic du monde : versions, modules actifs, paramètres du système et messages conservés
+     * @returns {Object}
+     */
+    static getDiagnostics() {
+        const settings = [...game.settings.settings.values()].filter(setting => setting.namespace === "voidHorizon");
+        return {
+            generatedAt: new Date().toISOString(),
+            foundry: game.version,
+            system: {id: game.system.id, version: game.system.version},
+            world: {id: game.world.id, title: game.world.title},
+            user: {name: game.user.name, isGM: game.user.isGM},
+            modules: game.modules.filter(module => module.active).map(module => ({id: module.id, version: module.version})),
+            settings: Object.fromEntries(settings.map(setting => [setting.key, game.settings.get("voidHorizon", setting.key)])),
+            actors: game.actors.reduce((counts, actor) => ({...counts, [actor.type]: (counts[actor.type] ?? 0) + 1}), {}),
+            log: this.entries
+        };
+    }
+
+    /**
+     * Télécharge le diagnostic au format JSON
+     */
+    static downloadDiagnostics() {
+        const save = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        save(JSON.stringify(this.getDiagnostics(), null, 2), "application/json", `voidHorizon-diagnostic-${stamp}.json`);
+    }
+
+    /**
+     * Écrit un message dans la console s'il atteint le niveau du journal, et le conserve
+     * @param {string} level - Le niveau
+     * @param {string} category - La catégorie
+     * @param {Array} args - Le message et ses données
+     * @private
+     */
+    static _log(level, category, args) {
+        const shown = this.isEnabled(level);
+        if (!shown && !this.capturing) return;
+
+        if (shown) {
+            const method = ["error", "warn", "info"].includes(level) ? level : "log";
+            console[method](`voidHorizon | ${this.CATEGORIES[category] ?? category} |`, ...args);
+        }
+
+        this._entries.push({
+            time: new Date().toISOString(),
+            level,
+            category,
+            message: args.map(arg => this._stringify(arg)).join(" ")
+        });
+        if (this._entries.length > this.MAX_ENTRIES) this._entries.shift();
+    }
+
+    /**
+     * Texte d'une donnée du message ; les documents et les applications sont résumés
+     * @param {*} arg - La donnée
+     * @returns {string}
+     * @private
+     */
+    static _stringify(arg) {
+        if (typeof arg === "string") return arg;
+        if (arg instanceof Error) return `${arg.name}: ${arg.message}\n${arg.stack ?? ""}`;
+        if (arg?.documentName) return `[${arg.documentName} ${arg.uuid ?? arg.id ?? ""}]`;
+        if (arg && (typeof arg === "object") && ![Object, Array].includes(arg.constructor)) return `[${arg.constructor?.name ?? "Object"}]`;
+        try {
+            const text = JSON.stringify(arg);
+            return (text?.length > 2000) ? `${text.slice(0, 2000)}…` : String(text);
+        } catch (err) {
+            return String(arg);
+        }
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * File d'attente des mises à jour de cartes de chat
+ * Le MJ relit le drapeau d'une carte, le complète puis le réécrit en entier : deux réponses reçues
+ * en même temps par le socket se chevaucheraient et la seconde effacerait la première. Les
+ * mises à jour d'une même carte s'exécutent donc l'une après l'autre.
+ */
+
+/**
+ * Dernière mise à jour en attente par carte
+ * @type {Map<string, Promise>}
+ */
+const queues = new Map();
+
+/**
+ * Exécute une mise à jour d'une carte après celles déjà en attente pour la même carte
+ * @param {string} messageId - La carte
+ * @param {Function} task - La mise à jour, qui relit la carte au moment de s'exécuter
+ * @returns {Promise<*>} - Le résultat de la mise à jour
+ */
+export function queueMessageUpdate(messageId, task) {
+    const previous = queues.get(messageId) ?? Promise.resolve();
+    // Une mise à jour en échec ne bloque pas les suivantes
+    const next = previous.catch(() => {}).then(task);
+    queues.set(messageId, next);
+    next.catch(() => {}).finally(() => {
+        if (queues.get(messageId) === next) queues.delete(messageId);
+    });
+    return next;
+}
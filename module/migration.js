@@ -0,0 +1,252 @@
+import {voidHorizon} from "./config.js";
+import TraitData from "./data/trait-data.js";
+import {getQualityRank} from "./data/common.js";
+import VHLogger from "./logger.js";
+
+/**
+ * Convertit les anciens traits (system.traits) d'un héros en Items de trait
+ * Chaque bonus devient un effet actif du trait ; les entrées supprimées (null) sont ignorées.
+ * @param {Actor} actor - Le héros
+ * @returns {Promise<Item[]>} - Les traits créés
+ */
+export async function migrateActorTraits(actor) {
+    const legacy = actor._source.system?.traits;
+    if ((actor.type !== "heros") || foundry.utils.isEmpty(legacy ?? {})) return [];
+
+    const items = Object.values(legacy).filter(trait => trait?.name).map(trait => {
+        const value = parseInt(trait.bonusValue) || 0;
+        const hasBonus = (trait.bonusTarget in voidHorizon.traitBonusTargets) && value;
+        return {
+            name: trait.name,
+            type: "trait",
+            system: {description: trait.description || ""},
+            effects: hasBonus ? [TraitData.createEffectData(trait.bonusTarget, value)] : []
+        };
+    });
+
+    const created = items.length ? await actor.createEmbeddedDocuments("Item", items) : [];
+    await actor.update({"system.-=traits": null});
+    VHLogger.info("migration", `${created.length} trait(s) de ${actor.name} convertis en Items`);
+    return created;
+}
+
+/**
+ * Convertit les anciennes compétences (system.skills) d'un acteur en Items de compétence
+ * Les héros les rangeaient dans un dictionnaire (entrées supprimées à null), avec caractéristique
+ * et maîtrise ; les PNJ dans un tableau de simples noms et descriptions.
+ * @param {Actor} actor - Le héros ou le PNJ
+ * @returns {Promise<Item[]>} - Les compétences créées
+ */
+export async function migrateActorSkills(actor) {
+    const legacy = actor._source.system?.skills;
+    if (foundry.utils.isEmpty(legacy ?? {})) return [];
+
+    const items = Object.values(legacy).filter(skill => skill?.name).map(skill => {
+        const system = {description: skill.description || ""};
+        if (skill.characteristic in voidHorizon.characteristics) system.characteristic = skill.characteristic;
+        if (skill.mastery in voidHorizon.skillMasteries) system.mastery = skill.mastery;
+        return {name: skill.name, type: "skill", system};
+    });
+
+    const created = items.length ? await actor.createEmbeddedDocuments("Item", items) : [];
+    await actor.update({"system.-=skills": null});
+    VHLogger.info("migration", `${created.length} compétence(s) de ${actor.name} convertie(s) en Items`);
+    return created;
+}
+
+/**
+ * Convertit les anciennes armes (system.weapons) et l'ancienne armure (system.armor) d'un héros en Items équipés
+ * Un emplacement resté à ses valeurs par défaut est ignoré ; un bouclier devient un Item de bouclier.
+ * @param {Actor} actor - Le héros
+ * @returns {Promise<Item[]>} - Les armes, boucliers et armures créés
+ */
+export async function migrateActorEquipment(actor) {
+    const {weapons, armor} = actor._source.system ?? {};
+    if ((actor.type !== "heros") || (foundry.utils.isEmpty(weapons ?? {}) && foundry.utils.isEmpty(armor ?? {}))) return [];
+
+    const items = [];
+    for (const [slot, weapon] of Object.entries(weapons ?? {})) {
+        if (!(slot in voidHorizon.equipSlots) || !weapon) continue;
+        const rank = getQualityRank(weapon.rank);
+        const used = weapon.name || weapon.description || (rank !== "0") || weapon.bonus
+            || (weapon.type && (weapon.type !== "strength"));
+        if (!used) continue;
+
+        const quality = {
+            rank,
+            bonus: parseInt(weapon.bonus) || 0,
+            description: weapon.description || "",
+            slot
+        };
+        if (weapon.type === "shield") {
+            items.push({
+                name: weapon.name || "Bouclier",
+                type: "shield",
+                system: {...quality, size: (weapon.size in voidHorizon.shieldSizes) ? weapon.size : "moyen"}
+            });
+            continue;
+        }
+
+        const system = {...quality, type: (weapon.type in voidHorizon.weaponTypes) ? weapon.type : "strength"};
+        if (weapon.nature in voidHorizon.damageNatures) system.nature = weapon.nature;
+        if (weapon.manaCost !== undefined) system.manaCost = parseInt(weapon.manaCost) || 0;
+        if (weapon.charges) system.charges = {value: parseInt(weapon.charges.value) || 0, max: parseInt(weapon.charges.max) || 0};
+        items.push({name: weapon.name || ((slot === "primary") ? "Arme principale" : "Arme secondaire"), type: "weapon", system});
+    }
+
+    const armorType = (armor?.type in voidHorizon.armorTypes) ? armor.type : "tissu";
+    if (armor && (armor.name || armor.description || (armorType !== "tissu") || armor.broken)) {
+        items.push({
+            name: armor.name || "Armure",
+            type: "armor",
+            system: {type: armorType, description: armor.description || "", broken: !!armor.broken, equipped: true}
+        });
+    }
+
+    const created = items.length ? await actor.createEmbeddedDocuments("Item", items) : [];
+    await actor.update({"system.-=weapons": null, "system.-=armor": null});
+    VHLogger.info("migration", `${created.length} pièce(s) d'équipement de ${actor.name} convertie(s) en Items`);
+    return created;
+}
+
+// Champs de l'ancien template.json des héros, remplacés par des valeurs calculées
+const LEGACY_HEROS_FIELDS = ["hp", "defense", "initiative", "speed", "images", "traitBonuses", "armorAgilityPenalty"];
+
+/**
+ * Retire les entrées supprimées (null) des anciens traits et compétences d'un acteur, et les champs
+ * que l'ancien template.json enregistrait alors qu'ils sont désormais calculés
+ * Les champs hors du schéma ne sont plus dans les données chargées : leur suppression est envoyée sans
+ * comparaison. Un jeton non lié n'enregistre que ses différences, qui ne contiennent pas ces champs.
+ * @param {Actor} actor - L'acteur
+ * @returns {Promise<void>}
+ */
+export async function cleanLegacyEntries(actor) {
+    const system = actor._source.system ?? {};
+    const update = {};
+    for (const key of ["traits", "skills"]) {
+        if (foundry.utils.getType(system[key]) !== "Object") continue;
+        for (const [id, entry] of Object.entries(system[key])) {
+            if (entry === null) update[`system.${key}.-=${id}`] = null;
+        }
+    }
+    const removed = Object.keys(update).length;
+    if ((actor.type === "heros") && !actor.isToken) {
+        for (const key of LEGACY_HEROS_FIELDS) update[`system.-=${key}`] = null;
+    }
+    if (foundry.utils.isEmpty(update)) return;
+
+    await actor.update(update, {diff: false});
+    if (removed) VHLogger.info("migration", `${removed} entrée(s) supprimée(s) retirée(s) des traits et compétences de ${actor.name}`);
+}
+
+/**
+ * Étapes de migration, dans l'ordre : chacune amène les données à sa version du schéma
+ * Une étape migre les acteurs (actor) et/ou les objets (item), objets possédés compris. Les valeurs
+ * corrigées à la lecture (degrés hors échelle, rangs de qualité) le sont dans migrateData des modèles.
+ * @type {{version: number, label: string, actor?: function(Actor): Promise, item?: function(Item): Promise}[]}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        label: "Entrées supprimées et anciens champs calculés",
+        actor: cleanLegacyEntries
+    },
+    {
+        version: 2,
+        label: "Traits, compétences et équipement convertis en Items",
+        actor: async actor => {
+            await migrateActorTraits(actor);
+            await migrateActorSkills(actor);
+            await migrateActorEquipment(actor);
+        }
+    }
+];
+
+/**
+ * Version du schéma des données du système (celle de la dernière étape)
+ * @type {number}
+ */
+export const MIGRATION_VERSION = MIGRATIONS.at(-1).version;
+
+/**
+ * Applique les étapes de migration à un document
+ * @param {Actor|Item} document - L'acteur ou l'objet
+ * @param {Object[]} steps - Les étapes à appliquer, dans l'ordre
+ * @returns {Promise<void>}
+ * @private
+ */
+async function migrateDocument(document, steps) {
+    for (const step of steps) {
+        if (document.documentName === "Item") {
+            await step.item?.(document);
+            continue;
+        }
+        await step.actor?.(document);
+        if (step.item) {
+            for (const item of document.items) await step.item(item);
+        }
+    }
+}
+
+/**
+ * Migre les données du monde vers la version du schéma du système (MJ actif uniquement)
+ * Parcourt les acteurs, les objets, les acteurs des jetons non liés et les compendiums du monde,
+ * en appliquant dans l'ordre les étapes postérieures à la version enregistrée dans le paramètre
+ * systemMigrationVersion. Un document en échec est journalisé sans bloquer les autres ; la version n'avance
+ * alors pas et la migration reprend au prochain chargement du monde. Les étapes ne modifient que des
+ * données anciennes : les documents déjà migrés ne changent pas quand elles sont rejouées.
+ * @returns {Promise<void>}
+ */
+export async function migrateWorld() {
+    if (!game.users.activeGM?.isSelf) return;
+
+    const current = game.settings.get("voidHorizon", "systemMigrationVersion");
+    const steps = MIGRATIONS.filter(step => step.version > current);
+    if (!steps.length) return;
+
+    const packs = game.packs.filter(pack => (pack.metadata.packageType === "world")
+        && ["Actor", "Item"].includes(pack.documentName));
+    const tokens = game.scenes.contents.flatMap(scene => scene.tokens.filter(token => !token.actorLink && token.actor));
+    let total = game.actors.size + game.items.size + tokens.length;
+    for (const pack of packs) total += (await pack.getIndex()).size;
+
+    VHLogger.info("migration", `Migration du schéma ${current} vers ${MIGRATION_VERSION} :`, steps.map(step => step.label));
+    const progress = ui.notifications.info(`Migration des données voidHorizon vers la version ${MIGRATION_VERSION}, ne fermez pas le jeu`, {progress: true});
+
+    let done = 0;
+    const failed = [];
+    const migrate = async (document, label) => {
+        try {
+            await migrateDocument(document, steps);
+        } catch (error) {
+            failed.push(document);
+            VHLogger.error("migration", `Échec de la migration de ${document.name}:`, error);
+        }
+        done++;
+        progress.update({pct: total ? done / total : 1, message: `Migration voidHorizon : ${label} (${done}/${total})`});
+    };
+
+    for (const actor of game.actors) await migrate(actor, "acteurs");
+    for (const item of game.items) await migrate(item, "objets");
+    for (const token of tokens) await migrate(token.actor, "jetons");
+
+    // Compendiums du monde, déverrouillés le temps de la migration
+    for (const pack of packs) {
+        const locked = pack.locked;
+        if (locked) await pack.configure({locked: false});
+        try {
+            for (const document of await pack.getDocuments()) await migrate(document, pack.title);
+        } finally {
+            if (locked) await pack.configure({locked: true});
+        }
+    }
+
+    progress.update({pct: 1});
+    if (failed.length) {
+        ui.notifications.error(`Migration voidHorizon incomplète : ${failed.length} document(s) en échec, voir le diagnostic du système. La migration reprendra au prochain chargement.`, {permanent: true});
+    } else {
+        await game.settings.set("voidHorizon", "systemMigrationVersion", MIGRATION_VERSION);
+        ui.notifications.info(`Migration voidHorizon terminée (version ${MIGRATION_VERSION})`);
+    }
+    VHLogger.info("migration", `Migration terminée : ${done} document(s), ${failed.length} échec(s)`);
+}
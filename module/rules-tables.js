@@ -0,0 +1,45 @@
+import {voidHorizon} from "./config.js";
+
+/**
+ * Tables de règles modifiables par monde
+ * Les valeurs de config.js servent de valeurs par défaut ; le paramètre rulesTables du monde les remplace
+ * table par table dans CONFIG.voidHorizon, que les modèles de données, les fiches et les jets lisent.
+ */
+export const RULES_TABLES = ["degrees", "degreeLabels", "manaPerArcane", "armorTypes", "qualityRanks", "qualityDice", "actionEconomy"];
+
+// Tables aux entrées fixes, complétées par les valeurs par défaut ; les autres suivent l'échelle des dés du monde
+const FIXED_TABLES = ["armorTypes", "qualityRanks", "qualityDice"];
+
+const DEFAULT_RULES = foundry.utils.deepClone(Object.fromEntries(RULES_TABLES.map(key => [key, voidHorizon[key]])));
+
+/**
+ * Tables de règles par défaut (celles de config.js)
+ * @returns {Object} - Copie des tables, par clé de CONFIG.voidHorizon
+ */
+export function getDefaultRules() {
+    return foundry.utils.deepClone(DEFAULT_RULES);
+}
+
+/**
+ * Remplace les tables de règles de CONFIG.voidHorizon par celles du monde
+ * Une table absente des tables du monde reprend sa valeur par défaut.
+ * @param {Object} [rules] - Les tables du monde (paramètre rulesTables)
+ */
+export function applyRulesTables(rules = {}) {
+    for (const key of RULES_TABLES) {
+        const table = rules?.[key];
+        if (!table) voidHorizon[key] = foundry.utils.deepClone(DEFAULT_RULES[key]);
+        else if (FIXED_TABLES.includes(key)) voidHorizon[key] = foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_RULES[key]), table);
+        else voidHorizon[key] = foundry.utils.deepClone(table);
+    }
+}
+
+/**
+ * Libellé d'un degré de l'échelle pour une caractéristique
+ * @param {string} stat - La caractéristique (ex: "agilite")
+ * @param {string} dice - Le dé (ex: "3d4")
+ * @returns {string} - Le libellé, le dé lui-même s'il n'en a pas
+ */
+export function getDegreeLabel(stat, dice) {
+    return voidHorizon.degreeLabels[stat]?.[dice] || dice;
+}
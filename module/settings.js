@@ -1,4 +1,10 @@
 // Configuration des paramètres du système voidHorizon
+import RulesTablesConfig from "./apps/rules-tables-config.js";
+import DiagnosticsConfig from "./apps/diagnostics-config.js";
+import VHLogger from "./logger.js";
+import {applyRulesTables} from "./rules-tables.js";
+import {getDenominationsError} from "./currency.js";
+
 export const voidHorizonSettings = {};
 
 // Paramètres de base du système
@@ -10,7 +16,8 @@ voidHorizonSettings.baseSettings = {
         scope: "world",
         config: true,
         type: Boolean,
-        default: true
+        default: true,
+        onChange: refreshActors
     },
     
     "showArmorPenalty": {
@@ -19,7 +26,8 @@ voidHorizonSettings.baseSettings = {
         scope: "world",
         config: true,
         type: Boolean,
-        default: true
+        default: true,
+        onChange: refreshActors
     },
     
     // Paramètres de calcul
@@ -33,7 +41,18 @@ voidHorizonSettings.baseSettings = {
             "default": "voidHorizon.settings.movementFormula.choices.default",
             "custom": "voidHorizon.settings.movementFormula.choices.custom"
         },
-        default: "default"
+        default: "default",
+        onChange: refreshActors
+    },
+    
+    "customMovementFormula": {
+        name: "voidHorizon.settings.customMovementFormula.name",
+        hint: "voidHorizon.settings.customMovementFormula.hint",
+        scope: "world",
+        config: true,
+        type: String,
+        default: "@degrees.agilite * @agilityMultiplier + @movementBase",
+        onChange: refreshActors
     },
     
     "agilityMultiplier": {
@@ -47,7 +66,8 @@ voidHorizonSettings.baseSettings = {
             max: 3.0,
             step: 0.1
         },
-        default: 1.5
+        default: 1.5,
+        onChange: refreshActors
     },
     
     "movementBase": {
@@ -61,7 +81,8 @@ voidHorizonSettings.baseSettings = {
             max: 5.0,
             step: 0.5
         },
-        default: 1.5
+        default: 1.5,
+        onChange: refreshActors
     },
     
     // Paramètres d'armure
@@ -71,7 +92,8 @@ voidHorizonSettings.baseSettings = {
         scope: "world",
         config: true,
         type: Boolean,
-        default: true
+        default: true,
+        onChange: refreshActors
     },
     
     "armorPenaltyMultiplier": {
@@ -85,7 +107,8 @@ voidHorizonSettings.baseSettings = {
             max: 3.0,
             step: 0.5
         },
-        default: 1.5
+        default: 1.5,
+        onChange: refreshActors
     },
     
     // Paramètres d'interface
@@ -95,7 +118,8 @@ voidHorizonSettings.baseSettings = {
         scope: "world",
         config: true,
         type: Boolean,
-        default: true
+        default: true,
+        onChange: refreshActors
     },
     
     "showDiceRanges": {
@@ -104,7 +128,8 @@ voidHorizonSettings.baseSettings = {
         scope: "world",
         config: true,
         type: Boolean,
-        default: true
+        default: true,
+        onChange: refreshActors
     },
     
     "showBonusBreakdown": {
@@ -113,7 +138,114 @@ voidHorizonSettings.baseSettings = {
         scope: "world",
         config: true,
         type: Boolean,
-        default: true
+        default: true,
+        onChange: refreshActors
+    },
+    
+    // Paramètres des jets
+    "successStep": {
+        name: "voidHorizon.settings.successStep.name",
+        hint: "voidHorizon.settings.successStep.hint",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: {
+            min: 1,
+            max: 10,
+            step: 1
+        },
+        default: 4
+    },
+    
+    "rollDialogOnShift": {
+        name: "voidHorizon.settings.rollDialogOnShift.name",
+        hint: "voidHorizon.settings.rollDialogOnShift.hint",
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    
+    // Paramètres de combat
+    "initiativeStat": {
+        name: "voidHorizon.settings.initiativeStat.name",
+        hint: "voidHorizon.settings.initiativeStat.hint",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            "agilite": "voidHorizon.settings.initiativeStat.choices.agilite",
+            "acuite": "voidHorizon.settings.initiativeStat.choices.acuite"
+        },
+        default: "agilite",
+        onChange: () => CONFIG.Combatant.documentClass.applyInitiativeFormula?.()
+    },
+    
+    "initiativeMode": {
+        name: "voidHorizon.settings.initiativeMode.name",
+        hint: "voidHorizon.settings.initiativeMode.hint",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            "safe": "voidHorizon.settings.initiativeMode.choices.safe",
+            "unsafe": "voidHorizon.settings.initiativeMode.choices.unsafe"
+        },
+        default: "safe"
+    },
+    
+    // Paramètres du commerce
+    "currencyDenominations": {
+        name: "voidHorizon.settings.currencyDenominations.name",
+        hint: "voidHorizon.settings.currencyDenominations.hint",
+        scope: "world",
+        config: true,
+        type: String,
+        default: "po:Pièce d'or:100; pa:Pièce d'argent:10; pc:Pièce de cuivre:1",
+        onChange: onDenominationsChange
+    },
+    
+    // Tables de règles du monde (modifiées depuis le menu « Tables de règles »)
+    "rulesTables": {
+        name: "voidHorizon.settings.rulesTables.name",
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: rules => {
+            applyRulesTables(rules);
+            refreshActors();
+        }
+    },
+    
+    // Version du schéma des données du monde, tenue à jour par la migration (module/migration.js)
+    "systemMigrationVersion": {
+        name: "voidHorizon.settings.systemMigrationVersion.name",
+        scope: "world",
+        config: false,
+        type: Number,
+        default: 0
+    }
+};
+
+// Menus des paramètres
+voidHorizonSettings.menus = {
+    "rulesTablesMenu": {
+        name: "voidHorizon.settings.rulesTables.name",
+        label: "voidHorizon.settings.rulesTables.label",
+        hint: "voidHorizon.settings.rulesTables.hint",
+        icon: "fas fa-table",
+        type: RulesTablesConfig,
+        restricted: true
+    },
+    
+    "diagnosticsMenu": {
+        name: "voidHorizon.settings.diagnostics.name",
+        label: "voidHorizon.settings.diagnostics.label",
+        hint: "voidHorizon.settings.diagnostics.hint",
+        icon: "fas fa-stethoscope",
+        type: DiagnosticsConfig,
+        restricted: false
     }
 };
 
@@ -141,7 +273,7 @@ voidHorizonSettings.advancedSettings = {
             "info": "voidHorizon.settings.logLevel.choices.info",
             "debug": "voidHorizon.settings.logLevel.choices.debug"
         },
-        default: "warn"
+        default: "error"
     },
     
     "autoSave": {
@@ -170,7 +302,7 @@ voidHorizonSettings.advancedSettings = {
 
 // Fonction pour enregistrer tous les paramètres
 export function registerSettings() {
-    console.log("Enregistrement des paramètres voidHorizon...");
+    VHLogger.debug("system", "Enregistrement des paramètres voidHorizon...");
     
     // Enregistrer les paramètres de base
     for (const [key, setting] of Object.entries(voidHorizonSettings.baseSettings)) {
@@ -182,11 +314,22 @@ export function registerSettings() {
         game.settings.register("voidHorizon", key, setting);
     }
     
-    console.log("Paramètres voidHorizon enregistrés avec succès !");
+    // Enregistrer les menus
+    for (const [key, menu] of Object.entries(voidHorizonSettings.menus)) {
+        game.settings.registerMenu("voidHorizon", key, menu);
+    }
+    
+    // Tables de règles du monde dans CONFIG.voidHorizon
+    applyRulesTables(getSetting("rulesTables"));
+    
+    VHLogger.debug("system", "Paramètres voidHorizon enregistrés avec succès !");
 }
 
-// Fonction pour obtenir un paramètre
+// Fonction pour obtenir un paramètre (sa valeur par défaut tant qu'il n'est pas enregistré)
 export function getSetting(key) {
+    if (!game.settings?.settings.has(`voidHorizon.${key}`)) {
+        return (voidHorizonSettings.baseSettings[key] ?? voidHorizonSettings.advancedSettings[key])?.default;
+    }
     return game.settings.get("voidHorizon", key);
 }
 
@@ -194,3 +337,46 @@ export function getSetting(key) {
 export function setSetting(key, value) {
     return game.settings.set("voidHorizon", key, value);
 }
+
+/**
+ * Paramètres d'affichage des fiches d'acteur
+ * @returns {{movement: boolean, armorPenalty: boolean, tooltips: boolean, diceRanges: boolean, bonusBreakdown: boolean}}
+ */
+export function getDisplaySettings() {
+    return {
+        movement: getSetting("showMovementDisplay"),
+        armorPenalty: getSetting("showArmorPenalty"),
+        tooltips: getSetting("showTooltips"),
+        diceRanges: getSetting("showDiceRanges"),
+        bonusBreakdown: getSetting("showBonusBreakdown")
+    };
+}
+
+/**
+ * Recalcule les acteurs (mouvement, malus d'armure) et réaffiche les fiches ouvertes
+ * Appelé au changement d'un paramètre de calcul ou d'affichage.
+ */
+export function refreshActors() {
+    for (const actor of game.actors) actor.reset();
+    // Les acteurs des jetons non liés ont leurs propres données dérivées
+    for (const scene of game.scenes) {
+        for (const token of scene.tokens) {
+            if (!token.actorLink) token.actor?.reset();
+        }
+    }
+    for (const app of Object.values(ui.windows)) {
+        if (["Actor", "Item"].includes(app.document?.documentName)) app.render(false);
+    }
+}
+
+/**
+ * Refuse une monnaie dont les sommes ne se décomposent pas en pièces (voir getDenominationsError) :
+ * le MJ actif rétablit la monnaie par défaut et l'en avertit.
+ * @param {string} value - Les dénominations saisies
+ */
+function onDenominationsChange(value) {
+    const error = getDenominationsError(value);
+    if (!error || !game.users.activeGM?.isSelf) return;
+    ui.notifications.error(`Monnaie refusée : ${error}. La monnaie par défaut est rétablie.`);
+    game.settings.set("voidHorizon", "currencyDenominations", voidHorizonSettings.baseSettings.currencyDenominations.default);
+}
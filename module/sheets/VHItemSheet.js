@@ -1,21 +1,216 @@
-export default class VHItemSheet extends ItemSheet{
-        
-        get template(){
-            return `systems/voidHorizon/templates/sheets/${this.item.type}-sheet.html`;
+import TraitData from "../data/trait-data.js";
+import DamageApplication from "../apps/damage-application.js";
+import {getArmorPenalties} from "../data/common.js";
+import {formatAmount, getDenominations} from "../currency.js";
+
+/**
+ * Fiche des Items voidHorizon
+ * Une seule fiche pour tous les types d'objets : chaque type a son template
+ * (templates/sheets/<type>-sheet.html) et ses listes de choix ; le prix, la description
+ * enrichie, les bonus des traits et le jet de dégâts sont gérés ici pour tous les types.
+ */
+export default class VHItemSheet extends foundry.appv1.sheets.ItemSheet {
+
+    /**
+     * Dimensions de la fiche par type d'objet
+     * @type {Object<string, {width: number, height: number}>}
+     */
+    static SIZES = {
+        spell: {width: 480, height: 520},
+        trait: {width: 480, height: 480},
+        skill: {width: 460, height: 400},
+        weapon: {width: 480, height: 500},
+        shield: {width: 480, height: 420},
+        armor: {width: 480, height: 400},
+        equipment: {width: 480, height: 380},
+        container: {width: 480, height: 420},
+        outil: {width: 480, height: 520},
+        A: {width: 480, height: 440}
+    };
+
+    /**
+     * @param {Item} item - L'objet
+     * @param {Object} [options] - Options de la fiche
+     */
+    constructor(item, options = {}) {
+        const defaults = VHItemSheet.defaultOptions;
+        super(item, foundry.utils.mergeObject({
+            ...(VHItemSheet.SIZES[item.type] ?? {}),
+            classes: [...defaults.classes, item.type]
+        }, options));
+    }
+
+    /** @override */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ["voidHorizon", "sheet", "item"],
+            width: 480,
+            height: 480
+        });
+    }
+
+    /** @override */
+    get template() {
+        return `systems/voidHorizon/templates/sheets/${this.item.type}-sheet.html`;
+    }
+
+    /** @override */
+    async getData(options) {
+        const data = super.getData(options);
+        const system = this.item.system;
+        data.system = system;
+
+        if (system.price !== undefined) {
+            data.price = {unit: getDenominations().at(-1).label, label: formatAmount(system.price)};
         }
-        
-        getData(options){
-            console.log("%c getData invoke", "color:orange")
-            const data = super.getData();
-            data.config = CONFIG.voidHorizon;
-            console.log(data);
-            return data;
-            
-//                let baseData = super.getData(options);
-//                console.log(baseData)
-//                let sheetData = {};
-//                sheetData = baseData.data.system;
-//                return sheetData;
+        if (system.schema.fields.description instanceof foundry.data.fields.HTMLField) {
+            const TextEditor = foundry.applications.ux?.TextEditor.implementation ?? globalThis.TextEditor;
+            data.enrichedDescription = await TextEditor.enrichHTML(system.description, {
+                secrets: this.item.isOwner,
+                rollData: this.item.getRollData(),
+                relativeTo: this.item
+            });
         }
-        
-}
\ No newline at end of file
+
+        return Object.assign(data, this._getTypeData());
+    }
+
+    /**
+     * Listes de choix et données propres au type de l'objet
+     * @returns {Object} - Les données à ajouter au template
+     * @private
+     */
+    _getTypeData() {
+        const config = CONFIG.voidHorizon;
+        const system = this.item.system;
+        switch (this.item.type) {
+            case "spell":
+                return {affinities: config.affinities, arcaneRanks: config.degreeLabels.arcane};
+            case "trait":
+                return {bonuses: system.bonuses, targets: config.traitBonusTargets};
+            case "skill":
+                return {characteristics: config.characteristics, masteries: config.skillMasteries};
+            case "weapon":
+                return {weaponTypes: config.weaponTypes, qualityRanks: config.qualityRanks, damageNatures: config.damageNatures};
+            case "shield":
+                return {
+                    qualityRanks: config.qualityRanks,
+                    shieldSizes: Object.fromEntries(Object.entries(config.shieldSizes).map(([key, size]) => [key, size.label]))
+                };
+            case "armor":
+                return {
+                    armorTypes: Object.fromEntries(Object.entries(config.armorTypes).map(([key, type]) => {
+                        const penalties = getArmorPenalties(type);
+                        return [key, `${type.label} (+${type.armorBonus} armure, -${penalties.agility} agilité, -${penalties.movement}m mouvement)`];
+                    }))
+                };
+            case "container":
+                return {contents: system.contents.map(item => ({name: item.name, quantity: item.system.quantity}))};
+            case "outil":
+                return {
+                    moralStates: Object.fromEntries(Object.entries(config.moral).map(([key, label]) => [key, game.i18n.localize(label)]))
+                };
+            default:
+                return {};
+        }
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Le jet de dégâts reste possible en lecture seule
+        html.find(".item-roll-damage").click(this._onRollDamage.bind(this));
+
+        if (!this.isEditable) return;
+        html.find(".trait-bonus-add").click(this._onAddBonus.bind(this));
+        html.find(".trait-bonus-toggle").click(this._onToggleBonus.bind(this));
+        html.find(".trait-bonus-edit").click(this._onEditBonus.bind(this));
+        html.find(".trait-bonus-delete").click(this._onDeleteBonus.bind(this));
+    }
+
+    /**
+     * Écarte une formule de dégâts invalide avec un avertissement plutôt que de rejeter toute la saisie,
+     * et ramène un moral vide à null
+     * @override
+     */
+    async _updateObject(event, formData) {
+        const damage = formData["system.damage"];
+        if (damage && !Roll.validate(damage)) {
+            ui.notifications.warn(`« ${damage} » n'est pas une formule de dés valide`);
+            delete formData["system.damage"];
+        }
+        // « Aucun » état de moral
+        if (("system.moral" in formData) && !formData["system.moral"]) formData["system.moral"] = null;
+        return super._updateObject(event, formData);
+    }
+
+    /**
+     * Lance les dégâts de l'objet ; la carte propose de les appliquer aux cibles
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onRollDamage(event) {
+        event.preventDefault();
+        const formula = this.item.system.damage;
+        if (!formula) {
+            ui.notifications.warn(`${this.item.name} n'a pas de formule de dégâts`);
+            return;
+        }
+
+        const roll = await new Roll(formula, this.item.getRollData()).evaluate();
+        await roll.toMessage({
+            speaker: ChatMessage.getSpeaker({actor: this.item.actor}),
+            flavor: `<h3>Dégâts : ${this.item.name}</h3>${DamageApplication.getButtonHTML()}`,
+            flags: DamageApplication.getMessageFlags(roll.total)
+        });
+    }
+
+    /**
+     * Ajoute un bonus au trait sous la forme d'un effet actif
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onAddBonus(event) {
+        event.preventDefault();
+        const form = event.currentTarget.closest(".trait-bonus-new");
+        const target = form.querySelector(".trait-bonus-target").value;
+        const value = parseInt(form.querySelector(".trait-bonus-value").value) || 0;
+        if (!value) {
+            ui.notifications.warn("La valeur du bonus est requise");
+            return;
+        }
+        await this.item.createEmbeddedDocuments("ActiveEffect", [TraitData.createEffectData(target, value)]);
+    }
+
+    /**
+     * Active ou désactive l'effet d'un bonus
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onToggleBonus(event) {
+        event.preventDefault();
+        const effect = this.item.effects.get(event.currentTarget.dataset.effectId);
+        await effect?.update({disabled: !effect.disabled});
+    }
+
+    /**
+     * Ouvre la configuration détaillée de l'effet d'un bonus
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    _onEditBonus(event) {
+        event.preventDefault();
+        this.item.effects.get(event.currentTarget.dataset.effectId)?.sheet.render(true);
+    }
+
+    /**
+     * Supprime l'effet d'un bonus
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onDeleteBonus(event) {
+        event.preventDefault();
+        await this.item.effects.get(event.currentTarget.dataset.effectId)?.delete();
+    }
+}
@@ -0,0 +1,97 @@
+import TestRequest from "../apps/test-request.js";
+
+/**
+ * Contrôles de l'en-tête des fiches de héros et de PNJ
+ * Le système fournit la configuration de la fiche, la demande de test et l'image du jeton ; les modules
+ * ajoutent, modifient ou retirent des contrôles depuis le hook "voidHorizon.getSheetHeaderControls",
+ * appelé à chaque rendu de l'en-tête :
+ *
+ *     Hooks.on("voidHorizon.getSheetHeaderControls", (sheet, controls) => {
+ *         controls.push({action: "export", label: "Exporter", icon: "fas fa-download", onClick: (event, sheet) => ...});
+ *     });
+ */
+export default class SheetHeaderControls {
+
+    /**
+     * Hook appelé avec la fiche et la liste de ses contrôles
+     * @type {string}
+     */
+    static HOOK = "voidHorizon.getSheetHeaderControls";
+
+    /**
+     * Contrôles de l'en-tête d'une fiche : ceux du système, puis ceux des modules
+     * Un contrôle est { action, label, icon, onClick(event, sheet), visible? } ; visible peut être une
+     * fonction de la fiche.
+     * @param {ActorSheet} sheet - La fiche
+     * @returns {Object[]} - Les contrôles visibles
+     */
+    static getControls(sheet) {
+        const controls = [
+            {
+                action: "configure",
+                label: "Fiche",
+                icon: "fas fa-cog",
+                visible: sheet => sheet.options.sheetConfig && sheet.isEditable,
+                onClick: (event, sheet) => sheet._onConfigureSheet(event)
+            },
+            {
+                action: "roll-request",
+                label: "Demander un test",
+                icon: "fas fa-dice-d20",
+                visible: sheet => game.user.isGM && (typeof sheet.rollRequestedTest === "function"),
+                onClick: (event, sheet) => TestRequest.openDialog({actorIds: [sheet.actor.id]})
+            },
+            {
+                action: "token-art",
+                label: "Image du jeton",
+                icon: "fas fa-user-circle",
+                visible: sheet => sheet.isEditable && game.user.can("FILES_BROWSE"),
+                onClick: (event, sheet) => this._onTokenArt(sheet)
+            }
+        ];
+        Hooks.callAll(this.HOOK, sheet, controls);
+
+        return controls.filter(control => {
+            const visible = (typeof control.visible === "function") ? control.visible(sheet) : (control.visible ?? true);
+            return visible && (typeof control.onClick === "function");
+        });
+    }
+
+    /**
+     * Boutons de l'en-tête d'une fiche (applications v1) : les contrôles s'insèrent avant le bouton de fermeture
+     * Le bouton de configuration de Foundry est remplacé par le contrôle « configure ».
+     * @param {ActorSheet} sheet - La fiche
+     * @param {Object[]} buttons - Les boutons de Foundry
+     * @returns {Object[]} - Les boutons de la fiche
+     */
+    static getHeaderButtons(sheet, buttons) {
+        buttons = buttons.filter(button => button.class !== "configure-sheet");
+        const controls = this.getControls(sheet).map(control => ({
+            label: control.label,
+            class: `voidhorizon-${control.action}`,
+            icon: control.icon,
+            onclick: event => {
+                event.preventDefault();
+                return control.onClick(event, sheet);
+            }
+        }));
+        const close = buttons.findIndex(button => button.class === "close");
+        buttons.splice((close === -1) ? buttons.length : close, 0, ...controls);
+        return buttons;
+    }
+
+    /**
+     * Choisit l'image du jeton : celle du jeton pour une fiche de jeton non lié, celle du prototype sinon
+     * @param {ActorSheet} sheet - La fiche
+     * @private
+     */
+    static _onTokenArt(sheet) {
+        const token = sheet.token;
+        const picker = foundry.applications.apps?.FilePicker?.implementation ?? FilePicker;
+        new picker({
+            type: "image",
+            current: token?.texture.src ?? sheet.actor.prototypeToken.texture.src,
+            callback: path => token ? token.update({"texture.src": path}) : sheet.actor.update({"prototypeToken.texture.src": path})
+        }).browse();
+    }
+}
@@ -0,0 +1,182 @@
+import MerchantTrade from "../apps/merchant-trade.js";
+import {describePurse, formatAmount, toBase} from "../currency.js";
+
+/**
+ * Fiche d'un marchand ou d'un butin
+ * Les joueurs y voient le stock aux prix du marchand pour leur héros (personnage ou jeton contrôlé),
+ * achètent ou prennent un objet, marchandent, et vendent ou déposent un objet en le glissant depuis
+ * leur fiche. Le propriétaire règle le mode, les taux, la bourse et le stock.
+ */
+export default class MerchantSheet extends foundry.appv1.sheets.ActorSheet {
+
+    /** @override */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            classes: ["voidHorizon", "sheet", "actor", "merchant"],
+            template: "systems/voidHorizon/templates/sheets/merchant-sheet.html",
+            width: 560,
+            height: 620
+        });
+    }
+
+    /** @override */
+    getData(options) {
+        const data = super.getData(options);
+        const merchant = this.actor;
+        const trader = MerchantTrade.getTrader();
+        const haggle = CONFIG.voidHorizon.trade.haggle;
+
+        data.system = merchant.system;
+        data.isLoot = merchant.system.isLoot;
+        data.modes = CONFIG.voidHorizon.merchantModes;
+        data.purse = describePurse(merchant.system.currency);
+        data.purseLabel = formatAmount(toBase(merchant.system.currency));
+        data.haggleLabel = `Marchander (${CONFIG.voidHorizon.characteristics[haggle.stat] ?? haggle.stat})`;
+        data.isGM = game.user.isGM;
+        data.trader = trader ? {
+            name: trader.name,
+            purse: formatAmount(toBase(trader.system.currency)),
+            haggle: merchant.system.getHaggle(trader),
+            hasHaggled: merchant.system.hasHaggled(trader)
+        } : null;
+        data.stock = merchant.items
+            .filter(item => item.system.price !== undefined)
+            .map(item => ({
+                id: item.id,
+                name: item.name,
+                img: item.img,
+                quantity: item.system.quantity ?? 1,
+                basePrice: formatAmount(item.system.price),
+                price: formatAmount(merchant.system.getSellPrice(item, trader))
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return data;
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        // Achat et marchandage : ouverts aux joueurs qui voient la fiche
+        html.find(".merchant-buy").click(this._onBuyClick.bind(this));
+        html.find(".merchant-haggle").click(this._onHaggleClick.bind(this));
+
+        if (!this.isEditable) return;
+        html.find(".merchant-haggle-reset").click(async event => {
+            event.preventDefault();
+            await MerchantTrade.resetHaggles(this.actor);
+            this.render(false);
+        });
+        html.find(".merchant-item-edit").click(event => {
+            event.preventDefault();
+            this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
+        });
+        html.find(".merchant-item-delete").click(event => {
+            event.preventDefault();
+            this.actor.items.get(event.currentTarget.dataset.itemId)?.delete();
+        });
+    }
+
+    /**
+     * Les joueurs sans droit de modification peuvent déposer leurs objets sur la fiche pour les vendre
+     * @override
+     */
+    _canDragDrop(selector) {
+        return true;
+    }
+
+    /**
+     * Un objet d'un héros est vendu (ou déposé dans un butin) ; un autre objet rejoint le stock (propriétaire uniquement)
+     * @override
+     */
+    async _onDropItem(event, data) {
+        const item = await Item.implementation.fromDropData(data);
+        if (!item || (item.parent === this.actor)) return super._onDropItem(event, data);
+
+        if (item.parent?.type === "heros") {
+            if (!item.parent.isOwner) return false;
+            const quantity = await this._promptQuantity(item);
+            if (!quantity) return false;
+            return MerchantTrade.request({
+                action: "sell",
+                merchantUuid: this.actor.uuid,
+                heroUuid: item.parent.uuid,
+                itemId: item.id,
+                quantity
+            });
+        }
+
+        if (!this.isEditable) return false;
+        if (item.system.price === undefined) {
+            ui.notifications.warn(`${item.name} ne peut pas être mis en vente`);
+            return false;
+        }
+        return super._onDropItem(event, data);
+    }
+
+    /**
+     * Achète (ou prend dans un butin) un objet du stock pour le héros de l'utilisateur
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onBuyClick(event) {
+        event.preventDefault();
+        const item = this.actor.items.get(event.currentTarget.dataset.itemId);
+        const hero = this._getTrader();
+        if (!item || !hero) return;
+
+        const quantity = await this._promptQuantity(item);
+        if (!quantity) return;
+        await MerchantTrade.request({
+            action: "buy",
+            merchantUuid: this.actor.uuid,
+            heroUuid: hero.uuid,
+            itemId: item.id,
+            quantity
+        });
+    }
+
+    /**
+     * Lance le marchandage du héros de l'utilisateur
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onHaggleClick(event) {
+        event.preventDefault();
+        const hero = this._getTrader();
+        if (!hero) return;
+        const haggle = await MerchantTrade.haggle(event, this.actor, hero);
+        if (haggle !== null) this.render(false);
+    }
+
+    /**
+     * Héros qui commerce pour l'utilisateur, avec un avertissement s'il n'y en a pas
+     * @returns {Actor|null}
+     * @private
+     */
+    _getTrader() {
+        const hero = MerchantTrade.getTrader();
+        if (!hero) ui.notifications.warn("Sélectionnez le jeton de votre héros ou choisissez votre personnage pour commercer");
+        return hero;
+    }
+
+    /**
+     * Demande combien d'unités d'un objet échanger
+     * @param {Item} item - L'objet
+     * @returns {Promise<number|null>} - La quantité, null si la fenêtre est fermée
+     * @private
+     */
+    async _promptQuantity(item) {
+        const max = item.system.quantity ?? 1;
+        if (max <= 1) return max;
+
+        return Dialog.prompt({
+            title: item.name,
+            content: `<form><div class="form-group"><label>Quantité (max ${max}):</label>
+                <input type="number" name="quantity" value="1" min="1" max="${max}" step="1"></div></form>`,
+            label: "Valider",
+            callback: html => Math.clamp(parseInt(html[0].querySelector("input[name='quantity']").value) || 0, 0, max),
+            rejectClose: false
+        });
+    }
+}
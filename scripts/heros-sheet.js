@@ -1,3 +1,25 @@
+/**
+ * Plage affichée d'un jet de caractéristique, bonus de traits et malus d'armure compris
+ * @param {string} safeValue - Le dé de la caractéristique (ex: "3d4")
+ * @param {string} mode - Le mode du jet ("safe" ou "unsafe")
+ * @param {Actor} actor - L'acteur
+ * @param {string} [stat] - La caractéristique, déduite de la valeur si absente
+ * @returns {string} - La plage (ex: "3-12"), "?" si le dé est inconnu
+ */
+function formatStatRange(safeValue, mode, actor, stat) {
+    const system = actor?.system;
+    if (!safeValue || !system) return "?";
+    
+    // Handlebars passe ses options en dernier argument
+    if (typeof stat !== "string") {
+        stat = ["martialite", "agilite", "acuite", "pimpance", "arcane"].find(key => system[key]?.value === safeValue);
+    }
+    
+    const modifiers = stat ? (system.getStatModifiers?.(stat) ?? []) : [];
+    const range = VoidRoll.getRange(safeValue, mode, modifiers, CONFIG.voidHorizon.rollFloors[stat] ?? null);
+    return range ? `${range.min}-${range.max}` : "?";
+}
+
 class HeroSheet extends foundry.appv1.sheets.ActorSheet {
     /** @override */
     static get defaultOptions() {
@@ -6,10 +28,20 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             template: "systems/voidHorizon/templates/sheets/heros-sheet.html",
             width: 600,
             height: 600,
-            tabs: [{navSelector: ".sheet-tabs", contentSelector: ".sheet-body", initial: "stats"}]
+            tabs: [{navSelector: ".sheet-tabs", contentSelector: ".sheet-body", initial: "stats"}],
+            // Les objets équipés se glissent aussi vers un autre emplacement ou vers l'équipement transporté
+            dragDrop: [{dragSelector: ".item-list .item, .equipped-item", dropSelector: null}]
         });
     }
 
+    /**
+     * Boutons de l'en-tête : contrôles du système et des modules (voir SheetHeaderControls)
+     * @override
+     */
+    _getHeaderButtons() {
+        return window.SheetHeaderControls.getHeaderButtons(this, super._getHeaderButtons());
+    }
+
     /** @override */
     async getData() {
         const data = await super.getData();
@@ -24,138 +56,13 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         // Préparation des données pour le template
         this._prepareItems(data);
         
-        // S'assurer que la structure des ressources existe
-        if (!data.actor.system.resources) {
-            data.actor.system.resources = {};
-        }
-        if (!data.actor.system.resources.blessure) {
-            data.actor.system.resources.blessure = { value: 0 };
-        }
-        if (!data.actor.system.resources.armor) {
-            data.actor.system.resources.armor = { value: 0 };
-        }
-        if (!data.actor.system.resources.armorDamage) {
-            data.actor.system.resources.armorDamage = { value: 0 };
-        }
-        
-        // S'assurer que le malus d'agilité dû à l'armure existe
-        if (!data.actor.system.armorAgilityPenalty) {
-            data.actor.system.armorAgilityPenalty = { value: 0 };
-        }
-        
-        // S'assurer que le mana existe et est initialisé avec la valeur maximale
-        if (!data.actor.system.mana) {
-            data.actor.system.mana = { value: 0, max: 0 };
-        }
-        
-        // S'assurer que les compétences existent
-        if (!data.actor.system.skills) {
-            data.actor.system.skills = {};
-        }
-        
-        // S'assurer que les traits existent
-        if (!data.actor.system.traits) {
-            data.actor.system.traits = {};
-        }
-        
-        // S'assurer que les bonus de traits existent
-        if (!data.actor.system.traitBonuses) {
-            data.actor.system.traitBonuses = {};
-        }
-        
-
-        
-        // Initialiser le mana avec la valeur maximale basée sur l'Arcane si c'est la première fois
-        if (data.actor.system.mana.value === 0 && data.actor.system.mana.max === 0) {
-            const arcaneValue = data.actor.system.arcane?.value || "2d4";
-            const manaPerLevel = {
-                "2d4": 2,   // Insensible
-                "3d4": 4,   // Eveillé
-                "4d4": 6,   // Novice
-                "5d4": 8,   // Initié
-                "6d4": 10,  // Maître
-                "7d4": 12   // Archimage
-            };
-            const maxMana = manaPerLevel[arcaneValue] || 2;
-            data.actor.system.mana.value = maxMana;
-            data.actor.system.mana.max = maxMana;
-        }
-        
-        // Préparation des statistiques principales
-        data.system = {
-            ...data.system,
-            acuite: {
-                value: data.actor.system.acuite?.value || "2d4",
-                label: "acuité"
-            },
-            pimpance: {
-                value: data.actor.system.pimpance?.value || "2d4",
-                label: "Pimpance"
-            },
-            martialite: {
-                value: data.actor.system.martialite?.value || "2d4",
-                label: "Martialité"
-            },
-            arcane: {
-                value: data.actor.system.arcane?.value || "2d4",
-                label: "Arcane"
-            },
-            agilite: {
-                value: data.actor.system.agilite?.value || "2d4",
-                label: "Agilité"
-            },
-            constitution: {
-                value: data.actor.system.constitution?.value || 4,
-                label: "Constitution"
-            },
-            class: {
-                value: data.actor.system.class?.value || "",
-                label: "Classe"
-            },
-            faction: {
-                value: data.actor.system.faction?.value || "caradoc",
-                label: "Faction"
-            },
-            rank: {
-                value: data.actor.system.rank?.value || "",
-                label: "Rang"
-            },
-            affinity: {
-                value: data.actor.system.affinity?.value || "aucune",
-                label: "Affinité"
-            }
-        };
-        
-        // S'assurer que les données sont aussi disponibles directement dans data.actor.system
-        if (!data.actor.system.acuite) data.actor.system.acuite = { value: "2d4" };
-        if (!data.actor.system.pimpance) data.actor.system.pimpance = { value: "2d4" };
-        if (!data.actor.system.martialite) data.actor.system.martialite = { value: "2d4" };
-        if (!data.actor.system.arcane) data.actor.system.arcane = { value: "2d4" };
-        if (!data.actor.system.agilite) data.actor.system.agilite = { value: "2d4" };
-        if (!data.actor.system.constitution) data.actor.system.constitution = { value: 4 };
-        if (!data.actor.system.class) data.actor.system.class = { value: "" };
-        if (!data.actor.system.faction) data.actor.system.faction = { value: "caradoc" };
-        if (!data.actor.system.rank) data.actor.system.rank = { value: "" };
-        if (!data.actor.system.affinity) data.actor.system.affinity = { value: "aucune" };
-        
-        // Initialiser les données d'armes si elles n'existent pas
-        if (!data.actor.system.weapons) {
-            data.actor.system.weapons = {
-                primary: { name: "", type: "strength", rank: "0", bonus: 0, description: "" },
-                secondary: { name: "", type: "strength", rank: "0", bonus: 0, description: "" }
-            };
-        }
-        if (!data.actor.system.weapons.primary) {
-            data.actor.system.weapons.primary = { name: "", type: "strength", rank: "0", bonus: 0, description: "" };
-        }
-        if (!data.actor.system.weapons.secondary) {
-            data.actor.system.weapons.secondary = { name: "", type: "strength", rank: "0", bonus: 0, description: "" };
-        }
+        // Les valeurs par défaut, les bonus des traits et les totaux sont fournis par le modèle de données (HerosData)
+        data.system = this.actor.system;
         
-                         // Initialiser les données d'armure si elles n'existent pas
-        if (!data.actor.system.armor) {
-            data.actor.system.armor = { name: "", type: "tissu", description: "" };
-        }
+        // Éléments affichés selon les paramètres du monde (mouvement, malus d'armure, plages de dés, infobulles)
+        data.display = window.VoidSettings.getDisplaySettings();
+        // Libellés des degrés de chaque caractéristique (tables de règles du monde)
+        data.degreeLabels = CONFIG.voidHorizon.degreeLabels;
         
         // Ajouter les helpers pour le template
         // Vérification de sécurité pour s'assurer que data.helpers existe
@@ -167,47 +74,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             getSelectedText: (value, type) => {
                 try {
                     // Helper getSelectedText appelé
+                    // Libellés des degrés des caractéristiques : tables de règles du monde
                     const mappings = {
-                        martialite: {
-                            "2d4": "Incompétent",
-                            "3d4": "Combatif",
-                            "4d4": "Soldat",
-                            "5d4": "Expérimenté",
-                            "6d4": "Vétéran",
-                            "7d4": "Légende"
-                        },
-                        pimpance: {
-                            "2d4": "Tâche",
-                            "3d4": "Pas top",
-                            "4d4": "Honnête",
-                            "5d4": "Beau",
-                            "6d4": "Splendide",
-                            "7d4": "Ramirez"
-                        },
-                        acuite: {
-                            "2d4": "Aveugle",
-                            "3d4": "Distrait",
-                            "4d4": "Alerte",
-                            "5d4": "Vif",
-                            "6d4": "Clairvoyant",
-                            "7d4": "Fulgurant"
-                        },
-                        arcane: {
-                            "2d4": "Insensible",
-                            "3d4": "Eveillé",
-                            "4d4": "Novice",
-                            "5d4": "Initié",
-                            "6d4": "Maître",
-                            "7d4": "Archimage"
-                        },
-                        agilite: {
-                            "2d4": "Gourd",
-                            "3d4": "Raide",
-                            "4d4": "Ordinaire",
-                            "5d4": "Adroit",
-                            "6d4": "Leste",
-                            "7d4": "Félin"
-                        },
+                        ...CONFIG.voidHorizon.degreeLabels,
                         // Support pour les compétences avec les nouveaux niveaux
                         skill: {
                             "2d4": "Novice",
@@ -225,323 +94,57 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                     // Fallback pour les autres types
                     return value;
                 } catch (error) {
-                    console.warn("Erreur dans getSelectedText:", error);
+                    VHLogger.warn("sheet", "Erreur dans getSelectedText:", error);
                     return value || "?";
                 }
             },
             // Helper pour obtenir la formule de dé en mode unsafe
-            getUnsafeFormula: (safeValue) => {
-                const safeToUnsafe = {
-                    "2d4": "1d12",  // Degré 1: 2d4 max=8, donc 1d8+4=1d12
-                    "3d4": "1d16",  // Degré 2: 3d4 max=12, donc 1d12+4=1d16
-                    "4d4": "1d20",  // Degré 3: 4d4 max=16, donc 1d16+4=1d20
-                    "5d4": "1d24",  // Degré 4: 5d4 max=20, donc 1d20+4=1d24
-                    "6d4": "1d28",  // Degré 5: 6d4 max=24, donc 1d24+4=1d28
-                    "7d4": "1d32"   // Degré 6: 7d4 max=28, donc 1d28+4=1d32
-                };
-                return safeToUnsafe[safeValue] || safeValue;
-            },
+            getUnsafeFormula: (safeValue) => VoidRoll.getBaseFormula(safeValue, "unsafe"),
             // Helper pour obtenir la plage des dés en mode Safe
-            getSafeRange: (safeValue, actor) => {
-                try {
-                    // Vérifier que safeValue est défini
-                    if (!safeValue) return "?";
-                    
-                    const rangeMap = {
-                        "2d4": { min: 2, max: 8 },   // 2d4: min=2, max=8
-                        "3d4": { min: 3, max: 12 },  // 3d4: min=3, max=12
-                        "4d4": { min: 4, max: 16 },  // 4d4: min=4, max=16
-                        "5d4": { min: 5, max: 20 },  // 5d4: min=5, max=20
-                        "6d4": { min: 6, max: 24 },  // 6d4: min=6, max=24
-                        "7d4": { min: 7, max: 28 }   // 7d4: min=7, max=28
-                    };
-                    
-                    const range = rangeMap[safeValue];
-                    if (!range) return "?";
-                    
-                    // Calculer le bonus total de la caractéristique
-                    let totalBonus = 0;
-                    
-                    // Déterminer le nom de la caractéristique basé sur la valeur
-                    let statName = null;
-                    if (actor && actor.system) {
-                        if (actor.system.martialite && actor.system.martialite.value === safeValue) statName = 'martialite';
-                        else if (actor.system.agilite && actor.system.agilite.value === safeValue) statName = 'agilite';
-                        else if (actor.system.acuite && actor.system.acuite.value === safeValue) statName = 'acuite';
-                        else if (actor.system.pimpance && actor.system.pimpance.value === safeValue) statName = 'pimpance';
-                        else if (actor.system.arcane && actor.system.arcane.value === safeValue) statName = 'arcane';
-                    }
-                    
-                    // Bonus de trait
-                    if (actor && actor.system && actor.system.traitBonuses && statName) {
-                        const traitBonus = actor.system.traitBonuses[statName] || 0;
-                        totalBonus += traitBonus;
-                    }
-                    
-                    // Malus d'agilité dû à l'armure (seulement pour l'agilité)
-                    if (statName === 'agilite') {
-                        try {
-                            if (actor.system.armor && actor.system.armor.type) {
-                                const penaltyMap = {
-                                    'tissu': 0,      // Pas de malus
-                                    'legere': -4,    // Malus de 4
-                                    'lourde': -8,    // Malus de 8
-                                    'blindee': -16   // Malus de 16
-                                };
-                                const armorPenalty = penaltyMap[actor.system.armor.type] || 0;
-                                totalBonus += armorPenalty;
-                            }
-                        } catch (e) {
-                            console.warn("Erreur lors du calcul du malus d'agilité:", e);
-                        }
-                    }
-                    
-                    // Appliquer le bonus total aux ranges
-                    const adjustedMin = Math.max(1, range.min + totalBonus);
-                    const adjustedMax = Math.max(1, range.max + totalBonus);
-                    
-                    // Si pas de bonus, retourner la range normale
-                    if (totalBonus === 0) {
-                        return `${range.min}-${range.max}`;
-                    }
-                    
-                    // Sinon, retourner la range avec bonus
-                    return `${adjustedMin}-${adjustedMax}`;
-                } catch (error) {
-                    console.warn("Erreur dans getSafeRange:", error);
-                    return "?";
-                }
-            },
+            getSafeRange: (safeValue, actor) => formatStatRange(safeValue, "safe", actor),
             // Helper pour obtenir la plage des dés en mode Unsafe
-            getUnsafeRange: (safeValue, actor) => {
-                try {
-                    // Vérifier que safeValue est défini
-                    if (!safeValue) return "?";
-                    
-                    const rangeMap = {
-                        "2d4": { min: 1, max: 12 },  // 1d12: min=1, max=12
-                        "3d4": { min: 1, max: 16 },  // 1d16: min=1, max=16
-                        "4d4": { min: 1, max: 20 },  // 1d20: min=1, max=20
-                        "5d4": { min: 1, max: 24 },  // 1d24: min=1, max=24
-                        "6d4": { min: 1, max: 28 },  // 1d28: min=1, max=28
-                        "7d4": { min: 1, max: 32 }   // 1d32: min=1, max=32
-                    };
-                    
-                    const range = rangeMap[safeValue];
-                    if (!range) return "?";
-                    
-                    // Calculer le bonus total de la caractéristique
-                    let totalBonus = 0;
-                    
-                    // Déterminer le nom de la caractéristique basé sur la valeur
-                    let statName = null;
-                    if (actor && actor.system) {
-                        if (actor.system.martialite && actor.system.martialite.value === safeValue) statName = 'martialite';
-                        else if (actor.system.agilite && actor.system.agilite.value === safeValue) statName = 'agilite';
-                        else if (actor.system.acuite && actor.system.acuite.value === safeValue) statName = 'acuite';
-                        else if (actor.system.pimpance && actor.system.pimpance.value === safeValue) statName = 'pimpance';
-                        else if (actor.system.arcane && actor.system.arcane.value === safeValue) statName = 'arcane';
-                    }
-                    
-                    // Bonus de trait
-                    if (actor && actor.system && actor.system.traitBonuses && statName) {
-                        const traitBonus = actor.system.traitBonuses[statName] || 0;
-                        totalBonus += traitBonus;
-                    }
-                    
-                    // Malus d'agilité dû à l'armure (seulement pour l'agilité)
-                    if (statName === 'agilite') {
-                        try {
-                            if (actor.system.armor && actor.system.armor.type) {
-                                const penaltyMap = {
-                                    'tissu': 0,      // Pas de malus
-                                    'legere': -4,    // Malus de 4
-                                    'lourde': -8,    // Malus de 8
-                                    'blindee': -16   // Malus de 16
-                                };
-                                const armorPenalty = penaltyMap[actor.system.armor.type] || 0;
-                                totalBonus += armorPenalty;
-                            }
-                        } catch (e) {
-                            console.warn("Erreur lors du calcul du malus d'agilité:", e);
-                        }
-                    }
-                    
-                    // Appliquer le bonus total aux ranges
-                    const adjustedMin = Math.max(1, range.min + totalBonus);
-                    const adjustedMax = Math.max(1, range.max + totalBonus);
-                    
-                    // Si pas de bonus, retourner la range normale
-                    if (totalBonus === 0) {
-                        return `${range.min}-${range.max}`;
-                    }
-                    
-                    // Sinon, retourner la range avec bonus
-                    return `${adjustedMin}-${adjustedMax}`;
-                } catch (error) {
-                    console.warn("Erreur dans getUnsafeRange:", error);
-                    return "?";
-                }
-            },
+            getUnsafeRange: (safeValue, actor) => formatStatRange(safeValue, "unsafe", actor),
             // Nouveau helper pour afficher le total des bonus d'une caractéristique
             getTotalBonus: (statName, actor) => {
-                try {
-                    if (!actor || !actor.system) return "+0";
-                    
-                    let totalBonus = 0;
-                    
-                    // Bonus de trait
-                    if (actor.system.traitBonuses && actor.system.traitBonuses[statName]) {
-                        const traitBonus = actor.system.traitBonuses[statName] || 0;
-                        totalBonus += traitBonus;
-                    }
-                    
-                    // Malus d'agilité dû à l'armure (seulement pour l'agilité)
-                    if (statName === 'agilite' && actor.system.armor && actor.system.armor.type) {
-                        const penaltyMap = { 'tissu': 0, 'legere': -4, 'lourde': -8, 'blindee': -16 };
-                        const armorPenalty = penaltyMap[actor.system.armor.type] || 0;
-                        totalBonus += armorPenalty;
-                    }
-                    
-                    // Retourner le bonus formaté
-                    if (totalBonus > 0) {
-                        return `+${totalBonus}`;
-                    } else if (totalBonus < 0) {
-                        return `${totalBonus}`;
-                    } else {
-                        return "+0";
-                    }
-                } catch (error) {
-                    console.warn("Erreur dans getTotalBonus:", error);
-                    return "+0";
-                }
+                if (!actor || !actor.system) return "+0";
+                const totalBonus = actor.system.getStatBonus(statName);
+                return totalBonus < 0 ? `${totalBonus}` : `+${totalBonus}`;
             },
             // Helper pour obtenir le malus d'agilité basé sur le type d'armure
             getAgilityPenalty: (actor) => {
-                try {
-                    if (!actor || !actor.system) return 0;
-                    const armorType = actor.system.armor?.type || 'tissu';
-                    const penaltyMap = {
-                        'tissu': 0,      // Pas de malus
-                        'legere': -4,    // Malus de 4
-                        'lourde': -8,    // Malus de 8
-                        'blindee': -16   // Malus de 16
-                    };
-                    return penaltyMap[armorType] || 0;
-                } catch (e) {
-                    console.warn("Erreur lors du calcul du malus d'agilité:", e);
-                    return 0;
-                }
+                return actor?.system?.armorAgilityPenalty?.value || 0;
             }
         };
         
-        data.isReadOnly = true; // Ajout d'un flag pour indiquer que nous sommes en mode lecture
-        
-        // Vérification finale de sécurité pour s'assurer que tous les helpers sont disponibles
-        if (!data.helpers.getSelectedText) {
-            console.warn("Helper getSelectedText manquant, création d'urgence");
-            data.helpers.getSelectedText = (value, type) => {
-                try {
-                    const mappings = {
-                        martialite: { "2d4": "Incompétent", "3d4": "Combatif", "4d4": "Soldat", "5d4": "Expérimenté", "6d4": "Vétéran", "7d4": "Légende" },
-                        pimpance: { "2d4": "Tâche", "3d4": "Pas top", "4d4": "Honnête", "5d4": "Beau", "6d4": "Splendide", "7d4": "Ramirez" },
-                        acuite: { "2d4": "Aveugle", "3d4": "Distrait", "4d4": "Alerte", "5d4": "Vif", "6d4": "Clairvoyant", "7d4": "Fulgurant" },
-                        arcane: { "2d4": "Insensible", "3d4": "Eveillé", "4d4": "Novice", "5d4": "Initié", "6d4": "Maître", "7d4": "Archimage" },
-                        agilite: { "2d4": "Challengé", "3d4": "Lourdeau", "4d4": "Bien", "5d4": "Rapide", "6d4": "Très rapide", "7d4": "Très très rapide" },
-                        skill: { "2d4": "Novice", "3d4": "Compagnon", "4d4": "Maître" }
-                    };
-                    return mappings[type]?.[value] || value || "?";
-                } catch (error) {
-                    console.warn("Erreur dans getSelectedText d'urgence:", error);
-                    return value || "?";
-                }
-            };
-        }
-        
-        if (!data.helpers.getTotalBonus) {
-            console.warn("Helper getTotalBonus manquant, création d'urgence");
-            data.helpers.getTotalBonus = (statName, actor) => {
-                try {
-                    if (!actor || !actor.system) return "+0";
-                    let totalBonus = 0;
-                    if (actor.system.traitBonuses && actor.system.traitBonuses[statName]) {
-                        totalBonus += actor.system.traitBonuses[statName] || 0;
-                    }
-                    if (statName === 'agilite' && actor.system.armor && actor.system.armor.type) {
-                        const penaltyMap = { 'tissu': 0, 'legere': -4, 'lourde': -8, 'blindee': -16 };
-                        totalBonus += penaltyMap[actor.system.armor.type] || 0;
-                    }
-                    if (totalBonus > 0) return `+${totalBonus}`;
-                    if (totalBonus < 0) return `${totalBonus}`;
-                    return "+0";
-                } catch (error) {
-                    console.warn("Erreur dans getTotalBonus d'urgence:", error);
-                    return "+0";
-                }
-            };
-        }
-        
-        if (!data.helpers.getSafeRange) {
-            console.warn("Helper getSafeRange manquant, création d'urgence");
-            data.helpers.getSafeRange = (safeValue, actor) => {
-                try {
-                    if (!safeValue) return "?";
-                    const rangeMap = { "2d4": { min: 2, max: 8 }, "3d4": { min: 3, max: 12 }, "4d4": { min: 4, max: 16 }, "5d4": { min: 5, max: 20 }, "6d4": { min: 6, max: 24 }, "7d4": { min: 7, max: 28 } };
-                    const range = rangeMap[safeValue];
-                    if (!range) return "?";
-                    return `${range.min}-${range.max}`;
-                } catch (error) {
-                    console.warn("Erreur dans getSafeRange d'urgence:", error);
-                    return "?";
-                }
-            };
-        }
-        
-        if (!data.helpers.getUnsafeRange) {
-            console.warn("Helper getUnsafeRange manquant, création d'urgence");
-            data.helpers.getUnsafeRange = (safeValue, actor) => {
-                try {
-                    if (!safeValue) return "?";
-                    const rangeMap = { "2d4": { min: 1, max: 12 }, "3d4": { min: 1, max: 16 }, "4d4": { min: 1, max: 20 }, "5d4": { min: 1, max: 24 }, "6d4": { min: 1, max: 28 }, "7d4": { min: 1, max: 32 } };
-                    const range = rangeMap[safeValue];
-                    if (!range) return "?";
-                    return `${range.min}-${range.max}`;
-                } catch (error) {
-                    console.warn("Erreur dans getUnsafeRange d'urgence:", error);
-                    return "?";
-                }
-            };
-        }
-        
-        if (!data.helpers.getUnsafeFormula) {
-            console.warn("Helper getUnsafeFormula manquant, création d'urgence");
-            data.helpers.getUnsafeFormula = (safeValue) => {
-                try {
-                    const safeToUnsafe = {
-                        "2d4": "1d12", "3d4": "1d16", "4d4": "1d20", "5d4": "1d24", "6d4": "1d28", "7d4": "1d32"
-                    };
-                    return safeToUnsafe[safeValue] || safeValue;
-                } catch (error) {
-                    console.warn("Erreur dans getUnsafeFormula d'urgence:", error);
-                    return safeValue || "?";
-                }
-            };
-        }
+        // Emplacements d'équipement et objets transportés
+        data.equipment = this._prepareEquipment();
+        
+        // Traits du héros et résumé des bonus de leurs effets
+        data.traits = this.actor.items.filter(item => item.type === "trait").map(trait => ({
+            id: trait.id,
+            name: trait.name,
+            description: trait.system.description,
+            summary: trait.system.bonusSummary,
+            active: trait.system.active
+        }));
+        
+        // Compétences du héros, triées par nom
+        data.skills = this.actor.items.filter(item => item.type === "skill").map(skill => ({
+            id: skill.id,
+            name: skill.name,
+            description: skill.system.description,
+            characteristic: skill.system.characteristicLabel,
+            mastery: skill.system.mastery,
+            masteryLabel: skill.system.masteryLabel
+        })).sort((a, b) => a.name.localeCompare(b.name));
+        
+        // Sorts du grimoire, séparés selon qu'ils sont lançables ou non
+        data.grimoire = this._prepareGrimoire();
+        
+        // Actions et réactions restantes pendant un combat
+        data.combatEconomy = VoidCombatant.forActor(this.actor)?.economy ?? null;
         
-        if (!data.helpers.getAgilityPenalty) {
-            console.warn("Helper getAgilityPenalty manquant, création d'urgence");
-            data.helpers.getAgilityPenalty = (actor) => {
-                try {
-                    if (!actor || !actor.system) return 0;
-                    const armorType = actor.system.armor?.type || 'tissu';
-                    const penaltyMap = { 'tissu': 0, 'legere': -4, 'lourde': -8, 'blindee': -16 };
-                    return penaltyMap[armorType] || 0;
-                } catch (error) {
-                    console.warn("Erreur dans getAgilityPenalty d'urgence:", error);
-                    return 0;
-                }
-            };
-        }
+        data.isReadOnly = true; // Ajout d'un flag pour indiquer que nous sommes en mode lecture
         
         return data;
     }
@@ -580,6 +183,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
 
         // Gestion des points de mana
         html.find('.mana-button').click(this._onManaClick.bind(this));
+        html.find('.rest-btn').click(this._onRestClick.bind(this));
 
         // Gestion des changements de rang
         html.find('input[name="system.rank.value"]').change(this._onRankChange.bind(this));
@@ -587,14 +191,18 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         // Gestion des changements d'affinité
         html.find('select[name="system.affinity.value"]').change(this._onSelectChange.bind(this));
         
-                 // Gestion des changements de type d'équipement (pour les boucliers)
-         html.find('select[name^="system.weapons."][name$=".type"]').change(this._onWeaponTypeChange.bind(this));
-         
-         // Gestion des changements d'armes et d'armure (sans sauvegarde automatique)
-         html.find('input[name^="system.weapons."], select[name^="system.weapons."], textarea[name^="system.weapons."], input[name^="system.armor."], textarea[name^="system.armor."]').change(this._onWeaponFieldChange.bind(this));
-         
-         // Gestion du mode édition/lecture des armes
-         html.find('.toggle-weapons-edit-mode').click(this._onToggleWeaponsEditMode.bind(this));
+        // Gestion de l'équipement (armes, boucliers, armures)
+        html.find('.equipment-create').click(this._onCreateEquipmentClick.bind(this));
+        html.find('.equipment-edit').click(this._onEditEquipmentClick.bind(this));
+        html.find('.equipment-unequip').click(this._onUnequipClick.bind(this));
+        html.find('.equipment-delete').click(this._onDeleteEquipmentClick.bind(this));
+        
+        // Gestion de l'inventaire
+        html.find('.inventory-create-btn').click(this._onCreateInventoryClick.bind(this));
+        html.find('.inventory-edit').click(this._onEditEquipmentClick.bind(this));
+        html.find('.inventory-delete').click(this._onDeleteInventoryClick.bind(this));
+        html.find('.inventory-quantity').change(this._onInventoryQuantityChange.bind(this));
+        html.find('.currency-input').change(this._onCurrencyChange.bind(this));
         
         // Gestion des onglets Équipement/Traits
         const tabButtons = html.find('.tab-button');
@@ -603,42 +211,39 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         
         // Gestion des traits
         html.find('#create-trait-btn').click(this._onCreateTraitClick.bind(this));
-        html.find('#trait-save-btn').click(this._onSaveTraitClick.bind(this));
-        html.find('#trait-cancel-btn').click(this._onCancelTraitClick.bind(this));
+        html.find('.trait-toggle').click(this._onToggleTraitClick.bind(this));
         html.find('.trait-edit').click(this._onEditTraitClick.bind(this));
         html.find('.trait-delete').click(this._onDeleteTraitClick.bind(this));
         
         // Gestion des compétences
         html.find('#create-skill-btn').click(this._onCreateSkillClick.bind(this));
-        html.find('#skill-save-btn').click(this._onSaveSkillClick.bind(this));
-        html.find('#skill-cancel-btn').click(this._onCancelSkillClick.bind(this));
         html.find('.skill-edit').click(this._onEditSkillClick.bind(this));
         html.find('.skill-delete').click(this._onDeleteSkillClick.bind(this));
         html.find('.skill-roll-btn').click(this._onSkillRollClick.bind(this));
         
+        // Gestion du grimoire
+        html.find('.spell-create').click(this._onCreateSpellClick.bind(this));
+        html.find('.spell-edit').click(this._onEditSpellClick.bind(this));
+        html.find('.spell-delete').click(this._onDeleteSpellClick.bind(this));
+        html.find('.spell-cast-btn').click(this._onCastSpellClick.bind(this));
+        
         // Gestion des boutons de lancer de dés de résistance
         html.find('.resistance-roll-btn').click(this._onResistanceRollClick.bind(this));
+        html.find('.armor-repair-btn').click(this._onArmorRepairClick.bind(this));
         
-        // IMPORTANT: Calculer les bonus des traits AVANT d'initialiser l'état de santé
-        this._applyTraitBonuses();
-        
-        // Initialiser l'état des cœurs et de la santé (après les bonus des traits)
+        // Initialiser l'état des cœurs et de la santé (les bonus des traits sont déjà dans les données dérivées)
         this._initializeHealthState();
         
-        // Recalculer les bonus des traits avant chaque jet de dé
-        this._recalculateTraitBonuses();
-        
         // Attendre 0.5 secondes puis recalculer tous les éléments de santé pour s'assurer que l'affichage est à jour
         setTimeout(() => {
-            console.log("Délai de 0.5 secondes écoulé, recalcul de tous les éléments de santé...");
-            this._applyTraitBonuses();
+            VHLogger.debug("sheet", "Délai de 0.5 secondes écoulé, recalcul de tous les éléments de santé...");
             this._updateShieldsDisplay();
             this._updateHeartsDisplay();
             this._updateManaDisplay();
             this._updateHealthStatus();
             this._updateAgilityDiceRanges(this._getAgilityPenalty());
             this._updateAllDiceRanges();
-            console.log("Recalcul de tous les éléments de santé et des ranges terminé après délai");
+            VHLogger.debug("sheet", "Recalcul de tous les éléments de santé et des ranges terminé après délai");
         }, 500);
     }
 
@@ -727,16 +332,10 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
     _initializeShields() {
         const armorDamage = this.actor.system.resources?.armorDamage?.value || 0;
         
-        // S'assurer que les bonus des traits sont calculés
-        if (!this.actor.system.traitBonuses) {
-            console.log("Bonus des traits non calculés, calcul en cours...");
-            this._applyTraitBonuses();
-        }
-        
         const totalArmor = this._getTotalArmor(); // Utiliser l'armure totale avec bonus
         
         // Debug: Initialisation des boucliers
-        console.log(`ARMURE: base=${this.actor.system.resources?.armor?.value || 0}, traits=${this.actor.system.traitBonuses?.armor || 0}, équipement=${this._getArmorTypeBonus()}, boucliers=${this._getShieldBonus()}, TOTAL=${totalArmor}, dégâts=${armorDamage}`);
+        VHLogger.debug("sheet", `ARMURE: base=${this.actor.system.resources?.armor?.value || 0}, traits=${this.actor.system.traitBonuses?.armor || 0}, équipement=${this._getArmorTypeBonus()}, boucliers=${this._getShieldBonus()}, TOTAL=${totalArmor}, dégâts=${armorDamage}`);
         
         // Les boucliers sont déjà générés par le template HTML
         // On doit juste mettre à jour leur état
@@ -744,26 +343,55 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
     }
 
     /**
-     * Prépare les items pour l'affichage
-     * @param {Object} data - Les données de l'acteur
+     * Prépare l'inventaire : bourse, objets portés sur soi puis contenu de chaque contenant
+     * Un objet dont le contenant n'existe plus est considéré comme porté sur soi.
+     * @param {Object} data - Les données du template
      * @private
      */
     _prepareItems(data) {
-        // Trier les items par type
-        const items = {
-            outil: [],
-            A: []
+        const physical = this.actor.items.filter(item => item.system.weight !== undefined);
+        const containers = physical.filter(item => item.type === "container");
+        const equipped = new Set(Object.values(this.actor.system.equipped));
+        
+        const describe = item => {
+            const quantity = item.system.quantity ?? 1;
+            return {
+                id: item.id,
+                name: item.name,
+                img: item.img,
+                quantity,
+                totalWeight: Math.round(quantity * item.system.weight * 100) / 100,
+                equipped: equipped.has(item)
+            };
         };
-
-        // Trier chaque item dans son type
-        for (let i of data.items) {
-            if (items.hasOwnProperty(i.type)) {
-                items[i.type].push(i);
-            }
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        
+        const groups = [{
+            id: "",
+            name: "Sur soi",
+            items: physical
+                .filter(item => (item.type !== "container") && !containers.some(container => container.id === item.system.container))
+                .map(describe)
+                .sort(byName)
+        }];
+        for (const container of containers.sort(byName)) {
+            groups.push({
+                id: container.id,
+                name: `${container.name} (${container.system.weight} kg)`,
+                capacity: container.system.capacity,
+                contentsWeight: Math.round(container.system.contentsWeight * 100) / 100,
+                overCapacity: container.system.contentsWeight > container.system.capacity,
+                items: container.system.contents.map(describe).sort(byName)
+            });
         }
-
-        // Ajouter les items triés aux données
-        data.items = items;
+        
+        const currency = this.actor.system.currency;
+        data.inventory = {
+            groups,
+            presets: CONFIG.voidHorizon.containerPresets,
+            purse: VoidCurrency.describePurse(currency),
+            purseTotal: VoidCurrency.formatAmount(VoidCurrency.toBase(currency))
+        };
     }
 
     /**
@@ -785,58 +413,19 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         try {
             await Item.create(itemData, { parent: this.actor });
         } catch (error) {
-            console.error("Erreur lors de la création de l'item:", error);
+            VHLogger.error("sheet", "Erreur lors de la création de l'item:", error);
         }
     }
 
     /**
-     * Gère l'édition d'un item
+     * Gère l'édition d'un item : ouvre sa fiche, dont l'éditeur gère la description en HTML
      * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onItemEdit(event) {
+    _onItemEdit(event) {
         event.preventDefault();
         const itemId = event.currentTarget.closest(".item").dataset.itemId;
-        const item = this.actor.items.get(itemId);
-        
-        if (item) {
-            const template = `
-                <form>
-                    <div class="form-group">
-                        <label>Nom</label>
-                        <input type="text" name="name" value="${item.name}"/>
-                    </div>
-                    <div class="form-group">
-                        <label>Description</label>
-                        <textarea name="system.description">${item.system.description || ""}</textarea>
-                    </div>
-                </form>
-            `;
-
-            new Dialog({
-                title: "Modifier l'item",
-                content: template,
-                buttons: {
-                    save: {
-                        icon: '<i class="fas fa-save"></i>',
-                        label: "Sauvegarder",
-                        callback: async (html) => {
-                            const formData = new FormData(html.find('form')[0]);
-                            const updateData = {
-                                name: formData.get('name'),
-                                'system.description': formData.get('system.description')
-                            };
-                            await item.update(updateData);
-                        }
-                    },
-                    cancel: {
-                        icon: '<i class="fas fa-times"></i>',
-                        label: "Annuler"
-                    }
-                },
-                default: "save"
-            }).render(true);
-        }
+        this.actor.items.get(itemId)?.sheet.render(true);
     }
 
     /**
@@ -882,17 +471,17 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         
         // Ignorer les champs marqués comme ne devant pas être sauvegardés automatiquement
         if (target.hasAttribute('data-no-save')) {
-            console.log(`Champ numérique ${target.name} ignoré (data-no-save)`);
+            VHLogger.debug("sheet", `Champ numérique ${target.name} ignoré (data-no-save)`);
             return;
         }
         
         const value = parseInt(target.value);
         const name = target.name;
 
-        console.log("=== Debug Resource Change ===");
-        console.log("Name:", name);
-        console.log("Value:", value);
-        console.log("Current actor data:", this.actor.system);
+        VHLogger.debug("sheet", "=== Debug Resource Change ===");
+        VHLogger.debug("sheet", "Name:", name);
+        VHLogger.debug("sheet", "Value:", value);
+        VHLogger.debug("sheet", "Current actor data:", this.actor.system);
 
         // Si c'est un champ d'armure de base ou de constitution, utiliser le système de sauvegarde différée
         if (name === "system.resources.armor.value" || name === "system.constitution.value") {
@@ -902,13 +491,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             }
             this._pendingWeaponChanges[name] = value;
             
-            console.log(`Changement en attente pour ${name}: ${value}`);
+            VHLogger.debug("sheet", `Changement en attente pour ${name}: ${value}`);
             
             if (name === "system.resources.armor.value") {
-                // Répliquer en mémoire pour un rendu immédiat cohérent
-                if (!this.actor.system.resources) this.actor.system.resources = {};
-                if (!this.actor.system.resources.armor) this.actor.system.resources.armor = {};
-                this.actor.system.resources.armor.value = value;
                 // Mettre à jour l'affichage local sans sauvegarder
                 this._updateLocalArmorDisplay(value);
                 
@@ -921,16 +506,10 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             }
             return;
         }
-        
-        // Si c'est un champ d'armure d'équipement, l'ignorer complètement (géré par _onWeaponFieldChange)
-        if (name === "system.armor.bonus") {
-            console.log(`Champ d'armure d'équipement ${name} ignoré dans _onResourceChange (géré par _onWeaponFieldChange)`);
-            return;
-        }
 
         // Pour les autres champs numériques, pas de traitement automatique
-        console.log(`Champ numérique non géré: ${name}`);
-        console.log("=== Fin Debug Resource Change ===");
+        VHLogger.debug("sheet", `Champ numérique non géré: ${name}`);
+        VHLogger.debug("sheet", "=== Fin Debug Resource Change ===");
     }
 
     _updateHeartsDisplay() {
@@ -938,14 +517,14 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const blessure = this.actor.system.resources?.blessure?.value || 0;
         const hearts = this.element.find('.heart-wrapper');
         
-        console.log(`=== Debug Hearts Display ===`);
-        console.log(`Constitution totale (base + bonus): ${totalConstitution}`);
-        console.log(`Blessures actuelles: ${blessure}`);
-        console.log(`Cœurs trouvés: ${hearts.length}`);
+        VHLogger.debug("sheet", `=== Debug Hearts Display ===`);
+        VHLogger.debug("sheet", `Constitution totale (base + bonus): ${totalConstitution}`);
+        VHLogger.debug("sheet", `Blessures actuelles: ${blessure}`);
+        VHLogger.debug("sheet", `Cœurs trouvés: ${hearts.length}`);
         
         // Si le nombre de cœurs ne correspond pas à la constitution totale, forcer le re-render
         if (hearts.length !== totalConstitution) {
-            console.log(`Nombre de cœurs incorrect (${hearts.length} vs ${totalConstitution}), re-render nécessaire`);
+            VHLogger.debug("sheet", `Nombre de cœurs incorrect (${hearts.length} vs ${totalConstitution}), re-render nécessaire`);
             // Ne pas appeler _applyTraitBonuses ici pour éviter la boucle infinie
             // Les bonus des traits sont déjà calculés et stockés
             this.render(true);
@@ -962,16 +541,16 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 // Ce cœur est "mort" (blessé)
                 aliveButton.classList.add('hidden');
                 deadButton.classList.remove('hidden');
-                console.log(`Cœur ${heartIndex} affiché comme mort`);
+                VHLogger.debug("sheet", `Cœur ${heartIndex} affiché comme mort`);
             } else {
                 // Ce cœur est "vivant" (non blessé)
                 aliveButton.classList.remove('hidden');
                 deadButton.classList.add('hidden');
-                console.log(`Cœur ${heartIndex} affiché comme vivant`);
+                VHLogger.debug("sheet", `Cœur ${heartIndex} affiché comme vivant`);
             }
         });
         
-        console.log(`=== Fin Debug Hearts Display ===`);
+        VHLogger.debug("sheet", `=== Fin Debug Hearts Display ===`);
     }
 
     /**
@@ -986,11 +565,11 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const armorDamage = parseInt(this.actor.system.resources?.armorDamage?.value) || 0;
         const shields = this.element.find('.shield-wrapper');
         
-        console.log(`Boucliers: total=${totalArmor}, dégâts=${armorDamage}, trouvés=${shields.length}`);
+        VHLogger.debug("sheet", `Boucliers: total=${totalArmor}, dégâts=${armorDamage}, trouvés=${shields.length}`);
         
         // Si le nombre de boucliers ne correspond pas à l'armure totale, forcer le re-render
         if (shields.length !== totalArmor) {
-            console.log(`Nombre de boucliers incorrect (${shields.length} vs ${totalArmor}), re-render nécessaire`);
+            VHLogger.debug("sheet", `Nombre de boucliers incorrect (${shields.length} vs ${totalArmor}), re-render nécessaire`);
             // Forcer la mise à jour des données en mémoire avant le re-render
             this.render(true);
             return;
@@ -1004,7 +583,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             
             // Vérification de sécurité
             if (!activeButton || !brokenButton) {
-                console.error("Boutons d'armure non trouvés:", { activeButton, brokenButton });
+                VHLogger.error("sheet", "Boutons d'armure non trouvés:", { activeButton, brokenButton });
                 return;
             }
             
@@ -1031,38 +610,23 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         
         // Ignorer les champs marqués comme ne devant pas être sauvegardés automatiquement
         if (input.hasAttribute('data-no-save')) {
-            console.log(`Champ texte ${input.name} ignoré (data-no-save)`);
+            VHLogger.debug("sheet", `Champ texte ${input.name} ignoré (data-no-save)`);
             return;
         }
         
         const field = input.name;
         
-        // Si c'est un champ d'arme, utiliser le système de sauvegarde différée
-        if (field.includes('system.weapons.')) {
-            // Stocker le changement en mémoire sans sauvegarder
-            if (!this._pendingWeaponChanges) {
-                this._pendingWeaponChanges = {};
-            }
-            this._pendingWeaponChanges[field] = input.value;
-            
-            console.log(`Changement d'arme en attente pour ${field}: ${input.value}`);
-            
-            // Mettre à jour l'affichage local sans sauvegarder
-            this._updateLocalWeaponDisplay(field, input.value);
-            return;
-        }
-        
         // Pour les autres champs texte, sauvegarder immédiatement
         const updateData = {};
         updateData[field] = input.value;
         
         try {
             await this.actor.update(updateData);
-            console.log(`Mise à jour réussie pour ${field}: ${input.value}`);
+            VHLogger.debug("sheet", `Mise à jour réussie pour ${field}: ${input.value}`);
             // Forcer la mise à jour de l'affichage
             this.render(true);
         } catch (error) {
-            console.error("Erreur lors de la mise à jour:", error);
+            VHLogger.error("sheet", "Erreur lors de la mise à jour:", error);
             // Restaurer la valeur précédente en cas d'erreur
             if (field.includes('system.')) {
                 const fieldParts = field.split('.');
@@ -1084,7 +648,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         
         // Ignorer les champs marqués comme ne devant pas être sauvegardés automatiquement
         if (select.hasAttribute('data-no-save')) {
-            console.log(`Champ ${select.name} ignoré (data-no-save)`);
+            VHLogger.debug("sheet", `Champ ${select.name} ignoré (data-no-save)`);
             return;
         }
         
@@ -1095,7 +659,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         if (field === "system.faction.value") {
             try {
                 await this.actor.update({ [field]: value });
-                console.log(`Faction sauvegardée immédiatement: ${value}`);
+                VHLogger.debug("sheet", `Faction sauvegardée immédiatement: ${value}`);
                 
                 // Mettre à jour l'affichage du blason de faction
                 this._updateFactionCrest(value);
@@ -1104,7 +668,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 ui.notifications.info("Faction mise à jour avec succès");
                 
             } catch (error) {
-                console.error("Erreur lors de la sauvegarde de la faction:", error);
+                VHLogger.error("sheet", "Erreur lors de la sauvegarde de la faction:", error);
                 ui.notifications.error("Erreur lors de la mise à jour de la faction");
                 
                 // Restaurer la valeur précédente en cas d'erreur
@@ -1117,9 +681,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         if (field === "system.class.value" || field === "system.affinity.value") {
             try {
                 await this.actor.update({ [field]: value });
-                console.log(`${field === "system.class.value" ? "Classe" : "Affinité"} sauvegardée immédiatement: ${value}`);
+                VHLogger.debug("sheet", `${field === "system.class.value" ? "Classe" : "Affinité"} sauvegardée immédiatement: ${value}`);
             } catch (error) {
-                console.error(`Erreur lors de la sauvegarde de ${field}:`, error);
+                VHLogger.error("sheet", `Erreur lors de la sauvegarde de ${field}:`, error);
                 
                 // Restaurer la valeur précédente en cas d'erreur
                 if (field === "system.class.value") {
@@ -1134,15 +698,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         // Si c'est un changement d'Arcane, mettre à jour seulement l'affichage du mana localement
         if (field === "system.arcane.value") {
             // Calculer le nouveau mana maximum basé sur la nouvelle valeur d'Arcane
-            const manaPerLevel = {
-                "2d4": 2,   // Insensible
-                "3d4": 4,   // Eveillé
-                "4d4": 6,   // Novice
-                "5d4": 8,   // Initié
-                "6d4": 10,  // Maître
-                "7d4": 12   // Archimage
-            };
-            const newMaxMana = manaPerLevel[value] || 2;
+            const newMaxMana = CONFIG.voidHorizon.manaPerArcane[value] || 2;
             
             // Mettre à jour seulement l'affichage local, pas la sauvegarde
             this.actor.system.mana.max = newMaxMana;
@@ -1154,7 +710,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             // Mettre à jour l'affichage des valeurs totales de mana
             this._updateManaTotalDisplay();
             
-            console.log(`Arcane et mana mis à jour localement: ${value} -> ${newMaxMana} points de mana`);
+            VHLogger.debug("sheet", `Arcane et mana mis à jour localement: ${value} -> ${newMaxMana} points de mana`);
             
             // Ajouter les changements de mana aux changements en attente
             if (!this._pendingChanges) {
@@ -1172,7 +728,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         }
         this._pendingChanges[field] = value;
         
-        console.log(`Changement en attente pour ${field}: ${value}`);
+        VHLogger.debug("sheet", `Changement en attente pour ${field}: ${value}`);
         
         // Mettre à jour l'affichage local sans sauvegarder
         this._updateLocalDisplay(field, value);
@@ -1197,9 +753,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             
             // Si c'est une caractéristique qui affecte les bonus des traits, recalculer et mettre à jour l'affichage
             if (['martialite', 'pimpance', 'acuite', 'arcane', 'agilite'].includes(statName)) {
-                console.log(`Caractéristique ${statName} mise à jour, recalcul des bonus des traits...`);
+                VHLogger.debug("sheet", `Caractéristique ${statName} mise à jour, recalcul des bonus des traits...`);
                 
-                // IMPORTANT: Forcer la mise à jour des helpers Handlebars
+                // Recalculer les données dérivées (bonus et totaux)
                 this._applyTraitBonuses();
                 
                 // Mettre à jour l'affichage des valeurs totales
@@ -1219,15 +775,13 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      */
     _updateLocalArmorDisplay(value) {
         // Mettre à jour l'affichage local de l'armure
-        console.log(`Affichage local de l'armure mis à jour: ${value}`);
+        VHLogger.debug("sheet", `Affichage local de l'armure mis à jour: ${value}`);
         
         // Mettre à jour les données en mémoire pour que les calculs incluent les bonus
-        if (!this.actor.system.resources) this.actor.system.resources = {};
-        if (!this.actor.system.resources.armor) this.actor.system.resources.armor = {};
         this.actor.system.resources.armor.value = value;
         
-        // Ne pas appeler _applyTraitBonuses ici pour éviter la boucle infinie
-        // Les bonus des traits sont déjà calculés et stockés
+        // Recalculer les totaux dérivés avec la valeur en mémoire
+        this._applyTraitBonuses();
         
         // Mettre à jour l'affichage des valeurs totales d'armure
         this._updateArmorTotalDisplay();
@@ -1243,14 +797,13 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      */
     _updateLocalConstitutionDisplay(value) {
         // Mettre à jour l'affichage local de la constitution
-        console.log(`Affichage local de la constitution mis à jour: ${value}`);
+        VHLogger.debug("sheet", `Affichage local de la constitution mis à jour: ${value}`);
         
         // Mettre à jour les données en mémoire pour que les calculs incluent les bonus
-        if (!this.actor.system.constitution) this.actor.system.constitution = {};
         this.actor.system.constitution.value = value;
         
-        // Ne pas appeler _applyTraitBonuses ici pour éviter la boucle infinie
-        // Les bonus des traits sont déjà calculés et stockés
+        // Recalculer les totaux dérivés avec la valeur en mémoire
+        this._applyTraitBonuses();
         
         // Mettre à jour l'affichage des valeurs totales de constitution
         this._updateConstitutionTotalDisplay();
@@ -1273,146 +826,44 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             const newSrc = `systems/voidHorizon/assets/crests/${factionValue}.png`;
             crestImg.attr('src', newSrc);
             crestImg.attr('alt', `Blason ${factionValue}`);
-            console.log(`Blason de faction mis à jour: ${newSrc}`);
+            VHLogger.debug("sheet", `Blason de faction mis à jour: ${newSrc}`);
         }
     }
 
-    /**
-     * Retourne le label d'affichage pour une statistique
-     * @param {string} statName - Le nom de la statistique
-     * @param {string} value - La valeur de la statistique
-     * @returns {string} - Le label d'affichage
-     * @private
-     */
-    _getStatLabel(statName, value) {
-        const mappings = {
-            'martialite': {
-                "2d4": "Incompétent",
-                "3d4": "Combatif",
-                "4d4": "Soldat",
-                "5d4": "Expérimenté",
-                "6d4": "Vétéran",
-                "7d4": "Légende"
-            },
-            'pimpance': {
-                "2d4": "Tâche",
-                "3d4": "Pas top",
-                "4d4": "Honnête",
-                "5d4": "Beau",
-                "6d4": "Splendide",
-                "7d4": "Ramirez"
-            },
-            'acuite': {
-                "2d4": "Aveugle",
-                "3d4": "Distrait",
-                "4d4": "Alerte",
-                "5d4": "Vif",
-                "6d4": "Clairvoyant",
-                "7d4": "Fulgurant"
-            },
-            'arcane': {
-                "2d4": "Insensible",
-                "3d4": "Eveillé",
-                "4d4": "Novice",
-                "5d4": "Initié",
-                "6d4": "Maître",
-                "7d4": "Archimage"
-            },
-            'agilite': {
-                "2d4": "Gourd",
-                "3d4": "Maladroit",
-                "4d4": "Ordinaire",
-                "5d4": "Adroit",
-                "6d4": "Leste",
-                "7d4": "Félin"
-            }
-        };
-        
-        return mappings[statName]?.[value] || value;
-    }
-
     /**
      * Obtient la valeur totale de constitution incluant les bonus des traits
      * @returns {number} - Valeur totale de constitution
      * @private
      */
     _getTotalConstitution() {
-        const baseConstitution = parseInt(this.actor.system.constitution?.value) || 0;
-        const traitBonus = this.actor.system.traitBonuses?.constitution || 0;
-        
-        console.log(`=== Debug Constitution ===`);
-        console.log(`Base constitution: ${baseConstitution}`);
-        console.log(`Bonus traits: ${traitBonus}`);
-        console.log(`TraitBonuses object:`, this.actor.system.traitBonuses);
-        console.log(`Total: ${baseConstitution + traitBonus}`);
-        console.log(`=== Fin Debug Constitution ===`);
-        
-        // Note: Les bonus d'équipement pour la constitution pourront être ajoutés ici plus tard
-        return baseConstitution + traitBonus;
+        return this.actor.system.totals.constitution;
     }
 
     /**
-     * Obtient la valeur totale d'armure incluant les bonus des traits
+     * Obtient la valeur totale d'armure (base + type d'armure + traits + boucliers)
      * @returns {number} - Valeur totale d'armure
      * @private
      */
-             _getTotalArmor() {
-        const baseArmor = parseInt(this.actor.system.resources?.armor?.value) || 0;
-        const traitBonus = this.actor.system.traitBonuses?.armor || 0;
-        const equipmentBonus = this._getArmorTypeBonus();
-        
-        // Calculer le bonus des boucliers d'armes
-        let shieldBonus = 0;
-        if (this.actor.system.weapons?.primary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.primary.bonus) || 0;
-        }
-        if (this.actor.system.weapons?.secondary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.secondary.bonus) || 0;
-        }
-        
-        // Armure totale = base + équipement + traits + boucliers
-        const totalArmor = baseArmor + equipmentBonus + traitBonus + shieldBonus;
-        
-        // Debug temporaire pour tester le calcul
-        console.log(`CALCUL ARMURE: base=${baseArmor}, équipement=${equipmentBonus}, traits=${traitBonus}, boucliers=${shieldBonus}, TOTAL=${totalArmor}`);
-        
-        return totalArmor;
+    _getTotalArmor() {
+        return this.actor.system.totals.armor;
     }
 
+    /**
+     * Obtient le bonus d'armure donné par le type d'armure équipé
+     * @returns {number} - Bonus d'armure
+     * @private
+     */
     _getArmorTypeBonus() {
-        const armorType = this.actor.system.armor?.type || 'tissu';
-        const bonusMap = {
-            'tissu': 0,
-            'legere': 1,
-            'lourde': 2,
-            'blindee': 4
-        };
-        return bonusMap[armorType] || 0;
+        return this.actor.system.totals.armorTypeBonus;
     }
 
     /**
-     * Calcule le malus d'agilité basé sur le type d'armure et le met à jour dans le système
+     * Obtient le malus d'agilité dû au type d'armure
      * @returns {number} - Malus d'agilité (négatif)
      * @private
      */
     _getAgilityPenalty() {
-        const armorType = this.actor.system.armor?.type || 'tissu';
-        const penaltyMap = {
-            'tissu': 0,      // Pas de malus
-            'legere': -4,    // Malus de 4
-            'lourde': -8,    // Malus de 8
-            'blindee': -16   // Malus de 16
-        };
-        const penalty = penaltyMap[armorType] || 0;
-        
-        // Mettre à jour la variable système si elle a changé
-        if (this.actor.system.armorAgilityPenalty?.value !== penalty) {
-            this.actor.update({
-                'system.armorAgilityPenalty.value': penalty
-            });
-        }
-        
-        return penalty;
+        return this.actor.system.armorAgilityPenalty.value;
     }
     
 
@@ -1435,44 +886,14 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 const agiliteValue = this.actor.system.agilite?.value || "2d4";
                 
                 // Calculer les nouvelles plages avec le malus
-                const safeRangeMap = {
-                    "2d4": { min: 2, max: 8 },
-                    "3d4": { min: 3, max: 12 },
-                    "4d4": { min: 4, max: 16 },
-                    "5d4": { min: 5, max: 20 },
-                    "6d4": { min: 6, max: 24 },
-                    "7d4": { min: 7, max: 28 }
-                };
-                
-                const unsafeRangeMap = {
-                    "2d4": { min: 1, max: 12 },
-                    "3d4": { min: 1, max: 16 },
-                    "4d4": { min: 1, max: 20 },
-                    "5d4": { min: 1, max: 24 },
-                    "6d4": { min: 1, max: 28 },
-                    "7d4": { min: 1, max: 32 }
-                };
-                
-                const safeRangeData = safeRangeMap[agiliteValue];
-                const unsafeRangeData = unsafeRangeMap[agiliteValue];
+                const modifiers = [{type: "armor", value: Math.min(0, penalty)}];
+                const floor = CONFIG.voidHorizon.rollFloors.agilite;
+                const safeRangeData = VoidRoll.getRange(agiliteValue, "safe", modifiers, floor);
+                const unsafeRangeData = VoidRoll.getRange(agiliteValue, "unsafe", modifiers, floor);
                 
                 if (safeRangeData && unsafeRangeData) {
-                    let safeText, unsafeText;
-                    
-                    if (penalty < 0) {
-                        // Appliquer le malus
-                        const safeMin = Math.max(1, safeRangeData.min + penalty);
-                        const safeMax = Math.max(1, safeRangeData.max + penalty);
-                        const unsafeMin = Math.max(1, unsafeRangeData.min + penalty);
-                        const unsafeMax = Math.max(1, unsafeRangeData.max + penalty);
-                        
-                        safeText = `${safeMin}-${safeMax}`;
-                        unsafeText = `${unsafeMin}-${unsafeMax}`;
-                    } else {
-                        // Pas de malus
-                        safeText = `${safeRangeData.min}-${safeRangeData.max}`;
-                        unsafeText = `${unsafeRangeData.min}-${unsafeRangeData.max}`;
-                    }
+                    const safeText = `${safeRangeData.min}-${safeRangeData.max}`;
+                    const unsafeText = `${unsafeRangeData.min}-${unsafeRangeData.max}`;
                     
                     // Mettre à jour l'affichage
                     safeRange.html(`<i class="fas fa-shield-alt"></i> ${safeText}`);
@@ -1533,25 +954,8 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                     // Calculer le bonus total pour cette caractéristique
                     let totalBonus = 0;
                     
-                    // Bonus de trait
-                    if (this.actor.system.traitBonuses && this.actor.system.traitBonuses[statName]) {
-                        totalBonus += this.actor.system.traitBonuses[statName];
-                    }
-                    
-                    // Malus d'agilité dû à l'armure (seulement pour l'agilité)
-                    if (statName === 'agilite') {
-                        const armorType = this.actor.system.armor?.type;
-                        if (armorType) {
-                            const armorPenalties = {
-                                'tissu': 0,
-                                'legere': -4,
-                                'lourde': -8,
-                                'blindee': -16
-                            };
-                            const armorPenalty = armorPenalties[armorType] || 0;
-                            totalBonus += armorPenalty;
-                        }
-                    }
+                    // Bonus des traits et malus d'armure (données dérivées de l'acteur)
+                    totalBonus += this.actor.system.getStatBonus(statName);
                     
                     // Mettre à jour l'affichage du bonus
                     const bonusDisplay = $block.find('.bonus-display');
@@ -1573,33 +977,16 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                     }
                     
                     // Calculer les nouvelles plages avec le bonus
-                    const rangeMap = {
-                        "2d4": { min: 2, max: 8 },
-                        "3d4": { min: 3, max: 12 },
-                        "4d4": { min: 4, max: 16 },
-                        "5d4": { min: 5, max: 20 },
-                        "6d4": { min: 6, max: 24 },
-                        "7d4": { min: 7, max: 28 }
-                    };
-                    
-                    const unsafeRangeMap = {
-                        "2d4": { min: 1, max: 12 },
-                        "3d4": { min: 1, max: 16 },
-                        "4d4": { min: 1, max: 20 },
-                        "5d4": { min: 1, max: 24 },
-                        "6d4": { min: 1, max: 28 },
-                        "7d4": { min: 1, max: 32 }
-                    };
-                    
-                    const safeRangeData = rangeMap[statValue];
-                    const unsafeRangeData = unsafeRangeMap[statValue];
+                    const modifiers = this.actor.system.getStatModifiers(statName);
+                    const floor = CONFIG.voidHorizon.rollFloors[statName] ?? null;
+                    const safeRangeData = VoidRoll.getRange(statValue, "safe", modifiers, floor);
+                    const unsafeRangeData = VoidRoll.getRange(statValue, "unsafe", modifiers, floor);
                     
                     if (safeRangeData && unsafeRangeData) {
-                        // Appliquer le bonus aux ranges
-                        const safeMin = Math.max(1, safeRangeData.min + totalBonus);
-                        const safeMax = Math.max(1, safeRangeData.max + totalBonus);
-                        const unsafeMin = Math.max(1, unsafeRangeData.min + totalBonus);
-                        const unsafeMax = Math.max(1, unsafeRangeData.max + totalBonus);
+                        const safeMin = safeRangeData.min;
+                        const safeMax = safeRangeData.max;
+                        const unsafeMin = unsafeRangeData.min;
+                        const unsafeMax = unsafeRangeData.max;
                         
                         // Mettre à jour l'affichage
                         safeRange.html(`<i class="fas fa-shield-alt"></i> ${safeMin}-${safeMax}`);
@@ -1614,128 +1001,39 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
     }
 
     /**
-     * Met à jour les ranges d'attaques d'armes
+     * Met à jour les ranges d'attaques des armes équipées
      * @private
      */
     _updateWeaponDiceRanges() {
-        // Mettre à jour les ranges pour les armes principales et secondaires
-        const weaponSlots = this.element.find('.weapon-slot:not(.armor-slot)');
+        const system = this.actor.system;
         
-        weaponSlots.each((index, slot) => {
-            const $slot = $(slot);
-            const weaponType = $slot.find('select[name*=".type"]').val() || 
-                              $slot.find('.read-mode').text().match(/\((.*?)\)/)?.[1]?.toLowerCase();
+        for (const slot of Object.keys(CONFIG.voidHorizon.equipSlots)) {
+            const weapon = system.equipped[slot];
+            if (weapon?.type !== "weapon") continue;
             
-            if (weaponType && weaponType !== 'bouclier' && weaponType !== 'shield') {
-                // Déterminer quelle caractéristique est utilisée
-                let statName = null;
-                let statValue = null;
-                
-                if (weaponType === 'strength' || weaponType.includes('martialité') || weaponType.includes('force')) {
-                    statName = 'martialite';
-                    statValue = this.actor.system.martialite?.value;
-                } else if (weaponType === 'agility' || weaponType.includes('agilité') || weaponType.includes('agility')) {
-                    statName = 'agilite';
-                    statValue = this.actor.system.agilite?.value;
-                } else if (weaponType === 'acuite' || weaponType.includes('acuité') || weaponType.includes('acuite')) {
-                    statName = 'acuite';
-                    statValue = this.actor.system.acuite?.value;
-                }
-                
-                if (statName && statValue) {
-                    // Récupérer les informations de l'arme
-                    const isPrimary = $slot.hasClass('primary-weapon');
-                    const weaponKey = isPrimary ? 'primary' : 'secondary';
-                    const weapon = this.actor.system.weapons?.[weaponKey];
-                    
-                    if (weapon) {
-                        // Calculer le bonus total pour cette caractéristique
-                        let totalBonus = 0;
-                        
-                        // Bonus de trait
-                        if (this.actor.system.traitBonuses && this.actor.system.traitBonuses[statName]) {
-                            totalBonus += this.actor.system.traitBonuses[statName];
-                        }
-                        
-                        // Malus d'agilité dû à l'armure (seulement pour l'agilité)
-                        if (statName === 'agilite') {
-                            const armorType = this.actor.system.armor?.type;
-                            if (armorType) {
-                                const armorPenalties = {
-                                    'tissu': 0,
-                                    'legere': -4,
-                                    'lourde': -8,
-                                    'blindee': -16
-                                };
-                                const armorPenalty = armorPenalties[armorType] || 0;
-                                totalBonus += armorPenalty;
-                            }
-                        }
-                        
-                        // Bonus de l'arme
-                        const weaponBonus = parseInt(weapon.bonus) || 0;
-                        
-                        // Récupérer les dés de qualité
-                        const weaponQualityDice = this._getWeaponQualityDice(weapon.rank);
-                        const qualityRange = this._calculateDiceRange(weaponQualityDice);
-                        
-                        // Calculer les ranges de base pour la caractéristique
-                        const rangeMap = {
-                            "2d4": { min: 2, max: 8 },
-                            "3d4": { min: 3, max: 12 },
-                            "4d4": { min: 4, max: 16 },
-                            "5d4": { min: 5, max: 20 },
-                            "6d4": { min: 6, max: 24 },
-                            "7d4": { min: 7, max: 28 }
-                        };
-                        
-                        const unsafeRangeMap = {
-                            "2d4": { min: 1, max: 12 },
-                            "3d4": { min: 1, max: 16 },
-                            "4d4": { min: 1, max: 20 },
-                            "5d4": { min: 1, max: 24 },
-                            "6d4": { min: 1, max: 28 },
-                            "7d4": { min: 1, max: 32 }
-                        };
-                        
-                        const safeRangeData = rangeMap[statValue];
-                        const unsafeRangeData = unsafeRangeMap[statValue];
-                        
-                        if (safeRangeData && unsafeRangeData) {
-                            // Calculer les ranges finaux avec tous les bonus
-                            const safeMin = Math.max(1, safeRangeData.min + totalBonus + qualityRange.min + weaponBonus);
-                            const safeMax = Math.max(1, safeRangeData.max + totalBonus + qualityRange.max + weaponBonus);
-                            const unsafeMin = Math.max(1, unsafeRangeData.min + totalBonus + qualityRange.min + weaponBonus);
-                            const unsafeMax = Math.max(1, unsafeRangeData.max + totalBonus + qualityRange.max + weaponBonus);
-                            
-                            // Mettre à jour l'affichage des ranges
-                            const safeRange = $slot.find('.weapon-safe-range .range-value');
-                            const unsafeRange = $slot.find('.weapon-unsafe-range .range-value');
-                            const bonusDisplay = $slot.find('.weapon-bonus-display');
-                            
-                            if (safeRange.length > 0) {
-                                safeRange.text(`${safeMin}-${safeMax}`);
-                            }
-                            
-                            if (unsafeRange.length > 0) {
-                                unsafeRange.text(`${unsafeMin}-${unsafeMax}`);
-                            }
-                            
-                            // Afficher le bonus total de la caractéristique
-                            if (bonusDisplay.length > 0) {
-                                if (totalBonus > 0) {
-                                    bonusDisplay.html(`+${totalBonus}`);
-                                } else if (totalBonus < 0) {
-                                    bonusDisplay.html(`${totalBonus}`);
-                                } else {
-                                    bonusDisplay.html('+0');
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        });
+            const $slot = this.element.find(`.equipment-slot[data-equip-slot="${slot}"]`);
+            const statName = this._getStatNameForWeaponType(weapon.system.type);
+            const statValue = system[statName]?.value;
+            if (!statValue) continue;
+            
+            // Caractéristique + dé de qualité + bonus de l'arme, comme le jet d'arme
+            const modifiers = [
+                ...system.getStatModifiers(statName),
+                {type: "quality", formula: this._getWeaponQualityDice(weapon.system.rank)},
+                {type: "weapon", value: weapon.system.bonus || 0}
+            ];
+            const floor = CONFIG.voidHorizon.rollFloors[statName] ?? null;
+            const safeRange = VoidRoll.getRange(statValue, "safe", modifiers, floor);
+            const unsafeRange = VoidRoll.getRange(statValue, "unsafe", modifiers, floor);
+            if (!safeRange || !unsafeRange) continue;
+            
+            $slot.find('.weapon-safe-range .range-value').text(`${safeRange.min}-${safeRange.max}`);
+            $slot.find('.weapon-unsafe-range .range-value').text(`${unsafeRange.min}-${unsafeRange.max}`);
+            
+            // Bonus total de la caractéristique (traits et malus d'armure)
+            const totalBonus = system.getStatBonus(statName);
+            $slot.find('.weapon-bonus-display').text(totalBonus < 0 ? `${totalBonus}` : `+${totalBonus}`);
+        }
     }
 
     /**
@@ -1744,135 +1042,16 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      * @private
      */
     _getShieldBonus() {
-        let shieldBonus = 0;
-        
-        // Vérifier la main principale
-        if (this.actor.system.weapons?.primary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.primary.bonus) || 0;
-        }
-        
-        // Vérifier la main secondaire
-        if (this.actor.system.weapons?.secondary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.secondary.bonus) || 0;
-        }
-        
-        return shieldBonus;
-    }
-
-    /**
-     * Recalcule les bonus des traits (appelé avant chaque jet de dé)
-     * @private
-     */
-    _recalculateTraitBonuses() {
-        // S'assurer que les bonus des traits sont à jour
-        if (!this.actor.system.traitBonuses) {
-            this._applyTraitBonuses();
-        }
-        
-        // Vérifier que les bonus sont cohérents avec les traits actuels
-        const currentTraits = this.actor.system.traits || {};
-        // Compter seulement les traits valides (pas null)
-        const validTraits = Object.values(currentTraits).filter(trait => trait && trait !== null);
-        const currentBonusCount = validTraits.length;
-        
-        console.log('Recalcul des bonus - Traits actuels:', currentTraits);
-        console.log('Traits valides:', validTraits);
-        console.log('Nombre de traits valides:', currentBonusCount);
-        console.log('Dernier compte:', this._lastTraitCount);
-        
-        // Si le nombre de traits valides a changé, recalculer
-        if (this._lastTraitCount !== currentBonusCount) {
-            console.log('Nombre de traits valides changé, recalcul des bonus...');
-            this._applyTraitBonuses();
-            this._lastTraitCount = currentBonusCount;
-        }
+        return this.actor.system.totals.shieldBonus;
     }
 
     /**
-     * Calcule le bonus total d'un trait sur une caractéristique
-     * @param {string} statName - Nom de la caractéristique
-     * @returns {number} - Bonus total
-     * @private
-     */
-    _calculateTraitBonus(statName) {
-        const traits = this.actor.system.traits || {};
-        let totalBonus = 0;
-        
-        for (const traitId in traits) {
-            const trait = traits[traitId];
-            // Ignorer les traits null ou undefined
-            if (!trait || trait === null) {
-                continue;
-            }
-            if (trait.bonusTarget === statName) {
-                totalBonus += trait.bonusValue || 0;
-            }
-        }
-        
-        return totalBonus;
-    }
-
-    /**
-     * Applique les bonus des traits aux caractéristiques
+     * Recalcule les données dérivées de l'acteur (bonus des traits et totaux)
+     * à partir des valeurs en mémoire, par exemple après une modification non sauvegardée
      * @private
      */
     _applyTraitBonuses() {
-        const traits = this.actor.system.traits || {};
-        console.log('Traits disponibles:', traits);
-        console.log('Structure de system:', this.actor.system);
-        
-        // Calculer les bonus pour chaque caractéristique
-        const bonuses = {
-            martialite: this._calculateTraitBonus('martialite'),
-            pimpance: this._calculateTraitBonus('pimpance'),
-            acuite: this._calculateTraitBonus('acuite'),
-            arcane: this._calculateTraitBonus('arcane'),
-            agilite: this._calculateTraitBonus('agilite'),
-            armor: this._calculateTraitBonus('armor'),
-            constitution: this._calculateTraitBonus('constitution')
-        };
-        
-        // Calculer les bonus de protection (Esquive, Blocage, Parade)
-        let totalBonusEsquive = 0;
-        let totalBonusBlocage = 0;
-        let totalBonusParade = 0;
-        
-        for (const traitId in traits) {
-            const trait = traits[traitId];
-            if (!trait || trait === null) continue;
-            
-            // Si le trait a un bonusTarget qui correspond à une protection
-            if (trait.bonusTarget === 'bonusEsquive') {
-                totalBonusEsquive += trait.bonusValue || 0;
-            } else if (trait.bonusTarget === 'bonusBlocage') {
-                totalBonusBlocage += trait.bonusValue || 0;
-            } else if (trait.bonusTarget === 'bonusParade') {
-                totalBonusParade += trait.bonusValue || 0;
-            }
-        }
-        
-        // Ajouter les bonus de protection au total
-        bonuses.bonusEsquive = totalBonusEsquive;
-        bonuses.bonusBlocage = totalBonusBlocage;
-        bonuses.bonusParade = totalBonusParade;
-        
-        // Stocker les bonus dans l'acteur pour utilisation ultérieure (en mémoire seulement)
-        this.actor.system.traitBonuses = bonuses;
-        
-        console.log('Bonus des traits appliqués:', bonuses);
-        
-        // Si les bonus d'armure ou de constitution ont changé, stocker les anciens bonus pour comparaison
-        const oldArmorBonus = this._lastArmorBonus || 0;
-        const oldConstitutionBonus = this._lastConstitutionBonus || 0;
-        const oldArcaneBonus = this._lastArcaneBonus || 0;
-        
-        // Stocker les nouveaux bonus pour la prochaine comparaison
-        this._lastArmorBonus = bonuses.armor;
-        this._lastConstitutionBonus = bonuses.constitution;
-        this._lastArcaneBonus = bonuses.arcane;
-        
-        // Note: Ne pas appeler _updateShieldsDisplay ou _updateHeartsDisplay ici
-        // Ces méthodes seront appelées séparément quand nécessaire
+        this.actor.system.prepareDerivedData();
     }
 
     /**
@@ -1923,14 +1102,14 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const blessure = this.actor.system.resources?.blessure?.value || 0;
         const hearts = this.element.find('.heart-wrapper');
         
-        console.log(`=== Debug Hearts Display ===`);
-        console.log(`Constitution totale (base + bonus): ${totalConstitution}`);
-        console.log(`Blessures actuelles: ${blessure}`);
-        console.log(`Cœurs trouvés: ${hearts.length}`);
+        VHLogger.debug("sheet", `=== Debug Hearts Display ===`);
+        VHLogger.debug("sheet", `Constitution totale (base + bonus): ${totalConstitution}`);
+        VHLogger.debug("sheet", `Blessures actuelles: ${blessure}`);
+        VHLogger.debug("sheet", `Cœurs trouvés: ${hearts.length}`);
         
         // Si le nombre de cœurs ne correspond pas à la constitution totale, forcer le re-render
         if (hearts.length !== totalConstitution) {
-            console.log(`Nombre de cœurs incorrect (${hearts.length} vs ${totalConstitution}), re-render nécessaire`);
+            VHLogger.debug("sheet", `Nombre de cœurs incorrect (${hearts.length} vs ${totalConstitution}), re-render nécessaire`);
             // Ne pas appeler _applyTraitBonuses ici pour éviter la boucle infinie
             // Les bonus des traits sont déjà calculés et stockés
             this.render(true);
@@ -1947,16 +1126,16 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 // Ce cœur est "mort" (blessé)
                 aliveButton.classList.add('hidden');
                 deadButton.classList.remove('hidden');
-                console.log(`Cœur ${heartIndex} affiché comme mort`);
+                VHLogger.debug("sheet", `Cœur ${heartIndex} affiché comme mort`);
             } else {
                 // Ce cœur est "vivant" (non blessé)
                 aliveButton.classList.remove('hidden');
                 deadButton.classList.add('hidden');
-                console.log(`Cœur ${heartIndex} affiché comme vivant`);
+                VHLogger.debug("sheet", `Cœur ${heartIndex} affiché comme vivant`);
             }
         });
         
-        console.log(`=== Fin Debug Hearts Display ===`);
+        VHLogger.debug("sheet", `=== Fin Debug Hearts Display ===`);
     }
 
     /**
@@ -1968,7 +1147,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const currentMana = this.actor.system.mana?.value || 0;
         const manaButtons = this.element.find('.mana-button');
         
-        console.log(`Mise à jour affichage mana: total=${totalMana}, actuel=${currentMana}`);
+        VHLogger.debug("sheet", `Mise à jour affichage mana: total=${totalMana}, actuel=${currentMana}`);
         
         manaButtons.each((index, button) => {
             const manaIndex = index + 1;
@@ -1992,40 +1171,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      * @private
      */
     _getTotalMana() {
-        const arcaneValue = this.actor.system.arcane?.value || "2d4";
-        const manaPerLevel = {
-            "2d4": 2,   // Insensible
-            "3d4": 4,   // Eveillé
-            "4d4": 6,   // Novice
-            "5d4": 8,   // Initié
-            "6d4": 10,  // Maître
-            "7d4": 12   // Archimage
-        };
-        return manaPerLevel[arcaneValue] || 2;
-    }
-
-    /**
-     * Applique les bonus des boucliers à l'armure
-     * @private
-     */
-    _applyShieldBonuses() {
-        let totalArmorBonus = 0;
-        
-        // Vérifier la main principale
-        if (this.actor.system.weapons?.primary?.type === 'shield') {
-            const shield = this.actor.system.weapons.primary;
-            const bonus = parseInt(shield.bonus) || 0;
-            totalArmorBonus += bonus;
-        }
-        
-        // Vérifier la main secondaire
-        if (this.actor.system.weapons?.secondary?.type === 'shield') {
-            const shield = this.actor.system.weapons.secondary;
-            const bonus = parseInt(shield.bonus) || 0;
-            totalArmorBonus += bonus;
-        }
-        
-        return { armorBonus: totalArmorBonus };
+        return this.actor.system.totals.mana;
     }
 
     /**
@@ -2050,7 +1196,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             newValue = currentValue + 1;
             // Vérifier qu'on ne dépasse pas la constitution maximale
             if (newValue > maxConstitution) {
-                console.log("Impossible d'ajouter plus de blessures que de constitution");
+                VHLogger.debug("sheet", "Impossible d'ajouter plus de blessures que de constitution");
                 return;
             }
         } else {
@@ -2058,12 +1204,12 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             newValue = currentValue - 1;
             // Vérifier qu'on ne descend pas en dessous de 0
             if (newValue < 0) {
-                console.log("Impossible d'avoir moins de 0 blessures");
+                VHLogger.debug("sheet", "Impossible d'avoir moins de 0 blessures");
                 return;
             }
         }
         
-        console.log(`Blessures: ${currentValue} -> ${newValue} (max: ${maxConstitution})`);
+        VHLogger.debug("sheet", `Blessures: ${currentValue} -> ${newValue} (max: ${maxConstitution})`);
         
         try {
             // Mettre à jour l'acteur avec la nouvelle valeur
@@ -2071,7 +1217,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 'system.resources.blessure.value': newValue
             };
             
-            console.log("Mise à jour des points de vie:", updateData);
+            VHLogger.debug("sheet", "Mise à jour des points de vie:", updateData);
             await this.actor.update(updateData);
             
             // Mettre à jour l'affichage des boutons
@@ -2083,9 +1229,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             // Forcer la mise à jour de l'affichage des cœurs
             this._updateHeartsDisplay();
             
-            console.log("Points de vie mis à jour avec succès");
+            VHLogger.debug("sheet", "Points de vie mis à jour avec succès");
         } catch (error) {
-            console.error("Erreur lors de la mise à jour des points de vie:", error);
+            VHLogger.error("sheet", "Erreur lors de la mise à jour des points de vie:", error);
         }
     }
 
@@ -2103,12 +1249,12 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             // Le cœur était vivant, on le tue (ajoute une blessure)
             aliveButton.classList.add('hidden');
             deadButton.classList.remove('hidden');
-            console.log("Cœur marqué comme mort");
+            VHLogger.debug("sheet", "Cœur marqué comme mort");
         } else {
             // Le cœur était mort, on le ressuscite (retire une blessure)
             aliveButton.classList.remove('hidden');
             deadButton.classList.add('hidden');
-            console.log("Cœur marqué comme vivant");
+            VHLogger.debug("sheet", "Cœur marqué comme vivant");
         }
     }
 
@@ -2124,11 +1270,11 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const isActive = button.dataset.active === "true";
         const shieldWrapper = button.closest('.shield-wrapper');
         
-        console.log(`Clic sur bouclier ${shieldIndex}, actif: ${isActive}`);
+        VHLogger.debug("sheet", `Clic sur bouclier ${shieldIndex}, actif: ${isActive}`);
         
         // Vérification de sécurité
         if (!shieldWrapper) {
-            console.error("Wrapper d'armure non trouvé");
+            VHLogger.error("sheet", "Wrapper d'armure non trouvé");
             return;
         }
         
@@ -2139,7 +1285,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         // S'assurer que les dégâts ne descendent pas en dessous de 0
         const finalDamage = Math.max(0, newDamage);
         
-        console.log(`Dégâts d'armure: ${currentDamage} -> ${finalDamage}`);
+        VHLogger.debug("sheet", `Dégâts d'armure: ${currentDamage} -> ${finalDamage}`);
         
         try {
             // Mettre à jour l'acteur avec la nouvelle valeur de dégâts d'armure
@@ -2147,7 +1293,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 'system.resources.armorDamage.value': finalDamage
             };
             
-            console.log("Mise à jour des boucliers:", updateData);
+            VHLogger.debug("sheet", "Mise à jour des boucliers:", updateData);
             await this.actor.update(updateData);
             
             // Mettre à jour l'affichage des boutons
@@ -2156,9 +1302,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             // Forcer la mise à jour de l'affichage des boucliers
             this._updateShieldsDisplay();
             
-            console.log("Bouclier mis à jour avec succès");
+            VHLogger.debug("sheet", "Bouclier mis à jour avec succès");
         } catch (error) {
-            console.error("Erreur lors de la mise à jour des boucliers:", error);
+            VHLogger.error("sheet", "Erreur lors de la mise à jour des boucliers:", error);
         }
     }
 
@@ -2172,11 +1318,11 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const activeButton = shieldWrapper.querySelector('.active');
         const brokenButton = shieldWrapper.querySelector('.broken');
         
-        console.log("Mise à jour de l'affichage du bouclier:", { activeButton, brokenButton, isActive });
+        VHLogger.debug("sheet", "Mise à jour de l'affichage du bouclier:", { activeButton, brokenButton, isActive });
         
         // Vérification de sécurité
         if (!activeButton || !brokenButton) {
-            console.error("Boutons d'armure non trouvés:", { activeButton, brokenButton });
+            VHLogger.error("sheet", "Boutons d'armure non trouvés:", { activeButton, brokenButton });
             return;
         }
         
@@ -2184,12 +1330,12 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             // Le bouclier était actif, on le casse (ajoute des dégâts)
             activeButton.classList.add('hidden');
             brokenButton.classList.remove('hidden');
-            console.log("Bouclier marqué comme cassé");
+            VHLogger.debug("sheet", "Bouclier marqué comme cassé");
         } else {
             // Le bouclier était cassé, on le répare (retire des dégâts)
             activeButton.classList.remove('hidden');
             brokenButton.classList.add('hidden');
-            console.log("Bouclier marqué comme actif");
+            VHLogger.debug("sheet", "Bouclier marqué comme actif");
         }
     }
 
@@ -2204,7 +1350,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const manaIndex = parseInt(button.dataset.manaIndex);
         const isActive = button.dataset.active === "true";
         
-        console.log(`Clic sur point de mana ${manaIndex}, actif: ${isActive}`);
+        VHLogger.debug("sheet", `Clic sur point de mana ${manaIndex}, actif: ${isActive}`);
         
         // Mettre à jour la valeur de mana actuel
         const currentMana = this.actor.system.mana?.value || 0;
@@ -2213,7 +1359,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         // S'assurer que le mana ne descend pas en dessous de 0
         const finalMana = Math.max(0, newMana);
         
-        console.log(`Mana: ${currentMana} -> ${finalMana}`);
+        VHLogger.debug("sheet", `Mana: ${currentMana} -> ${finalMana}`);
         
         try {
             // Mettre à jour l'acteur avec la nouvelle valeur de mana
@@ -2221,803 +1367,566 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 'system.mana.value': finalMana
             };
             
-            console.log("Mise à jour du mana:", updateData);
+            VHLogger.debug("sheet", "Mise à jour du mana:", updateData);
             await this.actor.update(updateData);
             
             // Mettre à jour l'affichage des points de mana
             this._updateManaDisplay();
             
-            console.log("Mana mis à jour avec succès");
+            VHLogger.debug("sheet", "Mana mis à jour avec succès");
         } catch (error) {
-            console.error("Erreur lors de la mise à jour du mana:", error);
-        }
+            VHLogger.error("sheet", "Erreur lors de la mise à jour du mana:", error);
+        }
+    }
+
+    /**
+     * Prépare les emplacements d'équipement et les objets transportés pour l'affichage
+     * @returns {Object} - { slots, carried }
+     * @private
+     */
+    _prepareEquipment() {
+        const config = CONFIG.voidHorizon;
+        const system = this.actor.system;
+        
+        const describe = item => {
+            const data = item.system;
+            const bonus = data.bonus ? ` ${data.bonus > 0 ? "+" : ""}${data.bonus}` : "";
+            const quality = `${config.qualityRanks[data.rank]} (${config.qualityDice[data.rank]}${bonus})`;
+            const details = {
+                weapon: () => [
+                    config.weaponTypes[data.type],
+                    quality,
+                    data.isFocus ? `${data.charges.value}/${data.charges.max} charges, ${data.manaCost} mana` : config.damageNatures[data.nature]
+                ],
+                shield: () => [`Bouclier ${data.sizeRules.label.toLowerCase()}`, quality],
+                armor: () => [data.typeRules.label, data.broken ? "Brisée" : null]
+            }[item.type]();
+            return {
+                id: item.id,
+                name: item.name,
+                img: item.img,
+                description: data.description,
+                details: details.filter(detail => detail).join(" · "),
+                rollable: item.type === "weapon"
+            };
+        };
+        
+        const slots = Object.entries(config.equipSlots).map(([key, label]) => ({
+            key,
+            label,
+            blocked: system.blockedSlot === key,
+            item: system.equipped[key] ? describe(system.equipped[key]) : null
+        }));
+        const armor = system.equipped.armor;
+        slots.push({
+            key: "armor",
+            label: "Armure",
+            item: armor ? describe(armor) : null,
+            // État de l'armure portée, sans objet pour le tissu
+            condition: (armor && armor.system.type !== "tissu") ? system.totals.armorDegradation : null
+        });
+        
+        const equipped = new Set(Object.values(system.equipped));
+        const carried = this.actor.items
+            .filter(item => ["weapon", "shield", "armor"].includes(item.type) && !equipped.has(item))
+            .map(describe)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        
+        return {slots, carried};
     }
 
     /**
-     * Gère le clic sur le bouton de création de trait
+     * Ajoute une arme, un bouclier ou une armure à l'équipement transporté et ouvre sa fiche
      * @param {Event} event - L'événement de clic
      * @private
      */
-    _onCreateTraitClick(event) {
+    async _onCreateEquipmentClick(event) {
         event.preventDefault();
-        const formContainer = this.element.find('#trait-form-container');
-        formContainer.show();
-        
-        // Vider les champs du formulaire
-        this.element.find('#trait-name-input').val('');
-        this.element.find('#trait-description-input').val('');
-        this.element.find('#trait-bonus-target').val('');
-        this.element.find('#trait-bonus-value').val('');
-        
-        // Focus sur le premier champ
-        this.element.find('#trait-name-input').focus();
+        const type = event.currentTarget.dataset.type;
+        const names = {weapon: "Nouvelle arme", shield: "Nouveau bouclier", armor: "Nouvelle armure"};
+        const [item] = await this.actor.createEmbeddedDocuments("Item", [{name: names[type], type}]);
+        item?.sheet.render(true);
     }
 
     /**
-     * Gère le clic sur le bouton de sauvegarde de trait
+     * Ouvre la fiche d'une pièce d'équipement
      * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onSaveTraitClick(event) {
+    _onEditEquipmentClick(event) {
         event.preventDefault();
-        
-        const name = this.element.find('#trait-name-input').val().trim();
-        const description = this.element.find('#trait-description-input').val().trim();
-        const bonusTarget = this.element.find('#trait-bonus-target').val();
-        const bonusValue = parseInt(this.element.find('#trait-bonus-value').val()) || 0;
-        
-        // Create trait data object
-        const traitData = {
-            name: name,
-            description: description,
-            bonusTarget: bonusTarget,
-            bonusValue: bonusValue
-        };
-        
-
-        
-        // Validation
-        if (!name) {
-            ui.notifications.warn('Le nom du trait est requis');
-            return;
-        }
-        
-        if (!bonusTarget) {
-            ui.notifications.warn('Veuillez sélectionner une cible pour le bonus');
-            return;
-        }
-        
-        try {
-            const saveButton = this.element.find('#trait-save-btn');
-            const isEditing = saveButton.attr('data-edit-trait-id');
-            
-            if (isEditing) {
-                // Mode édition - mettre à jour le trait existant
-                const traitId = isEditing;
-                const traitData = {
-                    name: name,
-                    description: description,
-                    bonusTarget: bonusTarget,
-                    bonusValue: bonusValue
-                };
-                
-                await this.actor.update({
-                    [`system.traits.${traitId}`]: traitData
-                });
-                
-                ui.notifications.info(`Trait "${name}" modifié avec succès`);
-                
-                // Réinitialiser le bouton
-                saveButton.removeAttr('data-edit-trait-id').text('Sauvegarder');
-                
-            } else {
-                // Mode création - créer un nouveau trait
-                const traitId = `trait_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                
-                const traitData = {
-                    name: name,
-                    description: description,
-                    bonusTarget: bonusTarget,
-                    bonusValue: bonusValue
-                };
-                
-                await this.actor.update({
-                    [`system.traits.${traitId}`]: traitData
-                });
-                
-                ui.notifications.info(`Trait "${name}" créé avec succès`);
-            }
-            
-            // Masquer le formulaire
-            this.element.find('#trait-form-container').hide();
-            
-            // Recalculer les bonus des traits
-            this._applyTraitBonuses();
-            
-            // Mettre à jour l'affichage des cœurs, boucliers et mana
-            this._updateHealthStatus();
-            this._updateShieldsDisplay();
-            this._updateHeartsDisplay();
-            this._updateManaDisplay();
-            
-            // Mettre à jour les ranges d'attaques d'armes
-            this._updateWeaponDiceRanges();
-            
-            // Recharger la fiche pour afficher les changements
-            this.render(true);
-            
-        } catch (error) {
-            console.error('Erreur lors de la sauvegarde du trait:', error);
-            ui.notifications.error('Erreur lors de la sauvegarde du trait');
-        }
+        this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
     }
 
     /**
-     * Gère le clic sur le bouton d'annulation de création de trait
+     * Retire une pièce d'équipement de son emplacement
      * @param {Event} event - L'événement de clic
      * @private
      */
-    _onCancelTraitClick(event) {
+    async _onUnequipClick(event) {
         event.preventDefault();
-        
-        // Masquer le formulaire
-        this.element.find('#trait-form-container').hide();
-        
-        // Réinitialiser le formulaire
-        this.element.find('#trait-name-input').val('');
-        this.element.find('#trait-description-input').val('');
-        this.element.find('#trait-bonus-target').val('');
-        this.element.find('#trait-bonus-value').val('');
-        
-        // Réinitialiser le bouton de sauvegarde
-        const saveButton = this.element.find('#trait-save-btn');
-        saveButton.removeAttr('data-edit-trait-id').text('Sauvegarder');
-        
-        // Réinitialiser le titre
-        this.element.find('#trait-form-container h4').text('Nouveau trait');
+        const item = this.actor.items.get(event.currentTarget.dataset.itemId);
+        const updates = item ? this.actor.system.getEquipUpdates(item, "") : null;
+        if (updates) await this.actor.updateEmbeddedDocuments("Item", updates);
     }
 
     /**
-     * Gère le clic sur le bouton d'édition de trait
+     * Supprime une pièce d'équipement après confirmation
      * @param {Event} event - L'événement de clic
      * @private
      */
-    _onEditTraitClick(event) {
+    async _onDeleteEquipmentClick(event) {
         event.preventDefault();
-        const button = $(event.currentTarget);
-        const traitId = button.data('trait-id');
-        const trait = this.actor.system.traits?.[traitId];
-        
-        if (!trait) {
-            ui.notifications.error('Trait non trouvé');
-            return;
-        }
-        
-        // Afficher le formulaire avec les données du trait
-        const formContainer = this.element.find('#trait-form-container');
-        formContainer.show();
-        
-        // Remplir les champs avec les données existantes
-        this.element.find('#trait-name-input').val(trait.name);
-        this.element.find('#trait-description-input').val(trait.description);
-        this.element.find('#trait-bonus-target').val(trait.bonusTarget);
-        this.element.find('#trait-bonus-value').val(trait.bonusValue);
+        const item = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (!item) return;
         
+        const confirmed = await Dialog.confirm({
+            title: "Confirmer la suppression",
+            content: `<p>Êtes-vous sûr de vouloir supprimer "${item.name}" ?</p>`
+        });
+        if (confirmed) await item.delete();
+    }
 
-        
-        // Changer le titre et le bouton de sauvegarde
-        formContainer.find('h4').text('Modifier le trait');
-        formContainer.find('#trait-save-btn').text('Modifier').attr('data-edit-trait-id', traitId);
-        
-        // Focus sur le premier champ
-        this.element.find('#trait-name-input').focus();
+    /**
+     * Ajoute un objet ou un contenant à l'inventaire et ouvre sa fiche
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onCreateInventoryClick(event) {
+        event.preventDefault();
+        const {type, preset} = event.currentTarget.dataset;
+        const rules = CONFIG.voidHorizon.containerPresets[preset];
+        const itemData = rules
+            ? {name: rules.label, type, system: {weight: rules.weight, capacity: rules.capacity}}
+            : {name: "Nouvel objet", type};
+        const [item] = await this.actor.createEmbeddedDocuments("Item", [itemData]);
+        item?.sheet.render(true);
     }
 
     /**
-     * Gère le clic sur le bouton de suppression de trait
+     * Supprime un objet de l'inventaire après confirmation
+     * Le contenu d'un contenant supprimé revient sur le héros.
      * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onDeleteTraitClick(event) {
+    async _onDeleteInventoryClick(event) {
         event.preventDefault();
-        const button = $(event.currentTarget);
-        const traitId = button.data('trait-id');
-        
-        console.log('=== SUPPRESSION DE TRAIT ===');
-        console.log('Trait ID:', traitId);
-        console.log('Traits actuels:', this.actor.system.traits);
-        
-        const trait = this.actor.system.traits?.[traitId];
-        
-        // Si le trait est null, c'est qu'il a déjà été supprimé
-        if (trait === null) {
-            console.log('Trait déjà supprimé (null), masqué par CSS');
-            ui.notifications.info('Trait déjà supprimé');
-            return;
-        }
+        const item = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (!item) return;
         
-        if (!trait) {
-            console.error('Trait non trouvé pour ID:', traitId);
-            ui.notifications.error('Trait non trouvé');
-            return;
-        }
-        
-        console.log('Trait à supprimer:', trait);
-        
-        // Demander confirmation
-        const confirmed = await new Promise((resolve) => {
-            new Dialog({
-                title: 'Confirmer la suppression',
-                content: `<p>Êtes-vous sûr de vouloir supprimer le trait "${trait.name}" ?</p>`,
-                buttons: {
-                    yes: {
-                        icon: '<i class="fas fa-check"></i>',
-                        label: 'Oui',
-                        callback: () => resolve(true)
-                    },
-                    no: {
-                        icon: '<i class="fas fa-times"></i>',
-                        label: 'Non',
-                        callback: () => resolve(false)
-                    }
-                },
-                default: 'no'
-            }).render(true);
+        const confirmed = await Dialog.confirm({
+            title: "Confirmer la suppression",
+            content: `<p>Êtes-vous sûr de vouloir supprimer "${item.name}" ?</p>`
         });
-        
         if (!confirmed) return;
         
-        try {
-            // Mettre le trait à null au lieu de le supprimer complètement
-            const currentTraits = { ...this.actor.system.traits };
-            currentTraits[traitId] = null; // Explicitement mettre le trait à null
-            
-            console.log('Suppression du trait:', traitId);
-            console.log('Traits restants:', currentTraits);
-            
-            // Vérifier que la mise à null locale a bien fonctionné
-            if (currentTraits[traitId] !== null) {
-                console.error('Erreur : le trait n\'a pas été mis à null dans la copie locale !');
-                ui.notifications.error('Erreur interne lors de la suppression du trait');
-                return;
-            }
-            
-            // Mettre à jour l'acteur avec les traits (le trait supprimé est maintenant null)
-            const updateData = {
-                'system.traits': currentTraits
-            };
-            
-            console.log('Données de mise à jour:', updateData);
-            
-            // Mettre à jour l'acteur avec les traits restants
-            await this.actor.update(updateData);
-            console.log('Mise à jour réussie');
-            
-            // Synchronisation des données
-            await this.actor.sheet.render(true);
-            
-            // Vérifier que la mise à null est bien persistante
-            if (this.actor.system.traits[traitId] !== null) {
-                console.log('Le trait n\'a pas été mis à null après la mise à jour !');
-            } else {
-                console.log('Le trait a été mis à null avec succès, il sera masqué par CSS');
-            }
-            
-            // Notification de succès
-            ui.notifications.info(`Trait "${trait.name}" supprimé avec succès`);
-            
-            // Recalculer les bonus des traits
-            this._applyTraitBonuses();
-            
-            // Mettre à jour l'affichage des cœurs, boucliers et mana
-            this._updateHealthStatus();
-            this._updateShieldsDisplay();
-            this._updateHeartsDisplay();
-            this._updateManaDisplay();
-            
-            // Recharger la fiche pour afficher les changements
-            this.render(true);
-            
-        } catch (error) {
-            console.error('Erreur lors de la suppression du trait:', error);
-            ui.notifications.error('Erreur lors de la suppression du trait');
+        if (item.type === "container") {
+            const updates = item.system.contents.map(content => ({_id: content.id, "system.container": ""}));
+            if (updates.length) await this.actor.updateEmbeddedDocuments("Item", updates);
         }
+        await item.delete();
     }
 
     /**
-     * Gère le clic sur le bouton de création de compétence
-     * @param {Event} event - L'événement de clic
+     * Met à jour la quantité d'un objet de l'inventaire
+     * @param {Event} event - L'événement de changement
      * @private
      */
-    _onCreateSkillClick(event) {
+    async _onInventoryQuantityChange(event) {
         event.preventDefault();
-        console.log('=== CRÉATION DE COMPÉTENCE ===');
-        
-        // Masquer le formulaire des traits s'il est ouvert
-        this.element.find('#trait-form-container').hide();
-        
-        // Afficher le formulaire de création de compétence
-        const formContainer = this.element.find('#skill-form-container');
-        formContainer.show();
-        
-        // Réinitialiser le formulaire
-        this.element.find('#skill-name-input').val('');
-        this.element.find('#skill-description-input').val('');
-        this.element.find('#skill-characteristic-input').val('');
-        this.element.find('#skill-mastery-input').val('2d4');
-        
-        // Changer le titre et le bouton de sauvegarde
-        formContainer.find('h4').text('Nouvelle compétence');
-        formContainer.find('#skill-save-btn').text('Sauvegarder').removeAttr('data-edit-skill-id');
-        
-        // Focus sur le premier champ
-        this.element.find('#skill-name-input').focus();
+        const input = event.currentTarget;
+        const quantity = Math.max(0, parseInt(input.value) || 0);
+        await this.actor.items.get(input.dataset.itemId)?.update({"system.quantity": quantity});
     }
 
     /**
-     * Gère le clic sur le bouton de sauvegarde de compétence
-     * @param {Event} event - L'événement de clic
+     * Met à jour le nombre de pièces d'une dénomination de la bourse
+     * @param {Event} event - L'événement de changement
      * @private
      */
-    async _onSaveSkillClick(event) {
+    async _onCurrencyChange(event) {
         event.preventDefault();
-        console.log('=== SAUVEGARDE DE COMPÉTENCE ===');
-        
-        // Récupérer les valeurs du formulaire
-        const name = this.element.find('#skill-name-input').val().trim();
-        const description = this.element.find('#skill-description-input').val().trim();
-        const characteristic = this.element.find('#skill-characteristic-input').val();
-        const mastery = this.element.find('#skill-mastery-input').val();
-        const isEdit = this.element.find('#skill-save-btn').attr('data-edit-skill-id');
-        
-        // Validation des champs
-        if (!name) {
-            ui.notifications.error('Le nom de la compétence est requis');
-            this.element.find('#skill-name-input').focus();
-            return;
-        }
+        const input = event.currentTarget;
+        const count = Math.max(0, parseInt(input.value) || 0);
+        await this.actor.update({[`system.currency.${input.dataset.denomination}`]: count});
+    }
+
+    /**
+     * Range un objet du héros dans un contenant, ou le porte sur soi (containerId vide)
+     * Un objet équipé est d'abord retiré de son emplacement ; un contenant plein refuse l'objet.
+     * @param {Item} item - L'objet du héros
+     * @param {string} containerId - Le contenant, vide pour porter l'objet sur soi
+     * @returns {Promise<Item|boolean>}
+     * @private
+     */
+    async _moveToContainer(item, containerId) {
+        if ((item.system.container === undefined) || (item.type === "container") || (item.system.container === containerId)) return false;
         
-        if (!characteristic) {
-            ui.notifications.error('La caractéristique associée est requise');
-            this.element.find('#skill-characteristic-input').focus();
-            return;
+        const container = containerId ? this.actor.items.get(containerId) : null;
+        if (container) {
+            const weight = item.system.quantity * item.system.weight;
+            if (container.system.contentsWeight + weight > container.system.capacity) {
+                ui.notifications.warn(`${container.name} est trop plein pour recevoir ${item.name}`);
+                return false;
+            }
         }
         
-        try {
-            // Préparer les données de la compétence
-            const skillData = {
-                name: name,
-                description: description,
-                characteristic: characteristic,
-                mastery: mastery
-            };
-            
-            console.log('Données de la compétence:', skillData);
-            
-            // Initialiser les compétences si elles n'existent pas
-            if (!this.actor.system.skills) {
-                this.actor.system.skills = {};
-            }
-            
-            let skillId;
-            if (isEdit) {
-                // Mode édition : mettre à jour la compétence existante
-                skillId = isEdit;
-                this.actor.system.skills[skillId] = skillData;
-                console.log('Compétence mise à jour:', skillId);
-            } else {
-                // Mode création : générer un nouvel ID
-                skillId = `skill_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                this.actor.system.skills[skillId] = skillData;
-                console.log('Nouvelle compétence créée:', skillId);
-            }
-            
-            // Mettre à jour l'acteur
-            const updateData = {
-                [`system.skills.${skillId}`]: skillData
+        const update = {"system.container": containerId};
+        if (container) Object.assign(update, ...(this.actor.system.getEquipUpdates(item, "") ?? []).map(({_id, ...changes}) => changes));
+        return item.update(update);
+    }
+
+    /**
+     * Prépare les sorts du grimoire pour l'affichage
+     * @returns {Object} - { castable, locked, arcaneRanks, affinities }
+     * @private
+     */
+    _prepareGrimoire() {
+        const config = CONFIG.voidHorizon;
+        const grimoire = {castable: [], locked: [], arcaneRanks: config.degreeLabels.arcane, affinities: config.affinities};
+        
+        for (const spell of this.actor.items.filter(item => item.type === "spell")) {
+            const restriction = spell.system.getCastRestriction(this.actor);
+            const entry = {
+                id: spell.id,
+                name: spell.name,
+                affinity: config.affinities[spell.system.affinity],
+                arcane: config.degreeLabels.arcane[spell.system.arcane] ?? spell.system.arcane,
+                manaCost: spell.system.manaCost,
+                effect: spell.system.effect,
+                restriction
             };
-            
-            await this.actor.update(updateData);
-            console.log('Compétence sauvegardée avec succès');
-            
-            // Masquer le formulaire
-            this.element.find('#skill-form-container').hide();
-            
-            // Notification de succès
-            const action = isEdit ? 'modifiée' : 'créée';
-            ui.notifications.info(`Compétence "${name}" ${action} avec succès`);
-            
-            // Recharger la fiche pour afficher les changements
-            this.render(true);
-            
-        } catch (error) {
-            console.error('Erreur lors de la sauvegarde de la compétence:', error);
-            ui.notifications.error('Erreur lors de la sauvegarde de la compétence');
+            (restriction ? grimoire.locked : grimoire.castable).push(entry);
         }
+        return grimoire;
     }
 
     /**
-     * Gère le clic sur le bouton d'annulation de compétence
+     * Ajoute un sort au grimoire et ouvre sa fiche
      * @param {Event} event - L'événement de clic
      * @private
      */
-    _onCancelSkillClick(event) {
+    async _onCreateSpellClick(event) {
         event.preventDefault();
-        console.log('=== ANNULATION DE COMPÉTENCE ===');
-        
-        // Masquer le formulaire
-        this.element.find('#skill-form-container').hide();
-        
-        // Réinitialiser le formulaire
-        this.element.find('#skill-name-input').val('');
-        this.element.find('#skill-description-input').val('');
-        this.element.find('#skill-characteristic-input').val('');
-        this.element.find('#skill-mastery-input').val('2d4');
+        const [spell] = await this.actor.createEmbeddedDocuments("Item", [{
+            name: "Nouveau sort",
+            type: "spell",
+            system: {affinity: this.actor.system.affinity?.value || "aucune"}
+        }]);
+        spell?.sheet.render(true);
     }
 
     /**
-     * Gère le clic sur le bouton d'édition de compétence
+     * Ouvre la fiche d'un sort du grimoire
      * @param {Event} event - L'événement de clic
      * @private
      */
-    _onEditSkillClick(event) {
+    _onEditSpellClick(event) {
         event.preventDefault();
-        const button = $(event.currentTarget);
-        const skillId = button.data('skill-id');
-        
-        console.log('=== ÉDITION DE COMPÉTENCE ===');
-        console.log('Compétence ID:', skillId);
-        
-        const skill = this.actor.system.skills?.[skillId];
-        if (!skill) {
-            console.error('Compétence non trouvée pour ID:', skillId);
-            ui.notifications.error('Compétence non trouvée');
-            return;
-        }
-        
-        console.log('Compétence à éditer:', skill);
-        
-        // Masquer le formulaire des traits s'il est ouvert
-        this.element.find('#trait-form-container').hide();
-        
-        // Afficher le formulaire avec les données de la compétence
-        const formContainer = this.element.find('#skill-form-container');
-        formContainer.show();
-        
-        // Remplir les champs avec les données existantes
-        this.element.find('#skill-name-input').val(skill.name);
-        this.element.find('#skill-description-input').val(skill.description);
-        this.element.find('#skill-characteristic-input').val(skill.characteristic);
-        this.element.find('#skill-mastery-input').val(skill.mastery);
-        
-        // Changer le titre et le bouton de sauvegarde
-        formContainer.find('h4').text('Modifier la compétence');
-        formContainer.find('#skill-save-btn').text('Modifier').attr('data-edit-skill-id', skillId);
-        
-        // Focus sur le premier champ
-        this.element.find('#skill-name-input').focus();
+        this.actor.items.get(event.currentTarget.dataset.spellId)?.sheet.render(true);
     }
 
     /**
-     * Gère le clic sur le bouton de suppression de compétence
+     * Retire un sort du grimoire après confirmation
      * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onDeleteSkillClick(event) {
+    async _onDeleteSpellClick(event) {
         event.preventDefault();
-        const button = $(event.currentTarget);
-        const skillId = button.data('skill-id');
-        
-        console.log('=== SUPPRESSION DE COMPÉTENCE ===');
-        console.log('Compétence ID:', skillId);
-        console.log('Compétences actuelles:', this.actor.system.skills);
+        const spell = this.actor.items.get(event.currentTarget.dataset.spellId);
+        if (!spell) return;
         
-        const skill = this.actor.system.skills?.[skillId];
+        const confirmed = await Dialog.confirm({
+            title: "Supprimer le sort",
+            content: `<p>Retirer <strong>${spell.name}</strong> du grimoire ?</p>`
+        });
+        if (confirmed) await spell.delete();
+    }
+
+    /**
+     * Lance un sort du grimoire : jet d'Arcane Safe/Unsafe, puis déduction du mana
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onCastSpellClick(event) {
+        event.preventDefault();
+        const {spellId, mode} = event.currentTarget.dataset;
+        const spell = this.actor.items.get(spellId);
+        if (!spell) return;
         
-        // Si la compétence est null, c'est qu'elle a déjà été supprimée
-        if (skill === null) {
-            console.log('Compétence déjà supprimée (null), masquée par CSS');
-            ui.notifications.info('Compétence déjà supprimée');
+        const restriction = spell.system.getCastRestriction(this.actor);
+        if (restriction) {
+            ui.notifications.warn(`${spell.name} : ${restriction}`);
             return;
         }
         
-        if (!skill) {
-            console.error('Compétence non trouvée pour ID:', skillId);
-            ui.notifications.error('Compétence non trouvée');
+        const mana = this.actor.system.mana.value;
+        const cost = spell.system.manaCost;
+        if (mana < cost) {
+            ui.notifications.warn(`${this.actor.name} n'a plus assez de mana pour ${spell.name} (${cost} requis)`);
             return;
         }
         
-        console.log('Compétence à supprimer:', skill);
-        
-        // Demander confirmation
-        const confirmed = await new Promise((resolve) => {
-            new Dialog({
-                title: 'Confirmer la suppression',
-                content: `<p>Êtes-vous sûr de vouloir supprimer la compétence "${skill.name}" ?</p>`,
-                buttons: {
-                    yes: {
-                        icon: '<i class="fas fa-check"></i>',
-                        label: 'Oui',
-                        callback: () => resolve(true)
-                    },
-                    no: {
-                        icon: '<i class="fas fa-times"></i>',
-                        label: 'Non',
-                        callback: () => resolve(false)
-                    }
-                },
-                default: 'no'
-            }).render(true);
-        });
-        
-        if (!confirmed) return;
+        // En combat, un sort consomme l'action du tour
+        const combatant = VoidCombatant.forActor(this.actor);
+        if (combatant && !combatant.canUse("action")) return;
         
         try {
-            // Mettre la compétence à null au lieu de la supprimer complètement
-            const currentSkills = { ...this.actor.system.skills };
-            currentSkills[skillId] = null; // Explicitement mettre la compétence à null
-            
-            console.log('Suppression de la compétence:', skillId);
-            console.log('Compétences restantes:', currentSkills);
-            
-            // Vérifier que la mise à null locale a bien fonctionné
-            if (currentSkills[skillId] !== null) {
-                console.error('Erreur : la compétence n\'a pas été mise à null dans la copie locale !');
-                ui.notifications.error('Erreur interne lors de la suppression de la compétence');
-                return;
-            }
-            
-            // Mettre à jour l'acteur avec les compétences (la compétence supprimée est maintenant null)
-            const updateData = {
-                'system.skills': currentSkills
-            };
-            
-            console.log('Données de mise à jour:', updateData);
-            
-            // Mettre à jour l'acteur avec les compétences restantes
-            await this.actor.update(updateData);
-            console.log('Mise à jour réussie');
-            
-            // Synchronisation des données
-            await this.actor.sheet.render(true);
-            
-            // Vérifier que la mise à null est bien persistante
-            if (this.actor.system.skills[skillId] !== null) {
-                console.log('La compétence n\'a pas été mise à null après la mise à jour !');
-            } else {
-                console.log('La compétence a été mise à null avec succès, elle sera masquée par CSS');
-            }
-            
-            // Notification de succès
-            ui.notifications.info(`Compétence "${skill.name}" supprimée avec succès`);
-            
-            // Recharger la fiche pour afficher les changements
-            this.render(true);
+            const modifiers = spell.system.formula ? [{type: "spell", formula: spell.system.formula}] : [];
+            const roll = await this._rollDice(event, "arcane", mode, modifiers, `Sort - ${spell.name}`);
+            if (!roll) return;
+            await combatant?.consume("action");
+            await this.actor.update({"system.mana.value": mana - cost});
+            
+            const offensive = spell.system.offensive;
+            await roll.toMessage({
+                speaker: ChatMessage.getSpeaker({actor: this.actor}),
+                content: `
+                    <div class="chat-message">
+                        <h4>✨ Sort - ${spell.name}</h4>
+                        ${this._getCriticalMessage(roll)}
+                        <p><strong>Mode:</strong> ${roll.isUnsafe ? "Unsafe" : "Safe"}</p>
+                        <p><strong>Caractéristique:</strong> ${this._getStatName("arcane")} (${roll.baseDie.formula})</p>
+                        <p><strong>Coût:</strong> ${cost} mana</p>
+                        <p><strong>Résultat caractéristique:</strong> <strong>${roll.baseResult}</strong></p>
+                        ${this._renderRollModifiers(roll)}
+                        <p><strong>Résultat total:</strong> ${roll.formula} = <strong>${roll.total}</strong></p>
+                        ${this._renderOutcome(roll)}
+                        ${spell.system.effect ? `<p class="spell-effect">${spell.system.effect}</p>` : ""}
+                        ${offensive ? DamageApplication.getButtonHTML() : ""}
+                    </div>
+                `,
+                flags: offensive ? DamageApplication.getMessageFlags(roll.total) : {}
+            }, {rollMode: roll.options.rollMode});
             
+            // Carte de défense pour les jetons ciblés par un sort offensif
+            if (offensive) await OpposedAttack.create(this.actor, roll, spell.name);
         } catch (error) {
-            console.error('Erreur lors de la suppression de la compétence:', error);
-            ui.notifications.error('Erreur lors de la suppression de la compétence');
+            VHLogger.error("rolls", "Erreur lors du lancement du sort:", error);
         }
     }
 
     /**
-     * Gère le clic sur les boutons de lancer de dé des compétences
+     * Repos du héros : recharge les focus
      * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onSkillRollClick(event) {
+    async _onRestClick(event) {
         event.preventDefault();
-        
-        const button = event.currentTarget;
-        const skillId = button.dataset.skillId;
-        const characteristic = button.dataset.characteristic;
-        const mastery = button.dataset.mastery;
-        const isUnsafe = button.dataset.unsafe === 'true';
-        
-        console.log('=== LANCER DE DÉ DE COMPÉTENCE ===');
-        console.log('Compétence ID:', skillId);
-        console.log('Caractéristique:', characteristic);
-        console.log('Maîtrise:', mastery);
-        console.log('Mode Unsafe:', isUnsafe);
-        
-        // Récupérer la compétence
-        const skill = this.actor.system.skills?.[skillId];
-        if (!skill) {
-            console.error('Compétence non trouvée pour ID:', skillId);
-            ui.notifications.error('Compétence non trouvée');
-            return;
-        }
-        
-        // Récupérer la valeur de la caractéristique
-        const characteristicValue = this.actor.system[characteristic]?.value;
-        if (!characteristicValue) {
-            console.error(`Valeur de caractéristique non trouvée pour ${characteristic}`);
-            ui.notifications.error(`Valeur de caractéristique non trouvée pour ${characteristic}`);
+        const updates = this.actor.system.getRestItemUpdates();
+        if (!updates.length) {
+            ui.notifications.info("Aucun focus à recharger");
             return;
         }
         
-        // Calculer le bonus total de la caractéristique
-        let totalBonus = 0;
-        let bonusDetails = [];
-        
-        // Bonus des traits
-        if (this.actor.system.traitBonuses && this.actor.system.traitBonuses[characteristic]) {
-            const traitBonus = this.actor.system.traitBonuses[characteristic];
-            if (traitBonus > 0) {
-                totalBonus += traitBonus;
-                bonusDetails.push(`+${traitBonus} trait`);
-            }
-        }
-        
-        // Malus d'armure pour l'agilité
-        if (characteristic === 'agilite' && this.actor.system.armor && this.actor.system.armor.type) {
-            const penaltyMap = { 'tissu': 0, 'legere': -4, 'lourde': -8, 'blindee': -16 };
-            const armorPenalty = penaltyMap[this.actor.system.armor.type] || 0;
-            if (armorPenalty < 0) {
-                totalBonus += armorPenalty;
-                bonusDetails.push(`${armorPenalty} armure`);
-            }
-        }
-        
-        // Déterminer la formule de dé selon le mode
-        let diceFormula;
-        let rollMode;
-        
-        if (isUnsafe) {
-            // Mode Unsafe : caractéristique (unsafe) + bonus + maîtrise
-            // Convertir la valeur safe en unsafe
-            const unsafeMap = {
-                "2d4": "1d12",
-                "3d4": "1d16", 
-                "4d4": "1d20",
-                "5d4": "1d24",
-                "6d4": "1d28",
-                "7d4": "1d32"
-            };
-            diceFormula = unsafeMap[characteristicValue] || characteristicValue;
-            rollMode = 'Unsafe';
-        } else {
-            // Mode Safe : caractéristique (safe) + bonus + maîtrise
-            diceFormula = characteristicValue;
-            rollMode = 'Safe';
-        }
-        
-        // Ajouter le bonus et la maîtrise à la formule
-        const finalFormula = `${diceFormula} + ${totalBonus} + ${mastery}`;
-        
-        console.log('Formule finale:', finalFormula);
-        console.log('Mode de lancer:', rollMode);
-        console.log('Bonus appliqués:', bonusDetails);
-        
         try {
-            // Créer le jet de dé
-            const roll = new Roll(finalFormula);
-            await roll.evaluate();
-            
-            // Afficher le résultat
-            const messageData = {
-                user: game.user.id,
-                speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+            await this.actor.updateEmbeddedDocuments("Item", updates);
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker({actor: this.actor}),
                 content: `
-                    <div class="skill-roll-result">
-                        <h3><i class="fas fa-dice-d20"></i> Jet de ${skill.name}</h3>
-                        <div class="roll-details">
-                            <p><strong>Mode:</strong> ${rollMode}</p>
-                            <p><strong>Formule:</strong> ${finalFormula}</p>
-                            <p><strong>Résultat:</strong> ${roll.total}</p>
-                            ${bonusDetails.length > 0 ? `<p><strong>Bonus:</strong> ${bonusDetails.join(', ')}</p>` : ''}
-                        </div>
+                    <div class="chat-message">
+                        <h4>🛏️ Repos</h4>
+                        <p>Les charges des focus de ${this.actor.name} sont rechargées.</p>
                     </div>
-                `,
-                roll: roll
-            };
-            
-            await ChatMessage.create(messageData);
-            
-            // Notification de succès - supprimée pour éviter les messages système
-            
+                `
+            });
         } catch (error) {
-            console.error('Erreur lors du lancement des dés:', error);
-            // Notification d'erreur supprimée pour éviter les messages système
+            VHLogger.error("sheet", "Erreur lors du repos:", error);
         }
     }
 
     /**
-     * Gère les changements de type d'équipement (pour les boucliers)
-     * @param {Event} event - L'événement de changement
+     * Ajoute un trait au héros et ouvre sa fiche
+     * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onWeaponTypeChange(event) {
+    async _onCreateTraitClick(event) {
         event.preventDefault();
-        const select = event.target;
-        const value = select.value;
-        const field = select.name;
-        
-        console.log(`Type d'équipement changé: ${field} = ${value}`);
+        const [trait] = await this.actor.createEmbeddedDocuments("Item", [{name: "Nouveau trait", type: "trait"}]);
+        trait?.sheet.render(true);
+    }
+
+    /**
+     * Active ou désactive tous les effets d'un trait
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onToggleTraitClick(event) {
+        event.preventDefault();
+        const trait = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (!trait?.effects.size) return;
         
-        // Appliquer les bonus des boucliers immédiatement pour l'affichage
-        this._applyShieldBonuses();
+        const disabled = trait.system.active;
+        await trait.updateEmbeddedDocuments("ActiveEffect", trait.effects.map(effect => ({_id: effect.id, disabled})));
     }
 
     /**
-     * Gère les changements d'armes et d'armure (sans sauvegarde automatique)
-     * @param {Event} event - L'événement de changement
+     * Ouvre la fiche d'un trait
+     * @param {Event} event - L'événement de clic
      * @private
      */
-    _onWeaponFieldChange(event) {
+    _onEditTraitClick(event) {
         event.preventDefault();
-        const input = event.target;
-        const field = input.name;
-        const value = input.value;
+        this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
+    }
+
+    /**
+     * Supprime un trait après confirmation
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onDeleteTraitClick(event) {
+        event.preventDefault();
+        const trait = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (!trait) return;
         
-        console.log(`Changement d'équipement: ${field} = ${value}`);
+        const confirmed = await Dialog.confirm({
+            title: "Confirmer la suppression",
+            content: `<p>Êtes-vous sûr de vouloir supprimer le trait "${trait.name}" ?</p>`
+        });
+        if (confirmed) await trait.delete();
+    }
+
+    /**
+     * Ignore les compétences déposées que l'acteur possède déjà (même nom)
+     * @param {Object|Object[]} itemData - Les données des objets déposés
+     * @param {DragEvent} event - L'événement de dépôt
+     * @returns {Promise<Item[]>}
+     * @override
+     */
+    async _onDropItemCreate(itemData, event) {
+        const items = (Array.isArray(itemData) ? itemData : [itemData]).filter(data => {
+            const known = (data.type === "skill") && this.actor.items.some(item => (item.type === "skill") && (item.name === data.name));
+            if (known) ui.notifications.warn(`${this.actor.name} possède déjà la compétence ${data.name}`);
+            return !known;
+        });
+        return super._onDropItemCreate(items, event);
+    }
+
+    /**
+     * Équipe l'objet déposé sur un emplacement, ou le retire s'il est déposé sur l'équipement transporté ;
+     * dans l'inventaire, le range dans le contenant visé. Un objet venant d'ailleurs est d'abord ajouté au héros.
+     * @param {DragEvent} event - L'événement de dépôt
+     * @param {Object} data - Les données de l'objet déposé
+     * @returns {Promise<Item[]|boolean>}
+     * @override
+     */
+    async _onDropItem(event, data) {
+        const slot = event.target.closest("[data-equip-slot]")?.dataset.equipSlot;
+        const containerId = event.target.closest("[data-container-id]")?.dataset.containerId;
+        if (((slot === undefined) && (containerId === undefined)) || !this.actor.isOwner) return super._onDropItem(event, data);
         
-        // Si c'est un changement de type d'armure, mettre à jour l'affichage des boucliers et des valeurs totales
-        if (field === 'system.armor.type') {
-            // Répliquer en mémoire pour un rendu immédiat cohérent
-            if (!this.actor.system.armor) this.actor.system.armor = {};
-            this.actor.system.armor.type = value;
-            
-            // Mettre à jour l'affichage des valeurs totales d'armure
-            this._updateArmorTotalDisplay();
-            
-            // Mettre à jour l'affichage des boucliers
-            this._updateShieldsDisplay();
-            
-            // Mettre à jour le malus d'agilité et son affichage
-            this._updateAgilityDiceRanges(this._getAgilityPenalty());
+        let item = await Item.implementation.fromDropData(data);
+        if (!item) return false;
+        if (item.parent?.uuid !== this.actor.uuid) {
+            [item] = await this._onDropItemCreate(item.toObject(), event);
+            if (!item) return false;
         }
         
-        // Si c'est un changement de type d'arme (pour les boucliers), mettre à jour l'affichage
-        if (field.includes('system.weapons.') && field.endsWith('.type')) {
-            // Mettre à jour l'affichage des valeurs totales d'armure
-            this._updateArmorTotalDisplay();
-            
-            // Mettre à jour l'affichage des boucliers
-            this._updateShieldsDisplay();
-            
-            // Mettre à jour les ranges d'attaques d'armes
-            this._updateWeaponDiceRanges();
-        }
+        // Dépôt dans l'inventaire : ranger l'objet dans un contenant ou le porter sur soi
+        if (containerId !== undefined) return this._moveToContainer(item, containerId);
         
-        // Si c'est un changement de caractéristique, de rang d'arme, ou de bonus d'arme, mettre à jour les ranges
-        if (field.includes('system.weapons.') && (field.includes('.rank') || field.includes('.bonus')) ||
-            field.includes('system.martialite.value') || field.includes('system.agilite.value') || field.includes('system.acuite.value')) {
-            // Mettre à jour les ranges d'attaques d'armes
-            this._updateWeaponDiceRanges();
+        const updates = this.actor.system.getEquipUpdates(item, slot);
+        if (!updates) {
+            if (slot) ui.notifications.warn(`${item.name} ne peut pas être équipé dans cet emplacement`);
+            return false;
         }
+        return this.actor.updateEmbeddedDocuments("Item", updates);
+    }
+
+    /**
+     * Ajoute une compétence au héros et ouvre sa fiche
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onCreateSkillClick(event) {
+        event.preventDefault();
+        const [skill] = await this.actor.createEmbeddedDocuments("Item", [{name: "Nouvelle compétence", type: "skill"}]);
+        skill?.sheet.render(true);
+    }
+
+    /**
+     * Ouvre la fiche d'une compétence
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    _onEditSkillClick(event) {
+        event.preventDefault();
+        this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
+    }
+
+    /**
+     * Supprime une compétence après confirmation
+     * @param {Event} event - L'événement de clic
+     * @private
+     */
+    async _onDeleteSkillClick(event) {
+        event.preventDefault();
+        const skill = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (!skill) return;
+        
+        const confirmed = await Dialog.confirm({
+            title: "Confirmer la suppression",
+            content: `<p>Êtes-vous sûr de vouloir supprimer la compétence "${skill.name}" ?</p>`
+        });
+        if (confirmed) await skill.delete();
     }
 
     /**
-     * Gère le basculement entre les modes édition et lecture des armes
+     * Gère le clic sur les boutons de lancer de dé des compétences
      * @param {Event} event - L'événement de clic
      * @private
      */
-    _onToggleWeaponsEditMode(event) {
+    async _onSkillRollClick(event) {
         event.preventDefault();
-        // Trouver la section weapons-section qui est dans le même onglet que le bouton
-        const tabContent = event.currentTarget.closest('.tab-content[data-tab="equipment"]');
-        const weaponsSection = tabContent.querySelector('.weapons-section');
         
-        if (!weaponsSection) {
-            console.error('Section weapons-section non trouvée');
+        const button = event.currentTarget;
+        const mode = button.dataset.unsafe === 'true' ? 'unsafe' : 'safe';
+        
+        // Récupérer la compétence
+        const skill = this.actor.items.get(button.dataset.itemId);
+        if (skill?.type !== "skill") {
+            ui.notifications.error('Compétence non trouvée');
             return;
         }
+        const {characteristic, mastery} = skill.system;
         
-        const isEditing = weaponsSection.classList.contains('editing');
+        // Vérifier la valeur de la caractéristique
+        if (!this.actor.system[characteristic]?.value) {
+            VHLogger.error("rolls", `Valeur de caractéristique non trouvée pour ${characteristic}`);
+            ui.notifications.error(`Valeur de caractéristique non trouvée pour ${characteristic}`);
+            return;
+        }
         
-        if (isEditing) {
-            // Mode sauvegarde - sauvegarder tous les changements d'armes
-            weaponsSection.classList.remove('editing');
-            weaponsSection.classList.add('read-only');
-            event.currentTarget.querySelector('i').classList.remove('fa-save');
-            event.currentTarget.querySelector('i').classList.add('fa-edit');
-        } else {
-            // Mode édition - initialiser les changements en attente
-            weaponsSection.classList.remove('read-only');
-            weaponsSection.classList.add('editing');
-            event.currentTarget.querySelector('i').classList.remove('fa-edit');
-            event.currentTarget.querySelector('i').classList.add('fa-save');
+        try {
+            // Caractéristique (bonus de traits et malus d'armure compris) + maîtrise
+            const roll = await this._rollDice(event, characteristic, mode, [{type: "mastery", formula: mastery}], `Jet de ${skill.name}`);
+            if (!roll) return;
+            
+            // Afficher le résultat
+            const messageData = {
+                user: game.user.id,
+                speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+                content: `
+                    <div class="skill-roll-result">
+                        <h3><i class="fas fa-dice-d20"></i> Jet de ${skill.name}</h3>
+                        ${this._getCriticalMessage(roll)}
+                        <div class="roll-details">
+                            <p><strong>Mode:</strong> ${roll.isUnsafe ? 'Unsafe' : 'Safe'}</p>
+                            <p><strong>Formule:</strong> ${roll.formula}</p>
+                            <p><strong>Résultat:</strong> ${roll.total}</p>
+                            ${this._renderRollModifiers(roll)}
+                            ${this._renderOutcome(roll)}
+                        </div>
+                    </div>
+                `
+            };
+            
+            await roll.toMessage(messageData, {rollMode: roll.options.rollMode});
+            
+        } catch (error) {
+            VHLogger.error("rolls", 'Erreur lors du lancement des dés:', error);
+            // Notification d'erreur supprimée pour éviter les messages système
         }
     }
 
@@ -3028,48 +1937,38 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      */
     _onTabButtonClick(event) {
         event.preventDefault();
-        console.log('Clic sur onglet détecté');
+        VHLogger.debug("sheet", 'Clic sur onglet détecté');
         
         const button = $(event.currentTarget); // Convertir en objet jQuery
         const tabName = button.data('tab');
-        console.log('Nom de l\'onglet:', tabName);
+        VHLogger.debug("sheet", 'Nom de l\'onglet:', tabName);
         
         // Mettre à jour l'état actif des boutons
         this.element.find('.tab-button').removeClass('active');
         button.addClass('active');
-        console.log('Bouton actif mis à jour');
+        VHLogger.debug("sheet", 'Bouton actif mis à jour');
         
         // Masquer tous les contenus d'onglets
         this.element.find('.tab-content').removeClass('active');
-        console.log('Tous les contenus d\'onglets masqués');
+        VHLogger.debug("sheet", 'Tous les contenus d\'onglets masqués');
         
         // Afficher le contenu de l'onglet sélectionné
         const targetContent = this.element.find(`.tab-content[data-tab="${tabName}"]`);
         if (targetContent.length > 0) {
             targetContent.addClass('active');
-            console.log(`Contenu de l'onglet ${tabName} affiché`);
+            VHLogger.debug("sheet", `Contenu de l'onglet ${tabName} affiché`);
             
             // Log spécifique pour l'onglet traits
             if (tabName === 'traits') {
                 const traitsList = targetContent.find('#traits-list');
-                console.log('Liste des traits trouvée:', traitsList.length > 0);
-                console.log('Contenu de la liste des traits:', traitsList.html());
+                VHLogger.debug("sheet", 'Liste des traits trouvée:', traitsList.length > 0);
+                VHLogger.debug("sheet", 'Contenu de la liste des traits:', traitsList.html());
             }
         } else {
-            console.error(`Contenu de l'onglet ${tabName} non trouvé`);
+            VHLogger.error("sheet", `Contenu de l'onglet ${tabName} non trouvé`);
         }
         
-        // Afficher/masquer le bouton d'édition selon l'onglet
-        const editButton = this.element.find('#weapons-edit-button');
-        if (tabName === 'equipment') {
-            editButton.show();
-            console.log('Bouton d\'édition affiché');
-        } else {
-            editButton.hide();
-            console.log('Bouton d\'édition masqué');
-        }
-        
-        console.log(`Onglet ${tabName} activé avec succès`);
+        VHLogger.debug("sheet", `Onglet ${tabName} activé avec succès`);
     }
 
     /**
@@ -3078,7 +1977,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      */
     _reattachShieldEvents() {
         const shieldButtons = this.element.find('.armor-container .shield-button');
-        console.log(`Reattachement des événements pour ${shieldButtons.length} boutons de bouclier`);
+        VHLogger.debug("sheet", `Reattachement des événements pour ${shieldButtons.length} boutons de bouclier`);
         
         shieldButtons.each((index, button) => {
             // Supprimer les anciens événements
@@ -3130,9 +2029,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             await this.actor.update({
                 "system.rank.value": value
             });
-            console.log(`Mise à jour réussie du rang: ${value}`);
+            VHLogger.debug("sheet", `Mise à jour réussie du rang: ${value}`);
         } catch (error) {
-            console.error("Erreur lors de la mise à jour du rang:", error);
+            VHLogger.error("sheet", "Erreur lors de la mise à jour du rang:", error);
             // Restaurer la valeur précédente en cas d'erreur
             input.value = this.actor.system.rank.value;
         }
@@ -3149,7 +2048,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         
         // Ignorer les champs marqués comme ne devant pas être sauvegardés automatiquement
         if (select.hasAttribute('data-no-save')) {
-            console.log(`Champ ${select.name} ignoré (data-no-save)`);
+            VHLogger.debug("sheet", `Champ ${select.name} ignoré (data-no-save)`);
             return;
         }
         
@@ -3160,7 +2059,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         if (field === "system.faction.value") {
             try {
                 await this.actor.update({ [field]: value });
-                console.log(`Faction sauvegardée immédiatement: ${value}`);
+                VHLogger.debug("sheet", `Faction sauvegardée immédiatement: ${value}`);
                 
                 // Mettre à jour l'affichage du blason de faction
                 this._updateFactionCrest(value);
@@ -3169,7 +2068,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 ui.notifications.info("Faction mise à jour avec succès");
                 
             } catch (error) {
-                console.error("Erreur lors de la sauvegarde de la faction:", error);
+                VHLogger.error("sheet", "Erreur lors de la sauvegarde de la faction:", error);
                 ui.notifications.error("Erreur lors de la mise à jour de la faction");
                 
                 // Restaurer la valeur précédente en cas d'erreur
@@ -3182,9 +2081,9 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         if (field === "system.class.value" || field === "system.affinity.value") {
             try {
                 await this.actor.update({ [field]: value });
-                console.log(`${field === "system.class.value" ? "Classe" : "Affinité"} sauvegardée immédiatement: ${value}`);
+                VHLogger.debug("sheet", `${field === "system.class.value" ? "Classe" : "Affinité"} sauvegardée immédiatement: ${value}`);
             } catch (error) {
-                console.error(`Erreur lors de la sauvegarde de ${field}:`, error);
+                VHLogger.error("sheet", `Erreur lors de la sauvegarde de ${field}:`, error);
                 
                 // Restaurer la valeur précédente en cas d'erreur
                 if (field === "system.class.value") {
@@ -3199,15 +2098,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         // Si c'est un changement d'Arcane, mettre à jour seulement l'affichage du mana localement
         if (field === "system.arcane.value") {
             // Calculer le nouveau mana maximum basé sur la nouvelle valeur d'Arcane
-            const manaPerLevel = {
-                "2d4": 2,   // Insensible
-                "3d4": 4,   // Eveillé
-                "4d4": 6,   // Novice
-                "5d4": 8,   // Initié
-                "6d4": 10,  // Maître
-                "7d4": 12   // Archimage
-            };
-            const newMaxMana = manaPerLevel[value] || 2;
+            const newMaxMana = CONFIG.voidHorizon.manaPerArcane[value] || 2;
             
             // Mettre à jour seulement l'affichage local, pas la sauvegarde
             this.actor.system.mana.max = newMaxMana;
@@ -3219,7 +2110,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             // Mettre à jour l'affichage des valeurs totales de mana
             this._updateManaTotalDisplay();
             
-            console.log(`Arcane et mana mis à jour localement: ${value} -> ${newMaxMana} points de mana`);
+            VHLogger.debug("sheet", `Arcane et mana mis à jour localement: ${value} -> ${newMaxMana} points de mana`);
             
             // Ajouter les changements de mana aux changements en attente
             if (!this._pendingChanges) {
@@ -3237,7 +2128,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         }
         this._pendingChanges[field] = value;
         
-        console.log(`Changement en attente pour ${field}: ${value}`);
+        VHLogger.debug("sheet", `Changement en attente pour ${field}: ${value}`);
         
         // Mettre à jour l'affichage local sans sauvegarder
         this._updateLocalDisplay(field, value);
@@ -3254,29 +2145,23 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         
         // Ignorer les champs marqués comme ne devant pas être sauvegardés automatiquement
         if (input.hasAttribute('data-no-save')) {
-            console.log(`Champ texte ${input.name} ignoré (data-no-save)`);
+            VHLogger.debug("sheet", `Champ texte ${input.name} ignoré (data-no-save)`);
             return;
         }
         
         const field = input.name;
         
-        // Si c'est un champ d'arme, utiliser le système de sauvegarde différée
-        if (field.includes('system.weapons.')) {
-            console.log(`Changement d'arme en attente pour ${field}: ${input.value}`);
-            return;
-        }
-        
         // Pour les autres champs texte, sauvegarder immédiatement
         const updateData = {};
         updateData[field] = input.value;
         
         try {
             await this.actor.update(updateData);
-            console.log(`Mise à jour réussie pour ${field}: ${input.value}`);
+            VHLogger.debug("sheet", `Mise à jour réussie pour ${field}: ${input.value}`);
             // Forcer la mise à jour de l'affichage
             this.render(true);
         } catch (error) {
-            console.error("Erreur lors de la mise à jour:", error);
+            VHLogger.error("sheet", "Erreur lors de la mise à jour:", error);
             // Restaurer la valeur précédente en cas d'erreur
             if (field.includes('system.')) {
                 const fieldParts = field.split('.');
@@ -3295,28 +2180,13 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
     async _onRollStat(event) {
         event.preventDefault();
         const stat = event.currentTarget.dataset.stat;
-        console.log(`Lancement de dés pour ${stat} (mode Safe par défaut)`);
-        
-        // Recalculer les bonus des traits avant le jet
-        this._recalculateTraitBonuses();
+        VHLogger.debug("rolls", `Lancement de dés pour ${stat} (mode Safe par défaut)`);
         
         try {
-            // Obtenir la valeur de la caractéristique
-            const statValue = this.actor.system[stat]?.value || "2d4";
-            console.log(`Valeur de ${stat}: ${statValue}`);
-            
-            // Lancer en mode Safe par défaut
-            const diceFormula = statValue;
-            console.log(`Formule de dés (Safe): ${diceFormula}`);
-            
-            // Lancer les dés
-            const rollData = await this._rollDice(diceFormula, stat, false);
-            
-            // Afficher le résultat
-            this._displayRollResult(rollData, stat, false);
-            
+            const roll = await this._rollDice(event, stat, "safe");
+            if (roll) this._displayRollResult(roll, stat);
         } catch (error) {
-            console.error(`Erreur lors du lancement de dés pour ${stat}:`, error);
+            VHLogger.error("rolls", `Erreur lors du lancement de dés pour ${stat}:`, error);
             // Notification d'erreur supprimée pour éviter les messages système
         }
     }
@@ -3330,198 +2200,177 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         event.preventDefault();
         const button = event.currentTarget;
         const stat = button.dataset.stat;
-        const isUnsafe = button.dataset.unsafe === "true";
-        
-        console.log(`Lancement de dés ${stat} (${isUnsafe ? 'Unsafe' : 'Safe'})`);
+        const mode = button.dataset.unsafe === "true" ? "unsafe" : "safe";
         
-        // Recalculer les bonus des traits avant le jet
-        this._recalculateTraitBonuses();
+        VHLogger.debug("rolls", `Lancement de dés ${stat} (${mode})`);
         
         try {
-            // Obtenir la valeur de la caractéristique
-            const statValue = this.actor.system[stat]?.value || "1d4";
-            console.log(`Valeur de ${stat}: ${statValue}`);
-            
-            // Calculer la formule de dés selon le mode
-            const diceFormula = this._calculateDiceFormula(statValue, isUnsafe);
-            console.log(`Formule de dés: ${diceFormula}`);
-            
-            // Lancer les dés
-            const roll = await this._rollDice(diceFormula, stat, isUnsafe);
-            
-            // Afficher le résultat
-            this._displayRollResult(roll, stat, isUnsafe);
-            
+            await this._rollStatTest(event, stat, mode);
         } catch (error) {
-            console.error(`Erreur lors du lancement de dés pour ${stat}:`, error);
+            VHLogger.error("rolls", `Erreur lors du lancement de dés pour ${stat}:`, error);
             // Notification d'erreur supprimée pour éviter les messages système
         }
     }
 
     /**
-     * Calcule la formule de dés selon le mode Safe/Unsafe
-     * @param {string} statValue - La valeur de la caractéristique (ex: "3d4")
-     * @param {boolean} isUnsafe - Si c'est en mode unsafe
-     * @returns {string} - La formule de dés à lancer
+     * Lance le test d'une caractéristique et affiche son résultat dans le chat
+     * @param {Event} event - L'événement de clic
+     * @param {string} stat - Le nom de la caractéristique
+     * @param {string} mode - Le mode proposé ("safe" ou "unsafe")
+     * @param {Object} [options] - Modes autorisés et difficulté (voir _rollDice)
+     * @returns {Promise<VoidRoll|null>} - Le jet évalué, null si la fenêtre a été fermée
      * @private
      */
-                    _calculateDiceFormula(statValue, isUnsafe) {
-                    console.log(`Calcul formule dés: ${statValue}, unsafe: ${isUnsafe}`);
+    async _rollStatTest(event, stat, mode, options = {}) {
+        const roll = await this._rollDice(event, stat, mode, [], undefined, options);
+        if (roll) this._displayRollResult(roll, stat);
+        return roll;
+    }
 
-                    if (!isUnsafe) {
-                        // Mode Safe: retourner la valeur telle quelle (ex: "3d4")
-                        console.log(`Mode Safe: formule = ${statValue}`);
-                        return statValue;
-                    } else {
-                        // Mode Unsafe: convertir selon la table de conversion et ajouter 4 aux faces
-                        const safeToUnsafe = {
-                            "2d4": "1d12",  // Degré 1: 2d4 max=8, donc 1d8+4=1d12
-                            "3d4": "1d16",  // Degré 2: 3d4 max=12, donc 1d12+4=1d16
-                            "4d4": "1d20",  // Degré 3: 4d4 max=16, donc 1d16+4=1d20
-                            "5d4": "1d24",  // Degré 4: 5d4 max=20, donc 1d20+4=1d24
-                            "6d4": "1d28",  // Degré 5: 6d4 max=24, donc 1d24+4=1d28
-                            "7d4": "1d32"   // Degré 6: 7d4 max=28, donc 1d28+4=1d32
-                        };
-                        const unsafeFormula = safeToUnsafe[statValue] || statValue;
-                        console.log(`Mode Unsafe: ${statValue} -> ${unsafeFormula}`);
-                        return unsafeFormula;
-                    }
-                }
+    /**
+     * Lance un test demandé par le MJ (voir TestRequest)
+     * @param {Event} event - L'événement de clic sur la carte de demande
+     * @param {string} test - Une caractéristique ou une action de protection (dodge, block, parade)
+     * @param {Object} [options] - Contraintes du test
+     * @param {string|null} [options.mode] - Mode imposé ("safe" ou "unsafe"), libre si null
+     * @param {number|null} [options.difficulty] - Difficulté à atteindre
+     * @returns {Promise<VoidRoll|null>} - Le jet évalué, null si la fenêtre a été fermée
+     */
+    async rollRequestedTest(event, test, {mode = null, difficulty = null} = {}) {
+        if (test in CONFIG.voidHorizon.protectionActions) {
+            return this._rollProtection(event, test, {difficulty});
+        }
+        return this._rollStatTest(event, test, mode || "safe", {
+            modes: mode ? [mode] : undefined,
+            difficulty
+        });
+    }
     
     /**
-     * Lance les dés avec la formule donnée et applique les bonus de traits
-     * @param {string} diceFormula - La formule de dés (ex: "3d4" ou "1d12")
+     * Configure (fenêtre de jet) puis lance le jet d'une caractéristique avec ses bonus de traits et malus d'armure
+     * @param {Event} event - L'événement de clic (Maj+clic pour passer la fenêtre)
      * @param {string} stat - Le nom de la caractéristique
-     * @param {boolean} isUnsafe - Si c'est en mode unsafe
-     * @returns {Promise<Object>} - Le résultat du lancer avec bonus
-     * @private
-     */
-    async _rollDice(diceFormula, stat, isUnsafe) {
-        // Créer un objet Roll avec la formule
-        const roll = new Roll(diceFormula);
-        
-        // Lancer les dés
-        await roll.evaluate({async: true});
+     * @param {string} mode - Le mode proposé ("safe" ou "unsafe")
+     * @param {Object[]} [modifiers] - Modificateurs supplémentaires (qualité d'arme, maîtrise...)
+     * @param {string} [title] - Titre de la fenêtre de jet
+     * @param {Object} [options] - Options de la fenêtre de jet
+     * @param {string[]} [options.modes] - Modes autorisés
+     * @param {number|null} [options.difficulty] - Difficulté proposée
+     * @returns {Promise<VoidRoll|null>} - Le jet évalué, null si la fenêtre a été fermée
+     * @private
+     */
+    async _rollDice(event, stat, mode, modifiers = [], title = `Test de ${this._getStatName(stat)}`, {modes, difficulty = null} = {}) {
+        const config = await VoidRollDialog.configure(event, {
+            title,
+            mode,
+            modes,
+            difficulty,
+            ...VoidRoll.getStatConfig(this.actor, stat, modifiers)
+        });
+        if (!config) return null;
         
-        // Récupérer le bonus de trait pour cette caractéristique
-        const traitBonus = this.actor.system.traitBonuses?.[stat] || 0;
+        const roll = VoidRoll.build(config, this.actor.getRollData());
+        await roll.evaluate();
         
-        // Appliquer le malus d'agilité si c'est un jet d'agilité
-        let agilityPenalty = 0;
-        if (stat === 'agilite') {
-            agilityPenalty = this._getAgilityPenalty();
+        VHLogger.debug("rolls", `Lancer de ${roll.formula} pour ${stat} (${roll.options.mode}): ${roll.baseResult} => ${roll.total}`);
+        return roll;
+    }
+    
+    /**
+     * Retourne le message de réussite ou d'échec critique d'un jet
+     * @param {VoidRoll} roll - Le jet évalué
+     * @returns {string} - Le HTML du message, vide si le jet n'est pas critique
+     * @private
+     */
+    _getCriticalMessage(roll) {
+        if (roll.isCriticalFailure) {
+            return '<p class="critical-failure">💥 <strong>ÉCHEC CRITIQUE!</strong></p>';
         }
-        
-        // Calculer le résultat final avec bonus et malus
-        const baseResult = roll.total;
-        let finalResult = baseResult + traitBonus + agilityPenalty;
-        
-        // Pour les jets d'Agilité, si le résultat final devient négatif, le ramener à 1
-        if (stat === 'agilite' && finalResult < 1) {
-            console.log(`Jet d'Agilité: résultat final ${finalResult} ramené à 1 (minimum possible)`);
-            finalResult = 1;
+        if (roll.isCriticalSuccess) {
+            return '<p class="critical-success">⭐ <strong>RÉUSSITE CRITIQUE!</strong></p>';
         }
-        
-        console.log(`Lancer de ${diceFormula} pour ${stat} (${isUnsafe ? 'Unsafe' : 'Safe'}): ${baseResult} + bonus trait ${traitBonus} + malus agilité ${agilityPenalty} = ${finalResult}`);
-        
-        return {
-            roll: roll,
-            baseResult: baseResult,
-            traitBonus: traitBonus,
-            agilityPenalty: agilityPenalty,
-            finalResult: finalResult
-        };
+        return '';
     }
-    
+
     /**
-     * Calcule les valeurs min/max d'une formule de dés
-     * @param {string} diceFormula - La formule de dés (ex: "3d4" ou "1d12")
-     * @returns {Object} - {min: number, max: number}
+     * Retourne le détail HTML des modificateurs d'un jet
+     * @param {VoidRoll} roll - Le jet évalué
+     * @returns {string} - Une ligne par modificateur
      * @private
      */
-    _calculateDiceRange(diceFormula) {
-        const match = diceFormula.match(/(\d+)d(\d+)/);
-        if (!match) return { min: 0, max: 0 };
-        
-        const numDice = parseInt(match[1]);
-        const dieSize = parseInt(match[2]);
-        
-        return {
-            min: numDice,
-            max: numDice * dieSize
-        };
+    _renderRollModifiers(roll) {
+        // Les dés des modificateurs suivent le dé de caractéristique dans la formule
+        let dieIndex = 1;
+        return roll.options.modifiers.map(modifier => {
+            if (modifier.formula) {
+                const result = roll.dice[dieIndex++]?.total ?? modifier.formula;
+                return `<p><strong>${modifier.label}:</strong> ${modifier.formula} = <span class="roll-bonus">${result}</span></p>`;
+            }
+            const value = Number(modifier.value);
+            const cssClass = value < 0 ? 'roll-penalty' : 'roll-bonus';
+            return `<p><strong>${modifier.label}:</strong> <span class="${cssClass}">${value < 0 ? value : `+${value}`}</span></p>`;
+        }).join('');
+    }
+
+    /**
+     * Retourne le HTML de la difficulté d'un jet et du résultat obtenu (réussite/échec, marge, degrés)
+     * @param {VoidRoll} roll - Le jet évalué
+     * @returns {string} - Le HTML, vide si aucune difficulté n'a été fixée
+     * @private
+     */
+    _renderOutcome(roll) {
+        const outcome = roll.outcome;
+        if (!outcome) return '';
+        const margin = outcome.margin >= 0 ? `+${outcome.margin}` : outcome.margin;
+        return `
+            <p><strong>Difficulté:</strong> ${roll.options.difficulty}</p>
+            <p class="roll-outcome ${outcome.success ? 'success' : 'failure'}"><strong>${roll.outcomeLabel}</strong> (marge ${margin})</p>
+        `;
     }
 
     /**
      * Affiche le résultat du lancer de dés
-     * @param {Object} rollData - Le résultat du lancer avec bonus
+     * @param {VoidRoll} roll - Le jet évalué
      * @param {string} stat - Le nom de la caractéristique
-     * @param {boolean} isUnsafe - Si c'est en mode unsafe
      * @private
      */
-    _displayRollResult(rollData, stat, isUnsafe) {
+    _displayRollResult(roll, stat) {
         const statName = this._getStatName(stat);
-        const statLabel = this._getStatLabel(stat, this.actor.system[stat]?.value || "2d4");
-        const modeLabel = isUnsafe ? "Unsafe" : "Safe";
-        const formula = rollData.roll.formula;
-        const baseResult = rollData.baseResult;
-        const traitBonus = rollData.traitBonus;
-        const finalResult = rollData.finalResult;
-        
-        // Détecter les succès/échecs critiques pour les jets Unsafe
-        let criticalMessage = '';
-        if (isUnsafe) {
-            const diceRange = this._calculateDiceRange(formula);
-            console.log(`DEBUG - Formule: ${formula}, baseResult: ${baseResult}, diceRange:`, diceRange);
-            console.log(`DEBUG - Comparaison: baseResult === diceRange.min: ${baseResult === diceRange.min}, baseResult === diceRange.max: ${baseResult === diceRange.max}`);
-            
-            if (baseResult === diceRange.min) {
-                criticalMessage = '<p class="critical-failure">💥 <strong>ÉCHEC CRITIQUE!</strong></p>';
-                console.log('DEBUG - ÉCHEC CRITIQUE détecté!');
-            } else if (baseResult === diceRange.max) {
-                criticalMessage = '<p class="critical-success">⭐ <strong>RÉUSSITE CRITIQUE!</strong></p>';
-                console.log('DEBUG - RÉUSSITE CRITIQUE détectée!');
-            }
-            
-            console.log(`DEBUG - criticalMessage final:`, criticalMessage);
-        }
-        
-                            // Créer un message de chat avec le résultat
-                    const chatData = {
-                        user: game.user.id,
-                        speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-                        content: `
-                            <div class="voidhorizon-roll-result">
-                                <h3>🎲 Test de ${statName}</h3>
-                                ${criticalMessage}
-                                <div class="roll-details">
-                                    <p><strong>Degré de maîtrise:</strong> ${statLabel}</p>
-                                    <p><strong>Mode:</strong> ${modeLabel}</p>
-                                    <p><strong>Formule:</strong> ${formula}</p>
-                                    <p><strong>Résultat des dés:</strong> <span class="roll-base">${baseResult}</span></p>
-                                    ${traitBonus > 0 ? `<p><strong>Bonus de trait:</strong> <span class="roll-bonus">+${traitBonus}</span></p>` : ''}
-                                    ${rollData.agilityPenalty < 0 ? `<p><strong>Malus d'armure:</strong> <span class="roll-penalty">${rollData.agilityPenalty}</span></p>` : ''}
-                                    ${stat === 'agilite' && (baseResult + traitBonus + rollData.agilityPenalty) < 1 ? `<p><strong>Note:</strong> <span class="roll-note">Résultat ramené à 1 (minimum possible)</span></p>` : ''}
-                                    <p><strong>Résultat final:</strong> <span class="roll-total">${finalResult}</span></p>
-                                </div>
-                                <div class="roll-dice">
-                                    ${rollData.roll.dice.map(die => `
-                                        <div class="die-result">
-                                            <span class="die-formula">${die.formula}</span>:
-                                            <span class="die-values">[${die.results.map(r => r.result).join(', ')}]</span>
-                                        </div>
-                                    `).join('')}
-                                </div>
+        const statLabel = this._getStatLabel(stat, roll.options.dice);
+        const modeLabel = roll.isUnsafe ? "Unsafe" : "Safe";
+        
+        // Créer un message de chat avec le résultat
+        const chatData = {
+            user: game.user.id,
+            speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+            content: `
+                <div class="voidhorizon-roll-result">
+                    <h3>🎲 Test de ${statName}</h3>
+                    ${this._getCriticalMessage(roll)}
+                    <div class="roll-details">
+                        <p><strong>Degré de maîtrise:</strong> ${statLabel}</p>
+                        <p><strong>Mode:</strong> ${modeLabel}</p>
+                        <p><strong>Formule:</strong> ${roll.formula}</p>
+                        <p><strong>Résultat des dés:</strong> <span class="roll-base">${roll.baseResult}</span></p>
+                        ${this._renderRollModifiers(roll)}
+                        ${roll.isFloored ? `<p><strong>Note:</strong> <span class="roll-note">Résultat ramené à ${roll.options.floor} (minimum possible)</span></p>` : ''}
+                        <p><strong>Résultat final:</strong> <span class="roll-total">${roll.total}</span></p>
+                        ${this._renderOutcome(roll)}
+                    </div>
+                    <div class="roll-dice">
+                        ${roll.dice.map(die => `
+                            <div class="die-result">
+                                <span class="die-formula">${die.formula}</span>:
+                                <span class="die-values">[${die.results.map(r => r.result).join(', ')}]</span>
                             </div>
-                        `,
-            type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-            roll: rollData.roll
+                        `).join('')}
+                    </div>
+                </div>
+            `
         };
         
-        // Envoyer le message dans le chat
-        ChatMessage.create(chatData);
-        
-        // Notification rapide supprimée pour éviter les messages système
+        // Envoyer le message dans le chat avec la visibilité choisie
+        roll.toMessage(chatData, {rollMode: roll.options.rollMode});
     }
 
     /**
@@ -3535,123 +2384,78 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const weaponType = button.dataset.weapon; // "primary" ou "secondary"
         const rollMode = button.dataset.mode; // "safe" ou "unsafe"
         
-        console.log(`Lancement de dés pour arme ${weaponType} en mode ${rollMode}`);
+        VHLogger.debug("rolls", `Lancement de dés pour arme ${weaponType} en mode ${rollMode}`);
         
-        // Récupérer les données de l'arme
-        const weapon = this.actor.system.weapons[weaponType];
-        if (!weapon || weapon.type === "shield") {
-            console.warn("Arme invalide ou bouclier détecté");
+        // Récupérer l'arme équipée dans cette main
+        const weapon = this.actor.system.equipped[weaponType];
+        if (weapon?.type !== "weapon") {
+            VHLogger.warn("rolls", "Aucune arme équipée dans cet emplacement");
+            return;
+        }
+        if (this.actor.system.blockedSlot === weaponType) {
+            ui.notifications.warn("Le bouclier à deux mains occupe cette main");
             return;
         }
-        
-        // Recalculer les bonus des traits avant le jet
-        this._recalculateTraitBonuses();
         
         try {
             // Déterminer la caractéristique basée sur le type d'arme
-            let characteristicDice;
-            let characteristicName;
+            const statName = this._getStatNameForWeaponType(weapon.system.type);
             
-            switch (weapon.type) {
-                case "strength":
-                    characteristicDice = this.actor.system.martialite.value;
-                    characteristicName = "Martialité";
-                    break;
-                case "agility":
-                    characteristicDice = this.actor.system.agilite.value;
-                    characteristicName = "Agilité";
-                    break;
-                case "acuite":
-                    characteristicDice = this.actor.system.acuite.value;
-                    characteristicName = "Acuité";
-                    break;
-                default:
-                    console.error("Type d'arme non reconnu:", weapon.type);
-                    return;
-            }
-            
-            // Récupérer les dés de qualité de l'arme
-            const weaponQualityDice = this._getWeaponQualityDice(weapon.rank);
-            
-            // Récupérer le bonus de l'arme
-            const weaponBonus = parseInt(weapon.bonus) || 0;
-            
-            // Construire la formule selon le mode et déterminer les dés à utiliser
-            let characteristicDiceToRoll;
-            let modeLabel;
-            let diceForCritical; // Pour la détection des critiques
-            
-            if (rollMode === "safe") {
-                // Mode Safe : utiliser les dés de base
-                characteristicDiceToRoll = characteristicDice;
-                modeLabel = "Safe";
-                diceForCritical = characteristicDice; // Utiliser les dés de base pour les critiques
-            } else {
-                // Mode Unsafe : transformer les dés
-                characteristicDiceToRoll = this._calculateDiceFormula(characteristicDice, true);
-                modeLabel = "Unsafe";
-                diceForCritical = characteristicDiceToRoll; // Utiliser les dés unsafe pour les critiques
+            // Un focus dépense une charge, à défaut du mana
+            const focusCost = weapon.system.isFocus ? this.actor.system.getFocusCost(weaponType) : null;
+            if (weapon.system.isFocus && !focusCost) {
+                ui.notifications.warn(`${this.actor.name} n'a plus assez de mana pour ${weapon.name} (${weapon.system.manaCost} requis)`);
+                return;
             }
             
-            console.log(`Formule d'attaque (${modeLabel}): ${characteristicDiceToRoll} + ${weaponQualityDice} + bonus traits + malus agilité + ${weaponBonus > 0 ? weaponBonus : 0}`);
-            console.log(`Dés de caractéristique: ${rollMode === "safe" ? characteristicDice : characteristicDiceToRoll} (${rollMode === "unsafe" ? "transformation unsafe" : "dés de base"})`);
-            
-            // Lancer les dés de caractéristique avec bonus et malus
-            const statName = this._getStatNameForWeaponType(weapon.type);
-            const characteristicRollData = await this._rollDice(characteristicDiceToRoll, statName, rollMode === "unsafe");
+            // En combat, une attaque consomme l'action du tour
+            const combatant = VoidCombatant.forActor(this.actor);
+            if (combatant && !combatant.canUse("action")) return;
             
-            // Lancer les dés de qualité de l'arme
-            const qualityRoll = new Roll(weaponQualityDice);
-            await qualityRoll.evaluate({async: true});
+            // Caractéristique + dé de qualité + bonus de l'arme
+            const roll = await this._rollDice(event, statName, rollMode, [
+                {type: "quality", formula: this._getWeaponQualityDice(weapon.system.rank)},
+                {type: "weapon", value: weapon.system.bonus || 0}
+            ], `Attaque d'arme - ${weapon.name}`);
+            if (!roll) return;
+            await combatant?.consume("action");
+            if (focusCost) await focusCost.document.update(focusCost.update);
             
-            // Calculer le résultat total
-            const totalResult = characteristicRollData.finalResult + qualityRoll.total + weaponBonus;
-            
-            // Détecter les succès/échecs critiques pour les jets Unsafe
-            let criticalMessage = '';
-            if (rollMode === "unsafe") {
-                const diceRange = this._calculateDiceRange(diceForCritical);
-                
-                if (characteristicRollData.baseResult === diceRange.min) {
-                    criticalMessage = '<p class="critical-failure">💥 <strong>ÉCHEC CRITIQUE!</strong></p>';
-                    console.log('DEBUG - ÉCHEC CRITIQUE détecté!');
-                } else if (characteristicRollData.baseResult === diceRange.max) {
-                    criticalMessage = '<p class="critical-success">⭐ <strong>RÉUSSITE CRITIQUE!</strong></p>';
-                    console.log('DEBUG - RÉUSSITE CRITIQUE détectée!');
-                }
-            }
-            
-            // Préparer le message de chat
-            const speaker = ChatMessage.getSpeaker({actor: this.actor});
-            const chatRollMode = game.settings.get("core", "rollMode");
+            // Le focus inflige des dégâts arcaniques, sans nature physique
+            const nature = weapon.system.isFocus ? null : weapon.system.nature;
             
             // Créer le message de chat
-            await ChatMessage.create({
-                speaker: speaker,
-                type: CONST.CHAT_MESSAGE_TYPES.ROLL,
+            await roll.toMessage({
+                speaker: ChatMessage.getSpeaker({actor: this.actor}),
                 content: `
                     <div class="chat-message">
-                        <h4>🎯 Attaque d'arme - ${weapon.name || "Arme"}</h4>
-                        ${criticalMessage}
-                        <p><strong>Mode:</strong> ${modeLabel}</p>
-                        <p><strong>Caractéristique:</strong> ${characteristicName} (${rollMode === "safe" ? characteristicDice : characteristicDiceToRoll})</p>
-                        <p><strong>Résultat caractéristique:</strong> ${characteristicRollData.baseResult} + bonus traits ${characteristicRollData.traitBonus} + malus agilité ${characteristicRollData.agilityPenalty} = <strong>${characteristicRollData.finalResult}</strong></p>
-                        <p><strong>Qualité:</strong> ${weaponQualityDice} = <strong>${qualityRoll.total}</strong></p>
-                        ${weaponBonus > 0 ? `<p><strong>Bonus d'arme:</strong> +${weaponBonus}</p>` : ''}
-                        <p><strong>Résultat total:</strong> ${characteristicRollData.finalResult} + ${qualityRoll.total} + ${weaponBonus} = <strong>${totalResult}</strong></p>
+                        <h4>🎯 Attaque d'arme - ${weapon.name}</h4>
+                        ${this._getCriticalMessage(roll)}
+                        <p><strong>Mode:</strong> ${roll.isUnsafe ? "Unsafe" : "Safe"}</p>
+                        <p><strong>Caractéristique:</strong> ${this._getStatName(statName)} (${roll.baseDie.formula})</p>
+                        ${focusCost ? `<p><strong>Coût:</strong> ${focusCost.charge ? "1 charge" : `${focusCost.mana} mana`}</p>` : ""}
+                        <p><strong>Résultat caractéristique:</strong> <strong>${roll.baseResult}</strong></p>
+                        ${this._renderRollModifiers(roll)}
+                        <p><strong>Résultat total:</strong> ${roll.formula} = <strong>${roll.total}</strong></p>
+                        ${this._renderOutcome(roll)}
+                        ${DamageApplication.getNatureHTML(nature)}
+                        ${DamageApplication.getButtonHTML()}
                     </div>
                 `,
-                rollMode: chatRollMode
-            });
+                flags: DamageApplication.getMessageFlags(roll.total, {nature})
+            }, {rollMode: roll.options.rollMode});
+            
+            // Carte de défense pour les jetons ciblés
+            await OpposedAttack.create(this.actor, roll, weapon.name, {nature});
             
         } catch (error) {
-            console.error("Erreur lors du jet d'arme:", error);
+            VHLogger.error("rolls", "Erreur lors du jet d'arme:", error);
         }
     }
 
     /**
      * Retourne le nom de la statistique correspondant au type d'arme
-     * @param {string} weaponType - Le type d'arme (strength, agility, acuite)
+     * @param {string} weaponType - Le type d'arme (strength, agility, acuite, focus)
      * @returns {string} - Le nom de la statistique
      * @private
      */
@@ -3659,7 +2463,8 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const statMapping = {
             "strength": "martialite",
             "agility": "agilite",
-            "acuite": "acuite"
+            "acuite": "acuite",
+            "focus": "arcane"
         };
         return statMapping[weaponType] || "martialite";
     }
@@ -3671,15 +2476,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      * @private
      */
     _getWeaponQualityDice(rank) {
-        const qualityDiceMap = {
-            "0": "1d4",   // Équipement brisé
-            "1": "1d6",   // Équipement commun
-            "2": "1d8",   // Équipement de qualité
-            "3": "1d10",  // Équipement rare
-            "4": "1d12",  // Équipement épique
-            "5": "1d20"   // Équipement mythique
-        };
-        return qualityDiceMap[rank] || "1d4";
+        return CONFIG.voidHorizon.qualityDice[rank] || CONFIG.voidHorizon.qualityDice["0"];
     }
 
     /**
@@ -3689,15 +2486,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      * @private
      */
     _getWeaponQualityLabel(rank) {
-        const qualityLabelMap = {
-            "0": "Équipement brisé",
-            "1": "Équipement commun",
-            "2": "Équipement de qualité",
-            "3": "Équipement rare",
-            "4": "Équipement exceptionnel",
-            "5": "Équipement légendaire"
-        };
-        return qualityLabelMap[rank] || "Équipement brisé";
+        return CONFIG.voidHorizon.qualityRanks[rank] || CONFIG.voidHorizon.qualityRanks["0"];
     }
 
     /**
@@ -3711,7 +2500,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             const newSrc = `systems/voidHorizon/assets/crests/${factionValue}.png`;
             crestImg.attr('src', newSrc);
             crestImg.attr('alt', `Blason ${factionValue}`);
-            console.log(`Blason de faction mis à jour: ${newSrc}`);
+            VHLogger.debug("sheet", `Blason de faction mis à jour: ${newSrc}`);
         }
     }
 
@@ -3723,50 +2512,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      * @private
      */
     _getStatLabel(statName, value) {
-        const mappings = {
-            'martialite': {
-                "2d4": "Incompétent",
-                "3d4": "Combatif",
-                "4d4": "Soldat",
-                "5d4": "Expérimenté",
-                "6d4": "Vétéran",
-                "7d4": "Légende"
-            },
-            'pimpance': {
-                "2d4": "Tâche",
-                "3d4": "Pas top",
-                "4d4": "Honnête",
-                "5d4": "Beau",
-                "6d4": "Splendide",
-                "7d4": "Ramirez"
-            },
-            'acuite': {
-                "2d4": "Aveugle",
-                "3d4": "Distrait",
-                "4d4": "Alerte",
-                "5d4": "Vif",
-                "6d4": "Clairvoyant",
-                "7d4": "Fulgurant"
-            },
-            'arcane': {
-                "2d4": "Insensible",
-                "3d4": "Eveillé",
-                "4d4": "Novice",
-                "5d4": "Initié",
-                "6d4": "Maître",
-                "7d4": "Archimage"
-            },
-            'agilite': {
-                "2d4": "Challengé",
-                "3d4": "Lourdeau",
-                "4d4": "Bien",
-                "5d4": "Rapide",
-                "6d4": "Très rapide",
-                "7d4": "Très très rapide"
-            }
-        };
-        
-        return mappings[statName]?.[value] || value;
+        return CONFIG.voidHorizon.degreeLabels[statName]?.[value] || value;
     }
 
     /**
@@ -3792,7 +2538,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
      * @private
      */
     _updateTotalValuesDisplay() {
-        console.log("=== Mise à jour de l'affichage des valeurs totales ===");
+        VHLogger.debug("sheet", "=== Mise à jour de l'affichage des valeurs totales ===");
         
         // Mettre à jour l'affichage de l'armure totale
         this._updateArmorTotalDisplay();
@@ -3803,7 +2549,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         // Mettre à jour l'affichage du mana total
         this._updateManaTotalDisplay();
         
-        console.log("=== Fin mise à jour des valeurs totales ===");
+        VHLogger.debug("sheet", "=== Fin mise à jour des valeurs totales ===");
     }
     
     /**
@@ -3835,7 +2581,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 equipmentBonusElement.text(equipmentBonus);
             }
             
-            console.log(`Affichage armure totale mis à jour: ${totalArmor}`);
+            VHLogger.debug("sheet", `Affichage armure totale mis à jour: ${totalArmor}`);
         }
     }
     
@@ -3861,7 +2607,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 traitBonusElement.text(traitBonus);
             }
             
-            console.log(`Affichage constitution totale mis à jour: ${totalConstitution}`);
+            VHLogger.debug("sheet", `Affichage constitution totale mis à jour: ${totalConstitution}`);
         }
     }
     
@@ -3880,7 +2626,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 maxManaElement.text(totalMana);
             }
             
-            console.log(`Affichage mana total mis à jour: ${totalMana}`);
+            VHLogger.debug("sheet", `Affichage mana total mis à jour: ${totalMana}`);
         }
     }
 
@@ -3893,7 +2639,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
         const currentMana = this.actor.system.mana?.value || totalMana;
         const manaContainer = this.element.find('.mana-container');
         
-        console.log(`Initialisation du mana: total: ${totalMana}, actuel: ${currentMana}`);
+        VHLogger.debug("sheet", `Initialisation du mana: total: ${totalMana}, actuel: ${currentMana}`);
         
         // Vider le conteneur du mana
         manaContainer.empty();
@@ -3918,7 +2664,7 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
             manaContainer.append(manaButton);
         }
         
-        console.log(`${totalMana} points de mana créés et initialisés`);
+        VHLogger.debug("sheet", `${totalMana} points de mana créés et initialisés`);
     }
 
     /**
@@ -3929,129 +2675,63 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
     async _onResistanceRollClick(event) {
         event.preventDefault();
         
-        const button = event.currentTarget;
-        const action = button.dataset.action; // 'dodge' ou 'block'
+        const action = event.currentTarget.dataset.action; // 'dodge', 'block' ou 'parade'
+        
+        // En combat, chaque protection consomme une réaction du tour
+        const combatant = VoidCombatant.forActor(this.actor);
+        if (combatant && !combatant.canUse(action)) return;
         
-        console.log('=== LANCER DE DÉ DE RÉSISTANCE ===');
-        console.log('Action:', action);
+        const roll = await this._rollProtection(event, action);
+        if (roll) await combatant?.consume(action);
+    }
+
+    /**
+     * Lance un jet de protection (Esquive/Blocage/Parade) et affiche son résultat dans le chat
+     * @param {Event} event - L'événement de clic
+     * @param {string} action - L'action de protection ('dodge', 'block' ou 'parade')
+     * @param {Object} [options] - Options du jet
+     * @param {number|null} [options.difficulty] - Difficulté proposée
+     * @returns {Promise<VoidRoll|null>} - Le jet évalué, null si la fenêtre a été fermée
+     * @private
+     */
+    async _rollProtection(event, action, {difficulty = null} = {}) {
+        VHLogger.debug("rolls", '=== LANCER DE DÉ DE RÉSISTANCE ===');
+        VHLogger.debug("rolls", 'Action:', action);
         
-        // Récupérer la résistance totale
-        const resistance = this._calculateTotalResistance();
+        const system = this.actor.system;
+        const rollConfig = CONFIG.voidHorizon.protectionActions[action];
         
-        // Récupérer le bonus des boucliers d'équipement
-        let shieldBonus = 0;
-        let shieldQualityDice = null;
-        if (this.actor.system.weapons?.primary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.primary.bonus) || 0;
-            shieldQualityDice = this._getShieldQualityDice(this.actor.system.weapons.primary.rank);
-        }
-        if (this.actor.system.weapons?.secondary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.secondary.bonus) || 0;
-            if (!shieldQualityDice) {
-                shieldQualityDice = this._getShieldQualityDice(this.actor.system.weapons.secondary.rank);
-            }
+        if (!rollConfig) {
+            VHLogger.error("rolls", 'Action de résistance non reconnue:', action);
+            return null;
         }
         
-        // Récupérer les bonus de protection des traits
-        const esquiveBonus = parseInt(this.actor.system.traitBonuses?.bonusEsquive) || 0;
-        const blocageBonus = parseInt(this.actor.system.traitBonuses?.bonusBlocage) || 0;
-        const paradeBonus = parseInt(this.actor.system.traitBonuses?.bonusParade) || 0;
-        
-        let diceFormula;
-        let rollMode;
-        let characteristicLabel;
-        
-        if (action === 'dodge') {
-            // Esquive : jet d'agilité (unsafe)
-            const agilityValue = this.actor.system.agilite?.value || "2d4";
-            const unsafeMap = {
-                "2d4": "1d12", "3d4": "1d16", "4d4": "1d20",
-                "5d4": "1d24", "6d4": "1d28", "7d4": "1d32"
-            };
-            diceFormula = unsafeMap[agilityValue] || agilityValue;
-            rollMode = 'Esquive';
-            characteristicLabel = 'Agilité';
-        } else if (action === 'block') {
-            // Blocage : jet de martialité (unsafe) + jet de qualité du bouclier + bonus du bouclier
-            const martialiteValue = this.actor.system.martialite?.value || "2d4";
-            const unsafeMap = {
-                "2d4": "1d12", "3d4": "1d16", "4d4": "1d20",
-                "5d4": "1d24", "6d4": "1d28", "7d4": "1d32"
-            };
-            diceFormula = unsafeMap[martialiteValue] || martialiteValue;
-            rollMode = 'Blocage';
-            characteristicLabel = 'Martialité';
-        } else if (action === 'parade') {
-            // Parade : jet de martialité (unsafe)
-            const martialiteValue = this.actor.system.martialite?.value || "2d4";
-            const unsafeMap = {
-                "2d4": "1d12", "3d4": "1d16", "4d4": "1d20",
-                "5d4": "1d24", "6d4": "1d28", "7d4": "1d32"
-            };
-            diceFormula = unsafeMap[martialiteValue] || martialiteValue;
-            rollMode = 'Parade';
-            characteristicLabel = 'Martialité';
-        } else {
-            console.error('Action de résistance non reconnue:', action);
-            return;
-        }
+        // Les jets de résistance sont toujours Unsafe : caractéristique + bonus de protection des traits
+        const modifiers = [{type: 'trait', label: rollConfig.bonusLabel, value: parseInt(system.traitBonuses?.[rollConfig.bonus]) || 0}];
         
-        // Construire la formule finale selon l'action
-        let finalFormula;
-        if (action === 'parade') {
-            // Pour la parade : jet de martialité (unsafe) + bonus de parade
-            finalFormula = paradeBonus > 0 ? `${diceFormula} + ${paradeBonus}` : diceFormula;
-        } else if (action === 'block') {
-            // Pour le blocage : jet de martialité (unsafe) + bonus de blocage + jet de qualité du bouclier + bonus du bouclier
-            let blockFormula = diceFormula;
-            if (blocageBonus > 0) {
-                blockFormula += ` + ${blocageBonus}`;
-            }
-            if (shieldQualityDice) {
-                blockFormula += ` + ${shieldQualityDice}`;
-            }
-            if (shieldBonus > 0) {
-                blockFormula += ` + ${shieldBonus}`;
+        // Blocage : dé de qualité du plus grand bouclier (décalé selon sa taille) + bonus de tous les boucliers
+        if (action === 'block') {
+            const blockDice = system.getShieldBlockDice();
+            if (blockDice) {
+                modifiers.push({type: 'shield', label: 'Qualité du bouclier', formula: blockDice});
             }
-            finalFormula = blockFormula;
-        } else {
-            // Pour esquive : jet d'agilité (unsafe) + bonus d'esquive
-            finalFormula = esquiveBonus > 0 ? `${diceFormula} + ${esquiveBonus}` : diceFormula;
-        }
-        
-        console.log('Formule finale:', finalFormula);
-        console.log('Mode de lancer:', rollMode);
-        if (action === 'parade') {
-            console.log('Parade: jet de martialité (unsafe) + bonus de parade');
-            console.log('Bonus de parade:', paradeBonus);
-        } else if (action === 'block') {
-            console.log('Blocage: jet de martialité (unsafe) + bonus de blocage + jet de qualité du bouclier + bonus du bouclier');
-            console.log('Bonus de blocage:', blocageBonus);
-            console.log('Bonus bouclier:', shieldBonus);
-            console.log('Dé de qualité du bouclier:', shieldQualityDice);
-        } else {
-            console.log('Esquive: jet d\'agilité (unsafe) + bonus d\'esquive');
-            console.log('Bonus d\'esquive:', esquiveBonus);
+            modifiers.push({type: 'shield', label: 'Bonus de bouclier', value: system.shields.reduce((total, shield) => total + (shield.item.system.bonus || 0), 0)});
         }
         
         try {
-            // Créer le jet de dé
-            const roll = new Roll(finalFormula);
+            const config = await VoidRollDialog.configure(event, {
+                title: `Jet de ${rollConfig.label}`,
+                dice: system[rollConfig.stat]?.value || "2d4",
+                modes: ['unsafe'],
+                modifiers,
+                difficulty
+            });
+            if (!config) return null;
+            
+            const roll = VoidRoll.build(config, this.actor.getRollData());
             await roll.evaluate();
             
-            // Détecter les succès/échecs critiques pour les jets Unsafe
-            let criticalMessage = '';
-            if (action === 'dodge' || action === 'block' || action === 'parade') {
-                // Tous ces jets utilisent des dés unsafe, donc on peut détecter les critiques
-                const diceRange = this._calculateDiceRange(diceFormula);
-                const baseResult = roll.dice[0]?.results[0]?.result || 0;
-                
-                if (baseResult === diceRange.min) {
-                    criticalMessage = '<p class="critical-failure">💥 <strong>ÉCHEC CRITIQUE!</strong></p>';
-                } else if (baseResult === diceRange.max) {
-                    criticalMessage = '<p class="critical-success">⭐ <strong>RÉUSSITE CRITIQUE!</strong></p>';
-                }
-            }
+            VHLogger.debug("rolls", `Jet de ${rollConfig.label}: ${roll.formula} = ${roll.total}`);
             
             // Afficher le résultat
             const messageData = {
@@ -4059,143 +2739,114 @@ class HeroSheet extends foundry.appv1.sheets.ActorSheet {
                 speaker: ChatMessage.getSpeaker({ actor: this.actor }),
                 content: `
                     <div class="resistance-roll-result${action === 'parade' ? ' parade' : ''}">
-                        <h3><i class="fas fa-${action === 'dodge' ? 'running' : action === 'block' ? 'shield-alt' : 'hand-paper'}"></i> Jet de ${rollMode}</h3>
-                        ${criticalMessage}
+                        <h3><i class="fas fa-${action === 'dodge' ? 'running' : action === 'block' ? 'shield-alt' : 'hand-paper'}"></i> Jet de ${rollConfig.label}</h3>
+                        ${this._getCriticalMessage(roll)}
                         <div class="roll-details">
-                            <p><strong>Caractéristique:</strong> ${characteristicLabel}</p>
-                            <p><strong>Formule:</strong> ${finalFormula}</p>
+                            <p><strong>Caractéristique:</strong> ${this._getStatName(rollConfig.stat)} (unsafe)</p>
+                            <p><strong>Formule:</strong> ${roll.formula}</p>
                             <p><strong>Résultat:</strong> ${roll.total}</p>
-                            ${action === 'parade' ? 
-                                `<p><strong>Détail:</strong> Jet de martialité (unsafe)${paradeBonus > 0 ? ` + ${paradeBonus} bonus parade` : ''}</p>` :
-                                action === 'block' ?
-                                `<p><strong>Détail:</strong> Jet de martialité (unsafe)${blocageBonus > 0 ? ` + ${blocageBonus} bonus blocage` : ''} + jet de qualité du bouclier${shieldBonus > 0 ? ` + ${shieldBonus} bonus bouclier` : ''}</p>` :
-                                `<p><strong>Détail:</strong> Jet d'agilité (unsafe)${esquiveBonus > 0 ? ` + ${esquiveBonus} bonus esquive` : ''}</p>`
-                            }
+                            ${this._renderRollModifiers(roll)}
+                            ${this._renderOutcome(roll)}
                         </div>
                     </div>
-                `,
-                roll: roll
+                `
             };
             
-            await ChatMessage.create(messageData);
+            await roll.toMessage(messageData, {rollMode: roll.options.rollMode});
+            return roll;
             
         } catch (error) {
-            console.error('Erreur lors du lancement des dés de résistance:', error);
+            VHLogger.error("rolls", 'Erreur lors du lancement des dés de résistance:', error);
+            return null;
         }
     }
 
     /**
-     * Calcule la résistance totale du personnage
-     * @returns {number} La valeur de résistance totale
+     * Répare l'armure portée : test de Martialité ou d'Acuité contre la difficulté de son type
+     * Le héros doit pouvoir payer la réparation ; une réussite rend ses boucliers, lève l'état brisé
+     * et retire le coût de sa bourse.
+     * @param {Event} event - L'événement de clic
      * @private
      */
-    _calculateTotalResistance() {
-        // Nouvelle formule : Résistance = Constitution * 2 + degré d'agilité - malus d'agilité + degré de martialité - malus de martialité + type d'armure
-        
-        // Calculer la constitution totale
-        const baseConstitution = parseInt(this.actor.system.constitution?.value) || 0;
-        const constitutionTraitBonus = parseInt(this.actor.system.traitBonuses?.constitution) || 0;
-        const totalConstitution = baseConstitution + constitutionTraitBonus;
-        
-        // Calculer le degré d'agilité (convertir la valeur de dés en nombre)
-        const agiliteValue = this.actor.system.agilite?.value || "2d4";
-        const agiliteDegreeMap = {
-            "2d4": 1,   // Challengé
-            "3d4": 2,   // Lourdeau
-            "4d4": 3,   // Bien
-            "5d4": 4,   // Rapide
-            "6d4": 5,   // Très rapide
-            "7d4": 6    // Très très rapide
-        };
-        const agiliteDegree = agiliteDegreeMap[agiliteValue] || 1;
-        
-        // Calculer le degré de martialité (convertir la valeur de dés en nombre)
-        const martialiteValue = this.actor.system.martialite?.value || "2d4";
-        const martialiteDegreeMap = {
-            "2d4": 1,   // Incompétent
-            "3d4": 2,   // Combatif
-            "4d4": 3,   // Soldat
-            "5d4": 4,   // Expérimenté
-            "6d4": 5,   // Vétéran
-            "7d4": 6    // Légende
-        };
-        const martialiteDegree = martialiteDegreeMap[martialiteValue] || 1;
-        
-        // Calculer le malus d'agilité dû au type d'armure
-        const armorType = this.actor.system.armor?.type || "tissu";
-        const agilityPenaltyMap = {
-            "tissu": 0,
-            "legere": 4,
-            "lourde": 8,
-            "blindee": 16
-        };
-        const agilityPenalty = agilityPenaltyMap[armorType] || 0;
+    async _onArmorRepairClick(event) {
+        event.preventDefault();
+        
+        const armor = this.actor.system.equipped.armor;
+        if (!armor) return;
+        const repair = CONFIG.voidHorizon.armorDegradation.repair;
+        const difficulty = repair.difficulty[armor.system.type] ?? null;
+        const cost = repair.cost[armor.system.type] ?? 0;
+        const funds = VoidCurrency.toBase(this.actor.system.currency);
+        if (funds < cost) {
+            ui.notifications.warn(`${this.actor.name} n'a pas de quoi payer la réparation (${VoidCurrency.formatAmount(cost)})`);
+            return;
+        }
         
-        // Calculer le malus de martialité (pour l'instant 0, à ajuster selon vos besoins)
-        const martialitePenalty = 0;
+        // Choisir la caractéristique du test de réparation
+        const stat = await new Promise(resolve => {
+            const buttons = {};
+            for (const key of repair.stats) {
+                buttons[key] = {label: this._getStatName(key), callback: () => resolve(key)};
+            }
+            new Dialog({
+                title: "Réparer l'armure",
+                content: `<p>Difficulté ${difficulty ?? "-"}, coût ${VoidCurrency.formatAmount(cost)}.</p>`,
+                buttons,
+                default: repair.stats[0],
+                close: () => resolve(null)
+            }).render(true);
+        });
+        if (!stat) return;
         
-        // Calculer le bonus du type d'armure
-        const armorTypeBonusMap = {
-            "tissu": 0,
-            "legere": 2,
-            "lourde": 4,
-            "blindee": 8
-        };
-        const armorTypeBonus = armorTypeBonusMap[armorType] || 0;
+        const roll = await this._rollDice(event, stat, "safe", [], `Réparation de l'armure (${this._getStatName(stat)})`, {difficulty});
+        if (!roll) return;
         
-        // Appliquer la nouvelle formule : Constitution * 2 + degré d'agilité - malus d'agilité + degré de martialité - malus de martialité + type d'armure
-        const resistance = (totalConstitution * 2) + agiliteDegree - agilityPenalty + martialiteDegree - martialitePenalty + armorTypeBonus;
+        const repaired = roll.outcome?.success ?? false;
+        if (repaired) {
+            await armor.update({"system.broken": false});
+            await this.actor.update({
+                "system.resources.armorDamage.value": 0,
+                ...VoidCurrency.getPurseUpdate(this.actor, VoidCurrency.toBase(this.actor.system.currency) - cost)
+            });
+        }
         
-        return Math.max(0, resistance); // Éviter les valeurs négatives
+        await roll.toMessage({
+            speaker: ChatMessage.getSpeaker({actor: this.actor}),
+            content: `
+                <div class="chat-message">
+                    <h4>🔨 Réparation de l'armure - ${armor.name}</h4>
+                    <p><strong>Caractéristique:</strong> ${this._getStatName(stat)} (${roll.baseDie.formula})</p>
+                    ${this._renderRollModifiers(roll)}
+                    <p><strong>Résultat total:</strong> ${roll.formula} = <strong>${roll.total}</strong></p>
+                    ${this._renderOutcome(roll)}
+                    <p>${repaired ? `Armure réparée, coût : ${VoidCurrency.formatAmount(cost)}` : "L'armure n'a pas pu être réparée"}</p>
+                </div>
+            `
+        }, {rollMode: roll.options.rollMode});
     }
 
     /**
-     * Calcule l'armure totale du personnage
-     * @returns {number} La valeur d'armure totale
+     * Calcule la résistance totale du personnage
+     * @returns {number} La valeur de résistance totale
      * @private
      */
-    _calculateTotalArmor() {
-        // Calculer l'armure totale
-        const baseArmor = parseInt(this.actor.system.resources?.armor?.value) || 0;
-        const traitBonus = parseInt(this.actor.system.traitBonuses?.armor) || 0;
-        const equipmentBonus = this._getArmorTypeBonus();
-        
-        // Calculer le bonus des boucliers d'armes
-        let shieldBonus = 0;
-        if (this.actor.system.weapons?.primary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.primary.bonus) || 0;
-        }
-        if (this.actor.system.weapons?.secondary?.type === 'shield') {
-            shieldBonus += parseInt(this.actor.system.weapons.secondary.bonus) || 0;
-        }
-        
-        const totalArmor = baseArmor + equipmentBonus + traitBonus + shieldBonus;
-        
-        return totalArmor;
+    _calculateTotalResistance() {
+        return this.actor.system.totals.resistance;
     }
 
     /**
-     * Obtient le dé de qualité d'un bouclier basé sur son rang
-     * @param {string} rank - Le rang du bouclier
-     * @returns {string} La formule de dé correspondante
+     * Calcule l'armure totale du personnage
+     * @returns {number} La valeur d'armure totale
      * @private
      */
-    _getShieldQualityDice(rank) {
-        const qualityDiceMap = {
-            "0": "1d4",   // Équipement brisé
-            "1": "1d6",   // Équipement commun
-            "2": "1d8",   // Équipement de qualité
-            "3": "1d10",  // Équipement rare
-            "4": "1d12",  // Équipement épique
-            "5": "1d20"   // Équipement mythique
-        };
-        return qualityDiceMap[rank] || "1d4";
+    _calculateTotalArmor() {
+        return this.actor.system.totals.armor;
     }
 }
 
 // Fonction d'enregistrement de la fiche Héros
 function registerHeroSheet() {
-    console.log("Enregistrement de la fiche Héros");
+    VHLogger.debug("system", "Enregistrement de la fiche Héros");
     
     // Enregistrer les helpers Handlebars
     Handlebars.registerHelper('times', function(n) {
@@ -4248,153 +2899,38 @@ function registerHeroSheet() {
 
     // Helpers pour la qualité des armes
     Handlebars.registerHelper('getWeaponQualityLabel', function(rank) {
-        const qualityLabelMap = {
-            "0": "Équipement brisé",
-            "1": "Équipement commun",
-            "2": "Équipement de qualité",
-            "3": "Équipement rare",
-            "4": "Équipement exceptionnel",
-            "5": "Équipement légendaire"
-        };
-        return qualityLabelMap[rank] || "Équipement brisé";
+        return CONFIG.voidHorizon.qualityRanks[rank] || CONFIG.voidHorizon.qualityRanks["0"];
     });
 
     Handlebars.registerHelper('getWeaponQualityDice', function(rank) {
-        const qualityDiceMap = {
-            "0": "1d4",
-            "1": "1d6",
-            "2": "1d8",
-            "3": "1d10",
-            "4": "1d12",
-            "5": "1d20"
-        };
-        return qualityDiceMap[rank] || "1d4";
+        return CONFIG.voidHorizon.qualityDice[rank] || CONFIG.voidHorizon.qualityDice["0"];
     });
 
-            // Nouveaux helpers pour les valeurs totales incluant les bonus des traits
-        Handlebars.registerHelper('getTotalConstitution', function(actor) {
-            const baseConstitution = parseInt(actor.system.constitution?.value) || 0;
-            const traitBonus = parseInt(actor.system.traitBonuses?.constitution) || 0;
-            // Note: Les bonus d'équipement pour la constitution pourront être ajoutés ici plus tard
-            return baseConstitution + traitBonus;
-        });
+    // Helpers de l'échelle des dés (tables de règles du monde) : {{getDegree system.agilite.value}}, {{getDegreeLabel "agilite" system.agilite.value}}
+    Handlebars.registerHelper('getDegree', function(dice) {
+        return CONFIG.voidHorizon.degrees[dice] || 1;
+    });
 
-                 Handlebars.registerHelper('getTotalArmor', function(actor) {
-            const baseArmor = parseInt(actor.system.resources?.armor?.value) || 0;
-            const traitBonus = parseInt(actor.system.traitBonuses?.armor) || 0;
-            const equipmentBonus = getArmorTypeBonus(actor);
-            
-            // Calculer le bonus des boucliers d'armes
-            let shieldBonus = 0;
-            if (actor.system.weapons?.primary?.type === 'shield') {
-                shieldBonus += parseInt(actor.system.weapons.primary.bonus) || 0;
-            }
-            if (actor.system.weapons?.secondary?.type === 'shield') {
-                shieldBonus += parseInt(actor.system.weapons.secondary.bonus) || 0;
-            }
-            
-            // Armure totale = base + équipement + traits + boucliers
-            return baseArmor + equipmentBonus + traitBonus + shieldBonus;
-        });
+    Handlebars.registerHelper('getDegreeLabel', function(stat, dice) {
+        return CONFIG.voidHorizon.degreeLabels[stat]?.[dice] || dice;
+    });
 
-         // Fonction helper pour calculer le bonus d'armure basé sur le type
-         function getArmorTypeBonus(actor) {
-             const armorType = actor.system.armor?.type || 'tissu';
-             const bonusMap = {
-                 'tissu': 0,
-                 'legere': 1,
-                 'lourde': 2,
-                 'blindee': 4
-             };
-             return bonusMap[armorType] || 0;
-         }
+    // Helpers pour les valeurs totales : lus depuis les données dérivées de l'acteur (HerosData/NpcData)
+    Handlebars.registerHelper('getTotalConstitution', function(actor) {
+        return actor.system.totals?.constitution ?? 0;
+    });
 
-         // Fonction helper pour calculer le malus d'agilité basé sur le type d'armure
-         function getAgilityPenalty(actor) {
-             const armorType = actor.system.armor?.type || 'tissu';
-             const penaltyMap = {
-                 'tissu': 0,      // Pas de malus
-                 'legere': -4,    // Malus de 4
-                 'lourde': -8,    // Malus de 8
-                 'blindee': -16   // Malus de 16
-             };
-             return penaltyMap[armorType] || 0;
-         }
+    Handlebars.registerHelper('getTotalArmor', function(actor) {
+        return actor.system.totals?.armor ?? 0;
+    });
 
-        // Helper pour calculer le mana total basé sur le degré d'Arcane
-        Handlebars.registerHelper('getTotalMana', function(actor) {
-            const arcaneValue = actor.system.arcane?.value || "2d4";
-            const manaPerLevel = {
-                "2d4": 2,   // Insensible
-                "3d4": 4,   // Eveillé
-                "4d4": 6,   // Novice
-                "5d4": 8,   // Initié
-                "6d4": 10,  // Maître
-                "7d4": 12   // Archimage
-            };
-            return manaPerLevel[arcaneValue] || 2;
-        });
+    Handlebars.registerHelper('getTotalMana', function(actor) {
+        return actor.system.totals?.mana ?? 0;
+    });
 
-        // Helper pour calculer la résistance du personnage
-        Handlebars.registerHelper('getTotalResistance', function(actor) {
-            // Nouvelle formule : Résistance = Constitution * 2 + degré d'agilité - malus d'agilité + degré de martialité - malus de martialité + type d'armure
-            
-            // Calculer la constitution totale
-            const baseConstitution = parseInt(actor.system.constitution?.value) || 0;
-            const constitutionTraitBonus = parseInt(actor.system.traitBonuses?.constitution) || 0;
-            const totalConstitution = baseConstitution + constitutionTraitBonus;
-            
-            // Calculer le degré d'agilité (convertir la valeur de dés en nombre)
-            const agiliteValue = actor.system.agilite?.value || "2d4";
-            const agiliteDegreeMap = {
-                "2d4": 1,   // Challengé
-                "3d4": 2,   // Lourdeau
-                "4d4": 3,   // Bien
-                "5d4": 4,   // Rapide
-                "6d4": 5,   // Très rapide
-                "7d4": 6    // Très très rapide
-            };
-            const agiliteDegree = agiliteDegreeMap[agiliteValue] || 1;
-            
-            // Calculer le degré de martialité (convertir la valeur de dés en nombre)
-            const martialiteValue = actor.system.martialite?.value || "2d4";
-            const martialiteDegreeMap = {
-                "2d4": 1,   // Incompétent
-                "3d4": 2,   // Combatif
-                "4d4": 3,   // Soldat
-                "5d4": 4,   // Expérimenté
-                "6d4": 5,   // Vétéran
-                "7d4": 6    // Légende
-            };
-            const martialiteDegree = martialiteDegreeMap[martialiteValue] || 1;
-            
-            // Calculer le malus d'agilité dû au type d'armure
-            const armorType = actor.system.armor?.type || "tissu";
-            const agilityPenaltyMap = {
-                "tissu": 0,
-                "legere": 4,
-                "lourde": 8,
-                "blindee": 16
-            };
-            const agilityPenalty = agilityPenaltyMap[armorType] || 0;
-            
-            // Calculer le malus de martialité (pour l'instant 0, à ajuster selon vos besoins)
-            const martialitePenalty = 0;
-            
-            // Calculer le bonus du type d'armure
-            const armorTypeBonusMap = {
-                "tissu": 0,
-                "legere": 2,
-                "lourde": 4,
-                "blindee": 8
-            };
-            const armorTypeBonus = armorTypeBonusMap[armorType] || 0;
-            
-            // Appliquer la nouvelle formule : Constitution * 2 + degré d'agilité - malus d'agilité + degré de martialité - malus de martialité + type d'armure
-            const resistance = (totalConstitution * 2) + agiliteDegree - agilityPenalty + martialiteDegree - martialitePenalty + armorTypeBonus;
-            
-            return Math.max(0, resistance); // Éviter les valeurs négatives
-        });
+    Handlebars.registerHelper('getTotalResistance', function(actor) {
+        return actor.system.totals?.resistance ?? 0;
+    });
 
         // Helper pour accéder aux propriétés imbriquées
         Handlebars.registerHelper('get', function(obj, key) {
@@ -4404,267 +2940,22 @@ function registerHeroSheet() {
 
         // Helper pour obtenir la formule de dé en mode unsafe
         Handlebars.registerHelper('getUnsafeFormula', function(safeValue) {
-            const safeToUnsafe = {
-                "2d4": "1d12",  // Degré 1: 2d4 max=8, donc 1d8+4=1d12
-                "3d4": "1d16",  // Degré 2: 3d4 max=12, donc 1d12+4=1d16
-                "4d4": "1d20",  // Degré 3: 4d4 max=16, donc 1d16+4=1d20
-                "5d4": "1d24",  // Degré 4: 5d4 max=20, donc 1d20+4=1d24
-                "6d4": "1d28",  // Degré 5: 6d4 max=24, donc 1d24+4=1d28
-                "7d4": "1d32"   // Degré 6: 7d4 max=28, donc 1d28+4=1d32
-            };
-            return safeToUnsafe[safeValue] || safeValue;
-        });
-
-        // Helper pour obtenir la range des dés en mode Safe avec bonus
-        Handlebars.registerHelper('getSafeRange', function(safeValue, actor) {
-            if (!safeValue) return "?";
-            
-            const rangeMap = {
-                "2d4": { min: 2, max: 8 },
-                "3d4": { min: 3, max: 12 },
-                "4d4": { min: 4, max: 16 },
-                "5d4": { min: 5, max: 20 },
-                "6d4": { min: 6, max: 24 },
-                "7d4": { min: 7, max: 28 }
-            };
-            
-            const range = rangeMap[safeValue];
-            if (!range) return "?";
-            
-            // Calculer les bonus totaux
-            let totalBonus = 0;
-            let agilityPenalty = 0;
-            let bonusDetails = [];
-            
-            if (actor && actor.system) {
-                // Bonus de traits
-                if (actor.system.traitBonuses) {
-                    if (actor.system.agilite && actor.system.agilite.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.agilite || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                        
-                        // Malus d'agilité dû à l'armure
-                        if (actor.system.armor && actor.system.armor.type) {
-                            const penaltyMap = { 'tissu': 0, 'legere': -4, 'lourde': -8, 'blindee': -16 };
-                            agilityPenalty = penaltyMap[actor.system.armor.type] || 0;
-                            if (agilityPenalty < 0) {
-                                bonusDetails.push(`${agilityPenalty} armure`);
-                            }
-                        }
-                    } else if (actor.system.martialite && actor.system.martialite.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.martialite || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    } else if (actor.system.acuite && actor.system.acuite.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.acuite || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    } else if (actor.system.pimpance && actor.system.pimpance.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.pimpance || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    } else if (actor.system.arcane && actor.system.arcane.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.arcane || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    }
-                }
-            }
-            
-            // Appliquer les bonus et malus
-            const adjustedMin = Math.max(1, range.min + totalBonus + agilityPenalty);
-            const adjustedMax = Math.max(1, range.max + totalBonus + agilityPenalty);
-            
-            // Afficher le range avec les bonus si il y en a
-            if (bonusDetails.length > 0) {
-                return `${adjustedMin}-${adjustedMax} (${bonusDetails.join(', ')})`;
-            } else {
-                return `${adjustedMin}-${adjustedMax}`;
-            }
+            return VoidRoll.getBaseFormula(safeValue, "unsafe");
         });
 
-        // Helper pour obtenir la range des dés en mode Unsafe avec bonus
-        Handlebars.registerHelper('getUnsafeRange', function(safeValue, actor) {
-            if (!safeValue) return "?";
-            
-            const rangeMap = {
-                "2d4": { min: 1, max: 12 },
-                "3d4": { min: 1, max: 16 },
-                "4d4": { min: 1, max: 20 },
-                "5d4": { min: 1, max: 24 },
-                "6d4": { min: 1, max: 28 },
-                "7d4": { min: 1, max: 32 }
-            };
-            
-            const range = rangeMap[safeValue];
-            if (!range) return "?";
-            
-            // Même logique de bonus que pour getSafeRange
-            let totalBonus = 0;
-            let agilityPenalty = 0;
-            let bonusDetails = [];
-            
-            if (actor && actor.system) {
-                if (actor.system.traitBonuses) {
-                    if (actor.system.agilite && actor.system.agilite.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.agilite || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                        
-                        if (actor.system.armor && actor.system.armor.type) {
-                            const penaltyMap = { 'tissu': 0, 'legere': -4, 'lourde': -8, 'blindee': -16 };
-                            agilityPenalty = penaltyMap[actor.system.armor.type] || 0;
-                            if (agilityPenalty < 0) {
-                                bonusDetails.push(`${agilityPenalty} armure`);
-                            }
-                        }
-                    } else if (actor.system.martialite && actor.system.martialite.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.martialite || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    } else if (actor.system.acuite && actor.system.acuite.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.acuite || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    } else if (actor.system.pimpance && actor.system.pimpance.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.pimpance || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    } else if (actor.system.arcane && actor.system.arcane.value === safeValue) {
-                        const traitBonus = actor.system.traitBonuses.arcane || 0;
-                        if (traitBonus > 0) {
-                            totalBonus += traitBonus;
-                            bonusDetails.push(`+${traitBonus} trait`);
-                        }
-                    }
-                }
-            }
-            
-            const adjustedMin = Math.max(1, range.min + totalBonus + agilityPenalty);
-            const adjustedMax = Math.max(1, range.max + totalBonus + agilityPenalty);
-            
-            if (bonusDetails.length > 0) {
-                return `${adjustedMin}-${adjustedMax} (${bonusDetails.join(', ')})`;
-            } else {
-                return `${adjustedMin}-${adjustedMax}`;
-            }
+        // Helpers pour obtenir la range des dés avec bonus : {{getSafeRange system.agilite.value actor "agilite"}}
+        Handlebars.registerHelper('getSafeRange', function(safeValue, actor, stat) {
+            return formatStatRange(safeValue, "safe", actor, stat);
         });
 
-        // Helper pour calculer la résistance du personnage
-        Handlebars.registerHelper('getTotalResistance', function(actor) {
-            // Nouvelle formule : Résistance = Constitution * 2 + degré d'agilité - malus d'agilité + degré de martialité - malus de martialité + type d'armure
-            
-            // Calculer la constitution totale
-            const baseConstitution = parseInt(actor.system.constitution?.value) || 0;
-            const constitutionTraitBonus = parseInt(actor.system.traitBonuses?.constitution) || 0;
-            const totalConstitution = baseConstitution + constitutionTraitBonus;
-            
-            // Calculer le degré d'agilité (convertir la valeur de dés en nombre)
-            const agiliteValue = actor.system.agilite?.value || "2d4";
-            const agiliteDegreeMap = {
-                "2d4": 1,   // Challengé
-                "3d4": 2,   // Lourdeau
-                "4d4": 3,   // Bien
-                "5d4": 4,   // Rapide
-                "6d4": 5,   // Très rapide
-                "7d4": 6    // Très très rapide
-            };
-            const agiliteDegree = agiliteDegreeMap[agiliteValue] || 1;
-            
-            // Calculer le degré de martialité (convertir la valeur de dés en nombre)
-            const martialiteValue = actor.system.martialite?.value || "2d4";
-            const martialiteDegreeMap = {
-                "2d4": 1,   // Incompétent
-                "3d4": 2,   // Combatif
-                "4d4": 3,   // Soldat
-                "5d4": 4,   // Expérimenté
-                "6d4": 5,   // Vétéran
-                "7d4": 6    // Légende
-            };
-            const martialiteDegree = martialiteDegreeMap[martialiteValue] || 1;
-            
-            // Calculer le malus d'agilité dû au type d'armure
-            const armorType = actor.system.armor?.type || "tissu";
-            const agilityPenaltyMap = {
-                "tissu": 0,
-                "legere": 4,
-                "lourde": 8,
-                "blindee": 16
-            };
-            const agilityPenalty = agilityPenaltyMap[armorType] || 0;
-            
-            // Calculer le malus de martialité dû au type d'armure
-            const martialityPenaltyMap = {
-                "tissu": 0,
-                "legere": 2,
-                "lourde": 4,
-                "blindee": 8
-            };
-            const martialityPenalty = martialityPenaltyMap[armorType] || 0;
-            
-            // Calculer le bonus d'armure du type d'armure
-            const armorTypeBonusMap = {
-                "tissu": 0,
-                "legere": 2,
-                "lourde": 4,
-                "blindee": 8
-            };
-            const armorTypeBonus = armorTypeBonusMap[armorType] || 0;
-            
-            // Calculer la résistance totale
-            const totalResistance = (totalConstitution * 2) + agiliteDegree - agilityPenalty + martialiteDegree - martialityPenalty + armorTypeBonus;
-            
-            return totalResistance;
+        Handlebars.registerHelper('getUnsafeRange', function(safeValue, actor, stat) {
+            return formatStatRange(safeValue, "unsafe", actor, stat);
         });
 
-        // Helper pour calculer le mouvement disponible
+        // Helper pour afficher le mouvement disponible
         Handlebars.registerHelper('getMovementAvailable', function(agiliteValue, actor) {
-            // Mapper les valeurs de dés aux degrés d'agilité
-            const agiliteDegreeMap = {
-                "2d4": 1,   // Challengé
-                "3d4": 2,   // Lourdeau
-                "4d4": 3,   // Bien
-                "5d4": 4,   // Rapide
-                "6d4": 5,   // Très rapide
-                "7d4": 6    // Très très rapide
-            };
-            
-            const degree = agiliteDegreeMap[agiliteValue] || 1;
-            let movement = (degree * 1.5) + 1.5;
-            
-            // Appliquer le malus d'armure si l'acteur est fourni
-            if (actor && actor.system && actor.system.armor) {
-                const armorType = actor.system.armor.type || "tissu";
-                const armorPenaltyMap = {
-                    "tissu": 0,      // Malus = 0m
-                    "legere": 1.5,   // Malus = 1.5m
-                    "lourde": 3,     // Malus = 3m
-                    "blindee": 4.5   // Malus = 4.5m
-                };
-                const armorPenalty = armorPenaltyMap[armorType] || 0;
-                movement -= armorPenalty;
-            }
-            
-            return Math.max(0, movement).toFixed(1); // Éviter les valeurs négatives
+            const movement = actor?.system?.totals?.movement ?? 0;
+            return movement.toFixed(1);
         });
 
     // Enregistrer la feuille d'acteur
@@ -4674,7 +2965,7 @@ function registerHeroSheet() {
         makeDefault: true
     });
     
-    console.log("✅ Fiche Héros enregistrée avec succès");
+    VHLogger.debug("system", "✅ Fiche Héros enregistrée avec succès");
 }
 
 // Exporter la fonction pour l'utiliser dans voidHorizon.js
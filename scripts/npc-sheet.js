@@ -1,39 +1,4 @@
 class NpcSheet extends ActorSheet {
-    /**
-     * TODO LIST - Système Void Horizon V2
-     * =====================================
-     * 
-     * Fonctionnalités à implémenter :
-     * 
-     * 1. Système V2 pour bouclier et armure
-     *    - Boucliers de plusieurs types (petit, moyen, grand, pavois)
-     *    - Sélection de la nature d'une arme (contondante, perforante, tranchante)
-     *    - Calculs de protection et de résistance
-     * 
-     * 2. Focus comme arme
-     *    - Intégrer les focus magiques dans le système d'armes
-     *    - Gestion des sorts et capacités spéciales
-     *    - Calculs de dégâts magiques
-     * 
-     * 3. Calcul du mouvement par personnage
-     *    - Système de points de mouvement
-     *    - Modificateurs selon l'équipement et l'état
-     *    - Gestion des terrains difficiles
-     * 
-     * 4. Design V2
-     *    - Interface utilisateur modernisée
-     *    - Responsive design pour différentes tailles d'écran
-     *    - Thèmes visuels et personnalisation
-     * 
-     * 5. Vérification des calculs de parade/blocage
-     *    - Système de défense active
-     *    - Calculs de chance de parade
-     *    - Gestion des boucliers et armures
-     * 
-     * Priorité : Système de combat > Interface > Équilibrage
-     * =====================================================
-     */
-
     /** @override */
     static get defaultOptions() {
         return mergeObject(super.defaultOptions, {
@@ -45,52 +10,35 @@ class NpcSheet extends ActorSheet {
         });
     }
 
+    /**
+     * Boutons de l'en-tête : contrôles du système et des modules (voir SheetHeaderControls)
+     * @override
+     */
+    _getHeaderButtons() {
+        return window.SheetHeaderControls.getHeaderButtons(this, super._getHeaderButtons());
+    }
+
     /** @override */
     async getData() {
         const data = await super.getData();
         data.dtypes = ["String", "Number", "Boolean"];
 
-        // S'assurer que la structure des ressources existe
-        if (!data.actor.system.resources) {
-            data.actor.system.resources = {};
-        }
-        if (!data.actor.system.resources.health) {
-            data.actor.system.resources.health = { value: 0, max: 0 };
-        }
-        if (!data.actor.system.resources.shield) {
-            data.actor.system.resources.shield = { value: 0, max: 0 };
-        }
-        if (!data.actor.system.resources.mana) {
-            data.actor.system.resources.mana = { value: 0, max: 0 };
-        }
-
-        // S'assurer que les attaques et compétences existent
-        if (!data.actor.system.attacks) {
-            data.actor.system.attacks = [];
-        }
-        if (!data.actor.system.skills) {
-            data.actor.system.skills = [];
-        }
-
-        // Initialiser les valeurs par défaut pour un nouvel acteur
-        if (!data.actor.system.type) {
-            data.actor.system.type = "enemy";
-        }
-        if (!data.actor.system.level) {
-            data.actor.system.level = 1;
-        }
-        if (!data.actor.system.acuite?.value) {
-            data.actor.system.acuite = { value: "3d4" };
-        }
-        if (!data.actor.system.pimpance?.value) {
-            data.actor.system.pimpance = { value: "3d4" };
-        }
-        if (!data.actor.system.martialite?.value) {
-            data.actor.system.martialite = { value: "3d4" };
-        }
-        if (!data.actor.system.arcane?.value) {
-            data.actor.system.arcane = { value: "2d4" };
-        }
+        // Les valeurs par défaut et les totaux sont fournis par le modèle de données (NpcData)
+        data.system = this.actor.system;
+        // Éléments affichés selon les paramètres du monde
+        data.display = window.VoidSettings.getDisplaySettings();
+        // Degrés proposés pour chaque caractéristique : « 3d4 - Libellé » (tables de règles du monde)
+        data.degreeOptions = Object.fromEntries(Object.keys(CONFIG.voidHorizon.characteristics).map(stat => [
+            stat,
+            Object.fromEntries(Object.keys(CONFIG.voidHorizon.degrees).map(dice => [
+                dice,
+                `${dice} - ${CONFIG.voidHorizon.degreeLabels[stat]?.[dice] || dice}`
+            ]))
+        ]));
+
+        // Types d'armure et natures de dégâts proposés dans l'onglet Combat
+        data.armorTypes = Object.fromEntries(Object.entries(CONFIG.voidHorizon.armorTypes).map(([key, type]) => [key, type.label]));
+        data.damageNatures = CONFIG.voidHorizon.damageNatures;
 
         // Préparation des données pour le template
         this._prepareItems(data);
@@ -113,14 +61,14 @@ class NpcSheet extends ActorSheet {
         // Gestion des attaques
         html.find('.add-attack-btn').click(this._onAddAttack.bind(this));
         html.find('.remove-attack-btn').click(this._onRemoveAttack.bind(this));
-        html.find('.attack-name-input, .dice-input, .damage-input, .attack-description textarea').change(this._onAttackChange.bind(this));
+        html.find('.attack-name-input, .dice-input, .damage-input, .nature-input, .attack-description textarea').change(this._onAttackChange.bind(this));
         html.find('.roll-attack-btn').click(this._onRollAttack.bind(this));
         html.find('.roll-damage-btn').click(this._onRollDamage.bind(this));
         
         // Gestion des compétences
         html.find('.add-skill-btn').click(this._onAddSkill.bind(this));
+        html.find('.edit-skill-btn').click(this._onEditSkill.bind(this));
         html.find('.remove-skill-btn').click(this._onRemoveSkill.bind(this));
-        html.find('.skill-name-input, .skill-description textarea').change(this._onSkillChange.bind(this));
         html.find('.roll-skill-btn').click(this._onRollSkill.bind(this));
     }
 
@@ -138,9 +86,9 @@ class NpcSheet extends ActorSheet {
             await this.actor.update({
                 [`system.resources.${resourceType}.value`]: value
             });
-            console.log(`Ressource ${resourceType} mise à jour: ${value}`);
+            VHLogger.debug("sheet", `Ressource ${resourceType} mise à jour: ${value}`);
         } catch (error) {
-            console.error(`Erreur lors de la mise à jour de la ressource ${resourceType}:`, error);
+            VHLogger.error("sheet", `Erreur lors de la mise à jour de la ressource ${resourceType}:`, error);
         }
     }
 
@@ -158,9 +106,9 @@ class NpcSheet extends ActorSheet {
             await this.actor.update({
                 [`system.${characteristic}.value`]: value
             });
-            console.log(`Caractéristique ${characteristic} mise à jour: ${value}`);
+            VHLogger.debug("sheet", `Caractéristique ${characteristic} mise à jour: ${value}`);
         } catch (error) {
-            console.error(`Erreur lors de la mise à jour de la caractéristique ${characteristic}:`, error);
+            VHLogger.error("sheet", `Erreur lors de la mise à jour de la caractéristique ${characteristic}:`, error);
         }
     }
 
@@ -178,9 +126,9 @@ class NpcSheet extends ActorSheet {
             await this.actor.update({
                 [`system.${characteristic}.bonus`]: value
             });
-            console.log(`Bonus ${characteristic} mis à jour: ${value}`);
+            VHLogger.debug("sheet", `Bonus ${characteristic} mis à jour: ${value}`);
         } catch (error) {
-            console.error(`Erreur lors de la mise à jour du bonus ${characteristic}:`, error);
+            VHLogger.error("sheet", `Erreur lors de la mise à jour du bonus ${characteristic}:`, error);
         }
     }
 
@@ -196,59 +144,80 @@ class NpcSheet extends ActorSheet {
         const characteristicData = this.actor.system[characteristic];
         
         if (!characteristicData) {
-            console.error('Caractéristique non trouvée:', characteristic);
+            VHLogger.error("rolls", 'Caractéristique non trouvée:', characteristic);
             return;
         }
 
         try {
-            // Récupérer la formule de dés et le bonus
-            const diceFormula = characteristicData.value || "3d4";
-            const bonus = characteristicData.bonus || 0;
-            
-            // Créer le jet de dés avec bonus
-            let rollFormula = diceFormula;
-            if (bonus !== 0) {
-                rollFormula = `${diceFormula}${bonus >= 0 ? '+' : ''}${bonus}`;
-            }
+            // Jet de la caractéristique avec son bonus fixe (Safe par défaut)
+            const config = await VoidRollDialog.configure(event, {
+                title: `${this.actor.name} - ${characteristicData.label || characteristic}`,
+                mode: "safe",
+                ...VoidRoll.getStatConfig(this.actor, characteristic)
+            });
+            if (!config) return;
             
-            const roll = new Roll(rollFormula);
-            await roll.evaluate({async: true});
+            const roll = VoidRoll.build(config, this.actor.getRollData());
+            await roll.evaluate();
             
-            // Déterminer le résultat (critique, échec, normal)
             const total = roll.total;
-            const dice = roll.dice[0];
-            let result = "normal";
-            let resultText = "";
-            
-            if (dice && dice.faces) {
-                if (total === dice.faces + bonus) {
-                    result = "critique";
-                    resultText = "🎯 COUP CRITIQUE !";
-                } else if (total === 1 + bonus) {
-                    result = "echec";
-                    resultText = "💥 ÉCHEC CRITIQUE !";
-                }
-            }
+            const bonus = roll.modifiersTotal;
+            const {result, resultText} = this._getRollResult(roll);
             
             // Créer le message de chat
             const chatData = {
                 user: game.user.id,
                 speaker: ChatMessage.getSpeaker({ actor: this.actor }),
                 content: await this._renderCharacteristicRoll(characteristic, roll, result, resultText, bonus),
-                type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-                roll: roll,
                 sound: CONFIG.sounds.dice
             };
             
-            await ChatMessage.create(chatData);
-            console.log(`Jet de caractéristique lancé: ${characteristic} - Résultat: ${total} (${result})`);
+            await roll.toMessage(chatData, {rollMode: roll.options.rollMode});
+            VHLogger.debug("rolls", `Jet de caractéristique lancé: ${characteristic} - Résultat: ${total} (${result})`);
             
         } catch (error) {
-            console.error('Erreur lors du jet de caractéristique:', error);
+            VHLogger.error("rolls", 'Erreur lors du jet de caractéristique:', error);
             ui.notifications.error(`Erreur lors du jet de caractéristique: ${error.message}`);
         }
     }
 
+    /**
+     * Lance un test demandé depuis le chat (défense contre une attaque, demande du MJ)
+     * Les protections utilisent la caractéristique de l'action et sont toujours lancées en Unsafe.
+     * @param {Event} event - L'événement de clic sur la carte
+     * @param {string} test - Une caractéristique ou une action de protection (dodge, block, parade)
+     * @param {Object} [options] - Contraintes du test
+     * @param {string|null} [options.mode] - Mode imposé ("safe" ou "unsafe"), libre si null
+     * @param {number|null} [options.difficulty] - Difficulté à atteindre
+     * @returns {Promise<VoidRoll|null>} - Le jet évalué, null si la fenêtre a été fermée
+     */
+    async rollRequestedTest(event, test, {mode = null, difficulty = null} = {}) {
+        const protection = CONFIG.voidHorizon.protectionActions[test];
+        const stat = protection?.stat ?? test;
+        const characteristicData = this.actor.system[stat];
+        if (!characteristicData) return null;
+
+        const forcedMode = protection ? "unsafe" : mode;
+        const config = await VoidRollDialog.configure(event, {
+            title: `${this.actor.name} - ${protection?.label || characteristicData.label || stat}`,
+            mode: forcedMode || "safe",
+            modes: forcedMode ? [forcedMode] : undefined,
+            difficulty,
+            ...VoidRoll.getStatConfig(this.actor, stat)
+        });
+        if (!config) return null;
+
+        const roll = VoidRoll.build(config, this.actor.getRollData());
+        await roll.evaluate();
+
+        const {result, resultText} = this._getRollResult(roll);
+        await roll.toMessage({
+            speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+            content: await this._renderCharacteristicRoll(test, roll, result, resultText, roll.modifiersTotal)
+        }, {rollMode: roll.options.rollMode});
+        return roll;
+    }
+
     /**
      * Ajoute une nouvelle attaque
      * @param {Event} event - L'événement de clic
@@ -262,6 +231,7 @@ class NpcSheet extends ActorSheet {
                 name: "Nouvelle attaque",
                 dice: "1d20",
                 damage: "1d6",
+                nature: "contondant",
                 description: "Description de l'attaque"
             };
             
@@ -272,11 +242,11 @@ class NpcSheet extends ActorSheet {
                 'system.attacks': updatedAttacks
             });
             
-            console.log('Nouvelle attaque ajoutée');
+            VHLogger.debug("sheet", 'Nouvelle attaque ajoutée');
             this.render(true); // Re-rendre la fiche pour afficher la nouvelle attaque
             
         } catch (error) {
-            console.error('Erreur lors de l\'ajout de l\'attaque:', error);
+            VHLogger.error("sheet", 'Erreur lors de l\'ajout de l\'attaque:', error);
         }
     }
 
@@ -298,11 +268,11 @@ class NpcSheet extends ActorSheet {
                 'system.attacks': updatedAttacks
             });
             
-            console.log(`Attaque à l'index ${index} supprimée`);
+            VHLogger.debug("sheet", `Attaque à l'index ${index} supprimée`);
             this.render(true); // Re-rendre la fiche pour mettre à jour l'affichage
             
         } catch (error) {
-            console.error('Erreur lors de la suppression de l\'attaque:', error);
+            VHLogger.error("sheet", 'Erreur lors de la suppression de l\'attaque:', error);
         }
     }
 
@@ -319,90 +289,63 @@ class NpcSheet extends ActorSheet {
         const value = element.value;
         
         try {
+            // Les tableaux sont mis à jour en entier pour ne pas écraser les autres attaques
+            const updatedAttacks = foundry.utils.deepClone(this.actor.system.attacks);
+            updatedAttacks[index][field] = value;
             await this.actor.update({
-                [`system.attacks.${index}.${field}`]: value
+                'system.attacks': updatedAttacks
             });
-            console.log(`Attaque ${index}, champ ${field} mis à jour: ${value}`);
+            VHLogger.debug("sheet", `Attaque ${index}, champ ${field} mis à jour: ${value}`);
         } catch (error) {
-            console.error(`Erreur lors de la mise à jour de l'attaque ${index}:`, error);
+            VHLogger.error("sheet", `Erreur lors de la mise à jour de l'attaque ${index}:`, error);
         }
     }
 
     /**
-     * Ajoute une nouvelle compétence
+     * Ignore les compétences déposées que l'acteur possède déjà (même nom)
+     * @param {Object|Object[]} itemData - Les données des objets déposés
+     * @param {DragEvent} event - L'événement de dépôt
+     * @returns {Promise<Item[]>}
+     * @override
+     */
+    async _onDropItemCreate(itemData, event) {
+        const items = (Array.isArray(itemData) ? itemData : [itemData]).filter(data => {
+            const known = (data.type === "skill") && this.actor.items.some(item => (item.type === "skill") && (item.name === data.name));
+            if (known) ui.notifications.warn(`${this.actor.name} possède déjà la compétence ${data.name}`);
+            return !known;
+        });
+        return super._onDropItemCreate(items, event);
+    }
+
+    /**
+     * Ajoute une nouvelle compétence et ouvre sa fiche
      * @param {Event} event - L'événement de clic
      * @private
      */
     async _onAddSkill(event) {
         event.preventDefault();
-        
-        try {
-            const newSkill = {
-                name: "Nouvelle compétence",
-                description: "Description de la compétence"
-            };
-            
-            const currentSkills = this.actor.system.skills || [];
-            const updatedSkills = [...currentSkills, newSkill];
-            
-            await this.actor.update({
-                'system.skills': updatedSkills
-            });
-            
-            console.log('Nouvelle compétence ajoutée');
-            this.render(true); // Re-rendre la fiche pour afficher la nouvelle compétence
-            
-        } catch (error) {
-            console.error('Erreur lors de l\'ajout de la compétence:', error);
-        }
+        const [skill] = await this.actor.createEmbeddedDocuments("Item", [{name: "Nouvelle compétence", type: "skill"}]);
+        skill?.sheet.render(true);
     }
 
     /**
-     * Supprime une compétence
+     * Ouvre la fiche d'une compétence
      * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onRemoveSkill(event) {
+    _onEditSkill(event) {
         event.preventDefault();
-        
-        const index = parseInt(event.currentTarget.dataset.index);
-        
-        try {
-            const currentSkills = this.actor.system.skills || [];
-            const updatedSkills = currentSkills.filter((_, i) => i !== index);
-            
-            await this.actor.update({
-                'system.skills': updatedSkills
-            });
-            
-            console.log(`Compétence à l'index ${index} supprimée`);
-            this.render(true); // Re-rendre la fiche pour mettre à jour l'affichage
-            
-        } catch (error) {
-            console.error('Erreur lors de la suppression de la compétence:', error);
-        }
+        this.actor.items.get(event.currentTarget.dataset.itemId)?.sheet.render(true);
     }
 
     /**
-     * Gère les changements dans les compétences
-     * @param {Event} event - L'événement de changement
+     * Supprime une compétence
+     * @param {Event} event - L'événement de clic
      * @private
      */
-    async _onSkillChange(event) {
-        const element = event.currentTarget;
-        const skillItem = element.closest('.skill-item');
-        const index = parseInt(skillItem.dataset.index);
-        const field = this._getFieldName(element);
-        const value = element.value;
-        
-        try {
-            await this.actor.update({
-                [`system.skills.${index}.${field}`]: value
-            });
-            console.log(`Compétence ${index}, champ ${field} mis à jour: ${value}`);
-        } catch (error) {
-            console.error(`Erreur lors de la mise à jour de la compétence ${index}:`, error);
-        }
+    async _onRemoveSkill(event) {
+        event.preventDefault();
+        await this.actor.items.get(event.currentTarget.dataset.itemId)?.delete();
     }
 
     /**
@@ -412,13 +355,15 @@ class NpcSheet extends ActorSheet {
      * @private
      */
     _getFieldName(element) {
-        if (element.classList.contains('attack-name-input') || element.classList.contains('skill-name-input')) {
+        if (element.classList.contains('attack-name-input')) {
             return 'name';
         } else if (element.classList.contains('dice-input')) {
             return 'dice';
         } else if (element.classList.contains('damage-input')) {
             return 'damage';
-        } else if (element.classList.contains('attack-description') || element.classList.contains('skill-description')) {
+        } else if (element.classList.contains('nature-input')) {
+            return 'nature';
+        } else if (element.classList.contains('attack-description')) {
             return 'description';
         }
         return 'unknown';
@@ -436,46 +381,46 @@ class NpcSheet extends ActorSheet {
         const attack = this.actor.system.attacks[index];
         
         if (!attack) {
-            console.error('Attaque non trouvée à l\'index:', index);
+            VHLogger.error("rolls", 'Attaque non trouvée à l\'index:', index);
             return;
         }
 
+        // En combat, une attaque consomme l'action du tour
+        const combatant = VoidCombatant.forActor(this.actor);
+        if (combatant && !combatant.canUse("action")) return;
+
         try {
-            // Créer le jet de dés
-            const roll = new Roll(attack.dice || "1d20");
-            await roll.evaluate({async: true});
+            // La formule d'attaque est libre : lancée telle quelle, critiques sur le premier dé
+            const config = await VoidRollDialog.configure(event, {
+                title: `${this.actor.name} - ${attack.name || "Attaque"}`,
+                dice: attack.dice || "1d20",
+                modes: ["unsafe"]
+            });
+            if (!config) return;
+            await combatant?.consume("action");
             
-            // Déterminer le résultat (critique, échec, normal)
-            const total = roll.total;
-            const dice = roll.dice[0];
-            let result = "normal";
-            let resultText = "";
+            const roll = VoidRoll.build(config, this.actor.getRollData());
+            await roll.evaluate();
             
-            if (dice && dice.faces) {
-                if (total === dice.faces) {
-                    result = "critique";
-                    resultText = "🎯 COUP CRITIQUE !";
-                } else if (total === 1) {
-                    result = "echec";
-                    resultText = "💥 ÉCHEC CRITIQUE !";
-                }
-            }
+            const total = roll.total;
+            const {result, resultText} = this._getRollResult(roll);
             
             // Créer le message de chat
             const chatData = {
                 user: game.user.id,
                 speaker: ChatMessage.getSpeaker({ actor: this.actor }),
                 content: await this._renderAttackRoll(attack, roll, result, resultText),
-                type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-                roll: roll,
                 sound: CONFIG.sounds.dice
             };
             
-            await ChatMessage.create(chatData);
-            console.log(`Jet d'attaque lancé: ${attack.name} - Résultat: ${total} (${result})`);
+            await roll.toMessage(chatData, {rollMode: roll.options.rollMode});
+            VHLogger.debug("rolls", `Jet d'attaque lancé: ${attack.name} - Résultat: ${total} (${result})`);
+            
+            // Carte de défense pour les jetons ciblés
+            await OpposedAttack.create(this.actor, roll, attack.name || "Attaque", {nature: attack.nature});
             
         } catch (error) {
-            console.error('Erreur lors du jet d\'attaque:', error);
+            VHLogger.error("rolls", 'Erreur lors du jet d\'attaque:', error);
             ui.notifications.error(`Erreur lors du jet d'attaque: ${error.message}`);
         }
     }
@@ -492,7 +437,7 @@ class NpcSheet extends ActorSheet {
         const attack = this.actor.system.attacks[index];
         
         if (!attack) {
-            console.error('Attaque non trouvée à l\'index:', index);
+            VHLogger.error("rolls", 'Attaque non trouvée à l\'index:', index);
             return;
         }
 
@@ -506,60 +451,74 @@ class NpcSheet extends ActorSheet {
             const roll = new Roll(attack.damage);
             await roll.evaluate({async: true});
             
-            // Créer le message de chat
+            // Créer le message de chat, avec le bouton d'application à la cible
             const chatData = {
-                user: game.user.id,
                 speaker: ChatMessage.getSpeaker({ actor: this.actor }),
                 content: await this._renderDamageRoll(attack, roll),
-                type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-                roll: roll,
-                sound: CONFIG.sounds.dice
+                flags: DamageApplication.getMessageFlags(roll.total, {nature: attack.nature})
             };
             
-            await ChatMessage.create(chatData);
-            console.log(`Jet de dégâts lancé: ${attack.name} - Dégâts: ${roll.total}`);
+            await roll.toMessage(chatData);
+            VHLogger.debug("rolls", `Jet de dégâts lancé: ${attack.name} - Dégâts: ${roll.total}`);
             
         } catch (error) {
-            console.error('Erreur lors du jet de dégâts:', error);
+            VHLogger.error("rolls", 'Erreur lors du jet de dégâts:', error);
             ui.notifications.error(`Erreur lors du jet de dégâts: ${error.message}`);
         }
     }
 
     /**
-     * Lance un jet de compétence
+     * Lance un jet de compétence : caractéristique associée et dés de maîtrise
      * @param {Event} event - L'événement de clic
      * @private
      */
     async _onRollSkill(event) {
         event.preventDefault();
         
-        const index = parseInt(event.currentTarget.dataset.index);
-        const skill = this.actor.system.skills[index];
-        
-        if (!skill) {
-            console.error('Compétence non trouvée à l\'index:', index);
+        const skill = this.actor.items.get(event.currentTarget.dataset.itemId);
+        if (skill?.type !== "skill") {
+            VHLogger.error("rolls", 'Compétence non trouvée:', event.currentTarget.dataset.itemId);
             return;
         }
+        const {characteristic, mastery} = skill.system;
 
         try {
-            // Créer le message de chat pour la compétence
-            const chatData = {
-                user: game.user.id,
-                speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-                content: await this._renderSkillUse(skill),
-                type: CONST.CHAT_MESSAGE_TYPES.OTHER,
-                sound: CONFIG.sounds.notification
-            };
+            const config = await VoidRollDialog.configure(event, {
+                title: `${this.actor.name} - ${skill.name}`,
+                mode: "safe",
+                ...VoidRoll.getStatConfig(this.actor, characteristic, [{type: "mastery", formula: mastery}])
+            });
+            if (!config) return;
+            
+            const roll = VoidRoll.build(config, this.actor.getRollData());
+            await roll.evaluate();
             
-            await ChatMessage.create(chatData);
-            console.log(`Compétence utilisée: ${skill.name}`);
+            const {result, resultText} = this._getRollResult(roll);
+            await roll.toMessage({
+                speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+                content: await this._renderSkillUse(skill, roll, result, resultText),
+                sound: CONFIG.sounds.dice
+            }, {rollMode: roll.options.rollMode});
+            VHLogger.debug("rolls", `Compétence utilisée: ${skill.name} - Résultat: ${roll.total} (${result})`);
             
         } catch (error) {
-            console.error('Erreur lors de l\'utilisation de la compétence:', error);
+            VHLogger.error("rolls", 'Erreur lors de l\'utilisation de la compétence:', error);
             ui.notifications.error(`Erreur lors de l'utilisation de la compétence: ${error.message}`);
         }
     }
 
+    /**
+     * Détermine le résultat d'un jet (critique, échec, normal)
+     * @param {VoidRoll} roll - Le jet évalué
+     * @returns {{result: string, resultText: string}} - La classe CSS et le texte du résultat
+     * @private
+     */
+    _getRollResult(roll) {
+        if (roll.isCriticalSuccess) return {result: "critique", resultText: "🎯 COUP CRITIQUE !"};
+        if (roll.isCriticalFailure) return {result: "echec", resultText: "💥 ÉCHEC CRITIQUE !"};
+        return {result: "normal", resultText: ""};
+    }
+
     /**
      * Rend le template HTML pour un jet d'attaque
      * @param {Object} attack - L'attaque
@@ -585,6 +544,7 @@ class NpcSheet extends ActorSheet {
                 <div class="roll-details">
                     <div class="dice-formula">${roll.formula}</div>
                     <div class="dice-breakdown">${roll.dice.map(d => d.results.map(r => r.result).join(', ')).join(' | ')}</div>
+                    ${roll.outcome ? `<div class="roll-outcome ${roll.outcome.success ? 'success' : 'failure'}">Difficulté ${roll.options.difficulty} : ${roll.outcomeLabel}</div>` : ''}
                 </div>
                 
                 ${attack.description ? `<div class="attack-description">${attack.description}</div>` : ''}
@@ -620,6 +580,8 @@ class NpcSheet extends ActorSheet {
                 </div>
                 
                 ${attack.description ? `<div class="attack-description">${attack.description}</div>` : ''}
+                ${DamageApplication.getNatureHTML(attack.nature)}
+                ${DamageApplication.getButtonHTML()}
             </div>
         `;
         
@@ -628,11 +590,14 @@ class NpcSheet extends ActorSheet {
 
     /**
      * Rend le template HTML pour l'utilisation d'une compétence
-     * @param {Object} skill - La compétence
+     * @param {Item} skill - La compétence
+     * @param {Roll} roll - Le jet de dés
+     * @param {string} result - Le résultat (critique, echec, normal)
+     * @param {string} resultText - Le texte du résultat
      * @returns {string} Le HTML rendu
      * @private
      */
-    async _renderSkillUse(skill) {
+    async _renderSkillUse(skill, roll, result, resultText) {
         const template = `
             <div class="voidhorizon-skill-use">
                 <div class="skill-header">
@@ -640,8 +605,20 @@ class NpcSheet extends ActorSheet {
                     <div class="actor-info">${this.actor.name}</div>
                 </div>
                 
+                <div class="roll-result ${result}">
+                    <div class="dice-result">${roll.total}</div>
+                    <div class="result-text">${resultText}</div>
+                </div>
+                
+                <div class="roll-details">
+                    <div class="skill-mastery">${skill.system.characteristicLabel} · ${skill.system.masteryLabel}</div>
+                    <div class="dice-formula">${roll.formula}</div>
+                    <div class="dice-breakdown">${roll.dice.map(d => d.results.map(r => r.result).join(', ')).join(' | ')}</div>
+                    ${roll.outcome ? `<div class="roll-outcome ${roll.outcome.success ? 'success' : 'failure'}">Difficulté ${roll.options.difficulty} : ${roll.outcomeLabel}</div>` : ''}
+                </div>
+                
                 <div class="skill-description">
-                    ${skill.description || 'Aucune description disponible.'}
+                    ${skill.system.description || 'Aucune description disponible.'}
                 </div>
             </div>
         `;
@@ -667,8 +644,9 @@ class NpcSheet extends ActorSheet {
             'arcane': 'Arcane'
         };
         
-        const label = characteristicLabels[characteristic] || characteristic;
-        const bonusText = bonus !== 0 ? ` (${bonus >= 0 ? '+' : ''}${bonus})` : '';
+        const label = characteristicLabels[characteristic]
+            || CONFIG.voidHorizon.protectionActions[characteristic]?.label
+            || characteristic;
         
         const template = `
             <div class="voidhorizon-characteristic-roll">
@@ -683,9 +661,10 @@ class NpcSheet extends ActorSheet {
                 </div>
                 
                 <div class="roll-details">
-                    <div class="dice-formula">${roll.formula}${bonusText}</div>
+                    <div class="dice-formula">${roll.formula}</div>
                     <div class="dice-breakdown">${roll.dice.map(d => d.results.map(r => r.result).join(', ')).join(' | ')}</div>
                     ${bonus !== 0 ? `<div class="bonus-info">Bonus appliqué: ${bonus >= 0 ? '+' : ''}${bonus}</div>` : ''}
+                    ${roll.outcome ? `<div class="roll-outcome ${roll.outcome.success ? 'success' : 'failure'}">Difficulté ${roll.options.difficulty} : ${roll.outcomeLabel}</div>` : ''}
                 </div>
             </div>
         `;
@@ -699,14 +678,20 @@ class NpcSheet extends ActorSheet {
      * @private
      */
     _prepareItems(data) {
-        // Préparation des éléments si nécessaire
-        // À implémenter dans une version future
+        // Compétences du PNJ, triées par nom
+        data.skills = this.actor.items.filter(item => item.type === "skill").map(skill => ({
+            id: skill.id,
+            name: skill.name,
+            description: skill.system.description,
+            characteristic: skill.system.characteristicLabel,
+            masteryLabel: skill.system.masteryLabel
+        })).sort((a, b) => a.name.localeCompare(b.name));
     }
 }
 
 // Fonction d'enregistrement de la fiche NPC
 function registerNpcSheet() {
-    console.log("Enregistrement de la fiche NPC");
+    VHLogger.debug("system", "Enregistrement de la fiche NPC");
     
     // Enregistrer la classe de la fiche
     Actors.unregisterSheet("core", ActorSheet);
@@ -715,7 +700,7 @@ function registerNpcSheet() {
         makeDefault: true
     });
     
-    console.log("✅ Fiche NPC enregistrée avec succès");
+    VHLogger.debug("system", "✅ Fiche NPC enregistrée avec succès");
 }
 
 // Exporter la fonction pour l'utiliser dans voidHorizon.js
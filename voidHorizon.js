@@ -1,119 +1,146 @@
 import VHItemSheet from "./module/sheets/VHItemSheet.js";
 import {voidHorizon} from "./module/config.js";
-import {registerSettings} from "./module/settings.js";
+import {getDisplaySettings, getSetting, registerSettings} from "./module/settings.js";
+import HerosData from "./module/data/heros-data.js";
+import NpcData from "./module/data/npc-data.js";
+import MerchantData from "./module/data/merchant-data.js";
+import MerchantSheet from "./module/sheets/merchant-sheet.js";
+import SpellData from "./module/data/spell-data.js";
+import TraitData from "./module/data/trait-data.js";
+import SkillData from "./module/data/skill-data.js";
+import WeaponData from "./module/data/weapon-data.js";
+import ShieldData from "./module/data/shield-data.js";
+import ArmorData from "./module/data/armor-data.js";
+import EquipmentData from "./module/data/equipment-data.js";
+import ContainerData from "./module/data/container-data.js";
+import OutilData from "./module/data/outil-data.js";
+import AData from "./module/data/a-data.js";
+import {migrateWorld} from "./module/migration.js";
+import VoidRoll from "./module/dice/void-roll.js";
+import VoidRollDialog from "./module/dice/roll-dialog.js";
+import TestRequest from "./module/apps/test-request.js";
+import DamageApplication from "./module/apps/damage-application.js";
+import OpposedAttack from "./module/apps/opposed-attack.js";
+import MerchantTrade from "./module/apps/merchant-trade.js";
+import * as VoidCurrency from "./module/currency.js";
+import VoidCombat from "./module/combat/combat.js";
+import VoidCombatant from "./module/combat/combatant.js";
+import VHLogger from "./module/logger.js";
+import SheetHeaderControls from "./module/sheets/header-controls.js";
 import "./scripts/heros-sheet.js";
 import "./scripts/npc-sheet.js";
 
-// Nettoyer les hooks problématiques existants
-Hooks.once('init', function() {
-    console.log('🧹 Nettoyage des hooks problématiques...');
-    
-    // Supprimer seulement les hooks problématiques, pas tous
-    if (Hooks.events.getHeaderControlsApplicationV2) {
-        const hooksToRemove = [...Hooks.events.getHeaderControlsApplicationV2];
-        hooksToRemove.forEach(hook => {
-            // Vérifier si c'est un hook problématique avant de le supprimer
-            if (hook.fn) {
-                const fnStr = hook.fn.toString();
-                
-                // Supprimer seulement les hooks qui contiennent des références problématiques
-                if (fnStr.includes('actorExport.ID') || 
-                    fnStr.includes('Handlebars.registerHelper') ||
-                    fnStr.includes('main.js')) {
-                    
-                    Hooks.off('getHeaderControlsApplicationV2', hook.fn);
-                    console.log('🗑️ Hook problématique supprimé:', hook);
-                } else {
-                    console.log('✅ Hook sain conservé:', hook);
-                }
-            }
-        });
-        console.log('✅ Nettoyage sélectif terminé');
-    }
-});
-
-// Diagnostic avancé des hooks problématiques
-Hooks.on('getHeaderControlsApplicationV2', function(app, buttons) {
-    console.log('🚨 === DIAGNOSTIC HOOK getHeaderControlsApplicationV2 ===');
-    console.log('📱 Application:', app);
-    console.log('🔘 Boutons:', buttons);
-    
-    // Analyser tous les hooks enregistrés pour ce hook
-    if (Hooks.events.getHeaderControlsApplicationV2) {
-        console.log('📋 Tous les hooks getHeaderControlsApplicationV2 enregistrés:');
-        
-        Hooks.events.getHeaderControlsApplicationV2.forEach((hook, index) => {
-            console.log(`  🔍 Hook ${index}:`, hook);
-            
-            if (hook.fn) {
-                const fnStr = hook.fn.toString();
-                console.log(`  📝 Source (200 premiers caractères):`, fnStr.substring(0, 200) + '...');
-                
-                // Chercher des indices dans le code
-                if (fnStr.includes('main.js')) {
-                    console.log(`  🚨 ATTENTION: Contient 'main.js' - POTENTIELLEMENT PROBLÉMATIQUE`);
-                }
-                if (fnStr.includes('app.type')) {
-                    console.log(`  🚨 ATTENTION: Accède à 'app.type' - CAUSE DE L'ERREUR`);
-                }
-                if (fnStr.includes('Cannot read properties')) {
-                    console.log(`  🚨 ATTENTION: Contient le message d'erreur`);
-                }
-                if (fnStr.includes('voidHorizon')) {
-                    console.log(`  ✅ Contient 'voidHorizon' - Notre code`);
-                }
-            }
-        });
-    }
-    
-    console.log('🚨 === FIN DU DIAGNOSTIC ===');
-    
-    // Retourner les boutons sans modification
-    return buttons;
-});
+// Journal du système, aussi utilisé par les fiches (scripts classiques) et le module d'export
+window.VHLogger = VHLogger;
+// Contrôles de l'en-tête des fiches de héros et de PNJ, étendus par les modules
+window.SheetHeaderControls = SheetHeaderControls;
 
 // Initialisation unifiée du système voidHorizon
 Hooks.once('init', async function() {
-    console.log('🚀 Initialisation du système voidHorizon');
+    VHLogger.info("system", '🚀 Initialisation du système voidHorizon');
     
     try {
         // Configuration du système
         CONFIG.voidHorizon = voidHorizon;
-        console.log('✅ Configuration système chargée');
+        VHLogger.debug("system", '✅ Configuration système chargée');
+        
+        // Modèles de données des acteurs (avant toute attente : les acteurs du monde sont construits après l'init)
+        CONFIG.Actor.dataModels.heros = HerosData;
+        CONFIG.Actor.dataModels.npc = NpcData;
+        CONFIG.Actor.dataModels.merchant = MerchantData;
+        VHLogger.debug("system", '✅ Modèles de données des acteurs enregistrés');
+        
+        // Marchands et butins : commerce des héros, transactions exécutées par le MJ
+        foundry.documents.collections.Actors.registerSheet("voidHorizon", MerchantSheet, {types: ["merchant"], makeDefault: true});
+        MerchantTrade.registerHooks();
+        window.MerchantTrade = MerchantTrade;
+        window.VoidCurrency = VoidCurrency;
+        VHLogger.debug("system", '✅ Marchands enregistrés');
+        
+        // Sorts du grimoire des héros
+        CONFIG.Item.dataModels.spell = SpellData;
+        VHLogger.debug("system", '✅ Sorts enregistrés');
+        
+        // Traits : leurs effets actifs s'appliquent à l'acteur sans être copiés sur lui
+        CONFIG.Item.dataModels.trait = TraitData;
+        CONFIG.ActiveEffect.legacyTransferral = false;
+        VHLogger.debug("system", '✅ Traits enregistrés');
+        
+        // Compétences partagées par les héros et les PNJ
+        CONFIG.Item.dataModels.skill = SkillData;
+        VHLogger.debug("system", '✅ Compétences enregistrées');
+        
+        // Armes, boucliers et armures, équipés par glisser-déposer sur la fiche de héros
+        CONFIG.Item.dataModels.weapon = WeaponData;
+        CONFIG.Item.dataModels.shield = ShieldData;
+        CONFIG.Item.dataModels.armor = ArmorData;
+        VHLogger.debug("system", '✅ Armes, boucliers et armures enregistrés');
+        
+        // Objets d'inventaire et contenants, pesés dans la charge des héros
+        CONFIG.Item.dataModels.equipment = EquipmentData;
+        CONFIG.Item.dataModels.container = ContainerData;
+        CONFIG.Item.dataModels.outil = OutilData;
+        CONFIG.Item.dataModels.A = AData;
+        VHLogger.debug("system", '✅ Inventaire enregistré');
+        
+        // Une seule fiche pour tous les Items, avec un template par type
+        foundry.documents.collections.Items.unregisterSheet("core", foundry.appv1.sheets.ItemSheet);
+        foundry.documents.collections.Items.registerSheet("voidHorizon", VHItemSheet, {makeDefault: true});
+        VHLogger.debug("system", '✅ Fiche des objets enregistrée');
+        
+        // Moteur de jets Safe/Unsafe et fenêtre de jet, accessibles aux fiches via window
+        CONFIG.Dice.rolls.push(VoidRoll);
+        window.VoidRoll = VoidRoll;
+        window.VoidRollDialog = VoidRollDialog;
+        VHLogger.debug("system", '✅ Jets VoidRoll enregistrés');
+        
+        // Demandes de test du MJ (contrôles de jeton, commande /test, socket)
+        TestRequest.registerHooks();
+        window.TestRequest = TestRequest;
+        VHLogger.debug("system", '✅ Demandes de test enregistrées');
+        
+        // Application des dégâts depuis les cartes d'attaque
+        DamageApplication.registerHooks();
+        window.DamageApplication = DamageApplication;
+        VHLogger.debug("system", '✅ Application des dégâts enregistrée');
+        
+        // Attaques opposées aux défenses des cibles
+        OpposedAttack.registerHooks();
+        window.OpposedAttack = OpposedAttack;
+        VHLogger.debug("system", '✅ Attaques opposées enregistrées');
+        
+        // Combat : initiative sur une caractéristique, début et fin des tours
+        CONFIG.Combat.documentClass = VoidCombat;
+        CONFIG.Combatant.documentClass = VoidCombatant;
+        window.VoidCombatant = VoidCombatant;
+        VoidCombat.registerHooks();
+        VHLogger.debug("system", '✅ Combat voidHorizon enregistré');
         
         // Enregistrer les paramètres de configuration
         registerSettings();
-        console.log('✅ Paramètres voidHorizon enregistrés avec succès');
+        // Paramètres lus par les fiches (scripts classiques)
+        window.VoidSettings = {getSetting, getDisplaySettings};
+        VoidCombatant.applyInitiativeFormula();
+        VHLogger.debug("system", '✅ Paramètres voidHorizon enregistrés avec succès');
         
         // Attendre que les fonctions d'enregistrement soient disponibles
         let attempts = 0;
         const maxAttempts = 10;
         
         while (attempts < maxAttempts) {
-            if (window.registerHeroSheet && window.registerNpcSheet && window.registerItemSheet) {
-                console.log('✅ Toutes les fonctions d\'enregistrement sont disponibles');
+            if (window.registerHeroSheet && window.registerNpcSheet) {
+                VHLogger.debug("system", '✅ Toutes les fonctions d\'enregistrement sont disponibles');
                 break;
             }
             
-            console.log(`⏳ Attente des fonctions d'enregistrement... (tentative ${attempts + 1}/${maxAttempts})`);
+            VHLogger.debug("system", `⏳ Attente des fonctions d'enregistrement... (tentative ${attempts + 1}/${maxAttempts})`);
             await new Promise(resolve => setTimeout(resolve, 100));
             attempts++;
         }
         
         if (attempts >= maxAttempts) {
-            console.warn('⚠️ Fonctions d\'enregistrement non disponibles, utilisation du fallback');
-            
-            // Fallback : enregistrement direct
-            Items.unregisterSheet("core", ItemSheet);
-            Items.registerSheet("voidHorizon", VHItemSheet, {makeDefault: true});
-            console.log('✅ Feuilles d\'objets voidHorizon enregistrées (fallback)');
+            VHLogger.warn("system", '⚠️ Fonctions d\'enregistrement des fiches d\'acteurs non disponibles');
         } else {
-            // Enregistrer les feuilles d'objets personnalisées
-            if (window.registerItemSheet) {
-                window.registerItemSheet();
-            }
-            console.log('✅ Feuilles d\'objets voidHorizon enregistrées');
-            
             // Enregistrer les feuilles d'acteurs personnalisées
             if (window.registerHeroSheet) {
                 window.registerHeroSheet();
@@ -121,25 +148,28 @@ Hooks.once('init', async function() {
             if (window.registerNpcSheet) {
                 window.registerNpcSheet();
             }
-            console.log('✅ Feuilles d\'acteurs voidHorizon enregistrées');
+            VHLogger.debug("system", '✅ Feuilles d\'acteurs voidHorizon enregistrées');
         }
         
-        console.log('🎯 JS custom operationnel');
+        VHLogger.debug("system", '🎯 JS custom operationnel');
         
     } catch (error) {
-        console.error('❌ Erreur lors de l\'initialisation:', error);
+        VHLogger.error("system", '❌ Erreur lors de l\'initialisation:', error);
     }
 });
 
 // Quand le jeu est prêt
 Hooks.once('ready', async function() {
-    console.log('🎮 Système voidHorizon prêt et opérationnel');
+    VHLogger.info("system", '🎮 Système voidHorizon prêt et opérationnel');
+    
+    // Migration des données du monde vers la version du schéma du système (MJ actif uniquement)
+    await migrateWorld();
     
     // Vérifier que les paramètres sont bien enregistrés
     if (game.settings) {
-        console.log('🔧 Paramètres Foundry VTT disponibles:', Object.keys(game.settings.settings));
-        console.log('🎛️ Paramètres voidHorizon disponibles:', Object.keys(game.settings.settings).filter(key => key.startsWith('voidHorizon')));
+        VHLogger.debug("system", '🔧 Paramètres Foundry VTT disponibles:', Object.keys(game.settings.settings));
+        VHLogger.debug("system", '🎛️ Paramètres voidHorizon disponibles:', Object.keys(game.settings.settings).filter(key => key.startsWith('voidHorizon')));
     } else {
-        console.error('❌ game.settings n\'est pas disponible');
+        VHLogger.error("system", '❌ game.settings n\'est pas disponible');
     }
 });
\ No newline at end of file